@@ -7,12 +7,50 @@ const { syncFile, syncDocs, syncBlog, syncDir } = require('../lib/commands/sync'
 const { syncGoogleDocs } = require('../lib/commands/sync_gdocs');
 const syncNotion = require('../lib/commands/sync_notion');
 const { initProject } = require('../lib/commands/init');
+const { prune } = require('../lib/commands/prune');
+const { status } = require('../lib/commands/status');
+const { clearCache } = require('../lib/commands/cache');
+const { doctor } = require('../lib/commands/doctor');
+const { pull } = require('../lib/commands/pull');
+const SyncReport = require('../lib/core/sync-report');
 
 const program = new Command();
 
 // Read version from package.json
 const packageJson = require('../package.json');
 
+/**
+ * Write the --report file and exit: non-zero when a page failed, a page was left in conflict
+ * (unless --skip-conflicts) or the sync stopped on an error
+ * @param {SyncReport} report - Report of the sync
+ * @param {string} reportPath - --report file (optional)
+ * @param {Error} error - Error that stopped the sync (optional)
+ */
+async function exitWithReport(report, reportPath, error = null) {
+  if (error) {
+    report.fail(error);
+  }
+  report.finish();
+
+  if (reportPath) {
+    try {
+      const writtenPath = await report.write(reportPath);
+      console.log(chalk.gray('📋 Sync report written to', writtenPath));
+    } catch (writeError) {
+      console.error(chalk.red('❌ Could not write sync report:', writeError.message));
+      process.exit(1);
+    }
+  }
+
+  if (!error && report.failed > 0) {
+    console.log(chalk.red(`❌ ${report.failed} page(s) failed to sync`));
+  }
+  if (!error && !report.skipConflicts && report.conflicts > 0) {
+    console.log(chalk.red(`❌ ${report.conflicts} page(s) edited remotely were not synced (merge the .conflict.md files, or use --overwrite / --skip-conflicts)`));
+  }
+  process.exit(report.success ? 0 : 1);
+}
+
 program
   .name('docflu')
   .description('CLI tool to sync Docusaurus documentation to Confluence, Google Docs, and Notion with hierarchy, internal links, and diagram support')
@@ -31,7 +69,19 @@ program
   .option('--conflu', 'sync to Confluence (default)')
   .option('--dry-run', 'preview changes without syncing')
   .option('--force', 'force sync all files (ignore incremental sync)')
+  .option('--config <path>', 'config file to use instead of docflu.config.js / .docflurc')
+  .option('--exclude <patterns>', 'comma-separated exclude patterns (overrides env and config file)')
+  .option('--sidebars [path]', 'build the page tree from sidebars.js/sidebars.ts instead of directories')
+  .option('--prune', 'delete, archive or label remote pages whose source files were removed (with --docs)')
+  .option('--prune-action <action>', 'prune action: delete, archive or label', 'archive')
+  .option('--overwrite', 'overwrite pages edited remotely since the last sync')
+  .option('--skip-conflicts', 'leave pages edited remotely since the last sync untouched')
+  .option('--layout <layout>', 'Google Docs layout: single (one document), files (one document per file in a Drive folder tree) or tabs (one tab per file)')
+  .option('--report <file>', 'write a sync report: JUnit XML for .xml files, JSON otherwise')
+  .option('--install-tools', 'install missing diagram renderer CLIs (mmdc, PlantUML, Graphviz, D2) instead of syncing those diagrams as code blocks')
   .action(async (projectPath, options) => {
+    let report = null;
+
     try {
       let projectRoot;
       let filePath = options.file;
@@ -102,6 +152,49 @@ program
         }
       }
 
+      // Validate prune option - only with --docs, not for Google Docs
+      if (options.prune) {
+        if (!options.docs) {
+          console.log(chalk.red('❌ --prune option requires --docs option. Use "docflu prune" for a standalone prune.'));
+          process.exit(1);
+        }
+        if (platform === 'google-docs') {
+          console.log(chalk.red('❌ --prune option is not supported for Google Docs.'));
+          process.exit(1);
+        }
+      }
+
+      // Validate conflict options - not for Google Docs
+      if (options.overwrite || options.skipConflicts) {
+        if (options.overwrite && options.skipConflicts) {
+          console.log(chalk.red('❌ Cannot combine --overwrite and --skip-conflicts. Choose one.'));
+          process.exit(1);
+        }
+        if (platform === 'google-docs') {
+          console.log(chalk.red('❌ --overwrite and --skip-conflicts options are not supported for Google Docs.'));
+          process.exit(1);
+        }
+      }
+
+      // Validate layout option - only for Google Docs
+      if (options.layout && platform !== 'google-docs') {
+        console.log(chalk.red('❌ --layout option is only supported for Google Docs. Add the --gdocs flag.'));
+        process.exit(1);
+      }
+
+      // CLI flags merged into configuration (highest precedence)
+      const configOptions = { config: options.config, exclude: options.exclude, sidebars: options.sidebars, layout: options.layout, installTools: options.installTools };
+      const conflictOptions = { overwrite: options.overwrite, skipConflicts: options.skipConflicts };
+
+      // Per-file results, for --report and the exit code
+      report = new SyncReport({
+        platform,
+        mode: ['file', 'docs', 'blog', 'dir'].find(mode => options[mode]),
+        projectRoot,
+        dryRun: options.dryRun,
+        skipConflicts: options.skipConflicts
+      });
+
       if (options.file) {
         console.log(chalk.blue(`🚀 Syncing single file to ${platform}:`, filePath));
         console.log(chalk.gray('📂 Project root:', projectRoot));
@@ -111,57 +204,57 @@ program
         }
         
         if (platform === 'google-docs') {
-          await syncGoogleDocs('file', filePath, options.dryRun, projectRoot);
+          await syncGoogleDocs('file', filePath, options.dryRun, projectRoot, { ...configOptions, report });
         } else if (platform === 'notion') {
-          await syncNotion(projectRoot, { file: filePath, dryRun: options.dryRun, force: options.force });
+          await syncNotion(projectRoot, { file: filePath, dryRun: options.dryRun, force: options.force, ...configOptions, ...conflictOptions, report });
         } else {
-          await syncFile(filePath, options.dryRun, projectRoot, options.target);
+          await syncFile(filePath, options.dryRun, projectRoot, options.target, { ...configOptions, ...conflictOptions, report });
         }
         
         // Ensure process exits cleanly
-        process.exit(0);
+        await exitWithReport(report, options.report);
       } else if (options.docs) {
         console.log(chalk.blue(`🚀 Syncing all docs/ to ${platform}`));
         console.log(chalk.gray('📂 Project root:', projectRoot));
         
         if (platform === 'google-docs') {
-          await syncGoogleDocs('docs', null, options.dryRun, projectRoot);
+          await syncGoogleDocs('docs', null, options.dryRun, projectRoot, { ...configOptions, report });
         } else if (platform === 'notion') {
-          await syncNotion(projectRoot, { docs: true, dryRun: options.dryRun, force: options.force });
+          await syncNotion(projectRoot, { docs: true, dryRun: options.dryRun, force: options.force, prune: options.prune, pruneAction: options.pruneAction, ...configOptions, ...conflictOptions, report });
         } else {
-          await syncDocs(options.dryRun, projectRoot);
+          await syncDocs(options.dryRun, projectRoot, { ...configOptions, ...conflictOptions, force: options.force, prune: options.prune, pruneAction: options.pruneAction, report });
         }
         
         // Ensure process exits cleanly
-        process.exit(0);
+        await exitWithReport(report, options.report);
       } else if (options.blog) {
         console.log(chalk.blue(`🚀 Syncing all blog/ to ${platform}`));
         console.log(chalk.gray('📂 Project root:', projectRoot));
         
         if (platform === 'google-docs') {
-          await syncGoogleDocs('blog', null, options.dryRun, projectRoot);
+          await syncGoogleDocs('blog', null, options.dryRun, projectRoot, { ...configOptions, report });
         } else if (platform === 'notion') {
-          await syncNotion(projectRoot, { blog: true, dryRun: options.dryRun, force: options.force });
+          await syncNotion(projectRoot, { blog: true, dryRun: options.dryRun, force: options.force, ...configOptions, ...conflictOptions, report });
         } else {
-          await syncBlog(options.dryRun, projectRoot);
+          await syncBlog(options.dryRun, projectRoot, { ...configOptions, ...conflictOptions, report });
         }
         
         // Ensure process exits cleanly
-        process.exit(0);
+        await exitWithReport(report, options.report);
       } else if (options.dir) {
         console.log(chalk.blue(`🚀 Syncing directory to ${platform}: ${options.dir}`));
         console.log(chalk.gray('📂 Project root:', projectRoot));
         
         if (platform === 'google-docs') {
-          await syncGoogleDocs('dir', options.dir, options.dryRun, projectRoot);
+          await syncGoogleDocs('dir', options.dir, options.dryRun, projectRoot, { ...configOptions, report });
         } else if (platform === 'notion') {
-          await syncNotion(projectRoot, { dir: options.dir, dryRun: options.dryRun, force: options.force });
+          await syncNotion(projectRoot, { dir: options.dir, dryRun: options.dryRun, force: options.force, ...configOptions, ...conflictOptions, report });
         } else {
-          await syncDir(options.dir, options.dryRun, projectRoot);
+          await syncDir(options.dir, options.dryRun, projectRoot, { ...configOptions, ...conflictOptions, force: options.force, report });
         }
         
         // Ensure process exits cleanly
-        process.exit(0);
+        await exitWithReport(report, options.report);
       } else {
         console.log(chalk.red('❌ Please specify --file, --docs, --blog, or --dir option'));
         console.log('Examples:');
@@ -172,14 +265,161 @@ program
         console.log('  docflu sync --blog');
         console.log('  docflu sync --dir docs/tutorial-basics');
         console.log('  docflu sync --gdocs --docs  # Sync to Google Docs');
+        console.log('  docflu sync --gdocs --docs --layout files  # One Google Doc per file');
+        console.log('  docflu sync --gdocs --docs --layout tabs  # One tab per file in one Google Doc');
         console.log('  docflu sync --notion --docs  # Sync to Notion');
         console.log('  docflu sync --conflu --docs  # Sync to Confluence');
+        console.log('  docflu sync --docs --prune  # Also archive pages of removed files');
+        console.log('  docflu sync --docs --sidebars  # Page tree from sidebars.js');
+        console.log('  docflu sync --docs --overwrite  # Replace pages edited remotely');
+        console.log('  docflu sync --docs --install-tools  # Install missing diagram CLIs first');
         console.log('  docflu sync ../docusaurus-exam --docs');
         console.log('  docflu sync /path/to/project --gdocs --blog');
         console.log('  docflu sync /path/to/project --notion --docs');
         console.log('  docflu sync /path/to/project --gdocs --dir docs/tutorial');
         process.exit(1);
       }
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      if (report) {
+        await exitWithReport(report, options.report, error);
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('prune [projectPath]')
+  .description('Delete, archive or label remote pages whose source markdown files were removed')
+  .option('--notion', 'prune Notion pages')
+  .option('--gdocs', 'prune Google Docs (files layout only)')
+  .option('--conflu', 'prune Confluence pages (default)')
+  .option('--action <action>', 'prune action: delete, archive or label', 'archive')
+  .option('--dry-run', 'list orphaned pages without changing anything')
+  .option('--config <path>', 'config file to use instead of docflu.config.js / .docflurc')
+  .action(async (projectPath, options) => {
+    try {
+      const projectRoot = projectPath ? path.resolve(projectPath) : process.cwd();
+      console.log(chalk.gray('📂 Project root:', projectRoot));
+
+      const platformCount = [options.conflu, options.notion, options.gdocs].filter(Boolean).length;
+      if (platformCount > 1) {
+        console.log(chalk.red('❌ Cannot specify multiple platforms. Choose one: --gdocs, --notion, or --conflu.'));
+        process.exit(1);
+      }
+
+      await prune(projectRoot, {
+        platform: options.notion ? 'notion' : options.gdocs ? 'google-docs' : 'confluence',
+        action: options.action,
+        dryRun: options.dryRun,
+        config: options.config
+      });
+
+      // Ensure process exits cleanly
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('status [projectPath]')
+  .description('Show which markdown files are new, modified, up to date, orphaned or failing since the last sync')
+  .option('--conflu', 'Confluence sync status (default)')
+  .option('--notion', 'Notion sync status')
+  .option('--gdocs', 'Google Docs sync status')
+  .option('--remote', 'also check that each tracked page still exists')
+  .option('--config <path>', 'config file to use instead of docflu.config.js / .docflurc')
+  .action(async (projectPath, options) => {
+    try {
+      const projectRoot = projectPath ? path.resolve(projectPath) : process.cwd();
+      console.log(chalk.gray('📂 Project root:', projectRoot));
+
+      const platformCount = [options.conflu, options.notion, options.gdocs].filter(Boolean).length;
+      if (platformCount > 1) {
+        console.log(chalk.red('❌ Cannot specify multiple platforms. Choose one: --gdocs, --notion, or --conflu.'));
+        process.exit(1);
+      }
+
+      await status(projectRoot, {
+        platform: options.notion ? 'notion' : options.gdocs ? 'google-docs' : 'confluence',
+        remote: options.remote,
+        config: options.config
+      });
+
+      // Ensure process exits cleanly
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the diagram render cache (.docusaurus/diagram-cache/)');
+
+cacheCommand
+  .command('clear [projectPath]')
+  .description('Remove cached diagram renders, so every diagram is rendered and uploaded again')
+  .action(async (projectPath) => {
+    try {
+      const projectRoot = projectPath ? path.resolve(projectPath) : process.cwd();
+      console.log(chalk.gray('📂 Project root:', projectRoot));
+
+      await clearCache(projectRoot);
+
+      // Ensure process exits cleanly
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('doctor [projectPath]')
+  .description('Report which diagram renderers (mmdc, PlantUML, Graphviz, D2, config file renderers) and optional packages are available')
+  .option('--install-tools', 'install missing diagram renderer CLIs')
+  .option('--config <path>', 'config file to use instead of docflu.config.js / .docflurc')
+  .action(async (projectPath, options) => {
+    try {
+      const projectRoot = projectPath ? path.resolve(projectPath) : process.cwd();
+      console.log(chalk.gray('📂 Project root:', projectRoot));
+
+      await doctor(projectRoot, {
+        installTools: options.installTools,
+        config: options.config
+      });
+
+      // Ensure process exits cleanly
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('pull [projectPath]')
+  .description('Pull Confluence page edits back into the tracked markdown files')
+  .option('-f, --file <path>', 'pull a single markdown file')
+  .option('--diff', 'print a diff instead of writing files')
+  .option('--config <path>', 'config file to use instead of docflu.config.js / .docflurc')
+  .action(async (projectPath, options) => {
+    try {
+      const projectRoot = projectPath ? path.resolve(projectPath) : process.cwd();
+      console.log(chalk.gray('📂 Project root:', projectRoot));
+
+      const result = await pull(projectRoot, {
+        file: options.file,
+        diff: options.diff,
+        config: options.config
+      });
+
+      // Ensure process exits cleanly
+      process.exit(result.failed > 0 ? 1 : 0);
     } catch (error) {
       console.error(chalk.red('❌ Error:', error.message));
       process.exit(1);
@@ -0,0 +1,24 @@
+const chalk = require('chalk');
+const path = require('path');
+
+const DiagramCache = require('../core/diagram-cache');
+
+/**
+ * Remove the diagram renders and upload records cached under .docusaurus/diagram-cache/
+ * @param {string} projectRoot - project root directory
+ * @returns {Object} - {files, bytes} removed
+ */
+async function clearCache(projectRoot = process.cwd()) {
+  const cache = new DiagramCache(path.resolve(projectRoot));
+  const removed = await cache.clear();
+
+  if (removed.files === 0) {
+    console.log(chalk.gray('Diagram cache is already empty'));
+  } else {
+    console.log(chalk.green(`🧹 Removed ${removed.files} cached file(s) (${(removed.bytes / 1024).toFixed(2)} KB) from ${path.relative(process.cwd(), cache.cacheDir) || cache.cacheDir}`));
+  }
+
+  return removed;
+}
+
+module.exports = { clearCache };
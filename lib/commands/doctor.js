@@ -0,0 +1,106 @@
+const chalk = require('chalk');
+const path = require('path');
+
+const ConfigFile = require('../core/config-file');
+const DiagramCache = require('../core/diagram-cache');
+const DiagramRendererRegistry = require('../core/diagrams/renderer-registry');
+
+const PLATFORMS = ['confluence', 'notion', 'gdocs'];
+
+// Optional npm packages docflu uses when installed
+const OPTIONAL_PACKAGES = [
+  { name: 'sharp', purpose: 'SVG to PNG conversion of images for Google Docs' }
+];
+
+/**
+ * Report which diagram renderers and optional packages are available, and at which version
+ * @param {string} projectRoot - project root directory
+ * @param {Object} options - {config, installTools: install missing renderer CLIs}
+ * @returns {Object} - {renderers: [{type, languages, available, version, details}], packages: [{name, available, version}]}
+ */
+async function doctor(projectRoot = process.cwd(), options = {}) {
+  const resolvedProjectRoot = path.resolve(projectRoot);
+
+  // Renderer modules and PlantUML server in the config file, top level or in any platform section
+  const configFile = new ConfigFile(resolvedProjectRoot);
+  await configFile.load(options.config);
+  const rendererModules = new Set();
+  let plantumlServer = null;
+  for (const platform of PLATFORMS) {
+    const diagrams = configFile.getPlatformSettings(platform).diagrams || {};
+    (diagrams.renderers || []).forEach(modulePath => rendererModules.add(modulePath));
+    plantumlServer = plantumlServer || diagrams.plantumlServer || null;
+  }
+  const registry = DiagramRendererRegistry.create(resolvedProjectRoot, [...rendererModules], { plantumlServer });
+
+  console.log(chalk.blue('🩺 Diagram renderers'));
+  const renderers = [];
+  for (const type of registry.getTypes()) {
+    const renderer = registry.get(type);
+    const available = options.installTools
+      ? await registry.ensureAvailable(type, { install: true })
+      : await checkRenderer(renderer);
+    const version = available ? renderer.version || await DiagramCache.getRendererVersion(renderer.versionCommand) : null;
+    const details = renderer.describe ? await Promise.resolve().then(() => renderer.describe()).catch(() => null) : null;
+    renderers.push({ type, languages: renderer.languages, available, version, details });
+
+    const label = `${type} (${renderer.languages.join(', ')})`;
+    if (available) {
+      const versionText = version && version !== 'unknown' ? version : 'version unknown';
+      console.log(chalk.green(`  ✅ ${label}: ${versionText}`) + (details ? chalk.gray(` - ${details}`) : ''));
+    } else {
+      console.log(chalk.red(`  ❌ ${label}: not available`) + chalk.gray(' - diagrams are synced as code blocks'));
+    }
+  }
+
+  console.log(chalk.blue('\n📦 Optional packages'));
+  const packages = OPTIONAL_PACKAGES.map(({ name, purpose }) => {
+    const version = getPackageVersion(name, resolvedProjectRoot);
+    if (version) {
+      console.log(chalk.green(`  ✅ ${name}: ${version}`) + chalk.gray(` - ${purpose}`));
+    } else {
+      console.log(chalk.yellow(`  ⚠️ ${name}: not installed`) + chalk.gray(` - ${purpose}`));
+    }
+    return { name, available: version !== null, version };
+  });
+
+  const missing = renderers.filter(renderer => !renderer.available);
+  if (missing.length > 0 && !options.installTools) {
+    console.log(chalk.gray(`\n💡 Run "docflu doctor --install-tools" or sync with --install-tools to install ${missing.map(renderer => renderer.type).join(', ')}`));
+  }
+
+  return { renderers, packages };
+}
+
+/**
+ * Run a renderer's availability check, without installing anything
+ * @param {Object} renderer - Registered renderer
+ * @returns {Promise<boolean>} - true when the renderer can run
+ */
+async function checkRenderer(renderer) {
+  if (!renderer.check) {
+    return true;
+  }
+  try {
+    return Boolean(await renderer.check());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Version of an installed npm package
+ * @param {string} name - package name
+ * @param {string} projectRoot - project root directory (also searched)
+ * @returns {string|null} - version, or null when the package is not installed
+ */
+function getPackageVersion(name, projectRoot) {
+  try {
+    const packageJsonPath = require.resolve(`${name}/package.json`, { paths: [__dirname, projectRoot] });
+    return require(packageJsonPath).version;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { doctor };
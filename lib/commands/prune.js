@@ -0,0 +1,109 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const path = require('path');
+
+const Config = require('../core/config');
+const ConfluenceClient = require('../core/confluence-client');
+const StateManager = require('../core/state-manager');
+const NotionClient = require('../core/notion/notion-client');
+const NotionState = require('../core/notion/notion-state');
+const GoogleDocsClient = require('../core/gdocs/google-docs-client');
+const GoogleDriveClient = require('../core/gdocs/google-drive-client');
+const GoogleDocsState = require('../core/gdocs/google-docs-state');
+const PagePruner = require('../core/page-pruner');
+
+/**
+ * Delete, archive or label remote pages whose source markdown files were removed
+ * @param {string} projectRoot - project root directory
+ * @param {Object} options - {platform, action, dryRun, config}
+ * @returns {Object} - {orphans, pruned, failed}
+ */
+async function prune(projectRoot = process.cwd(), options = {}) {
+  const resolvedProjectRoot = path.resolve(projectRoot);
+  const platform = options.platform || 'confluence';
+
+  const spinner = ora('Loading configuration...').start();
+
+  try {
+    const config = new Config();
+    let result;
+
+    if (platform === 'notion') {
+      const notionConfig = await config.loadNotionConfig(resolvedProjectRoot, options);
+      const client = new NotionClient(notionConfig);
+      const state = new NotionState(resolvedProjectRoot, notionConfig);
+      const pruner = new PagePruner(resolvedProjectRoot, {
+        docsDir: notionConfig.docsDir,
+        action: options.action,
+        dryRun: options.dryRun
+      });
+
+      spinner.succeed('Notion configuration loaded');
+      result = await pruner.pruneNotion(client, state);
+    } else if (platform === 'google-docs') {
+      const googleDocsConfig = await config.loadGoogleDocsConfig(resolvedProjectRoot, options);
+      if (googleDocsConfig.layout !== 'files') {
+        throw new Error(`Prune is not supported for the Google Docs ${googleDocsConfig.layout} layout (all docs are synced into a single document). Use layout: files`);
+      }
+
+      const state = new GoogleDocsState(resolvedProjectRoot);
+      await state.init();
+
+      // OAuth may need the browser, so the spinner must not cover its prompt
+      spinner.stop();
+      const client = new GoogleDocsClient(resolvedProjectRoot, { retryCount: googleDocsConfig.retryCount });
+      await client.initialize();
+      const driveClient = new GoogleDriveClient(resolvedProjectRoot);
+      await driveClient.initialize(client.oauth2Client, state, client.retryPolicy);
+
+      const pruner = new PagePruner(resolvedProjectRoot, {
+        docsDir: googleDocsConfig.docsDir,
+        action: options.action,
+        dryRun: options.dryRun
+      });
+
+      spinner.succeed('Connected to Google Drive');
+      result = await pruner.pruneGoogleDocs(driveClient, state);
+    } else {
+      const confluenceConfig = await config.loadConfig(resolvedProjectRoot, options);
+      const stateManager = new StateManager(resolvedProjectRoot);
+      await stateManager.init();
+
+      spinner.text = 'Connecting to Confluence...';
+      const client = new ConfluenceClient(confluenceConfig);
+      const connected = await client.testConnection();
+      if (!connected) {
+        throw new Error('Failed to connect to Confluence');
+      }
+
+      let rootParentId = null;
+      if (confluenceConfig.rootPageTitle) {
+        const rootPage = await client.getRootPage();
+        rootParentId = rootPage ? rootPage.id : null;
+      }
+
+      const pruner = new PagePruner(resolvedProjectRoot, {
+        docsDir: confluenceConfig.docsDir,
+        action: options.action,
+        dryRun: options.dryRun
+      });
+
+      spinner.succeed('Connected to Confluence');
+      result = await pruner.pruneConfluence(client, stateManager, rootParentId);
+    }
+
+    console.log(chalk.cyan('\n📊 PRUNE SUMMARY:'));
+    console.log(chalk.white('Orphaned pages:'), result.orphans.length);
+    if (!options.dryRun) {
+      console.log(chalk.green('Pruned:'), result.pruned);
+      console.log(chalk.red('Failed:'), result.failed);
+    }
+
+    return result;
+  } catch (error) {
+    spinner.fail('Prune failed');
+    throw error;
+  }
+}
+
+module.exports = { prune };
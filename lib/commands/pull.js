@@ -0,0 +1,144 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const path = require('path');
+const fs = require('fs-extra');
+const { createTwoFilesPatch } = require('diff');
+
+const Config = require('../core/config');
+const ConfluenceClient = require('../core/confluence-client');
+const StateManager = require('../core/state-manager');
+const ConfluenceToMarkdown = require('../core/confluence-to-markdown');
+const MarkdownParser = require('../core/markdown-parser');
+
+/**
+ * Pull Confluence page edits back into the tracked markdown files
+ * @param {string} projectRoot - project root directory
+ * @param {Object} options - {file, diff, config}
+ * @returns {Object} - {updated, unchanged, skipped, failed}
+ */
+async function pull(projectRoot = process.cwd(), options = {}) {
+  const resolvedProjectRoot = path.resolve(projectRoot);
+  const spinner = ora('Loading configuration...').start();
+
+  try {
+    const config = new Config();
+    const confluenceConfig = await config.loadConfig(resolvedProjectRoot, options);
+    const docsRoot = path.join(resolvedProjectRoot, confluenceConfig.docsDir);
+
+    const stateManager = new StateManager(resolvedProjectRoot);
+    await stateManager.init();
+
+    spinner.text = 'Connecting to Confluence...';
+    const client = new ConfluenceClient(confluenceConfig);
+    const connected = await client.testConnection();
+    if (!connected) {
+      throw new Error('Failed to connect to Confluence');
+    }
+    spinner.succeed('Connected to Confluence');
+
+    const pages = stateManager.getAllPages();
+    let filePaths = Object.keys(pages).filter(filePath => pages[filePath].confluenceId);
+
+    if (options.file) {
+      const filePath = toDocsPath(docsRoot, path.resolve(resolvedProjectRoot, options.file));
+      if (!pages[filePath]?.confluenceId) {
+        throw new Error(`File is not tracked: ${options.file}. Sync it to Confluence first`);
+      }
+      filePaths = [filePath];
+    }
+
+    const converter = new ConfluenceToMarkdown({ stateManager });
+    const parser = new MarkdownParser();
+    const result = { updated: 0, unchanged: 0, skipped: 0, failed: 0 };
+
+    console.log(chalk.blue(`⬇️ Pulling ${filePaths.length} page(s) from Confluence${options.diff ? ' (diff only)' : ''}`));
+
+    for (const filePath of filePaths) {
+      const absolutePath = path.join(docsRoot, filePath);
+
+      if (path.extname(filePath) === '.mdx') {
+        console.log(chalk.yellow(`⏭️ Skipped ${filePath}: MDX imports and components cannot be restored from Confluence`));
+        result.skipped++;
+        continue;
+      }
+
+      if (!await fs.pathExists(absolutePath)) {
+        console.log(chalk.yellow(`⏭️ Skipped ${filePath}: local file no longer exists`));
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        const page = await client.getPageContent(pages[filePath].confluenceId);
+        const originalContent = await fs.readFile(absolutePath, 'utf8');
+        const body = converter.convert(page.body?.storage?.value || '', {
+          filePath,
+          originalMarkdown: originalContent
+        });
+        const newContent = parser.replaceBody(originalContent, body);
+
+        for (const warning of converter.warnings) {
+          console.warn(chalk.yellow(`⚠️ ${filePath}: ${warning}`));
+        }
+
+        if (newContent === originalContent) {
+          console.log(chalk.gray(`✓ ${filePath} is up to date`));
+          result.unchanged++;
+          continue;
+        }
+
+        if (options.diff) {
+          printDiff(filePath, originalContent, newContent);
+        } else {
+          await fs.writeFile(absolutePath, newContent);
+          console.log(chalk.green(`✅ Updated ${filePath} from page ${page.id} (version ${page.version?.number})`));
+        }
+        result.updated++;
+      } catch (error) {
+        console.error(chalk.red(`❌ Failed to pull ${filePath}: ${error.message}`));
+        result.failed++;
+      }
+    }
+
+    console.log(chalk.cyan('\n📊 PULL SUMMARY:'));
+    console.log(chalk.green(options.diff ? 'Changed:' : 'Updated:'), result.updated);
+    console.log(chalk.gray('Unchanged:'), result.unchanged);
+    console.log(chalk.yellow('Skipped:'), result.skipped);
+    console.log(chalk.red('Failed:'), result.failed);
+
+    return result;
+  } catch (error) {
+    if (spinner.isSpinning) {
+      spinner.fail('Pull failed');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Convert absolute file path to the docs-relative key used by the sync state
+ */
+function toDocsPath(docsRoot, absolutePath) {
+  return path.relative(docsRoot, absolutePath).split(path.sep).join('/');
+}
+
+/**
+ * Print colored unified diff between local and pulled content
+ */
+function printDiff(filePath, oldContent, newContent) {
+  const patch = createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, oldContent, newContent);
+
+  for (const line of patch.split('\n').slice(1)) {
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-') && !line.startsWith('---')) {
+      console.log(chalk.red(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+module.exports = { pull };
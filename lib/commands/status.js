@@ -0,0 +1,101 @@
+const ora = require('ora');
+const path = require('path');
+
+const Config = require('../core/config');
+const DocusaurusScanner = require('../core/docusaurus-scanner');
+const SyncStatus = require('../core/sync-status');
+const ConfluenceClient = require('../core/confluence-client');
+const StateManager = require('../core/state-manager');
+const NotionClient = require('../core/notion/notion-client');
+const NotionState = require('../core/notion/notion-state');
+const GoogleDocsClient = require('../core/gdocs/google-docs-client');
+const GoogleDocsState = require('../core/gdocs/google-docs-state');
+
+const PLATFORM_NAMES = {
+  confluence: 'Confluence',
+  notion: 'Notion',
+  'google-docs': 'Google Docs'
+};
+
+/**
+ * Show the sync status of each markdown file: new, modified, up to date, orphaned or failed
+ * @param {string} projectRoot - project root directory
+ * @param {Object} options - {platform, remote, config}
+ * @returns {Object} - {platform, rows, summary}
+ */
+async function status(projectRoot = process.cwd(), options = {}) {
+  const resolvedProjectRoot = path.resolve(projectRoot);
+  const platform = options.platform || 'confluence';
+  const spinner = ora('Loading configuration...').start();
+
+  try {
+    const config = new Config();
+    let rows;
+
+    if (platform === 'notion') {
+      const notionConfig = await config.loadNotionConfig(resolvedProjectRoot, options);
+      const syncStatus = new SyncStatus(resolvedProjectRoot, { docsDir: notionConfig.docsDir, concurrency: notionConfig.concurrentUploads });
+      const state = new NotionState(resolvedProjectRoot, notionConfig);
+
+      spinner.text = 'Scanning documents...';
+      rows = await syncStatus.collectNotion(await scanDocuments(resolvedProjectRoot, notionConfig), state);
+
+      if (options.remote) {
+        spinner.text = 'Checking Notion pages...';
+        await syncStatus.verifyNotion(rows, new NotionClient(notionConfig));
+      }
+    } else if (platform === 'google-docs') {
+      const googleDocsConfig = await config.loadGoogleDocsConfig(resolvedProjectRoot, options);
+      const syncStatus = new SyncStatus(resolvedProjectRoot, { docsDir: googleDocsConfig.docsDir, concurrency: googleDocsConfig.concurrentUploads });
+      const state = new GoogleDocsState(resolvedProjectRoot);
+      await state.init();
+
+      spinner.text = 'Scanning documents...';
+      rows = await syncStatus.collectGoogleDocs(await scanDocuments(resolvedProjectRoot, googleDocsConfig), state, googleDocsConfig.layout);
+
+      if (options.remote) {
+        // OAuth may need the browser, so the spinner must not cover its prompt
+        spinner.stop();
+        const client = new GoogleDocsClient(resolvedProjectRoot, { retryCount: googleDocsConfig.retryCount });
+        await client.initialize();
+        spinner.start('Checking Google Docs...');
+        await syncStatus.verifyGoogleDocs(rows, client);
+      }
+    } else {
+      const confluenceConfig = await config.loadConfig(resolvedProjectRoot, options);
+      const syncStatus = new SyncStatus(resolvedProjectRoot, { docsDir: confluenceConfig.docsDir, concurrency: confluenceConfig.concurrentUploads });
+      const stateManager = new StateManager(resolvedProjectRoot);
+      await stateManager.init();
+
+      spinner.text = 'Scanning documents...';
+      rows = await syncStatus.collectConfluence(await scanDocuments(resolvedProjectRoot, confluenceConfig), stateManager, confluenceConfig.baseUrl);
+
+      if (options.remote) {
+        spinner.text = 'Checking Confluence pages...';
+        await syncStatus.verifyConfluence(rows, new ConfluenceClient(confluenceConfig));
+      }
+    }
+
+    spinner.stop();
+    SyncStatus.print(rows, PLATFORM_NAMES[platform]);
+
+    return { platform, rows, summary: SyncStatus.summarize(rows) };
+  } catch (error) {
+    spinner.fail('Status failed');
+    throw error;
+  }
+}
+
+/**
+ * Scan the docs of the project
+ * @param {string} projectRoot - project root directory
+ * @param {Object} platformConfig - platform config (docsDir, include/exclude patterns)
+ * @returns {Array} - documents
+ */
+async function scanDocuments(projectRoot, platformConfig) {
+  const scanner = new DocusaurusScanner(projectRoot, platformConfig);
+  await scanner.detectProject();
+  return scanner.scanDocs();
+}
+
+module.exports = { status };
@@ -9,6 +9,70 @@ const ConfluenceClient = require('../core/confluence-client');
 const ImageProcessor = require('../core/image-processor');
 const DocusaurusScanner = require('../core/docusaurus-scanner');
 const StateManager = require('../core/state-manager');
+const ContentHasher = require('../core/content-hasher');
+const PagePruner = require('../core/page-pruner');
+const ConfluenceHierarchy = require('../core/confluence-hierarchy');
+const ConflictDetector = require('../core/conflict-detector');
+const ConfluenceToMarkdown = require('../core/confluence-to-markdown');
+const WorkerPool = require('../core/worker-pool');
+const DiagramRendererRegistry = require('../core/diagrams/renderer-registry');
+const SyncReport = require('../core/sync-report');
+
+/**
+ * Get the known Confluence page ID of a document: confluence_id frontmatter first, then sync state
+ * @param {Object} frontmatter - document frontmatter
+ * @param {Object} pageState - state entry from StateManager (optional)
+ * @returns {string|null} - page ID or null for first-time sync
+ */
+function getKnownPageId(frontmatter = {}, pageState = null) {
+  if (frontmatter && frontmatter.confluence_id) {
+    return String(frontmatter.confluence_id);
+  }
+
+  // Category index docs point at their category page, not a page of their own
+  return pageState && !pageState.categoryIndex ? pageState.confluenceId || null : null;
+}
+
+/**
+ * Check a tracked page for remote edits before it is overwritten
+ * @param {ConfluenceClient} confluenceClient - Confluence client
+ * @param {ConflictDetector} conflictDetector - conflict policy from --overwrite / --skip-conflicts
+ * @param {ConfluenceToMarkdown} converter - converts the remote page for <file>.conflict.md
+ * @param {Object} document - {filePath, relativePath, title}
+ * @param {string} pageId - page about to be updated
+ * @param {Object} pageState - state entry holding the remote version of the last sync
+ * @returns {boolean} - true if the page may be updated
+ */
+async function checkRemoteEdits(confluenceClient, conflictDetector, converter, document, pageId, pageState) {
+  if (!pageId || !pageState?.remoteVersion || String(pageState.confluenceId) !== String(pageId)) {
+    return true;
+  }
+
+  let page;
+  try {
+    page = await confluenceClient.getPageContent(pageId);
+  } catch (error) {
+    if (/not found/i.test(error.message)) {
+      return true; // Deleted remotely, nothing to protect
+    }
+    throw error;
+  }
+
+  return conflictDetector.check({
+    filePath: document.filePath,
+    relativePath: document.relativePath,
+    title: document.title,
+    recorded: pageState.remoteVersion,
+    remote: page.version?.number
+  }, async () => {
+    const originalContent = await fs.readFile(document.filePath, 'utf8');
+    const body = converter.convert(page.body?.storage?.value || '', {
+      filePath: document.relativePath,
+      originalMarkdown: originalContent
+    });
+    return new MarkdownParser().replaceBody(originalContent, body);
+  });
+}
 
 /**
  * Sync single markdown file to Confluence
@@ -16,9 +80,14 @@ const StateManager = require('../core/state-manager');
  * @param {boolean} dryRun - preview mode without actual sync
  * @param {string} projectRoot - project root directory (optional, defaults to process.cwd())
  * @param {string} targetPage - target Confluence page URL or ID (optional)
+ * @param {Object} options - CLI flags merged into configuration {config, exclude, overwrite, skipConflicts, report}
  */
-async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage = null) {
+async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage = null, options = {}) {
   const spinner = ora('Starting sync process...').start();
+  const report = options.report || new SyncReport();
+  let reportEntry = null;
+  let stateManager = null;
+  let docsRelativePath = null;
 
   try {
     // Determine project root
@@ -27,7 +96,7 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
     // Step 1: Load configuration
     spinner.text = 'Loading configuration...';
     const config = new Config();
-    const confluenceConfig = await config.loadConfig(resolvedProjectRoot);
+    const confluenceConfig = await config.loadConfig(resolvedProjectRoot, options);
 
     // Step 2: Validate file path
     spinner.text = 'Validating file path...';
@@ -37,26 +106,34 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
       throw new Error(`File không tồn tại: ${filePath}`);
     }
 
-    if (!filePath.endsWith('.md')) {
-      throw new Error(`File phải có extension .md: ${filePath}`);
+    if (!/\.mdx?$/i.test(filePath)) {
+      throw new Error(`File phải có extension .md hoặc .mdx: ${filePath}`);
     }
+    reportEntry = report.startFile(filePath);
 
     // Step 3: Connect to Confluence
     spinner.text = 'Connecting to Confluence...';
     const confluenceClient = new ConfluenceClient(confluenceConfig);
+    confluenceClient.retryPolicy.setReport(report);
 
     // Step 4: Parse markdown
     spinner.text = 'Parsing markdown content...';
-    const stateManager = new StateManager(resolvedProjectRoot);
+    stateManager = new StateManager(resolvedProjectRoot);
     await stateManager.init();
+    docsRelativePath = path.relative(path.resolve(resolvedProjectRoot, confluenceConfig.docsDir || 'docs'), absolutePath);
 
     // Prepare diagram options from config
     const diagramOptions = {
       useMermaidPlugin: confluenceConfig.useMermaidPlugin || false,
-      mermaidPluginName: confluenceConfig.mermaidPluginName || 'mermaid-cloud'
+      mermaidPluginName: confluenceConfig.mermaidPluginName || 'mermaid-cloud',
+      diagramRenderers: confluenceConfig.diagramRenderers,
+      plantumlServer: confluenceConfig.plantumlServer,
+      installTools: confluenceConfig.installTools,
+      diagramTheme: confluenceConfig.diagramTheme
     };
 
     const parser = new MarkdownParser(resolvedProjectRoot, stateManager, confluenceClient, diagramOptions);
+    report.setDiagramRenderers(parser.diagramProcessor.renderers);
     const parsedContent = await parser.parseFile(absolutePath, confluenceConfig.baseUrl);
 
     const connected = await confluenceClient.testConnection();
@@ -107,13 +184,18 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
         console.log(chalk.cyan('Sync mode:'), 'Direct update to existing page');
       } else {
         console.log(chalk.white('Parent:'), parentId ? `ID ${parentId}` : 'None');
-        console.log(chalk.white('Sync mode:'), 'Create new or update by title');
+        console.log(chalk.white('Sync mode:'), 'Update by page ID, or create new or adopt by title');
       }
       
       console.log(chalk.white('Content length:'), parsedContent.content.length, 'characters');
       console.log(chalk.white('Frontmatter:'), JSON.stringify(parsedContent.frontmatter, null, 2));
 
       console.log(chalk.yellow('\n⚠️ This is a dry run. No changes were made to Confluence.'));
+      report.finishFile(reportEntry, 'previewed', {
+        title: parsedContent.title,
+        id: useTargetPage ? targetPageId : null,
+        markdown: parsedContent.originalMarkdown
+      });
       return {
         success: true,
         action: 'preview',
@@ -125,21 +207,47 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
 
     // Step 7: Create or update page (first with basic content to get page ID)
     let result;
+    let pageState = null;
+    let stateFilePath = null;
     
     if (useTargetPage) {
       // Direct update to target page
       spinner.text = `Updating target page (ID: ${targetPageId})...`;
       result = await confluenceClient.updateSpecificPage(targetPageId, parsedContent.content, parsedContent.title);
     } else {
-      // Normal create/update by title
+      // Update known page in place, or adopt/create by title under the parent
       spinner.text = `Creating/updating page "${parsedContent.title}"...`;
+      pageState = stateManager.getPageState(docsRelativePath);
       const pageData = {
         title: parsedContent.title,
         content: parsedContent.content,
-        parentId: parentId
+        parentId: parentId,
+        pageId: getKnownPageId(parsedContent.frontmatter, pageState)
       };
+
+      const conflictDetector = new ConflictDetector(options);
+      const document = { filePath: absolutePath, relativePath: docsRelativePath, title: parsedContent.title };
+      const converter = new ConfluenceToMarkdown({ stateManager });
+      if (!await checkRemoteEdits(confluenceClient, conflictDetector, converter, document, pageData.pageId, pageState)) {
+        spinner.warn('Page was edited in Confluence since the last sync');
+        conflictDetector.printSummary();
+        report.finishFile(reportEntry, 'conflict', {
+          title: parsedContent.title,
+          id: pageData.pageId,
+          markdown: parsedContent.originalMarkdown
+        });
+        return {
+          success: false,
+          action: 'conflict',
+          pageId: pageData.pageId,
+          title: parsedContent.title
+        };
+      }
+
       result = await confluenceClient.createOrUpdatePage(pageData);
+      stateFilePath = docsRelativePath;
     }
+    let remoteVersion = result.version?.number;
 
     // Step 8: Process diagrams and images with the actual page ID
     spinner.text = 'Processing diagrams and images...';
@@ -182,7 +290,8 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
       spinner.text = 'Updating page with processed content...';
 
       const version = result.version?.number || 1;
-      await confluenceClient.updatePage(result.id, result.title, finalContent, version + 1);
+      const updatedPage = await confluenceClient.updatePage(result.id, result.title, finalContent, version + 1);
+      remoteVersion = updatedPage.version?.number;
 
       if (finalParsedContent.diagramStats && finalParsedContent.diagramStats.processed > 0) {
         console.log(chalk.green(`🎨 Processed ${finalParsedContent.diagramStats.processed} diagram(s)`));
@@ -199,6 +308,15 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
       }
     }
 
+    // Remember the remote version of tracked pages so the next sync does not report its own edit as a conflict
+    if (pageState && String(pageState.confluenceId) === String(result.id)) {
+      stateManager.setPageState(stateFilePath, { ...pageState, remoteVersion });
+      await stateManager.saveState();
+    } else if (stateManager.getFailure(docsRelativePath)) {
+      stateManager.clearFailure(docsRelativePath);
+      await stateManager.saveState();
+    }
+
     // Cleanup temporary resources
     await parser.cleanup();
 
@@ -212,9 +330,16 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
     if (useTargetPage) {
       console.log(chalk.cyan('Sync mode:'), 'Direct update to target page');
     } else {
-      console.log(chalk.white('Sync mode:'), 'Create new or update by title');
+      console.log(chalk.white('Sync mode:'), 'Update by page ID, or create new or adopt by title');
     }
 
+    report.finishFile(reportEntry, !useTargetPage && result.version?.number === 1 ? 'created' : 'updated', {
+      title: result.title,
+      id: result.id,
+      url: `${confluenceConfig.baseUrl}/pages/viewpage.action?pageId=${result.id}`,
+      markdown: parsedContent.originalMarkdown
+    });
+
     return {
       success: true,
       action: useTargetPage ? 'updated_target' : (result.version?.number === 1 ? 'created' : 'updated'),
@@ -226,6 +351,13 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
 
   } catch (error) {
     spinner.fail('Sync failed');
+    if (reportEntry) {
+      report.failFile(reportEntry, error);
+    }
+    if (stateManager && !dryRun && docsRelativePath && !docsRelativePath.startsWith('..')) {
+      stateManager.recordFailure(docsRelativePath, error);
+      await stateManager.saveState();
+    }
 
     console.error(chalk.red('\n❌ ERROR:'));
     console.error(chalk.white('Message:'), error.message);
@@ -242,9 +374,11 @@ async function syncFile(filePath, dryRun = false, projectRoot = null, targetPage
  * Sync all documents in docs/ directory
  * @param {boolean} dryRun - preview mode without actual sync
  * @param {string} projectRoot - project root directory (optional, defaults to process.cwd())
+ * @param {Object} options - CLI flags {config, exclude, force, prune, pruneAction, overwrite, skipConflicts, report}
  */
-async function syncDocs(dryRun = false, projectRoot = null) {
+async function syncDocs(dryRun = false, projectRoot = null, options = {}) {
   const spinner = ora('Starting docs sync...').start();
+  const report = options.report || new SyncReport();
 
   try {
     // Determine project root
@@ -253,7 +387,7 @@ async function syncDocs(dryRun = false, projectRoot = null) {
     // Step 1: Load configuration
     spinner.text = 'Loading configuration...';
     const config = new Config();
-    const confluenceConfig = await config.loadConfig(resolvedProjectRoot);
+    const confluenceConfig = await config.loadConfig(resolvedProjectRoot, options);
 
     // Step 2: Initialize state manager
     spinner.text = 'Initializing state manager...';
@@ -262,13 +396,12 @@ async function syncDocs(dryRun = false, projectRoot = null) {
 
     // Step 3: Scan Docusaurus project
     spinner.text = 'Scanning Docusaurus project...';
-    const scanner = new DocusaurusScanner(resolvedProjectRoot);
+    const scanner = new DocusaurusScanner(resolvedProjectRoot, confluenceConfig);
     await scanner.detectProject();
 
     // Step 4: Scan docs directory
     spinner.text = 'Scanning docs directory...';
-    const excludePatterns = (process.env.DOCFLU_EXCLUDE_PATTERNS || '').split(',').filter(Boolean);
-    const documents = await scanner.scanDocs({ excludePatterns });
+    const documents = await scanner.scanDocs();
 
     if (documents.length === 0) {
       spinner.warn('No documents found in docs/');
@@ -278,6 +411,7 @@ async function syncDocs(dryRun = false, projectRoot = null) {
     // Step 5: Connect to Confluence
     spinner.text = 'Connecting to Confluence...';
     const confluenceClient = new ConfluenceClient(confluenceConfig);
+    confluenceClient.retryPolicy.setReport(report);
 
     const connected = await confluenceClient.testConnection();
     if (!connected) {
@@ -300,56 +434,86 @@ async function syncDocs(dryRun = false, projectRoot = null) {
 
     // Step 8: Build hierarchy map
     spinner.text = 'Building page hierarchy...';
-    const hierarchyMap = new Map();
 
-    // Pre-create parent pages for all categories
-    const categories = [...new Set(documents.map(d => d.category).filter(Boolean))];
-
-    for (const category of categories) {
-      if (!hierarchyMap.has(category)) {
-        const categoryParentId = await confluenceClient.findOrCreateParentPage(category, parentId);
-        hierarchyMap.set(category, categoryParentId);
-      }
-    }
+    // Pre-create parent pages for all categories (_category_.json label/description, index docs)
+    const hierarchy = new ConfluenceHierarchy(confluenceClient, stateManager, scanner.docsDir);
+    await hierarchy.buildCategories(documents, scanner.sidebarLayout?.categories);
+    const hierarchyMap = await hierarchy.ensureCategoryPages(parentId, dryRun);
 
     // Step 9: Process documents
-    const stats = { processed: 0, created: 0, updated: 0, skipped: 0, failed: 0 };
+    const stats = { processed: 0, created: 0, updated: 0, skipped: 0, failed: 0, conflicts: 0 };
+    const contentHasher = new ContentHasher(resolvedProjectRoot);
+    const conflictDetector = new ConflictDetector(options);
+    const converter = new ConfluenceToMarkdown({ stateManager });
+
+    // Diagram renderers are checked once per run, not once per document
+    const diagramOptions = {
+      useMermaidPlugin: confluenceConfig.useMermaidPlugin || false,
+      mermaidPluginName: confluenceConfig.mermaidPluginName || 'mermaid-cloud',
+      renderers: DiagramRendererRegistry.create(resolvedProjectRoot, confluenceConfig.diagramRenderers, { plantumlServer: confluenceConfig.plantumlServer }),
+      installTools: confluenceConfig.installTools,
+      diagramTheme: confluenceConfig.diagramTheme
+    };
+    report.setDiagramRenderers(diagramOptions.renderers);
+
+    // Documents are synced in parallel: their category pages already exist
+    const pool = new WorkerPool(confluenceConfig.concurrentUploads);
 
-    for (const [index, document] of documents.entries()) {
+    await pool.run(documents, async (document, index) => {
       const progress = `(${index + 1}/${documents.length})`;
+      const reportEntry = report.startFile(document.relativePath, { title: document.title, markdown: document.content });
 
       try {
-        // Check if document needs sync
-        if (!dryRun && !stateManager.needsSync(document.relativePath, document.lastModified)) {
+        // Check if document or its dependencies changed (--force syncs everything)
+        const { hash: contentHash, dependencies } = await contentHasher.hashDocument(document.filePath);
+        const indexCategory = hierarchy.getIndexCategory(document);
+        const hasChanges = stateManager.needsSync(document.relativePath, document.lastModified, contentHash) ||
+          Boolean(indexCategory?.changed);
+
+        if (!dryRun && !options.force && !hasChanges) {
           spinner.text = `${progress} Skipping ${document.title} (no changes)`;
           stats.skipped++;
           stateManager.updateStats('skipped');
-          continue;
+          report.finishFile(reportEntry, 'skipped', { id: stateManager.getPageState(document.relativePath)?.confluenceId });
+          return;
         }
 
         spinner.text = `${progress} Processing ${document.title}...`;
 
-        if (dryRun) {
-          const documentParentId = document.category ? hierarchyMap.get(document.category) : parentId;
+        // Get appropriate parent ID for this document (index docs are the body of their category page)
+        const documentParentId = indexCategory
+          ? indexCategory.parentId
+          : (document.category ? hierarchyMap.get(hierarchy.toCategoryPath(document.category)) : parentId);
 
+        if (dryRun) {
           console.log(chalk.cyan(`\n📄 ${document.title}`));
           console.log(chalk.white('  Path:'), document.relativePath);
           console.log(chalk.white('  Category:'), document.category || 'root');
           console.log(chalk.white('  Parent ID:'), documentParentId || 'root');
+          if (indexCategory) {
+            console.log(chalk.white('  Category page:'), indexCategory.title);
+          }
           console.log(chalk.white('  Has images:'), document.hasImages ? 'Yes' : 'No');
           console.log(chalk.white('  Last modified:'), document.lastModified.toISOString());
+          console.log(chalk.white('  Changed:'), hasChanges ? 'Yes' : 'No');
 
           stats.processed++;
-          continue;
+          report.finishFile(reportEntry, 'previewed');
+          return;
+        }
+
+        // Refuse to overwrite pages edited in Confluence since the last sync
+        const pageState = stateManager.getPageState(document.relativePath);
+        const knownPageId = indexCategory
+          ? hierarchyMap.get(indexCategory.path)
+          : getKnownPageId(document.frontmatter, pageState);
+        if (!await checkRemoteEdits(confluenceClient, conflictDetector, converter, document, knownPageId, pageState)) {
+          stats.conflicts++;
+          report.finishFile(reportEntry, 'conflict', { id: knownPageId });
+          return;
         }
 
         // Parse document content with reference processing
-        // Prepare diagram options from config
-        const diagramOptions = {
-          useMermaidPlugin: confluenceConfig.useMermaidPlugin || false,
-          mermaidPluginName: confluenceConfig.mermaidPluginName || 'mermaid-cloud'
-        };
-        
         const parser = new MarkdownParser(resolvedProjectRoot, stateManager, confluenceClient, diagramOptions);
         const parsedContent = await parser.parseMarkdown(
           document.content,
@@ -359,22 +523,34 @@ async function syncDocs(dryRun = false, projectRoot = null) {
         );
         parsedContent.title = document.title;
 
-        // Get appropriate parent ID for this document
-        const documentParentId = document.category ? hierarchyMap.get(document.category) : parentId;
-
-        // Create or update page
-        const pageData = {
-          title: document.title,
-          content: parsedContent.content,
-          parentId: documentParentId
-        };
-
-        const result = await confluenceClient.createOrUpdatePage(pageData);
+        let result;
+        if (indexCategory) {
+          // Category index document becomes the body of the category parent page
+          const categoryPageId = knownPageId;
+          const categoryPage = await confluenceClient.getPageById(categoryPageId);
+          result = await confluenceClient.updatePage(
+            categoryPageId,
+            indexCategory.title,
+            hierarchy.buildIndexContent(indexCategory, parsedContent.content),
+            (categoryPage.version?.number || 1) + 1
+          );
+        } else {
+          // Create or update page
+          const pageData = {
+            title: document.title,
+            content: parsedContent.content,
+            parentId: documentParentId,
+            pageId: knownPageId
+          };
+
+          result = await confluenceClient.createOrUpdatePage(pageData);
+        }
         const isNewPage = result.version?.number === 1;
+        let remoteVersion = result.version?.number;
 
-        // Process images and Mermaid diagrams if needed
-        if (document.hasImages || document.hasMermaid) {
-          // Re-parse with pageId for Mermaid processing
+        // Process images and diagrams if needed
+        if (document.hasImages || document.hasMermaid || parser.diagramProcessor.renderers.containsDiagrams(document.content)) {
+          // Re-parse with pageId for diagram processing
           const finalParsedContent = await parser.parseMarkdown(
             document.content,
             document.frontmatter,
@@ -394,9 +570,13 @@ async function syncDocs(dryRun = false, projectRoot = null) {
           );
 
           if (contentWithImages !== parsedContent.htmlContent || finalParsedContent.mermaidStats?.processed > 0) {
-            const finalContent = parser.convertToConfluenceFormat(contentWithImages);
+            let finalContent = parser.convertToConfluenceFormat(contentWithImages);
+            if (indexCategory) {
+              finalContent = hierarchy.buildIndexContent(indexCategory, finalContent);
+            }
             const version = result.version?.number || 1;
-            await confluenceClient.updatePage(result.id, result.title, finalContent, version + 1);
+            const updatedPage = await confluenceClient.updatePage(result.id, result.title, finalContent, version + 1);
+            remoteVersion = updatedPage.version?.number;
           }
         }
 
@@ -410,9 +590,16 @@ async function syncDocs(dryRun = false, projectRoot = null) {
           category: document.category,
           slug: document.slug,
           lastModified: document.lastModified.toISOString(),
+          contentHash,
+          dependencies,
           parentId: documentParentId,
-          spaceKey: confluenceConfig.spaceKey
+          spaceKey: confluenceConfig.spaceKey,
+          remoteVersion,
+          ...(indexCategory && { categoryIndex: true })
         });
+        if (indexCategory) {
+          hierarchy.saveCategoryState(indexCategory, result.id);
+        }
 
         // Update stats
         if (isNewPage) {
@@ -426,15 +613,42 @@ async function syncDocs(dryRun = false, projectRoot = null) {
         }
 
         stats.processed++;
+        report.finishFile(reportEntry, isNewPage ? 'created' : 'updated', {
+          id: result.id,
+          url: `${confluenceConfig.baseUrl}/pages/viewpage.action?pageId=${result.id}`
+        });
 
       } catch (error) {
         stats.failed++;
         stateManager.updateStats('failed');
+        stateManager.recordFailure(document.relativePath, error);
+        report.failFile(reportEntry, error);
         console.error(chalk.red(`❌ Failed: ${document.title} - ${error.message}`));
       }
+    });
+
+    // Step 10: Order sibling pages by _category_.json position / sidebar_position
+    if (!dryRun) {
+      spinner.text = 'Ordering pages...';
+      await hierarchy.orderSiblings(
+        parentId,
+        documents,
+        hierarchyMap,
+        document => stateManager.getPageState(document.relativePath)?.confluenceId
+      );
     }
 
-    // Step 10: Save state
+    // Step 11: Prune remote pages of removed files (before state cleanup forgets them)
+    if (options.prune) {
+      const pruner = new PagePruner(resolvedProjectRoot, {
+        docsDir: confluenceConfig.docsDir,
+        action: options.pruneAction,
+        dryRun
+      });
+      await pruner.pruneConfluence(confluenceClient, stateManager, parentId);
+    }
+
+    // Step 12: Save state
     if (!dryRun) {
       await stateManager.saveState();
 
@@ -445,7 +659,7 @@ async function syncDocs(dryRun = false, projectRoot = null) {
 
     spinner.succeed(dryRun ? 'Docs preview completed' : 'Docs sync completed');
 
-    // Step 11: Show summary
+    // Step 13: Show summary
     console.log(chalk.cyan('\n📊 SUMMARY:'));
     console.log(chalk.white('Total documents:'), documents.length);
     console.log(chalk.white('Processed:'), stats.processed);
@@ -453,6 +667,14 @@ async function syncDocs(dryRun = false, projectRoot = null) {
     console.log(chalk.blue('Updated:'), stats.updated);
     console.log(chalk.yellow('Skipped:'), stats.skipped);
     console.log(chalk.red('Failed:'), stats.failed);
+    if (stats.conflicts > 0) {
+      console.log(chalk.red('Conflicts:'), stats.conflicts);
+    }
+    stats.retries = confluenceClient.retryPolicy.stats.retries;
+    if (stats.retries > 0) {
+      console.log(chalk.yellow('Retried requests:'), stats.retries);
+    }
+    conflictDetector.printSummary();
 
     if (dryRun) {
       console.log(chalk.yellow('\n⚠️ This is a dry run. No changes were made to Confluence.'));
@@ -479,11 +701,14 @@ async function syncDocs(dryRun = false, projectRoot = null) {
 
 /**
  * Sync all blog posts in blog/ directory
+ * Posts are not written to Confluence yet, so the report only records retried requests and errors
  * @param {boolean} dryRun - preview mode without actual sync
  * @param {string} projectRoot - project root directory (optional, defaults to process.cwd())
+ * @param {Object} options - CLI flags {config, exclude, overwrite, skipConflicts, report}
  */
-async function syncBlog(dryRun = false, projectRoot = null) {
+async function syncBlog(dryRun = false, projectRoot = null, options = {}) {
   const spinner = ora('Starting blog sync...').start();
+  const report = options.report || new SyncReport();
 
   try {
     // Determine project root
@@ -492,7 +717,7 @@ async function syncBlog(dryRun = false, projectRoot = null) {
     // Step 1: Load configuration
     spinner.text = 'Loading configuration...';
     const config = new Config();
-    const confluenceConfig = await config.loadConfig(resolvedProjectRoot);
+    const confluenceConfig = await config.loadConfig(resolvedProjectRoot, options);
 
     // Step 2: Initialize state manager
     spinner.text = 'Initializing state manager...';
@@ -501,13 +726,12 @@ async function syncBlog(dryRun = false, projectRoot = null) {
 
     // Step 3: Scan Docusaurus project
     spinner.text = 'Scanning Docusaurus project...';
-    const scanner = new DocusaurusScanner(resolvedProjectRoot);
+    const scanner = new DocusaurusScanner(resolvedProjectRoot, confluenceConfig);
     await scanner.detectProject();
 
     // Step 4: Scan blog directory
     spinner.text = 'Scanning blog directory...';
-    const excludePatterns = (process.env.DOCFLU_EXCLUDE_PATTERNS || '').split(',').filter(Boolean);
-    const posts = await scanner.scanBlog({ excludePatterns });
+    const posts = await scanner.scanBlog();
 
     if (posts.length === 0) {
       spinner.warn('No blog posts found in blog/');
@@ -517,6 +741,7 @@ async function syncBlog(dryRun = false, projectRoot = null) {
     // Step 5: Connect to Confluence
     spinner.text = 'Connecting to Confluence...';
     const confluenceClient = new ConfluenceClient(confluenceConfig);
+    confluenceClient.retryPolicy.setReport(report);
 
     const connected = await confluenceClient.testConnection();
     if (!connected) {
@@ -563,9 +788,11 @@ async function syncBlog(dryRun = false, projectRoot = null) {
  * @param {string} dirPath - path to directory to sync
  * @param {boolean} dryRun - preview mode without actual sync
  * @param {string} projectRoot - project root directory (optional, defaults to process.cwd())
+ * @param {Object} options - CLI flags {config, exclude, force, overwrite, skipConflicts, report}
  */
-async function syncDir(dirPath, dryRun = false, projectRoot = null) {
+async function syncDir(dirPath, dryRun = false, projectRoot = null, options = {}) {
   const spinner = ora('Starting directory sync...').start();
+  const report = options.report || new SyncReport();
 
   try {
     // Determine project root
@@ -590,7 +817,7 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
     // Step 2: Load configuration
     spinner.text = 'Loading configuration...';
     const config = new Config();
-    const confluenceConfig = await config.loadConfig(resolvedProjectRoot);
+    const confluenceConfig = await config.loadConfig(resolvedProjectRoot, options);
 
     // Step 3: Initialize state manager
     spinner.text = 'Initializing state manager...';
@@ -599,13 +826,12 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
 
     // Step 4: Scan Docusaurus project
     spinner.text = 'Scanning Docusaurus project...';
-    const scanner = new DocusaurusScanner(resolvedProjectRoot);
+    const scanner = new DocusaurusScanner(resolvedProjectRoot, confluenceConfig);
     await scanner.detectProject();
 
     // Step 5: Scan all documents then filter by directory
     spinner.text = 'Scanning documents...';
-    const excludePatterns = (process.env.DOCFLU_EXCLUDE_PATTERNS || '').split(',').filter(Boolean);
-    const allDocuments = await scanner.scanDocs({ excludePatterns });
+    const allDocuments = await scanner.scanDocs();
     
     // Filter documents by target directory
     const filteredDocuments = allDocuments.filter(doc => {
@@ -623,6 +849,7 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
     // Step 6: Connect to Confluence
     spinner.text = 'Connecting to Confluence...';
     const confluenceClient = new ConfluenceClient(confluenceConfig);
+    confluenceClient.retryPolicy.setReport(report);
 
     const connected = await confluenceClient.testConnection();
     if (!connected) {
@@ -714,6 +941,7 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
         
         console.log(chalk.gray(`  ${index + 1}. ${doc.title} (${doc.relativePath})`));
         console.log(chalk.gray(`      Category: ${relativeCategory}`));
+        report.addFile(doc.relativePath, 'previewed', { title: doc.title, markdown: doc.content });
       });
 
       console.log(chalk.yellow('\n⚠️ This is a dry run. No changes were made to Confluence.'));
@@ -733,18 +961,50 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
     // Prepare diagram options from config
     const diagramOptions = {
       useMermaidPlugin: confluenceConfig.useMermaidPlugin || false,
-      mermaidPluginName: confluenceConfig.mermaidPluginName || 'mermaid-cloud'
+      mermaidPluginName: confluenceConfig.mermaidPluginName || 'mermaid-cloud',
+      diagramRenderers: confluenceConfig.diagramRenderers,
+      plantumlServer: confluenceConfig.plantumlServer,
+      installTools: confluenceConfig.installTools,
+      diagramTheme: confluenceConfig.diagramTheme
     };
     
     const parser = new MarkdownParser(resolvedProjectRoot, stateManager, confluenceClient, diagramOptions);
-    const stats = { processed: 0, created: 0, updated: 0, skipped: 0, failed: 0 };
+    report.setDiagramRenderers(parser.diagramProcessor.renderers);
+    const stats = { processed: 0, created: 0, updated: 0, skipped: 0, failed: 0, conflicts: 0 };
+    const contentHasher = new ContentHasher(resolvedProjectRoot);
+    const conflictDetector = new ConflictDetector(options);
+    const converter = new ConfluenceToMarkdown({ stateManager });
+
+    // Documents are synced in parallel: their category pages already exist
+    const pool = new WorkerPool(confluenceConfig.concurrentUploads);
+
+    await pool.run(filteredDocuments, async document => {
+      const reportEntry = report.startFile(document.relativePath, { title: document.title, markdown: document.content });
 
-    for (const document of filteredDocuments) {
       try {
+        // Check if document or its dependencies changed (--force syncs everything)
+        const { hash: contentHash, dependencies } = await contentHasher.hashDocument(document.filePath);
+        if (!options.force && !stateManager.needsSync(document.relativePath, document.lastModified, contentHash)) {
+          spinner.text = `Skipping ${document.title} (no changes)`;
+          stats.skipped++;
+          stateManager.updateStats('skipped');
+          report.finishFile(reportEntry, 'skipped', { id: stateManager.getPageState(document.relativePath)?.confluenceId });
+          return;
+        }
+
         spinner.text = `Processing: ${document.title}`;
 
-        // Parse document
-        const parsedContent = await parser.parseFile(document.filePath, confluenceConfig.baseUrl);
+        // Refuse to overwrite pages edited in Confluence since the last sync
+        const pageState = stateManager.getPageState(document.relativePath);
+        const knownPageId = getKnownPageId(document.frontmatter, pageState);
+        if (!await checkRemoteEdits(confluenceClient, conflictDetector, converter, document, knownPageId, pageState)) {
+          stats.conflicts++;
+          report.finishFile(reportEntry, 'conflict', { id: knownPageId });
+          return;
+        }
+
+        // Parse document (the scanner already processed MDX and reported its warnings)
+        const parsedContent = await parser.parseMarkdown(document.content, document.frontmatter, document.filePath, confluenceConfig.baseUrl);
 
         // Calculate relative category path for this document
         const docPath = path.relative(targetDir, path.resolve(resolvedProjectRoot, document.filePath));
@@ -761,14 +1021,16 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
         const pageData = {
           title: document.title,
           content: parsedContent.content,
-          parentId: documentParentId
+          parentId: documentParentId,
+          pageId: knownPageId
         };
 
         const result = await confluenceClient.createOrUpdatePage(pageData);
         const isNewPage = result.version?.number === 1;
+        let remoteVersion = result.version?.number;
 
         // Process images and diagrams if needed
-        if (document.hasImages || document.hasMermaid) {
+        if (document.hasImages || document.hasMermaid || parser.diagramProcessor.renderers.containsDiagrams(document.content)) {
           const finalParsedContent = await parser.parseMarkdown(
             document.content,
             document.frontmatter,
@@ -790,7 +1052,8 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
           if (contentWithImages !== parsedContent.htmlContent || finalParsedContent.mermaidStats?.processed > 0) {
             const finalContent = parser.convertToConfluenceFormat(contentWithImages);
             const version = result.version?.number || 1;
-            await confluenceClient.updatePage(result.id, result.title, finalContent, version + 1);
+            const updatedPage = await confluenceClient.updatePage(result.id, result.title, finalContent, version + 1);
+            remoteVersion = updatedPage.version?.number;
           }
         }
 
@@ -801,8 +1064,11 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
           category: document.category,
           slug: document.slug,
           lastModified: document.lastModified.toISOString(),
+          contentHash,
+          dependencies,
           parentId: documentParentId,
-          spaceKey: confluenceConfig.spaceKey
+          spaceKey: confluenceConfig.spaceKey,
+          remoteVersion
         });
 
         // Update stats
@@ -817,13 +1083,19 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
         }
 
         stats.processed++;
+        report.finishFile(reportEntry, isNewPage ? 'created' : 'updated', {
+          id: result.id,
+          url: `${confluenceConfig.baseUrl}/pages/viewpage.action?pageId=${result.id}`
+        });
 
       } catch (error) {
         stats.failed++;
         stateManager.updateStats('failed');
+        stateManager.recordFailure(document.relativePath, error);
+        report.failFile(reportEntry, error);
         console.error(chalk.red(`❌ Failed: ${document.title} - ${error.message}`));
       }
-    }
+    });
 
     // Step 10: Save state
     await stateManager.saveState();
@@ -842,6 +1114,14 @@ async function syncDir(dirPath, dryRun = false, projectRoot = null) {
     console.log(chalk.blue('Updated:'), stats.updated);
     console.log(chalk.yellow('Skipped:'), stats.skipped);
     console.log(chalk.red('Failed:'), stats.failed);
+    if (stats.conflicts > 0) {
+      console.log(chalk.red('Conflicts:'), stats.conflicts);
+    }
+    stats.retries = confluenceClient.retryPolicy.stats.retries;
+    if (stats.retries > 0) {
+      console.log(chalk.yellow('Retried requests:'), stats.retries);
+    }
+    conflictDetector.printSummary();
 
     return {
       success: true,
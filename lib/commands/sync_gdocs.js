@@ -1,6 +1,7 @@
 const chalk = require('chalk');
 const GoogleDocsClient = require('../core/gdocs/google-docs-client');
 const GoogleDocsSync = require('../core/gdocs/google-docs-sync');
+const Config = require('../core/config');
 
 /**
  * Main Google Docs sync function
@@ -8,15 +9,20 @@ const GoogleDocsSync = require('../core/gdocs/google-docs-sync');
  * @param {string} filePath - Path to specific file (for type='file')
  * @param {boolean} dryRun - Preview mode
  * @param {string} projectRoot - Project root directory
+ * @param {Object} options - CLI flags merged into configuration {config, exclude, layout, report}
  */
-async function syncGoogleDocs(type, filePath, dryRun = false, projectRoot = process.cwd()) {
+async function syncGoogleDocs(type, filePath, dryRun = false, projectRoot = process.cwd(), options = {}) {
   try {
+    // Load configuration (.env + docflu config file)
+    const config = new Config();
+    const googleDocsConfig = await config.loadGoogleDocsConfig(projectRoot, options);
+    
     // Initialize Google Docs client
     console.log(chalk.blue('🚀 Setting up Google Docs client...'));
-    const client = new GoogleDocsClient(projectRoot);
+    const client = new GoogleDocsClient(projectRoot, { retryCount: googleDocsConfig.retryCount });
     
     // Initialize sync engine
-    const syncEngine = new GoogleDocsSync(client, projectRoot);
+    const syncEngine = new GoogleDocsSync(client, projectRoot, googleDocsConfig);
     await syncEngine.initialize();
     
     let result;
@@ -26,18 +32,18 @@ async function syncGoogleDocs(type, filePath, dryRun = false, projectRoot = proc
         if (!filePath) {
           throw new Error('File path is required for file sync');
         }
-        result = await syncEngine.syncFile(filePath, { dryRun });
+        result = await syncEngine.syncFile(filePath, { dryRun, report: options.report });
         break;
         
       case 'docs':
-        result = await syncEngine.syncDocs({ dryRun });
+        result = await syncEngine.syncDocs({ dryRun, report: options.report });
         break;
         
       case 'dir':
         if (!filePath) {
           throw new Error('Directory path is required for directory sync');
         }
-        result = await syncEngine.syncDirectory(filePath, { dryRun });
+        result = await syncEngine.syncDirectory(filePath, { dryRun, report: options.report });
         break;
         
       case 'blog':
@@ -7,6 +7,9 @@ const Config = require('../core/config');
 /**
  * Notion Sync Command
  * Handles syncing Docusaurus content to Notion pages
+ * @param {string} projectPath - Project root directory
+ * @param {Object} options - CLI flags {file, dir, docs, dryRun, force, prune, pruneAction, report, ...}
+ * @returns {Object} Sync report with the counts of the sync
  */
 async function syncNotion(projectPath, options = {}) {
   const spinner = ora('Initializing Notion sync...').start();
@@ -15,7 +18,7 @@ async function syncNotion(projectPath, options = {}) {
     // Load configuration
     const projectRoot = path.resolve(projectPath || process.cwd());
     const config = new Config();
-    const notionConfig = await config.loadNotionConfig(projectRoot);
+    const notionConfig = await config.loadNotionConfig(projectRoot, options);
     
     if (!notionConfig.apiToken) {
       spinner.fail('Notion API token not found. Please run: docflu init --notion');
@@ -75,18 +78,31 @@ async function syncNotion(projectPath, options = {}) {
     
     console.log(`Skipped: ${chalk.gray(report.skipped)}`);
     console.log(`Failed: ${chalk.red(report.failed)}`);
+    if (report.conflicts > 0) {
+      console.log(`Conflicts: ${chalk.red(report.conflicts)}`);
+    }
+    if (!options.dryRun) {
+      console.log(`API calls: ${chalk.cyan(report.apiCalls)}`);
+      if (report.retries > 0) {
+        console.log(`Retried requests: ${chalk.yellow(report.retries)}`);
+      }
+    }
+    if (notionSync.conflictDetector) {
+      notionSync.conflictDetector.printSummary();
+    }
 
     if (options.dryRun) {
       console.log(chalk.yellow('\n⚠️ This was a dry run. No actual changes were made to Notion.'));
     } else if (report.failed > 0) {
       console.log('\n❌ Some documents failed to sync. Check the logs for details.');
-      process.exit(1);
     }
 
+    return report;
+
   } catch (error) {
     spinner.fail(`Notion sync failed: ${error.message}`);
     console.error(chalk.red('Error details:'), error);
-    process.exit(1);
+    throw error;
   }
 }
 
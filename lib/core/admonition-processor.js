@@ -0,0 +1,324 @@
+/**
+ * Docusaurus admonition definitions
+ * Maps each admonition keyword to its rendering on Confluence, Notion and Google Docs
+ */
+const ADMONITION_TYPES = {
+  note: {
+    label: 'Note',
+    confluenceMacro: 'info',
+    notion: { emoji: '📝', color: 'gray_background' },
+    gdocs: { background: { red: 0.96, green: 0.96, blue: 0.97 }, border: { red: 0.55, green: 0.57, blue: 0.6 } }
+  },
+  tip: {
+    label: 'Tip',
+    confluenceMacro: 'tip',
+    notion: { emoji: '💡', color: 'green_background' },
+    gdocs: { background: { red: 0.9, green: 0.97, blue: 0.91 }, border: { red: 0.0, green: 0.64, blue: 0.28 } }
+  },
+  info: {
+    label: 'Info',
+    confluenceMacro: 'info',
+    notion: { emoji: 'ℹ️', color: 'blue_background' },
+    gdocs: { background: { red: 0.9, green: 0.95, blue: 1.0 }, border: { red: 0.2, green: 0.53, blue: 0.89 } }
+  },
+  caution: {
+    label: 'Caution',
+    confluenceMacro: 'note',
+    notion: { emoji: '⚠️', color: 'yellow_background' },
+    gdocs: { background: { red: 1.0, green: 0.97, blue: 0.88 }, border: { red: 0.9, green: 0.65, blue: 0.0 } }
+  },
+  warning: {
+    label: 'Warning',
+    confluenceMacro: 'note',
+    notion: { emoji: '⚠️', color: 'yellow_background' },
+    gdocs: { background: { red: 1.0, green: 0.97, blue: 0.88 }, border: { red: 0.9, green: 0.65, blue: 0.0 } }
+  },
+  danger: {
+    label: 'Danger',
+    confluenceMacro: 'warning',
+    notion: { emoji: '🔥', color: 'red_background' },
+    gdocs: { background: { red: 1.0, green: 0.92, blue: 0.92 }, border: { red: 0.88, green: 0.18, blue: 0.2 } }
+  },
+  // Collapsible section, produced from MDX <details><summary> by the MDX processor
+  details: {
+    label: 'Details',
+    confluenceMacro: 'expand',
+    notion: { block: 'toggle' },
+    gdocs: { background: { red: 0.97, green: 0.97, blue: 0.97 }, border: { red: 0.75, green: 0.75, blue: 0.75 } }
+  }
+};
+
+// Docusaurus v2 aliases
+const ADMONITION_ALIASES = {
+  important: 'info',
+  success: 'tip',
+  secondary: 'note'
+};
+
+/**
+ * Admonition Processor
+ * Parses Docusaurus admonition blocks (:::note, :::tip, ...) so each platform can render them natively
+ */
+class AdmonitionProcessor {
+  constructor() {
+    this.openingRegex = /^\s*(:{3,})\s*([a-zA-Z]+)(?:\[([^\]]*)\]|\s+(.+?))?\s*$/;
+    this.closingRegex = /^\s*(:{3,})\s*$/;
+    this.fenceRegex = /^\s*(`{3,}|~{3,})/;
+  }
+
+  /**
+   * Parse an admonition opening line
+   * @param {string} line - Markdown line
+   * @returns {Object|null} - {kind, title} or null if the line does not open an admonition
+   */
+  parseOpening(line) {
+    const match = line.match(this.openingRegex);
+    if (!match) {
+      return null;
+    }
+
+    const kind = this.normalizeKind(match[2]);
+    if (!kind) {
+      return null;
+    }
+
+    const title = (match[3] !== undefined ? match[3] : match[4] || '').trim();
+    return { kind, title: title || null };
+  }
+
+  /**
+   * Check if a line opens an admonition
+   * @param {string} line - Markdown line
+   * @returns {boolean}
+   */
+  isOpening(line) {
+    return this.parseOpening(line) !== null;
+  }
+
+  /**
+   * Resolve admonition keyword (including aliases) to a known type
+   * @param {string} keyword - Keyword after the colons
+   * @returns {string|null} - Normalized kind
+   */
+  normalizeKind(keyword) {
+    const lower = (keyword || '').toLowerCase();
+    if (ADMONITION_TYPES[lower]) {
+      return lower;
+    }
+    return ADMONITION_ALIASES[lower] || null;
+  }
+
+  /**
+   * Extract a complete admonition block starting at the given line
+   * Nested admonitions and fenced code blocks are kept intact in the body
+   * @param {Array<string>} lines - Markdown lines
+   * @param {number} startIndex - Index of the opening line
+   * @returns {Object|null} - {kind, title, body, endIndex} or null if the block is not closed
+   */
+  extractBlock(lines, startIndex) {
+    const opening = this.parseOpening(lines[startIndex]);
+    if (!opening) {
+      return null;
+    }
+
+    let depth = 1;
+    let fence = null;
+    const bodyLines = [];
+
+    for (let i = startIndex + 1; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Colons inside code blocks are content, not directives
+      const fenceMatch = line.match(this.fenceRegex);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) {
+          fence = null;
+        }
+        bodyLines.push(line);
+        continue;
+      }
+
+      if (!fence) {
+        if (this.isOpening(line)) {
+          depth++;
+        } else if (this.closingRegex.test(line)) {
+          depth--;
+          if (depth === 0) {
+            return {
+              kind: opening.kind,
+              title: opening.title,
+              body: this.dedent(bodyLines).join('\n').trim(),
+              endIndex: i
+            };
+          }
+        }
+      }
+
+      bodyLines.push(line);
+    }
+
+    return null;
+  }
+
+  /**
+   * Split markdown into plain markdown segments and top-level admonition segments
+   * @param {string} markdown - Markdown content
+   * @returns {Array} - [{type: 'markdown', content}] and [{type: 'admonition', kind, title, body}]
+   */
+  split(markdown) {
+    const lines = (markdown || '').split('\n');
+    const segments = [];
+    let buffer = [];
+    let fence = null;
+
+    const flush = () => {
+      if (buffer.length > 0) {
+        segments.push({ type: 'markdown', content: buffer.join('\n') });
+        buffer = [];
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const fenceMatch = line.match(this.fenceRegex);
+
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) {
+          fence = null;
+        }
+      } else if (!fence && this.isOpening(line)) {
+        const block = this.extractBlock(lines, i);
+        if (block) {
+          flush();
+          segments.push({ type: 'admonition', kind: block.kind, title: block.title, body: block.body });
+          i = block.endIndex;
+          continue;
+        }
+      }
+
+      buffer.push(line);
+    }
+
+    flush();
+    return segments;
+  }
+
+  /**
+   * Check if markdown contains at least one admonition
+   * @param {string} markdown - Markdown content
+   * @returns {boolean}
+   */
+  containsAdmonitions(markdown) {
+    return this.split(markdown).some(segment => segment.type === 'admonition');
+  }
+
+  /**
+   * Remove common leading indentation from body lines
+   */
+  dedent(lines) {
+    const indents = lines
+      .filter(line => line.trim())
+      .map(line => line.match(/^\s*/)[0].length);
+    const minIndent = indents.length > 0 ? Math.min(...indents) : 0;
+    return minIndent > 0 ? lines.map(line => line.slice(minIndent)) : lines;
+  }
+
+  /**
+   * Get display title for an admonition
+   * @param {string} kind - Admonition kind
+   * @param {string|null} title - Custom title
+   * @returns {string}
+   */
+  getTitle(kind, title = null) {
+    return title || ADMONITION_TYPES[kind].label;
+  }
+
+  /**
+   * Build Confluence structured macro for an admonition
+   * @param {string} kind - Admonition kind
+   * @param {string|null} title - Custom title
+   * @param {string} bodyHtml - Rendered body (HTML / storage format)
+   * @returns {string} - Confluence storage format
+   */
+  toConfluenceMacro(kind, title, bodyHtml) {
+    const macroName = ADMONITION_TYPES[kind].confluenceMacro;
+    const displayTitle = this.escapeXml(this.getTitle(kind, title));
+
+    return `<ac:structured-macro ac:name="${macroName}">
+  <ac:parameter ac:name="title">${displayTitle}</ac:parameter>
+  <ac:rich-text-body>
+${bodyHtml.trim()}
+  </ac:rich-text-body>
+</ac:structured-macro>
+`;
+  }
+
+  /**
+   * Find the admonition for a Confluence macro (reverse of toConfluenceMacro)
+   * @param {string} macroName - Confluence macro name
+   * @param {string|null} title - Macro title parameter
+   * @returns {Object|null} - {kind, title} (title is null for the default label), or null if not an admonition macro
+   */
+  fromConfluenceMacro(macroName, title = null) {
+    return this.findKind(kind => ADMONITION_TYPES[kind].confluenceMacro === macroName, title);
+  }
+
+  /**
+   * Find the admonition for a Notion callout (reverse of getNotionStyle)
+   * @param {string} emoji - Callout icon emoji
+   * @param {string|null} title - Callout heading text
+   * @returns {Object|null} - {kind, title} (title is null for the default label), or null for other callouts
+   */
+  fromNotionCallout(emoji, title = null) {
+    return this.findKind(kind => Boolean(emoji) && ADMONITION_TYPES[kind].notion.emoji === emoji, title);
+  }
+
+  /**
+   * Pick the admonition kind matching a platform rendering, preferring the kind whose label is the title
+   */
+  findKind(matches, title) {
+    const kinds = Object.keys(ADMONITION_TYPES).filter(matches);
+
+    if (kinds.length === 0) {
+      return null;
+    }
+
+    const kind = kinds.find(candidate => ADMONITION_TYPES[candidate].label === title) || kinds[0];
+    return { kind, title: title && title !== ADMONITION_TYPES[kind].label ? title : null };
+  }
+
+  /**
+   * Get Notion callout style for an admonition
+   * @param {string} kind - Admonition kind
+   * @returns {Object} - {emoji, color}, or {block: 'toggle'} for collapsible sections
+   */
+  getNotionStyle(kind) {
+    return { ...ADMONITION_TYPES[kind].notion };
+  }
+
+  /**
+   * Get Google Docs paragraph style colors for an admonition
+   * @param {string} kind - Admonition kind
+   * @returns {Object} - {background, border} as rgbColor objects
+   */
+  getGoogleDocsStyle(kind) {
+    return { ...ADMONITION_TYPES[kind].gdocs };
+  }
+
+  /**
+   * Escape XML special characters
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = AdmonitionProcessor;
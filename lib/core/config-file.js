@@ -0,0 +1,335 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateThemeSettings } = require('./diagrams/diagram-theme');
+
+// Searched in this order in the project root
+const CONFIG_FILE_NAMES = [
+  'docflu.config.js',
+  'docflu.config.json',
+  '.docflurc',
+  '.docflurc.json',
+  '.docflurc.yml',
+  '.docflurc.yaml'
+];
+
+const PLATFORMS = ['confluence', 'notion', 'gdocs'];
+
+// Keys allowed at top level and inside each platform section
+const COMMON_KEYS = {
+  docsDir: 'string',
+  blogDir: 'string',
+  include: 'array',
+  exclude: 'array',
+  sidebars: 'boolean|string',
+  diagrams: 'object',
+  concurrentUploads: 'number',
+  retryCount: 'number'
+};
+
+const PLATFORM_KEYS = {
+  confluence: { baseUrl: 'string', username: 'string', spaceKey: 'string', rootPageTitle: 'string' },
+  notion: { rootPageId: 'string' },
+  gdocs: { documentTitle: 'string', layout: 'string' }
+};
+
+const DIAGRAM_KEYS = {
+  useMermaidPlugin: 'boolean',
+  mermaidPluginName: 'string',
+  renderers: 'array', // module paths of third-party diagram renderers
+  theme: 'object', // diagram theme settings, see diagrams/diagram-theme.js
+  plantumlServer: 'string' // PlantUML server URL, used when PlantUML is not installed
+};
+
+const OVERRIDE_KEYS = {
+  files: 'string|array',
+  platforms: 'array',
+  exclude: 'boolean',
+  frontmatter: 'object'
+};
+
+// Secrets must stay in .env and never be committed with the config file
+const SECRET_KEY_PATTERN = /(token|secret|password|apikey)/i;
+
+/**
+ * DocFlu Config File
+ * Loads and validates the committed, non-secret project configuration
+ * (docflu.config.js, docflu.config.json or .docflurc in JSON/YAML)
+ */
+class ConfigFile {
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.filePath = null;
+    this.data = {};
+  }
+
+  /**
+   * Find the config file in the project root
+   * @param {string} explicitPath - Path given with --config (relative to project root)
+   * @returns {string|null} - Absolute path or null when no config file exists
+   */
+  async find(explicitPath = null) {
+    if (explicitPath) {
+      const resolved = path.resolve(this.projectRoot, explicitPath);
+      if (!await fs.pathExists(resolved)) {
+        throw new Error(`Config file not found: ${resolved}`);
+      }
+      return resolved;
+    }
+
+    for (const fileName of CONFIG_FILE_NAMES) {
+      const candidate = path.join(this.projectRoot, fileName);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Load and validate the config file
+   * @param {string} explicitPath - Optional path given with --config
+   * @returns {Object} - Validated config data ({} when no config file exists)
+   */
+  async load(explicitPath = null) {
+    this.filePath = await this.find(explicitPath);
+    if (!this.filePath) {
+      this.data = {};
+      return this.data;
+    }
+
+    const fileName = path.basename(this.filePath);
+    let data;
+
+    try {
+      if (fileName.endsWith('.js')) {
+        delete require.cache[require.resolve(this.filePath)];
+        data = require(this.filePath);
+      } else if (fileName.endsWith('.json')) {
+        data = await fs.readJson(this.filePath);
+      } else {
+        // .docflurc, .yml and .yaml - YAML is a superset of JSON
+        data = yaml.safeLoad(await fs.readFile(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      throw new Error(`Cannot parse config file ${fileName}: ${error.message}`);
+    }
+
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config file ${fileName}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.data = data || {};
+    return this.data;
+  }
+
+  /**
+   * Validate config data
+   * @param {Object} data - Parsed config
+   * @returns {Array<string>} - Error messages (empty when valid)
+   */
+  validate(data) {
+    const errors = [];
+
+    if (data === null || data === undefined) {
+      return errors;
+    }
+    if (!this.isPlainObject(data)) {
+      return ['config must export an object'];
+    }
+
+    const topLevelKeys = { ...COMMON_KEYS, overrides: 'array' };
+    PLATFORMS.forEach(platform => {
+      topLevelKeys[platform] = 'object';
+    });
+
+    this.validateKeys(data, topLevelKeys, '', errors);
+
+    PLATFORMS.forEach(platform => {
+      if (this.isPlainObject(data[platform])) {
+        this.validateKeys(data[platform], { ...COMMON_KEYS, ...PLATFORM_KEYS[platform] }, `${platform}.`, errors);
+        if (this.isPlainObject(data[platform].diagrams)) {
+          this.validateDiagrams(data[platform].diagrams, `${platform}.diagrams.`, errors);
+        }
+      }
+    });
+
+    if (this.isPlainObject(data.diagrams)) {
+      this.validateDiagrams(data.diagrams, 'diagrams.', errors);
+    }
+
+    if (Array.isArray(data.overrides)) {
+      data.overrides.forEach((override, index) => {
+        const prefix = `overrides[${index}].`;
+        if (!this.isPlainObject(override)) {
+          errors.push(`overrides[${index}] must be an object`);
+          return;
+        }
+        this.validateKeys(override, OVERRIDE_KEYS, prefix, errors);
+        if (!override.files) {
+          errors.push(`${prefix}files is required`);
+        }
+        (override.platforms || []).forEach(platform => {
+          if (!PLATFORMS.includes(platform)) {
+            errors.push(`${prefix}platforms contains unknown platform "${platform}" (expected ${PLATFORMS.join(', ')})`);
+          }
+        });
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a diagrams section, including its theme settings
+   */
+  validateDiagrams(diagrams, prefix, errors) {
+    this.validateKeys(diagrams, DIAGRAM_KEYS, prefix, errors);
+    if (this.isPlainObject(diagrams.theme)) {
+      errors.push(...validateThemeSettings(diagrams.theme, `${prefix}theme.`));
+    }
+  }
+
+  /**
+   * Validate keys and value types of one config object
+   */
+  validateKeys(object, schema, prefix, errors) {
+    Object.keys(object).forEach(key => {
+      const value = object[key];
+
+      if (SECRET_KEY_PATTERN.test(key)) {
+        errors.push(`${prefix}${key} looks like a secret; keep credentials in .env instead of the config file`);
+        return;
+      }
+
+      const expected = schema[key];
+      if (!expected) {
+        errors.push(`${prefix}${key} is not a known option`);
+        return;
+      }
+
+      const valid = expected.split('|').some(type => this.isType(value, type));
+      if (!valid) {
+        errors.push(`${prefix}${key} must be ${expected.replace('|', ' or ')}`);
+      } else if (Array.isArray(value) && value.some(item => typeof item !== 'string')) {
+        errors.push(`${prefix}${key} must contain only strings`);
+      }
+    });
+  }
+
+  /**
+   * Check a value against a schema type name
+   */
+  isType(value, type) {
+    switch (type) {
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return this.isPlainObject(value);
+      case 'number':
+        return typeof value === 'number' && !isNaN(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Get settings for one platform: platform section merged over top-level settings
+   * @param {string} platform - 'confluence', 'notion' or 'gdocs'
+   * @returns {Object}
+   */
+  getPlatformSettings(platform) {
+    const data = this.data || {};
+    const section = data[platform] || {};
+    const settings = {};
+
+    Object.keys(data).forEach(key => {
+      if (!PLATFORMS.includes(key)) {
+        settings[key] = data[key];
+      }
+    });
+
+    Object.assign(settings, section);
+    settings.diagrams = { ...(data.diagrams || {}), ...(section.diagrams || {}) };
+    settings.overrides = (data.overrides || []).filter(override => {
+      return !override.platforms || override.platforms.includes(platform);
+    });
+
+    return settings;
+  }
+
+  /**
+   * Convert a glob pattern to a regular expression
+   * Supports ** (any path), * (any segment characters) and ?
+   * @param {string} pattern - Glob pattern
+   * @returns {RegExp}
+   */
+  static globToRegExp(pattern) {
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*') {
+        if (pattern[i + 1] === '*') {
+          // "**/" matches zero or more directories
+          regex += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+          i += pattern[i + 2] === '/' ? 2 : 1;
+        } else {
+          regex += '[^/]*';
+        }
+      } else if (char === '?') {
+        regex += '[^/]';
+      } else {
+        regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${regex}$`);
+  }
+
+  /**
+   * Check whether a path matches any of the glob patterns
+   * Patterns without a slash match the file name in any directory
+   * @param {string} filePath - Path relative to the project root (forward slashes)
+   * @param {Array<string>} patterns - Glob patterns
+   * @returns {boolean}
+   */
+  static matchesAny(filePath, patterns = []) {
+    const normalized = filePath.split(path.sep).join('/');
+    return patterns.some(pattern => {
+      const target = pattern.includes('/') ? normalized : path.posix.basename(normalized);
+      return ConfigFile.globToRegExp(pattern).test(target);
+    });
+  }
+
+  /**
+   * Resolve per-path overrides for a file
+   * @param {Array} overrides - Overrides from getPlatformSettings()
+   * @param {string} filePath - Path relative to the project root
+   * @returns {Object} - {exclude, frontmatter}
+   */
+  static resolveOverrides(overrides = [], filePath) {
+    const result = { exclude: false, frontmatter: {} };
+
+    overrides.forEach(override => {
+      const patterns = Array.isArray(override.files) ? override.files : [override.files];
+      if (!ConfigFile.matchesAny(filePath, patterns)) {
+        return;
+      }
+      if (override.exclude !== undefined) {
+        result.exclude = override.exclude;
+      }
+      Object.assign(result.frontmatter, override.frontmatter || {});
+    });
+
+    return result;
+  }
+}
+
+ConfigFile.FILE_NAMES = CONFIG_FILE_NAMES;
+
+module.exports = ConfigFile;
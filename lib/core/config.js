@@ -2,7 +2,32 @@ const fs = require('fs-extra');
 const path = require('path');
 const dotenv = require('dotenv');
 const chalk = require('chalk');
+const ConfigFile = require('./config-file');
 
+const GOOGLE_DOCS_LAYOUTS = ['single', 'files', 'tabs'];
+
+/**
+ * Numeric setting: environment variable, then config file, then default. An explicit 0
+ * (e.g. DOCFLU_RETRY_COUNT=0 to turn retries off) is kept; unset or non-numeric values fall through
+ * @param {string} envValue - Environment variable value
+ * @param {number} fileValue - Config file value
+ * @param {number} defaultValue - Built-in default
+ * @returns {number}
+ */
+function numberSetting(envValue, fileValue, defaultValue) {
+  const envNumber = parseInt(envValue, 10);
+  if (!Number.isNaN(envNumber)) {
+    return envNumber;
+  }
+  return typeof fileValue === 'number' && !Number.isNaN(fileValue) ? fileValue : defaultValue;
+}
+
+/**
+ * Configuration loader
+ * Precedence (highest first): CLI flags > environment variables (.env) >
+ * config file platform section > config file top level > built-in defaults.
+ * Secrets (API tokens, client secrets) are only read from environment variables.
+ */
 class Config {
   constructor() {
     this.confluenceConfig = null;
@@ -11,10 +36,11 @@ class Config {
   }
 
   /**
-   * Load configuration from .env file
+   * Load configuration from .env file and the optional docflu config file
    * @param {string} projectRoot - project root directory
+   * @param {Object} cliOptions - CLI flags {config, exclude}
    */
-  async loadConfig(projectRoot = process.cwd()) {
+  async loadConfig(projectRoot = process.cwd(), cliOptions = {}) {
     const envPath = path.join(projectRoot, '.env');
     
     if (!await fs.pathExists(envPath)) {
@@ -29,37 +55,116 @@ class Config {
     }
 
     // Validate and build confluence config
-    this.confluenceConfig = this.buildConfluenceConfig(process.env);
+    const fileSettings = await this.loadConfigFile(projectRoot, 'confluence', cliOptions.config);
+    this.confluenceConfig = this.buildConfluenceConfig(process.env, fileSettings, cliOptions);
     
     console.log(chalk.green('✓ Loaded configuration from .env'));
     return this.confluenceConfig;
   }
 
   /**
-   * Build Confluence configuration from environment variables
+   * Load docflu config file settings for a platform
+   * @param {string} projectRoot - project root directory
+   * @param {string} platform - 'confluence', 'notion' or 'gdocs'
+   * @param {string} explicitPath - config file path from --config (optional)
+   * @returns {Object} - platform settings ({} when no config file exists)
+   */
+  async loadConfigFile(projectRoot, platform, explicitPath = null) {
+    const configFile = new ConfigFile(projectRoot);
+    await configFile.load(explicitPath);
+
+    if (configFile.filePath) {
+      console.log(chalk.green(`✓ Loaded configuration from ${path.basename(configFile.filePath)}`));
+    }
+
+    return configFile.getPlatformSettings(platform);
+  }
+
+  /**
+   * Build settings shared by all platforms
+   * @param {Object} env - environment variables
+   * @param {Object} fileSettings - config file settings for the platform
+   * @param {Object} cliOptions - CLI flags
    */
-  buildConfluenceConfig(env) {
-    const required = ['CONFLUENCE_BASE_URL', 'CONFLUENCE_USERNAME', 'CONFLUENCE_API_TOKEN', 'CONFLUENCE_SPACE_KEY'];
-    const missing = required.filter(key => !env[key]);
+  buildCommonConfig(env, fileSettings = {}, cliOptions = {}) {
+    const splitPatterns = value => value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+
+    // Config file exclude globs match paths relative to the project root, like include and overrides;
+    // --exclude and DOCFLU_EXCLUDE_PATTERNS replace them and match paths inside the docs directory
+    let excludeGlobs = fileSettings.exclude || [];
+    let excludePatterns = [];
+    if (cliOptions.exclude) {
+      excludePatterns = splitPatterns(cliOptions.exclude);
+      excludeGlobs = [];
+    } else if (env.DOCFLU_EXCLUDE_PATTERNS) {
+      excludePatterns = splitPatterns(env.DOCFLU_EXCLUDE_PATTERNS);
+      excludeGlobs = [];
+    }
+
+    return {
+      docsDir: fileSettings.docsDir || 'docs',
+      blogDir: fileSettings.blogDir || 'blog',
+      includePatterns: fileSettings.include || [],
+      excludePatterns,
+      excludeGlobs,
+      overrides: fileSettings.overrides || [],
+      // true to auto-detect sidebars.js/.ts, or path to the sidebars file
+      sidebars: cliOptions.sidebars !== undefined ? cliOptions.sidebars : (fileSettings.sidebars || false),
+      concurrentUploads: numberSetting(env.DOCFLU_CONCURRENT_UPLOADS, fileSettings.concurrentUploads, 5),
+      retryCount: numberSetting(env.DOCFLU_RETRY_COUNT, fileSettings.retryCount, 3),
+      // Module paths of third-party diagram renderers, relative to the project root
+      diagramRenderers: (fileSettings.diagrams || {}).renderers || [],
+      // Diagram theme: project and per diagram type settings (diagrams.theme)
+      diagramTheme: (fileSettings.diagrams || {}).theme || {},
+      // PlantUML server diagram sources may be sent to when PlantUML is not installed (opt-in)
+      plantumlServer: (fileSettings.diagrams || {}).plantumlServer || null,
+      // Missing diagram renderer CLIs are only installed when asked for (--install-tools)
+      installTools: cliOptions.installTools === true
+    };
+  }
+
+  /**
+   * Check required settings after merging
+   * @param {Object} config - merged config
+   * @param {Object} required - {configKey: 'ENV_VARIABLE'}
+   */
+  validateRequired(config, required) {
+    const missing = Object.keys(required).filter(key => !config[key]).map(key => required[key]);
 
     if (missing.length > 0) {
       throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
+  }
 
-    return {
-      baseUrl: env.CONFLUENCE_BASE_URL,
-      username: env.CONFLUENCE_USERNAME,
+  /**
+   * Build Confluence configuration from environment variables and config file settings
+   */
+  buildConfluenceConfig(env, fileSettings = {}, cliOptions = {}) {
+    const diagrams = fileSettings.diagrams || {};
+
+    const confluenceConfig = {
+      baseUrl: env.CONFLUENCE_BASE_URL || fileSettings.baseUrl,
+      username: env.CONFLUENCE_USERNAME || fileSettings.username,
       apiToken: env.CONFLUENCE_API_TOKEN,
-      spaceKey: env.CONFLUENCE_SPACE_KEY,
-      rootPageTitle: env.CONFLUENCE_ROOT_PAGE_TITLE || null,
+      spaceKey: env.CONFLUENCE_SPACE_KEY || fileSettings.spaceKey,
+      rootPageTitle: env.CONFLUENCE_ROOT_PAGE_TITLE || fileSettings.rootPageTitle || null,
       // Optional settings
-      excludePatterns: env.DOCFLU_EXCLUDE_PATTERNS ? env.DOCFLU_EXCLUDE_PATTERNS.split(',') : [],
-      concurrentUploads: parseInt(env.DOCFLU_CONCURRENT_UPLOADS) || 5,
-      retryCount: parseInt(env.DOCFLU_RETRY_COUNT) || 3,
+      ...this.buildCommonConfig(env, fileSettings, cliOptions),
       // Diagram processing options
-      useMermaidPlugin: env.CONFLUENCE_USE_MERMAID_PLUGIN === 'true' || false,
-      mermaidPluginName: env.CONFLUENCE_MERMAID_PLUGIN_NAME || 'mermaid-cloud' // Default to 'mermaid' macro name
+      useMermaidPlugin: env.CONFLUENCE_USE_MERMAID_PLUGIN !== undefined
+        ? env.CONFLUENCE_USE_MERMAID_PLUGIN === 'true'
+        : diagrams.useMermaidPlugin || false,
+      mermaidPluginName: env.CONFLUENCE_MERMAID_PLUGIN_NAME || diagrams.mermaidPluginName || 'mermaid-cloud' // Default to 'mermaid' macro name
     };
+
+    this.validateRequired(confluenceConfig, {
+      baseUrl: 'CONFLUENCE_BASE_URL',
+      username: 'CONFLUENCE_USERNAME',
+      apiToken: 'CONFLUENCE_API_TOKEN',
+      spaceKey: 'CONFLUENCE_SPACE_KEY'
+    });
+
+    return confluenceConfig;
   }
 
   /**
@@ -94,8 +199,9 @@ DOCFLU_RETRY_COUNT=3
   /**
    * Load Google Docs configuration
    * @param {string} projectRoot - project root directory
+   * @param {Object} cliOptions - CLI flags {config, exclude}
    */
-  async loadGoogleDocsConfig(projectRoot = process.cwd()) {
+  async loadGoogleDocsConfig(projectRoot = process.cwd(), cliOptions = {}) {
     const envPath = path.join(projectRoot, '.env');
     
     if (!await fs.pathExists(envPath)) {
@@ -110,37 +216,41 @@ DOCFLU_RETRY_COUNT=3
     }
 
     // Validate and build Google Docs config
-    this.googleDocsConfig = this.buildGoogleDocsConfig(process.env);
+    const fileSettings = await this.loadConfigFile(projectRoot, 'gdocs', cliOptions.config);
+    this.googleDocsConfig = this.buildGoogleDocsConfig(process.env, fileSettings, cliOptions);
     
     console.log(chalk.green('✓ Loaded Google Docs configuration from .env'));
     return this.googleDocsConfig;
   }
 
   /**
-   * Build Google Docs configuration from environment variables
+   * Build Google Docs configuration from environment variables and config file settings
    */
-  buildGoogleDocsConfig(env) {
-    const required = ['GOOGLE_CLIENT_ID'];
-    const missing = required.filter(key => !env[key]);
-
-    if (missing.length > 0) {
-      throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
-    }
-
-    return {
+  buildGoogleDocsConfig(env, fileSettings = {}, cliOptions = {}) {
+    const googleDocsConfig = {
       clientId: env.GOOGLE_CLIENT_ID,
-      documentTitle: env.GOOGLE_DOCUMENT_TITLE || 'Documentation',
+      documentTitle: env.GOOGLE_DOCUMENT_TITLE || fileSettings.documentTitle || 'Documentation',
+      // 'single' (one root document) or 'files' (one document per file in a Drive folder tree)
+      layout: cliOptions.layout || env.GOOGLE_DOCS_LAYOUT || fileSettings.layout || 'single',
       // Optional settings
-      excludePatterns: env.DOCFLU_EXCLUDE_PATTERNS ? env.DOCFLU_EXCLUDE_PATTERNS.split(',') : [],
-      retryCount: parseInt(env.DOCFLU_RETRY_COUNT) || 3
+      ...this.buildCommonConfig(env, fileSettings, cliOptions)
     };
+
+    this.validateRequired(googleDocsConfig, { clientId: 'GOOGLE_CLIENT_ID' });
+
+    if (!GOOGLE_DOCS_LAYOUTS.includes(googleDocsConfig.layout)) {
+      throw new Error(`Invalid Google Docs layout: ${googleDocsConfig.layout}. Use one of: ${GOOGLE_DOCS_LAYOUTS.join(', ')}`);
+    }
+
+    return googleDocsConfig;
   }
 
   /**
    * Load Notion configuration
    * @param {string} projectRoot - project root directory
+   * @param {Object} cliOptions - CLI flags {config, exclude}
    */
-  async loadNotionConfig(projectRoot = process.cwd()) {
+  async loadNotionConfig(projectRoot = process.cwd(), cliOptions = {}) {
     const envPath = path.join(projectRoot, '.env');
     
     if (!await fs.pathExists(envPath)) {
@@ -155,30 +265,30 @@ DOCFLU_RETRY_COUNT=3
     }
 
     // Validate and build Notion config
-    this.notionConfig = this.buildNotionConfig(process.env);
+    const fileSettings = await this.loadConfigFile(projectRoot, 'notion', cliOptions.config);
+    this.notionConfig = this.buildNotionConfig(process.env, fileSettings, cliOptions);
     
     console.log(chalk.green('✓ Loaded Notion configuration from .env'));
     return this.notionConfig;
   }
 
   /**
-   * Build Notion configuration from environment variables
+   * Build Notion configuration from environment variables and config file settings
    */
-  buildNotionConfig(env) {
-    const required = ['NOTION_API_TOKEN', 'NOTION_ROOT_PAGE_ID'];
-    const missing = required.filter(key => !env[key]);
-
-    if (missing.length > 0) {
-      throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
-    }
-
-    return {
+  buildNotionConfig(env, fileSettings = {}, cliOptions = {}) {
+    const notionConfig = {
       apiToken: env.NOTION_API_TOKEN,
-      rootPageId: env.NOTION_ROOT_PAGE_ID, // Required - Internal Integration cannot create workspace-level pages
+      rootPageId: env.NOTION_ROOT_PAGE_ID || fileSettings.rootPageId, // Required - Internal Integration cannot create workspace-level pages
       // Optional settings
-      excludePatterns: env.DOCFLU_EXCLUDE_PATTERNS ? env.DOCFLU_EXCLUDE_PATTERNS.split(',') : [],
-      retryCount: parseInt(env.DOCFLU_RETRY_COUNT) || 3
+      ...this.buildCommonConfig(env, fileSettings, cliOptions)
     };
+
+    this.validateRequired(notionConfig, {
+      apiToken: 'NOTION_API_TOKEN',
+      rootPageId: 'NOTION_ROOT_PAGE_ID'
+    });
+
+    return notionConfig;
   }
 
   /**
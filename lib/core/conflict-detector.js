@@ -0,0 +1,118 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Conflict Detector
+ * Detects pages edited remotely since the last sync by comparing the remote version recorded
+ * in state (Confluence version number, Notion last_edited_time and content hash) with the current one, and
+ * decides what happens to them:
+ * - refuse (default): keep the remote page and write its content to <file>.conflict.md
+ * - skip (--skip-conflicts): keep the remote page and only report it
+ * - overwrite (--overwrite): replace the remote edits with the local file
+ */
+class ConflictDetector {
+  /**
+   * @param {Object} options - CLI flags {overwrite, skipConflicts}
+   */
+  constructor(options = {}) {
+    if (options.overwrite && options.skipConflicts) {
+      throw new Error('Cannot combine --overwrite and --skip-conflicts');
+    }
+
+    this.mode = options.overwrite ? 'overwrite' : (options.skipConflicts ? 'skip' : 'refuse');
+    this.conflicts = []; // [{relativePath, title, recorded, remote, conflictFile}]
+  }
+
+  /**
+   * Check if the remote page changed since the recorded version
+   * Pages synced before versions were recorded have nothing to compare against
+   * @param {*} recorded - Version recorded in state after the last sync
+   * @param {*} remote - Current remote version
+   * @returns {boolean}
+   */
+  hasDrift(recorded, remote) {
+    if (recorded === undefined || recorded === null || remote === undefined || remote === null) {
+      return false;
+    }
+    return String(recorded) !== String(remote);
+  }
+
+  /**
+   * Check a page before it is overwritten
+   * @param {Object} page - {filePath (absolute), relativePath, title, recorded, remote}
+   * @param {Function} getRemoteMarkdown - async () => remote page as markdown file content
+   * @returns {Promise<boolean>} True if the page may be overwritten
+   */
+  async check(page, getRemoteMarkdown) {
+    if (!this.hasDrift(page.recorded, page.remote)) {
+      return true;
+    }
+
+    const label = page.relativePath || page.title;
+
+    if (this.mode === 'overwrite') {
+      console.warn(chalk.yellow(`⚠️ ${label} was edited remotely (${page.recorded} → ${page.remote}), overwriting`));
+      return true;
+    }
+
+    const conflict = {
+      relativePath: page.relativePath,
+      title: page.title,
+      recorded: page.recorded,
+      remote: page.remote,
+      conflictFile: null
+    };
+    this.conflicts.push(conflict);
+
+    if (this.mode === 'refuse' && page.filePath) {
+      conflict.conflictFile = this.getConflictPath(page.filePath);
+      await fs.writeFile(conflict.conflictFile, await getRemoteMarkdown());
+      console.warn(chalk.red(`⚔️ Conflict: ${label} was edited remotely, not overwriting. Remote content: ${path.basename(conflict.conflictFile)}`));
+    } else {
+      console.warn(chalk.yellow(`⏭️ Skipped ${label}: edited remotely since the last sync`));
+    }
+
+    return false;
+  }
+
+  /**
+   * Path of the file receiving the remote content: guide.md -> guide.conflict.md
+   * @param {string} filePath - Source markdown file
+   * @returns {string}
+   */
+  getConflictPath(filePath) {
+    return `${filePath.replace(/\.mdx?$/i, '')}.conflict.md`;
+  }
+
+  /**
+   * Check if a file was written by the conflict detector (never synced as a document)
+   * @param {string} filePath - File path
+   * @returns {boolean}
+   */
+  static isConflictFile(filePath) {
+    return /\.conflict\.md$/i.test(filePath);
+  }
+
+  /**
+   * Print conflicts with how to resolve them
+   */
+  printSummary() {
+    if (this.conflicts.length === 0) {
+      return;
+    }
+
+    console.log(chalk.red(`\n⚔️ ${this.conflicts.length} page(s) were edited remotely since the last sync:`));
+    for (const conflict of this.conflicts) {
+      const target = conflict.conflictFile ? ` → ${path.basename(conflict.conflictFile)}` : '';
+      console.log(chalk.red(`  - ${conflict.relativePath || conflict.title}${target}`));
+    }
+
+    if (this.mode === 'refuse') {
+      console.log(chalk.yellow('Merge the remote edits from the .conflict.md files into the sources and rerun with --overwrite,'));
+      console.log(chalk.yellow('or rerun with --skip-conflicts to leave those pages alone.'));
+    }
+  }
+}
+
+module.exports = ConflictDetector;
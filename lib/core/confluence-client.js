@@ -1,5 +1,6 @@
 const axios = require('axios');
 const chalk = require('chalk');
+const RetryPolicy = require('./retry-policy');
 
 class ConfluenceClient {
   constructor(config) {
@@ -12,6 +13,10 @@ class ConfluenceClient {
         'Authorization': `Basic ${Buffer.from(`${config.username}:${config.apiToken}`).toString('base64')}`
       }
     });
+
+    // Retry rate limited and failed requests (DOCFLU_RETRY_COUNT)
+    this.retryPolicy = new RetryPolicy({ retryCount: config.retryCount, label: 'Confluence' });
+    this.retryPolicy.attachTo(this.api);
   }
 
   /**
@@ -30,17 +35,34 @@ class ConfluenceClient {
 
   /**
    * Create hoặc update page
-   * @param {Object} pageData - {title, content, parentId}
+   * Known pages (pageId from sync state or confluence_id frontmatter) are updated in place,
+   * including title and parent changes. Title lookup under the expected parent is only used
+   * to adopt an existing page the first time a document is synced.
+   * @param {Object} pageData - {title, content, parentId, pageId}
    */
   async createOrUpdatePage(pageData) {
-    const { title, content, parentId } = pageData;
+    const { title, content, parentId, pageId } = pageData;
 
     try {
-      // Check if page exists
-      const existingPage = await this.findPageByTitle(title);
+      let existingPage = pageId ? await this.findPageById(pageId) : null;
+
+      if (pageId && !existingPage) {
+        console.warn(chalk.yellow(`⚠️ Page ${pageId} for "${title}" no longer exists, looking up by title`));
+      }
+
+      if (!existingPage) {
+        existingPage = await this.findPageByTitleAndParent(title, parentId);
+      }
 
       if (existingPage) {
-        console.log(chalk.yellow('📝 Updating existing page:', title));
+        if (existingPage.title !== title) {
+          console.log(chalk.yellow(`📝 Renaming page: ${existingPage.title} → ${title}`));
+        } else {
+          console.log(chalk.yellow('📝 Updating existing page:', title));
+        }
+
+        await this.ensureParent(existingPage, parentId);
+
         const version = existingPage.version?.number || 1;
         return await this.updatePage(existingPage.id, title, content, version + 1);
       } else {
@@ -48,7 +70,41 @@ class ConfluenceClient {
         return await this.createPage(title, content, parentId);
       }
     } catch (error) {
-      throw new Error(`Failed to sync page "${title}": ${error.message}`);
+      throw new Error(`Failed to sync page "${title}": ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Get page by ID, null if it was deleted or trashed
+   * @param {string} pageId - Page ID
+   * @returns {Object|null} Page object (with version and ancestors) or null
+   */
+  async findPageById(pageId) {
+    try {
+      const page = await this.getPageById(pageId);
+      return page.status && page.status !== 'current' ? null : page;
+    } catch (error) {
+      if (/not found/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move page under expected parent when it was synced elsewhere before
+   * @param {Object} page - Page with ancestors
+   * @param {string} parentId - Expected parent page ID (null keeps current location)
+   */
+  async ensureParent(page, parentId) {
+    if (!parentId || !Array.isArray(page.ancestors)) {
+      return;
+    }
+
+    const currentParent = page.ancestors[page.ancestors.length - 1];
+    if (currentParent && String(currentParent.id) !== String(parentId)) {
+      console.log(chalk.blue(`📁 Moving page "${page.title}" to new parent ${parentId}`));
+      await this.movePage(page.id, parentId, 'append');
     }
   }
 
@@ -92,8 +148,15 @@ class ConfluenceClient {
       pageData.ancestors = [{ id: parentId }];
     }
 
-    const response = await this.api.post('/wiki/rest/api/content', pageData);
-    return response.data;
+    // Titles are unique in a space: a page with this title after a failed attempt is the one it created
+    return this.retryPolicy.execute(async () => {
+      const response = await this.api.post('/wiki/rest/api/content', pageData, { skipRetry: true });
+      return response.data;
+    }, {
+      idempotent: false,
+      recover: () => this.findPageByTitle(title),
+      description: `create page "${title}"`
+    });
   }
 
   /**
@@ -172,24 +235,50 @@ class ConfluenceClient {
   }
 
   /**
-   * Find page by title within specific parent context
+   * Find page by title within specific parent context. Without a parent only pages at the space
+   * root (or directly under the space homepage) match, so a page of the same title elsewhere in
+   * the space is never adopted. Lookup errors are thrown: treating them as "not found" would
+   * create a duplicate page
+   * @param {string} title - Page title
+   * @param {string} parentId - Parent page ID, null for the space root
+   * @returns {Object|null} Page object or null
    */
   async findPageByTitleAndParent(title, parentId) {
-    try {
-      if (!parentId) {
-        // If no parent, use regular search
-        return await this.findPageByTitle(title);
+    if (!parentId) {
+      const response = await this.api.get('/wiki/rest/api/content/search', {
+        params: {
+          cql: `space="${this.config.spaceKey}" AND title="${title}" AND type="page"`,
+          expand: 'version,ancestors'
+        }
+      });
+      const pages = response.data.results;
+      const rootPage = pages.find(page => (page.ancestors || []).length === 0);
+      if (rootPage || !pages.some(page => (page.ancestors || []).length === 1)) {
+        return rootPage || null;
       }
+      const homepageId = await this.getSpaceHomepageId();
+      return pages.find(page => page.ancestors.length === 1 && String(page.ancestors[0].id) === homepageId) || null;
+    }
 
-      // Get children of parent page
-      const children = await this.getPageChildren(parentId);
-      const matchingChild = children.find(child => child.title === title);
-      
-      return matchingChild || null;
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️ Could not search for page ${title} under parent ${parentId}`));
-      return null;
+    // Get children of parent page
+    const children = await this.getPageChildren(parentId);
+    const matchingChild = children.find(child => child.title === title);
+
+    return matchingChild || null;
+  }
+
+  /**
+   * ID of the space homepage, the parent Confluence Cloud gives pages created without one
+   * @returns {string|null} Page ID, or null when the space has no homepage
+   */
+  async getSpaceHomepageId() {
+    if (this.spaceHomepageId === undefined) {
+      const response = await this.api.get(`/wiki/rest/api/space/${this.config.spaceKey}`, {
+        params: { expand: 'homepage' }
+      });
+      this.spaceHomepageId = response.data.homepage?.id ? String(response.data.homepage.id) : null;
     }
+    return this.spaceHomepageId;
   }
 
   /**
@@ -205,20 +294,19 @@ class ConfluenceClient {
 
   /**
    * Get page children for hierarchy management
+   * @param {string} pageId - Parent page ID
+   * @returns {Array} Child pages (with version)
+   * @throws {Error} When the children can not be listed
    */
   async getPageChildren(pageId) {
-    try {
-      const response = await this.api.get(`/wiki/rest/api/content/${pageId}/child/page`, {
-        params: {
-          expand: 'version'
-        }
-      });
+    const response = await this.api.get(`/wiki/rest/api/content/${pageId}/child/page`, {
+      params: {
+        expand: 'version',
+        limit: 250
+      }
+    });
 
-      return response.data.results;
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️ Could not get children for page ${pageId}`));
-      return [];
-    }
+    return response.data.results;
   }
 
   /**
@@ -283,6 +371,96 @@ class ConfluenceClient {
     }
   }
 
+  /**
+   * Get page with its storage format body
+   * @param {string} pageId - Page ID
+   * @returns {Object} - Page with body.storage.value and version
+   */
+  async getPageContent(pageId) {
+    try {
+      const response = await this.api.get(`/wiki/rest/api/content/${pageId}`, {
+        params: {
+          expand: 'body.storage,version'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Page with ID ${pageId} not found`);
+      }
+      throw new Error(`Failed to get content of page ${pageId}: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Delete page (moves it to the space trash)
+   * @param {string} pageId - Page ID
+   */
+  async deletePage(pageId) {
+    try {
+      await this.api.delete(`/wiki/rest/api/content/${pageId}`);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return; // Already deleted
+      }
+      throw new Error(`Failed to delete page ${pageId}: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Move page under a new parent
+   * @param {string} pageId - Page ID
+   * @param {string} targetId - New parent page ID
+   * @param {string} position - 'append' (child of target), 'before' or 'after' (sibling of target)
+   */
+  async movePage(pageId, targetId, position = 'append') {
+    try {
+      const response = await this.api.put(`/wiki/rest/api/content/${pageId}/move/${position}/${targetId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to move page ${pageId}: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Add labels to page
+   * @param {string} pageId - Page ID
+   * @param {Array<string>} labels - Label names
+   */
+  async addLabels(pageId, labels) {
+    try {
+      const response = await this.api.post(
+        `/wiki/rest/api/content/${pageId}/label`,
+        labels.map(name => ({ prefix: 'global', name }))
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to label page ${pageId}: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Find or create the page that collects archived pages
+   * @param {string} rootParentId - Root page ID (null for space root)
+   * @param {string} title - Archive page title
+   * @returns {string} Archive page ID
+   */
+  async findOrCreateArchivePage(rootParentId = null, title = 'Archive') {
+    const existingPage = await this.findPageByTitleAndParent(title, rootParentId);
+    if (existingPage) {
+      return existingPage.id;
+    }
+
+    console.log(chalk.blue(`📁 Creating archive page: ${title}`));
+    const page = await this.createPage(
+      title,
+      '<p>Pages whose source markdown files were removed from the documentation.</p>',
+      rootParentId
+    );
+    return page.id;
+  }
+
   /**
    * Update specific page by ID
    * @param {string} pageId - Page ID
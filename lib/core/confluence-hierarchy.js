@@ -0,0 +1,363 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const SidebarResolver = require('./sidebar-resolver');
+
+const INDEX_NAMES = ['index', 'readme'];
+const UNPOSITIONED = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Confluence Hierarchy
+ * Builds Confluence parent pages from docs/ directories the way the Docusaurus sidebar does:
+ * _category_.json label/description/position, generated-index child listings,
+ * category index docs (index.md, README.md, <dir>/<dir>.md) as parent page body
+ * and sibling ordering by position / sidebar_position
+ */
+class ConfluenceHierarchy {
+  /**
+   * @param {ConfluenceClient} client - Confluence client
+   * @param {StateManager} stateManager - Confluence state manager
+   * @param {string} docsDir - Absolute path to docs directory
+   */
+  constructor(client, stateManager, docsDir) {
+    this.client = client;
+    this.stateManager = stateManager;
+    this.docsDir = docsDir;
+    this.categories = new Map(); // category path -> category info
+  }
+
+  /**
+   * Collect categories (including intermediate directories) for scanned documents
+   * @param {Array} documents - Documents from DocusaurusScanner.scanDocs()
+   * @param {Map} sidebarCategories - Categories from SidebarResolver (replaces the directory structure)
+   * @returns {Map} - category path -> {path, segment, parentPath, depth, data, indexDocument, title, position}
+   */
+  async buildCategories(documents, sidebarCategories = null) {
+    this.categories.clear();
+
+    if (sidebarCategories) {
+      for (const category of sidebarCategories.values()) {
+        this.categories.set(category.path, {
+          ...category,
+          depth: category.path.split('/').length,
+          title: category.data.label,
+          position: category.data.position
+        });
+      }
+      return this.categories;
+    }
+
+    for (const document of documents) {
+      const segments = this.toCategoryPath(document.category).split('/').filter(Boolean);
+      let categoryPath = '';
+
+      for (const segment of segments) {
+        const parentPath = categoryPath;
+        categoryPath = categoryPath ? `${categoryPath}/${segment}` : segment;
+
+        if (!this.categories.has(categoryPath)) {
+          this.categories.set(categoryPath, {
+            path: categoryPath,
+            segment,
+            parentPath: parentPath || null,
+            depth: categoryPath.split('/').length,
+            data: await this.loadCategoryData(categoryPath),
+            indexDocument: null
+          });
+        }
+      }
+    }
+
+    for (const document of documents) {
+      const category = this.categories.get(this.toCategoryPath(document.category));
+      const rank = category ? this.indexRank(document, category) : -1;
+      if (rank !== -1 && (!category.indexDocument || rank < this.indexRank(category.indexDocument, category))) {
+        category.indexDocument = document;
+      }
+    }
+
+    for (const category of this.categories.values()) {
+      category.title = category.data.label ||
+        category.indexDocument?.title ||
+        this.client.formatCategoryTitle(category.segment);
+      category.position = category.data.position ?? category.indexDocument?.sidebarPosition;
+    }
+
+    return this.categories;
+  }
+
+  /**
+   * Load _category_.json (or .yml) for a category directory
+   * @param {string} categoryPath - Category path relative to docs/
+   * @returns {Object} Category data or empty object
+   */
+  async loadCategoryData(categoryPath) {
+    return SidebarResolver.loadCategoryFileSync(path.join(this.docsDir, categoryPath));
+  }
+
+  /**
+   * Rank document as category index: index.md (0), README.md (1), same name as directory (2), not an index (-1)
+   */
+  indexRank(document, category) {
+    const name = path.basename(document.relativePath, path.extname(document.relativePath)).toLowerCase();
+    return [...INDEX_NAMES, category.segment.toLowerCase()].indexOf(name);
+  }
+
+  /**
+   * Get category whose parent page body comes from this document
+   * @param {Object} document - Scanned document
+   * @returns {Object|null} Category info or null
+   */
+  getIndexCategory(document) {
+    const category = this.categories.get(this.toCategoryPath(document.category));
+    return category && category.indexDocument === document ? category : null;
+  }
+
+  /**
+   * Create or update parent pages for all categories
+   * @param {string} rootParentId - Root page ID (null for space root)
+   * @param {boolean} dryRun - Resolve existing pages only, create/update nothing
+   * @returns {Map} - category path -> Confluence page ID
+   */
+  async ensureCategoryPages(rootParentId = null, dryRun = false) {
+    const hierarchyMap = new Map();
+    const categories = [...this.categories.values()].sort((a, b) => a.depth - b.depth);
+
+    for (const category of categories) {
+      const parentId = category.parentPath ? hierarchyMap.get(category.parentPath) : rootParentId;
+      const content = category.indexDocument ? null : this.buildCategoryContent(category);
+      const contentHash = this.hashCategory(category, content);
+      const categoryState = this.stateManager.getCategoryState(category.path);
+
+      category.parentId = parentId;
+      category.contentHash = contentHash;
+      category.changed = categoryState?.contentHash !== contentHash;
+
+      let page = await this.findCategoryPage(category, categoryState, parentId);
+      const level = '  '.repeat(category.depth - 1);
+
+      if (dryRun) {
+        hierarchyMap.set(category.path, page ? page.id : null);
+        continue;
+      }
+
+      if (!page) {
+        console.log(chalk.blue(`${level}📁 Creating parent page: ${category.title} (${category.path})`));
+        page = await this.client.createPage(category.title, content || this.buildCategoryContent(category), parentId);
+      } else if (content && category.changed) {
+        // Index-backed pages are updated together with their index document
+        console.log(chalk.blue(`${level}📁 Updating parent page: ${category.title} (${category.path})`));
+        const version = page.version?.number || 1;
+        page = await this.client.updatePage(page.id, category.title, content, version + 1);
+      }
+
+      hierarchyMap.set(category.path, page.id);
+
+      if (!category.indexDocument) {
+        this.saveCategoryState(category, page.id);
+      }
+    }
+
+    return hierarchyMap;
+  }
+
+  /**
+   * Find existing parent page by tracked ID, then by title under parent
+   */
+  async findCategoryPage(category, categoryState, parentId) {
+    if (categoryState?.confluenceId) {
+      try {
+        return await this.client.getPageById(categoryState.confluenceId);
+      } catch (error) {
+        // Page was deleted remotely, fall back to title lookup
+      }
+    }
+
+    return await this.client.findPageByTitleAndParent(category.title, parentId);
+  }
+
+  /**
+   * Remember parent page ID and rendered content hash
+   */
+  saveCategoryState(category, pageId) {
+    this.stateManager.setCategoryState(category.path, {
+      confluenceId: pageId,
+      title: category.title,
+      contentHash: category.contentHash,
+      parentId: category.parentId
+    });
+  }
+
+  /**
+   * Build storage format body for a category without index document
+   * @param {Object} category - Category info
+   * @returns {string} Confluence storage format
+   */
+  buildCategoryContent(category) {
+    const description = category.data.link?.description || category.data.description;
+    const intro = description
+      ? `<p>${this.escapeXml(description)}</p>`
+      : `<p>This page contains documentation for <strong>${this.escapeXml(category.title)}</strong>.</p>`;
+
+    // {type: 'link'} sidebar items
+    const links = (category.data.links || [])
+      .map(link => `<li><a href="${this.escapeXml(link.href)}">${this.escapeXml(link.label)}</a></li>`);
+    const content = links.length > 0 ? `${intro}\n<ul>${links.join('')}</ul>` : intro;
+
+    return this.appendChildListing(category, content);
+  }
+
+  /**
+   * Body of an index-backed parent page: index document content plus optional child listing
+   * @param {Object} category - Category info
+   * @param {string} content - Index document in storage format
+   * @returns {string} Confluence storage format
+   */
+  buildIndexContent(category, content) {
+    return this.appendChildListing(category, content);
+  }
+
+  /**
+   * Append a children macro for link.type: generated-index
+   */
+  appendChildListing(category, content) {
+    if (category.data.link?.type !== 'generated-index') {
+      return content;
+    }
+
+    return `${content}
+<ac:structured-macro ac:name="children">
+  <ac:parameter ac:name="excerptType">simple</ac:parameter>
+</ac:structured-macro>`;
+  }
+
+  /**
+   * Hash what the parent page renders so unchanged categories are not updated
+   */
+  hashCategory(category, content) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({
+        title: category.title,
+        content,
+        index: category.indexDocument?.relativePath || null,
+        listing: category.data.link?.type === 'generated-index'
+      }))
+      .digest('hex');
+  }
+
+  /**
+   * Order sibling pages by position / sidebar_position, then by file name, using the move API
+   * @param {string} rootParentId - Root page ID
+   * @param {Array} documents - Scanned documents
+   * @param {Map} hierarchyMap - category path -> page ID
+   * @param {Function} getDocumentPageId - (document) => page ID
+   * @returns {number} Number of pages moved
+   */
+  async orderSiblings(rootParentId, documents, hierarchyMap, getDocumentPageId) {
+    const siblings = new Map(); // parent category path ('' for root) -> [{pageId, position, name}]
+    const addSibling = (parentPath, entry) => {
+      if (!entry.pageId) {
+        return;
+      }
+      if (!siblings.has(parentPath)) {
+        siblings.set(parentPath, []);
+      }
+      siblings.get(parentPath).push({ ...entry, pageId: String(entry.pageId) });
+    };
+
+    for (const category of this.categories.values()) {
+      addSibling(category.parentPath || '', {
+        pageId: hierarchyMap.get(category.path),
+        position: category.position,
+        name: category.segment
+      });
+    }
+
+    for (const document of documents) {
+      if (this.getIndexCategory(document)) {
+        continue;
+      }
+      addSibling(this.toCategoryPath(document.category), {
+        pageId: getDocumentPageId(document),
+        position: document.sidebarPosition,
+        name: path.basename(document.relativePath, path.extname(document.relativePath))
+      });
+    }
+
+    let moved = 0;
+
+    for (const [parentPath, entries] of siblings) {
+      const parentId = parentPath ? hierarchyMap.get(parentPath) : rootParentId;
+      if (!parentId || entries.length < 2) {
+        continue; // Space root children cannot be listed in order
+      }
+
+      const desired = this.sortSiblings(entries).map(entry => entry.pageId);
+      const desiredSet = new Set(desired);
+      let children;
+      try {
+        children = await this.client.getPageChildren(parentId);
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Could not list the child pages of ${parentId}: ${error.message}`));
+        continue;
+      }
+      const current = children
+        .map(child => String(child.id))
+        .filter(id => desiredSet.has(id));
+
+      if (current.join(',') === desired.join(',')) {
+        continue;
+      }
+
+      for (let i = 1; i < desired.length; i++) {
+        try {
+          await this.client.movePage(desired[i], desired[i - 1], 'after');
+          moved++;
+        } catch (error) {
+          console.warn(chalk.yellow(`⚠️ Could not reorder page ${desired[i]}: ${error.message}`));
+        }
+      }
+    }
+
+    if (moved > 0) {
+      console.log(chalk.blue(`↕️ Reordered ${moved} page(s) by sidebar position`));
+    }
+
+    return moved;
+  }
+
+  /**
+   * Sort siblings like the Docusaurus autogenerated sidebar: positioned items first, then by name
+   */
+  sortSiblings(entries) {
+    const positionOf = entry => (typeof entry.position === 'number' ? entry.position : UNPOSITIONED);
+
+    return [...entries].sort((a, b) => {
+      if (positionOf(a) !== positionOf(b)) {
+        return positionOf(a) - positionOf(b);
+      }
+      return a.name.localeCompare(b.name);
+    });
+  }
+
+  /**
+   * Normalize document category to forward-slash path ('' for docs root)
+   */
+  toCategoryPath(category) {
+    return category ? category.split(path.sep).join('/') : '';
+  }
+
+  /**
+   * Escape text for storage format
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = ConfluenceHierarchy;
@@ -0,0 +1,481 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const AdmonitionProcessor = require('./admonition-processor');
+const DiagramProcessor = require('./diagram-processor');
+
+const BLOCK_TAGS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table', 'pre', 'blockquote', 'hr',
+  'div', 'section', 'ac:layout', 'ac:layout-section', 'ac:layout-cell', 'ac:task-list', 'docflu-diagram'
+]);
+
+// Macros docflu generates itself (child listings, TOC) - dropped on pull
+const GENERATED_MACROS = new Set(['children', 'toc']);
+
+const PAGE_URL_REGEX = /\/pages\/(?:viewpage\.action\?pageId=)?(\d+)(?:[/?][^#]*)?(?:#(.*))?$/;
+
+/**
+ * Confluence To Markdown
+ * Converts Confluence storage format back into Docusaurus markdown for `docflu pull`:
+ * headings, lists, tables, code macros, admonition macros, links, images and
+ * docflu diagrams (decoded from their DOCFLU_DIAGRAM_METADATA comments)
+ */
+class ConfluenceToMarkdown {
+  /**
+   * @param {Object} options - {stateManager, diagramProcessor}
+   */
+  constructor(options = {}) {
+    this.stateManager = options.stateManager || null;
+    this.diagramProcessor = options.diagramProcessor || null;
+    this.admonitionProcessor = new AdmonitionProcessor();
+    this.warnings = [];
+  }
+
+  /**
+   * Convert a page body to markdown
+   * @param {string} storage - Confluence storage format
+   * @param {Object} options - {filePath: docs-relative path of the target file, originalMarkdown: current file body}
+   * @returns {string} Markdown body (without frontmatter)
+   */
+  convert(storage, options = {}) {
+    this.warnings = [];
+    this.context = {
+      filePath: options.filePath || null,
+      images: this.collectImageSources(options.originalMarkdown || '')
+    };
+
+    const $ = cheerio.load(this.decodeDiagrams(storage || ''), {
+      xml: { xmlMode: false, decodeEntities: true, recognizeCDATA: true, recognizeSelfClosing: true }
+    }, false);
+    this.$ = $;
+
+    const markdown = this.renderBlocks($.root().contents().toArray());
+    return markdown.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+  }
+
+  /**
+   * Turn diagram images / plugin macros back into placeholder elements carrying the diagram source
+   */
+  decodeDiagrams(storage) {
+    // Keep code macro bodies out of the diagram decoder and fence matching
+    const cdata = [];
+    let content = storage.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match) => {
+      cdata.push(match);
+      return `<![CDATA[DOCFLU_CDATA_${cdata.length - 1}]]>`;
+    });
+
+    const decoder = this.diagramProcessor || DiagramProcessor.prototype;
+    content = decoder.convertConfluenceDiagramsToMarkdown(content);
+
+    // The fence meta (diagram settings such as theme=forest) may hold quotes, so it is encoded like the code
+    content = content.replace(/\n```([\w-]+)([^\n]*)\n([\s\S]*?)\n```\n/g, (match, type, meta, code) => {
+      return `<docflu-diagram data-type="${type}" data-meta="${Buffer.from(meta.trim()).toString('base64')}" data-code="${Buffer.from(code).toString('base64')}"></docflu-diagram>`;
+    });
+
+    return content.replace(/<!\[CDATA\[DOCFLU_CDATA_(\d+)\]\]>/g, (match, index) => cdata[index]);
+  }
+
+  /**
+   * Map image file names to the src used in the current markdown so pulled images keep their paths
+   */
+  collectImageSources(markdown) {
+    const images = new Map();
+    const imageRegex = /!\[[^\]]*\]\(([^)\s]+)[^)]*\)|<img[^>]*src=["']([^"']+)["']/g;
+    let match;
+
+    while ((match = imageRegex.exec(markdown)) !== null) {
+      const src = match[1] || match[2];
+      images.set(path.posix.basename(src.split(/[?#]/)[0]), src);
+    }
+
+    return images;
+  }
+
+  /**
+   * Render a list of nodes as markdown blocks separated by blank lines
+   */
+  renderBlocks(nodes) {
+    const blocks = [];
+    let inline = [];
+
+    const flushInline = () => {
+      const text = this.renderInlineNodes(inline).trim();
+      if (text) {
+        blocks.push(text);
+      }
+      inline = [];
+    };
+
+    for (const node of nodes) {
+      if (this.isBlock(node)) {
+        flushInline();
+        const block = this.renderBlock(node);
+        if (block && block.trim()) {
+          blocks.push(block.replace(/\s+$/, ''));
+        }
+      } else {
+        inline.push(node);
+      }
+    }
+
+    flushInline();
+    return blocks.join('\n\n');
+  }
+
+  /**
+   * Check if a node renders as its own markdown block
+   */
+  isBlock(node) {
+    if (node.type !== 'tag') {
+      return false;
+    }
+    if (node.name === 'ac:structured-macro') {
+      return this.getMacroName(node) !== 'status';
+    }
+    if (node.name === 'ac:image') {
+      return this.isCenteredImage(node);
+    }
+    return BLOCK_TAGS.has(node.name);
+  }
+
+  /**
+   * Render a block-level element
+   */
+  renderBlock(node) {
+    const $node = this.$(node);
+    const headingMatch = node.name.match(/^h([1-6])$/);
+
+    if (headingMatch) {
+      return `${'#'.repeat(Number(headingMatch[1]))} ${this.renderInline(node).trim()}`;
+    }
+
+    switch (node.name) {
+      case 'p':
+        // Paragraphs holding only block content (e.g. images wrapped by the editor)
+        return node.children.some(child => this.isBlock(child))
+          ? this.renderBlocks(node.children)
+          : this.renderInline(node).trim();
+      case 'ul':
+      case 'ol':
+        return this.renderList(node);
+      case 'ac:task-list':
+        return this.renderTaskList(node);
+      case 'table':
+        return this.renderTable(node);
+      case 'pre':
+        return this.renderFence($node.text().replace(/\n$/, ''), $node.find('code').attr('class')?.replace(/^language-/, '') || '');
+      case 'blockquote':
+        return this.renderBlocks(node.children).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      case 'hr':
+        return '---';
+      case 'ac:structured-macro':
+        return this.renderMacro(node);
+      case 'ac:image':
+        return this.renderImage(node);
+      case 'docflu-diagram':
+        return this.renderFence(
+          Buffer.from($node.attr('data-code'), 'base64').toString('utf8'),
+          [$node.attr('data-type'), Buffer.from($node.attr('data-meta') || '', 'base64').toString('utf8')].filter(Boolean).join(' ')
+        );
+      default:
+        return this.renderBlocks(node.children);
+    }
+  }
+
+  /**
+   * Render Confluence macros: code, admonitions, expand
+   */
+  renderMacro(node) {
+    const name = this.getMacroName(node);
+    const parameters = this.getMacroParameters(node);
+    const body = this.findChild(node, 'ac:rich-text-body');
+
+    if (name === 'code' || name === 'noformat') {
+      const code = this.$(this.findChild(node, 'ac:plain-text-body')).text();
+      const info = [parameters.language, parameters.title && `title="${parameters.title}"`].filter(Boolean).join(' ');
+      return this.renderFence(code, info);
+    }
+
+    if (GENERATED_MACROS.has(name)) {
+      return '';
+    }
+
+    if (name === 'expand') {
+      const summary = parameters.title || 'Details';
+      return `<details>\n<summary>${summary}</summary>\n\n${body ? this.renderBlocks(body.children) : ''}\n\n</details>`;
+    }
+
+    const admonition = this.admonitionProcessor.fromConfluenceMacro(name, parameters.title || null);
+    if (admonition) {
+      const opening = admonition.title ? `:::${admonition.kind} ${admonition.title}` : `:::${admonition.kind}`;
+      return `${opening}\n${body ? this.renderBlocks(body.children) : ''}\n:::`;
+    }
+
+    this.warnings.push(`Unsupported macro "${name}" was dropped`);
+    return body ? this.renderBlocks(body.children) : '';
+  }
+
+  /**
+   * Render ul/ol with nested lists indented under their item
+   */
+  renderList(node) {
+    const ordered = node.name === 'ol';
+    const start = Number(this.$(node).attr('start')) || 1;
+    const items = node.children.filter(child => child.type === 'tag' && child.name === 'li');
+
+    return items.map((item, index) => {
+      const marker = ordered ? `${start + index}.` : '-';
+      return this.indentItem(marker, this.renderBlocks(item.children));
+    }).join('\n');
+  }
+
+  /**
+   * Render ac:task-list as GFM task items
+   */
+  renderTaskList(node) {
+    return node.children
+      .filter(child => child.type === 'tag' && child.name === 'ac:task')
+      .map(task => {
+        const status = this.$(this.findChild(task, 'ac:task-status')).text().trim();
+        const body = this.findChild(task, 'ac:task-body');
+        const text = body ? this.renderBlocks(body.children) : '';
+        return this.indentItem(status === 'complete' ? '- [x]' : '- [ ]', text);
+      })
+      .join('\n');
+  }
+
+  /**
+   * Prefix the first line of a list item with its marker and indent the rest
+   */
+  indentItem(marker, content) {
+    const indent = ' '.repeat(marker.replace(/ \[.\]$/, '').length + 1);
+    const lines = content.replace(/\n\n(?=\s*(?:[-*]|\d+\.)\s)/g, '\n').split('\n');
+
+    return lines
+      .map((line, index) => (index === 0 ? `${marker} ${line}` : (line ? `${indent}${line}` : '')))
+      .join('\n');
+  }
+
+  /**
+   * Render table as GFM table (first row is the header)
+   */
+  renderTable(node) {
+    const rows = this.$(node).find('tr').toArray()
+      .map(row => row.children
+        .filter(cell => cell.type === 'tag' && (cell.name === 'th' || cell.name === 'td'))
+        .map(cell => this.renderBlocks(cell.children).replace(/\n+/g, '<br />').replace(/\|/g, '\\|')));
+
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const formatRow = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+
+    return [
+      formatRow(rows[0]),
+      `| ${Array(columns).fill('---').join(' | ')} |`,
+      ...rows.slice(1).map(formatRow)
+    ].join('\n');
+  }
+
+  /**
+   * Render fenced code block, lengthening the fence if the code contains backticks
+   */
+  renderFence(code, info = '') {
+    const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${info}\n${code.replace(/\n$/, '')}\n${fence}`;
+  }
+
+  /**
+   * Render the inline children of an element
+   */
+  renderInline(node) {
+    return this.renderInlineNodes(node.children || []);
+  }
+
+  /**
+   * Render inline nodes, collapsing whitespace like HTML does
+   */
+  renderInlineNodes(nodes) {
+    return nodes.map(node => this.renderInlineNode(node)).join('').replace(/[ \t\n]+/g, ' ').replace(/ ?<br \/> ?/g, '<br />');
+  }
+
+  renderInlineNode(node) {
+    if (node.type === 'text') {
+      // The Confluence editor inserts non-breaking spaces liberally
+      return node.data.replace(/\u00a0/g, ' ');
+    }
+    if (node.type === 'cdata') {
+      return this.$(node).text();
+    }
+    if (node.type !== 'tag') {
+      return '';
+    }
+
+    switch (node.name) {
+      case 'strong':
+      case 'b':
+        return this.wrap(this.renderInline(node), '**');
+      case 'em':
+      case 'i':
+        return this.wrap(this.renderInline(node), '*');
+      case 'del':
+      case 's':
+        return this.wrap(this.renderInline(node), '~~');
+      case 'code':
+        return this.wrap(this.$(node).text(), '`');
+      case 'sup':
+      case 'sub':
+        return `<${node.name}>${this.renderInline(node)}</${node.name}>`;
+      case 'br':
+        return '<br />';
+      case 'a':
+        return this.renderLink(this.renderInline(node), this.$(node).attr('href') || '');
+      case 'ac:link':
+        return this.renderConfluenceLink(node);
+      case 'ac:image':
+      case 'img':
+        return this.renderImage(node);
+      case 'ac:emoticon':
+        return '';
+      case 'time':
+        return this.$(node).attr('datetime') || this.renderInline(node);
+      case 'ac:structured-macro':
+        // Anchor macros are the custom IDs of headings
+        if (this.getMacroName(node) === 'anchor') {
+          return ` {#${this.getMacroParameters(node)['']}}`;
+        }
+        return this.getMacroParameters(node).title || '';
+      default:
+        return this.isBlock(node) ? ` ${this.renderBlock(node)} ` : this.renderInline(node);
+    }
+  }
+
+  /**
+   * Wrap text in an inline marker, keeping surrounding whitespace outside the marker
+   */
+  wrap(text, marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+  }
+
+  /**
+   * Render <a href>, turning links to tracked pages back into relative .md links
+   */
+  renderLink(text, href) {
+    const target = this.resolvePageUrl(href) || href;
+    return `[${text.trim() || target}](${target})`;
+  }
+
+  /**
+   * Render <ac:link> (page, attachment or anchor links inserted by the Confluence editor)
+   */
+  renderConfluenceLink(node) {
+    const $node = this.$(node);
+    const anchor = $node.attr('ac:anchor');
+    const page = this.findChild(node, 'ri:page');
+    const attachment = this.findChild(node, 'ri:attachment');
+    const body = this.findChild(node, 'ac:plain-text-link-body') || this.findChild(node, 'ac:link-body');
+
+    let target = anchor ? `#${anchor}` : '';
+    let text = body ? this.$(body).text() : '';
+
+    if (page) {
+      const title = this.$(page).attr('ri:content-title');
+      const filePath = this.findFileByPageTitle(title);
+      target = filePath ? `${this.relativeDocPath(filePath)}${target}` : target;
+      text = text || title;
+    } else if (attachment) {
+      const fileName = this.$(attachment).attr('ri:filename');
+      target = this.context.images.get(fileName) || `./${fileName}`;
+      text = text || fileName;
+    }
+
+    return target ? `[${text || target}](${target})` : text;
+  }
+
+  /**
+   * Render attachment or external image
+   */
+  renderImage(node) {
+    const $node = this.$(node);
+
+    if (node.name === 'img') {
+      return `![${$node.attr('alt') || ''}](${$node.attr('src') || ''})`;
+    }
+
+    const attachment = this.findChild(node, 'ri:attachment');
+    const url = this.findChild(node, 'ri:url');
+    const alt = $node.attr('ac:alt') || '';
+
+    if (attachment) {
+      const fileName = this.$(attachment).attr('ri:filename');
+      return `![${alt}](${this.context.images.get(fileName) || `./${fileName}`})`;
+    }
+
+    return url ? `![${alt}](${this.$(url).attr('ri:value')})` : '';
+  }
+
+  /**
+   * Resolve a Confluence page URL to a relative markdown path of a tracked file
+   * @param {string} href - Link target
+   * @returns {string|null} Relative path (with anchor) or null for other URLs
+   */
+  resolvePageUrl(href) {
+    const match = href.match(PAGE_URL_REGEX);
+    if (!match || !this.stateManager) {
+      return null;
+    }
+
+    const filePath = this.findFileByPageId(match[1]);
+    if (!filePath) {
+      return null;
+    }
+
+    return `${this.relativeDocPath(filePath)}${match[2] ? `#${match[2]}` : ''}`;
+  }
+
+  findFileByPageId(pageId) {
+    const pages = this.stateManager ? this.stateManager.getAllPages() : {};
+    return Object.keys(pages).find(filePath => String(pages[filePath].confluenceId) === String(pageId)) || null;
+  }
+
+  findFileByPageTitle(title) {
+    const pages = this.stateManager ? this.stateManager.getAllPages() : {};
+    return Object.keys(pages).find(filePath => pages[filePath].title === title) || null;
+  }
+
+  /**
+   * Path of a docs-relative file as seen from the file being pulled
+   */
+  relativeDocPath(filePath) {
+    const fromDir = this.context.filePath ? path.posix.dirname(this.context.filePath) : '.';
+    const relative = path.posix.relative(fromDir, filePath);
+    return relative.startsWith('.') ? relative : `./${relative}`;
+  }
+
+  isCenteredImage(node) {
+    return node.attribs['ac:align'] === 'center';
+  }
+
+  getMacroName(node) {
+    return node.attribs['ac:name'];
+  }
+
+  getMacroParameters(node) {
+    const parameters = {};
+    for (const child of node.children) {
+      if (child.type === 'tag' && child.name === 'ac:parameter') {
+        parameters[child.attribs['ac:name']] = this.$(child).text();
+      }
+    }
+    return parameters;
+  }
+
+  findChild(node, name) {
+    return (node.children || []).find(child => child.type === 'tag' && child.name === name) || null;
+  }
+}
+
+module.exports = ConfluenceToMarkdown;
@@ -0,0 +1,155 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Content Hasher
+ * Computes a stable hash of a markdown file and the local files it depends on
+ * (images, diagram files, imported MDX partials) for change detection
+ */
+class ContentHasher {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.staticDir = path.join(projectRoot, 'static');
+
+    this.patterns = {
+      markdownImage: /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g,
+      htmlImage: /<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi,
+      referenceImage: /^\s*\[[^\]]+\]:\s*<?([^\s>]+)>?/gm,
+      partialImport: /^import\s+[^;]*?from\s+['"]([^'"]+\.mdx?)['"]/gm
+    };
+  }
+
+  /**
+   * Hash a markdown file together with its resolved dependencies
+   * @param {string} filePath - Absolute path to markdown file
+   * @returns {Object} - {hash, dependencies} where dependencies are project-relative paths
+   */
+  async hashDocument(filePath) {
+    const dependencies = await this.collectDependencies(filePath);
+    const hash = crypto.createHash('sha256');
+
+    hash.update(await fs.readFile(filePath));
+
+    for (const dependency of dependencies) {
+      hash.update('\0' + this.toProjectPath(dependency) + '\0');
+      hash.update(await this.isFile(dependency) ? await this.hashFile(dependency) : 'missing');
+    }
+
+    return {
+      hash: hash.digest('hex'),
+      dependencies: dependencies.map(dependency => this.toProjectPath(dependency))
+    };
+  }
+
+  /**
+   * Collect local files referenced by a markdown file, following imported partials recursively
+   * @param {string} filePath - Absolute path to markdown file
+   * @param {Set} visited - Files already processed (cycle guard)
+   * @returns {Array<string>} - Sorted absolute paths (missing files included so that adding them changes the hash)
+   */
+  async collectDependencies(filePath, visited = new Set()) {
+    visited.add(filePath);
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const baseDir = path.dirname(filePath);
+    const dependencies = new Set();
+
+    const references = [
+      ...this.matchAll(this.patterns.markdownImage, content),
+      ...this.matchAll(this.patterns.htmlImage, content),
+      ...this.matchAll(this.patterns.referenceImage, content).filter(ref => this.isAssetPath(ref))
+    ];
+
+    for (const reference of references) {
+      const resolved = this.resolveReference(reference, baseDir);
+      if (resolved) {
+        dependencies.add(resolved);
+      }
+    }
+
+    for (const reference of this.matchAll(this.patterns.partialImport, content)) {
+      const resolved = this.resolveReference(reference, baseDir);
+      if (!resolved) {
+        continue;
+      }
+
+      dependencies.add(resolved);
+      if (!visited.has(resolved) && await this.isFile(resolved)) {
+        const nested = await this.collectDependencies(resolved, visited);
+        nested.forEach(dependency => dependencies.add(dependency));
+      }
+    }
+
+    dependencies.delete(filePath);
+    return [...dependencies].sort();
+  }
+
+  /**
+   * Resolve a reference to an absolute local path
+   * @param {string} reference - Path as written in markdown
+   * @param {string} baseDir - Directory of the referencing file
+   * @returns {string|null} - Absolute path or null for remote/anchor references
+   */
+  resolveReference(reference, baseDir) {
+    if (!reference || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference)) {
+      return null; // http:, data:, mailto:, protocol-relative and anchors
+    }
+
+    let cleanPath = reference.split(/[?#]/)[0];
+    try {
+      cleanPath = decodeURI(cleanPath);
+    } catch (error) {
+      // Keep undecoded path
+    }
+
+    if (cleanPath.startsWith('@site/')) {
+      return path.join(this.projectRoot, cleanPath.slice('@site/'.length));
+    }
+    if (cleanPath.startsWith('@')) {
+      return null; // Theme or package alias
+    }
+    if (cleanPath.startsWith('/')) {
+      return path.join(this.staticDir, cleanPath);
+    }
+
+    return path.resolve(baseDir, cleanPath);
+  }
+
+  /**
+   * Check if a link reference definition points to an asset (not a page)
+   */
+  isAssetPath(reference) {
+    return /\.(png|jpe?g|gif|svg|webp|bmp|ico|mmd|puml|plantuml|dot|gv|d2|drawio)$/i.test(reference.split(/[?#]/)[0]);
+  }
+
+  /**
+   * Check if path exists and is a regular file
+   */
+  async isFile(filePath) {
+    return await fs.pathExists(filePath) && (await fs.stat(filePath)).isFile();
+  }
+
+  /**
+   * Hash a single file
+   */
+  async hashFile(filePath) {
+    return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+  }
+
+  /**
+   * Convert absolute path to project-relative path with forward slashes
+   */
+  toProjectPath(filePath) {
+    return path.relative(this.projectRoot, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Collect first capture group of all matches
+   */
+  matchAll(regex, content) {
+    return [...content.matchAll(regex)].map(match => match[1]);
+  }
+}
+
+module.exports = ContentHasher;
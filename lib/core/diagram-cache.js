@@ -0,0 +1,204 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { execCommand } = require('./diagrams/cli-tools');
+const chalk = require('chalk');
+
+// Bumped when a change to docflu's own post-processing makes cached renders stale
+const CACHE_VERSION = 1;
+
+// Renderer version lookups (promises), run once per process
+const rendererVersions = new Map();
+
+/**
+ * Diagram Cache
+ * Content-addressed store of rendered diagrams under .docusaurus/diagram-cache/, shared by the
+ * Confluence, Notion and Google Docs diagram processors. A render is keyed by diagram type, source,
+ * output format, renderer version and theme, so unchanged diagrams are not rendered again on later
+ * runs. The cache also records what was uploaded where, so unchanged attachments are not re-uploaded.
+ */
+class DiagramCache {
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.cacheDir = path.join(projectRoot, '.docusaurus', 'diagram-cache');
+  }
+
+  /**
+   * Cache key of a render
+   * @param {Object} entry - {type, code, format, renderer, theme, variant}
+   * @returns {string} sha256 hex digest
+   */
+  getKey(entry) {
+    const { type, code, format = 'svg', renderer = null, theme = 'default', variant = null } = entry;
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([CACHE_VERSION, type, code.trim(), format, renderer, theme, variant]))
+      .digest('hex');
+  }
+
+  /**
+   * Path of a cached render
+   * @param {Object} entry - Render entry
+   * @returns {string} Absolute file path
+   */
+  getPath(entry) {
+    return path.join(this.cacheDir, entry.type, `${this.getKey(entry)}.${entry.format || 'svg'}`);
+  }
+
+  /**
+   * Get a cached render
+   * @param {Object} entry - Render entry
+   * @returns {Promise<string|null>} Path of the cached file, or null
+   */
+  async get(entry) {
+    const cachedPath = this.getPath(entry);
+    return await fs.pathExists(cachedPath) ? cachedPath : null;
+  }
+
+  /**
+   * Store a rendered file (moved into the cache)
+   * @param {Object} entry - Render entry
+   * @param {string} filePath - Rendered file
+   * @returns {Promise<string>} Path of the cached file
+   */
+  async put(entry, filePath) {
+    const cachedPath = this.getPath(entry);
+    // Written under a unique name first: pages synced in parallel may render the same diagram
+    const tempPath = `${cachedPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.ensureDir(path.dirname(cachedPath));
+    await fs.copy(filePath, tempPath);
+    await fs.move(tempPath, cachedPath, { overwrite: true });
+    await fs.remove(filePath).catch(() => {});
+    return cachedPath;
+  }
+
+  /**
+   * Get a cached render, or render it and cache the result
+   * @param {Object} entry - Render entry
+   * @param {Function} renderFn - async () => path of the rendered file, or null when rendering failed
+   * @returns {Promise<string|null>} Path of the cached file, or null when rendering failed
+   */
+  async render(entry, renderFn) {
+    const cachedPath = await this.get(entry);
+    if (cachedPath) {
+      console.log(chalk.gray(`♻️ Using cached ${entry.type} diagram`));
+      return cachedPath;
+    }
+
+    const renderedPath = await renderFn();
+    if (!renderedPath || !await fs.pathExists(renderedPath)) {
+      return null;
+    }
+    return this.put(entry, renderedPath);
+  }
+
+  /**
+   * Get the record of an earlier upload
+   * @param {string} platform - 'confluence', 'notion' or 'google-docs'
+   * @param {string} target - Upload target (e.g. page ID and file name)
+   * @returns {Promise<Object|null>} {hash, ...} as passed to setUpload()
+   */
+  async getUpload(platform, target) {
+    try {
+      return await fs.readJson(this.getUploadPath(platform, target));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record an upload, so the same content is not uploaded to the same target again
+   * @param {string} platform - 'confluence', 'notion' or 'google-docs'
+   * @param {string} target - Upload target (e.g. page ID and file name)
+   * @param {Object} record - {hash, ...} (hash of the uploaded content)
+   */
+  async setUpload(platform, target, record) {
+    await fs.outputJson(this.getUploadPath(platform, target), { ...record, uploadedAt: new Date().toISOString() });
+  }
+
+  /**
+   * File holding an upload record (one file per target, so parallel page syncs never share a file)
+   * @param {string} platform - Platform
+   * @param {string} target - Upload target
+   * @returns {string} Absolute file path
+   */
+  getUploadPath(platform, target) {
+    const key = crypto.createHash('sha256').update(`${platform}:${target}`).digest('hex');
+    return path.join(this.cacheDir, 'uploads', platform, `${key}.json`);
+  }
+
+  /**
+   * Count the cached files
+   * @returns {Promise<Object>} {files, bytes}
+   */
+  async getStats() {
+    const stats = { files: 0, bytes: 0 };
+
+    const walk = async dir => {
+      for (const name of await fs.readdir(dir)) {
+        const filePath = path.join(dir, name);
+        const fileStats = await fs.stat(filePath);
+        if (fileStats.isDirectory()) {
+          await walk(filePath);
+        } else {
+          stats.files++;
+          stats.bytes += fileStats.size;
+        }
+      }
+    };
+
+    if (await fs.pathExists(this.cacheDir)) {
+      await walk(this.cacheDir);
+    }
+    return stats;
+  }
+
+  /**
+   * Remove every cached render and upload record
+   * @returns {Promise<Object>} {files, bytes} removed
+   */
+  async clear() {
+    const stats = await this.getStats();
+    await fs.remove(this.cacheDir);
+    return stats;
+  }
+
+  /**
+   * Hash of a file's content
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} sha256 hex digest
+   */
+  static async hashFile(filePath) {
+    return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+  }
+
+  /**
+   * Version of a renderer CLI (first line of its version output), looked up once per process.
+   * The command runs without blocking, so pages synced in parallel keep going while it runs
+   * @param {string|null} command - Version command, e.g. 'mmdc --version' (null for remote renderers);
+   *   split on spaces and run without a shell
+   * @returns {Promise<string|null>} Version, or 'unknown' when the command fails
+   */
+  static getRendererVersion(command) {
+    if (!command) {
+      return Promise.resolve(null);
+    }
+    if (!rendererVersions.has(command)) {
+      const [file, ...args] = command.trim().split(/\s+/);
+      rendererVersions.set(command, execCommand(file, args, 30000).then(({ error, stdout, stderr }) => {
+        // Missing renderer: the render fails anyway and nothing is cached
+        if (error) {
+          return 'unknown';
+        }
+        // Some tools (dot -V, java -version) print their version on stderr
+        return (stdout || stderr).split('\n')[0] || 'unknown';
+      }));
+    }
+    return rendererVersions.get(command);
+  }
+}
+
+module.exports = DiagramCache;
@@ -0,0 +1,44 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { commandSucceeds, runCommand, installTool } = require('./cli-tools');
+const { optimizeSvg } = require('./svg-optimizer');
+
+/**
+ * BPMN renderer (bpmn-to-image), for BPMN 2.0 XML; .bpmn files referenced as images are rendered too
+ */
+module.exports = {
+  type: 'bpmn',
+  languages: ['bpmn'],
+  extensions: ['.bpmn'],
+  formats: ['svg', 'png'],
+  versionCommand: 'bpmn-to-image --version',
+
+  async check() {
+    return commandSucceeds('bpmn-to-image', ['--version']);
+  },
+
+  async install() {
+    return installTool('bpmn-to-image', {
+      all: 'npm install -g bpmn-to-image',
+      manual: 'https://github.com/bpmn-io/bpmn-to-image'
+    });
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    const inputFile = path.join(tempDir, `${id}${theme.dark ? '-dark' : ''}.bpmn`);
+    try {
+      await fs.writeFile(inputFile, code, 'utf8');
+      await runCommand('bpmn-to-image', ['--no-title', '--no-footer', `${inputFile}:${outputFile}`]);
+    } finally {
+      await fs.remove(inputFile);
+    }
+
+    if (format === 'svg') {
+      // No dark mode: dark renders keep their light colors and background
+      await fs.writeFile(outputFile, optimizeSvg(await fs.readFile(outputFile, 'utf8'), {
+        background: theme.dark ? null : theme.background,
+        font: theme.font
+      }), 'utf8');
+    }
+  }
+};
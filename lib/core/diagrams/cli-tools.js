@@ -0,0 +1,117 @@
+const { execSync, spawn } = require('child_process');
+const path = require('path');
+const chalk = require('chalk');
+
+// Renderer commands that hang (e.g. a headless browser that never starts) are stopped after
+// DOCFLU_RENDER_TIMEOUT seconds (default 120), installs after 10 minutes
+const DEFAULT_RENDER_TIMEOUT = 120;
+const INSTALL_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Run a command without blocking the event loop, so pages synced in parallel keep uploading
+ * while a diagram renders. Arguments are passed to the program as they are, without a shell,
+ * so file names and diagram settings are never interpreted as shell syntax. On POSIX the command
+ * gets a process group of its own, so a timeout also stops what it started (e.g. a headless browser)
+ * @param {string} file - Program
+ * @param {Array<string>} args - Arguments
+ * @param {number} timeout - Milliseconds before the command is stopped
+ * @returns {Promise<Object>} {error, timedOut, stdout, stderr}; error is null when the command exits with 0
+ */
+function execCommand(file, args, timeout) {
+  return new Promise(resolve => {
+    const command = [file, ...args].join(' ');
+    const ownGroup = process.platform !== 'win32';
+    const child = spawn(file, args, { stdio: ['ignore', 'pipe', 'pipe'], detached: ownGroup });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+
+    const finish = error => {
+      clearTimeout(timer);
+      resolve({ error, timedOut, stdout: stdout.trim(), stderr: stderr.trim() });
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        if (ownGroup) {
+          process.kill(-child.pid, 'SIGKILL');
+        } else {
+          child.kill('SIGKILL');
+        }
+      } catch (error) {
+        // Already exited
+      }
+      // Not waiting for the output to close: processes left running on Windows may hold it open
+      finish(new Error(`Command timed out: ${command}`));
+    }, timeout);
+
+    child.on('error', finish);
+    child.on('close', code => finish(code === 0 ? null : new Error(`Command failed: ${command}`)));
+  });
+}
+
+/**
+ * Whether a command runs successfully (used to detect renderer CLIs)
+ * @param {string} file - Program, e.g. 'dot'
+ * @param {Array<string>} args - Arguments, e.g. ['-V']
+ * @returns {Promise<boolean>} true when the command exits with 0
+ */
+async function commandSucceeds(file, args = []) {
+  const { error } = await execCommand(file, args, 30000);
+  return !error;
+}
+
+/**
+ * Run a renderer command, failing with its stderr rather than the bare exit status
+ * @param {string} file - Program
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - {timeout: milliseconds (default DOCFLU_RENDER_TIMEOUT seconds, else 120)}
+ * @returns {Promise<void>}
+ * @throws {Error} When the command fails; timedOut is true when it was stopped after the timeout
+ */
+async function runCommand(file, args = [], options = {}) {
+  const timeout = options.timeout || (parseInt(process.env.DOCFLU_RENDER_TIMEOUT, 10) || DEFAULT_RENDER_TIMEOUT) * 1000;
+  const { error, timedOut, stderr } = await execCommand(file, args, timeout);
+  if (!error) {
+    return;
+  }
+  if (timedOut) {
+    const timeoutError = new Error(`${path.basename(file)} did not finish within ${timeout / 1000}s and was stopped`);
+    timeoutError.timedOut = true;
+    throw timeoutError;
+  }
+  throw new Error(stderr || error.message);
+}
+
+/**
+ * Install a renderer CLI with the platform's package manager
+ * @param {string} name - Tool name for messages
+ * @param {Object} commands - Install command per platform ({darwin, linux, win32, all}) and a manual install URL
+ * @returns {boolean} true when installed
+ */
+function installTool(name, commands) {
+  const command = commands[process.platform] || commands.all;
+  if (!command) {
+    console.log(chalk.yellow(`Please install ${name} manually from: ${commands.manual}`));
+    return false;
+  }
+
+  console.log(chalk.blue(`📦 Installing ${name}...`));
+  try {
+    execSync(command, { stdio: 'inherit', timeout: INSTALL_TIMEOUT });
+    console.log(chalk.green(`✅ ${name} installed successfully`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`❌ Failed to install ${name}:`, error.message));
+    return false;
+  }
+}
+
+module.exports = { execCommand, commandSucceeds, runCommand, installTool, INSTALL_TIMEOUT };
@@ -0,0 +1,117 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { commandSucceeds, runCommand, installTool } = require('./cli-tools');
+const { optimizeD2Svg } = require('./svg-optimizer');
+
+// Shapes older d2 releases reject, mapped to the closest supported shape
+const SHAPE_MAPPING = {
+  folder: 'rectangle',
+  file: 'rectangle',
+  database: 'cylinder',
+  server: 'rectangle',
+  cloud: 'oval',
+  process: 'diamond',
+  stored_data: 'cylinder'
+};
+
+// D2 theme IDs by name (d2 themes ls)
+const D2_THEMES = {
+  'neutral-default': 0,
+  'neutral-grey': 1,
+  'flagship-terrastruct': 3,
+  'cool-classics': 4,
+  'mixed-berry-blue': 5,
+  'grape-soda': 6,
+  'aubergine': 7,
+  'colorblind-clear': 8,
+  'vanilla-nitro-cola': 100,
+  'orange-creamsicle': 101,
+  'shirley-temple': 102,
+  'earth-tones': 103,
+  'everglade-green': 104,
+  'buttered-toast': 105,
+  'dark-mauve': 200,
+  'dark-flagship-terrastruct': 201,
+  'terminal': 300,
+  'terminal-grayscale': 301,
+  'origami': 302
+};
+
+/**
+ * D2 theme ID of a theme variant
+ * @param {Object} theme - Theme variant {dark, theme}
+ * @returns {number} Theme ID: the named or numbered theme, else Neutral default (Dark Mauve for dark renders)
+ */
+function resolveThemeId(theme) {
+  const defaultId = theme.dark ? D2_THEMES['dark-mauve'] : D2_THEMES['neutral-default'];
+  if (theme.theme === null || theme.theme === undefined || theme.theme === '') {
+    return defaultId;
+  }
+  if (/^\d+$/.test(String(theme.theme))) {
+    return Number(theme.theme);
+  }
+  const themeId = D2_THEMES[String(theme.theme).toLowerCase().replace(/[\s_]+/g, '-')];
+  if (themeId === undefined) {
+    console.warn(chalk.yellow(`⚠️ Unknown D2 theme "${theme.theme}", using the default theme (known themes: ${Object.keys(D2_THEMES).join(', ')})`));
+    return defaultId;
+  }
+  return themeId;
+}
+
+/**
+ * Replace unsupported shapes in D2 source
+ * @param {string} code - D2 source
+ * @returns {string} Source d2 accepts
+ */
+function fixShapes(code) {
+  let fixedCode = code;
+  for (const [unsupported, supported] of Object.entries(SHAPE_MAPPING)) {
+    fixedCode = fixedCode.replace(new RegExp(`shape:\\s*${unsupported}\\b`, 'g'), `shape: ${supported}`);
+  }
+  return fixedCode;
+}
+
+/**
+ * D2 renderer (d2 CLI, dagre layout)
+ */
+module.exports = {
+  type: 'd2',
+  languages: ['d2'],
+  formats: ['svg', 'png'],
+  versionCommand: 'd2 --version',
+
+  async check() {
+    return commandSucceeds('d2', ['--version']);
+  },
+
+  async install() {
+    return installTool('D2', {
+      darwin: 'brew install d2',
+      linux: 'curl -fsSL https://d2lang.com/install.sh | sh -',
+      manual: 'https://d2lang.com/tour/install'
+    });
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    const inputFile = path.join(tempDir, `${id}${theme.dark ? '-dark' : ''}.d2`);
+    // The same theme for both schemes: light and dark renders are separate images
+    const themeId = resolveThemeId(theme);
+    try {
+      await fs.writeFile(inputFile, fixShapes(code), 'utf8');
+      await runCommand('d2', [inputFile, outputFile, `--theme=${themeId}`, `--dark-theme=${themeId}`, '--layout=dagre', '--pad=20']);
+    } catch (error) {
+      const shapeMatch = error.message.match(/unknown shape "([^"]+)"/);
+      if (shapeMatch) {
+        throw new Error(`${error.message}\n💡 Tip: D2 shape "${shapeMatch[1]}" is not supported. Try using: rectangle, circle, oval, diamond, cylinder, or person instead.`);
+      }
+      throw error;
+    } finally {
+      await fs.remove(inputFile);
+    }
+
+    if (format === 'svg') {
+      await fs.writeFile(outputFile, optimizeD2Svg(await fs.readFile(outputFile, 'utf8'), theme), 'utf8');
+    }
+  }
+};
@@ -0,0 +1,137 @@
+// Theme settings, set in the config file (diagrams.theme) or per diagram in the code fence meta
+// (```mermaid theme=forest width=800)
+const THEME_KEYS = {
+  theme: 'string|number', // renderer theme: Mermaid theme, PlantUML !theme, D2 theme name or ID
+  darkTheme: 'string|number', // theme of dark renders
+  background: 'string',
+  darkBackground: 'string',
+  font: 'string',
+  width: 'number', // image width in pixels
+  mode: 'string' // light, dark or both
+};
+
+const MODES = ['light', 'dark', 'both'];
+
+// Allowed characters of string settings: they end up in renderer arguments, configs and diagram sources
+const VALUE_PATTERNS = {
+  theme: { pattern: /^[\w .-]+$/, description: 'letters, digits, spaces, ".", "_" and "-"' },
+  darkTheme: { pattern: /^[\w .-]+$/, description: 'letters, digits, spaces, ".", "_" and "-"' },
+  background: { pattern: /^#?[0-9a-zA-Z]+$/, description: 'a color name or hex code' },
+  darkBackground: { pattern: /^#?[0-9a-zA-Z]+$/, description: 'a color name or hex code' },
+  font: { pattern: /^[\w .,-]+$/, description: 'letters, digits, spaces, ".", ",", "_" and "-"' }
+};
+
+const DEFAULT_DARK_BACKGROUND = '#1e1e1e';
+
+/**
+ * Check a setting value against the allowed characters of its key
+ * @param {string} key - Theme key
+ * @param {*} value - Value
+ * @returns {boolean} true when the value is allowed
+ */
+function isValidThemeValue(key, value) {
+  return typeof value !== 'string' || !VALUE_PATTERNS[key] || VALUE_PATTERNS[key].pattern.test(value);
+}
+
+/**
+ * Parse the meta of a diagram code fence (the text after the language)
+ * @param {string} meta - e.g. 'theme=forest font="Fira Sans" width=800'
+ * @returns {Object} Theme settings; unknown keys and values with disallowed characters are ignored
+ */
+function parseFenceMeta(meta) {
+  const settings = {};
+  const pairRegex = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+  let match;
+  while ((match = pairRegex.exec(meta || '')) !== null) {
+    const [, key, doubleQuoted, singleQuoted, bare] = match;
+    if (!THEME_KEYS[key]) {
+      continue;
+    }
+    const value = doubleQuoted ?? singleQuoted ?? bare;
+    if (!isValidThemeValue(key, value)) {
+      continue;
+    }
+    settings[key] = key === 'width' ? Number(value) : value;
+  }
+  return settings;
+}
+
+/**
+ * Validate theme settings: the shared ones, and per diagram type sections
+ * @param {Object} settings - diagrams.theme of the config file, e.g. {mode: 'both', mermaid: {theme: 'forest'}}
+ * @param {string} prefix - Key prefix for messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateThemeSettings(settings, prefix = 'diagrams.theme.') {
+  const errors = [];
+  const validate = (object, keyPrefix, allowTypes) => {
+    for (const [key, value] of Object.entries(object)) {
+      if (allowTypes && !THEME_KEYS[key] && value && typeof value === 'object' && !Array.isArray(value)) {
+        validate(value, `${keyPrefix}${key}.`, false);
+      } else if (!THEME_KEYS[key]) {
+        errors.push(`${keyPrefix}${key} is not a known option (expected ${Object.keys(THEME_KEYS).join(', ')}${allowTypes ? ' or a diagram type' : ''})`);
+      } else if (!THEME_KEYS[key].split('|').includes(typeof value)) {
+        errors.push(`${keyPrefix}${key} must be ${THEME_KEYS[key].replace('|', ' or ')}`);
+      } else if (!isValidThemeValue(key, value)) {
+        errors.push(`${keyPrefix}${key} must only contain ${VALUE_PATTERNS[key].description}`);
+      } else if (key === 'mode' && !MODES.includes(value)) {
+        errors.push(`${keyPrefix}mode must be one of ${MODES.join(', ')}`);
+      } else if (key === 'width' && !(value > 0)) {
+        errors.push(`${keyPrefix}width must be a positive number`);
+      }
+    }
+  };
+  validate(settings, prefix, true);
+  return errors;
+}
+
+/**
+ * Theme variants to render a diagram in
+ * @param {Object} projectSettings - diagrams.theme of the config file
+ * @param {string} type - Diagram type (selects the type's section of the project settings)
+ * @param {string} meta - Code fence meta of the diagram
+ * @returns {Array<Object>} [{variant: 'light'|'dark', dark, theme, background, font, width}]; light first,
+ *   and two variants in "both" mode. Unset values are null, for the renderer's defaults
+ */
+function resolveThemeVariants(projectSettings = {}, type = null, meta = '') {
+  const shared = {};
+  for (const [key, value] of Object.entries(projectSettings || {})) {
+    if (THEME_KEYS[key]) {
+      shared[key] = value;
+    }
+  }
+  const typeSettings = type && projectSettings && typeof projectSettings[type] === 'object' ? projectSettings[type] : {};
+  const settings = { ...shared, ...typeSettings, ...parseFenceMeta(meta) };
+  const mode = MODES.includes(settings.mode) ? settings.mode : 'light';
+  const common = {
+    font: settings.font || null,
+    width: settings.width > 0 ? settings.width : null
+  };
+
+  const variants = [];
+  if (mode !== 'dark') {
+    variants.push({ variant: 'light', dark: false, theme: settings.theme ?? null, background: settings.background || null, ...common });
+  }
+  if (mode !== 'light') {
+    variants.push({ variant: 'dark', dark: true, theme: settings.darkTheme ?? null, background: settings.darkBackground || DEFAULT_DARK_BACKGROUND, ...common });
+  }
+  return variants;
+}
+
+/**
+ * Diagram cache key part of a theme variant; a light variant without settings keeps the key
+ * renders had before themes existed
+ * @param {Object} variant - Theme variant
+ * @returns {string} e.g. 'default' or 'dark;theme=200;background=#1e1e1e'
+ */
+function getThemeKey(variant) {
+  const parts = ['theme', 'background', 'font', 'width']
+    .filter(key => variant[key] !== null && variant[key] !== undefined)
+    .map(key => `${key}=${variant[key]}`);
+  if (!variant.dark && parts.length === 0) {
+    return 'default';
+  }
+  return [variant.variant, ...parts].join(';');
+}
+
+module.exports = { THEME_KEYS, MODES, parseFenceMeta, validateThemeSettings, resolveThemeVariants, getThemeKey };
@@ -0,0 +1,45 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { commandSucceeds, runCommand, installTool } = require('./cli-tools');
+const { optimizeSvg } = require('./svg-optimizer');
+
+/**
+ * ditaa renderer, for ASCII art diagrams
+ */
+module.exports = {
+  type: 'ditaa',
+  languages: ['ditaa'],
+  formats: ['svg', 'png'],
+  // ditaa has no version option; the first line of its help is its version
+  versionCommand: 'ditaa --help',
+
+  async check() {
+    return commandSucceeds('ditaa', ['--help']);
+  },
+
+  async install() {
+    return installTool('ditaa', {
+      darwin: 'brew install ditaa',
+      linux: 'sudo apt-get install -y ditaa',
+      manual: 'https://github.com/stathissideris/ditaa/releases'
+    });
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    const inputFile = path.join(tempDir, `${id}${theme.dark ? '-dark' : ''}.ditaa`);
+    try {
+      await fs.writeFile(inputFile, code, 'utf8');
+      await runCommand('ditaa', [inputFile, outputFile, '--overwrite', '--encoding', 'UTF-8', ...(format === 'svg' ? ['--svg'] : [])]);
+    } finally {
+      await fs.remove(inputFile);
+    }
+
+    if (format === 'svg') {
+      // No dark mode: dark renders keep their light colors and background
+      await fs.writeFile(outputFile, optimizeSvg(await fs.readFile(outputFile, 'utf8'), {
+        background: theme.dark ? null : theme.background,
+        font: theme.font
+      }), 'utf8');
+    }
+  }
+};
@@ -0,0 +1,51 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { commandSucceeds, runCommand, installTool } = require('./cli-tools');
+const { optimizeStyledSvg } = require('./svg-optimizer');
+
+/**
+ * Excalidraw renderer (excalidraw-brute-export-cli), for Excalidraw scene JSON;
+ * .excalidraw files referenced as images are rendered too
+ */
+module.exports = {
+  type: 'excalidraw',
+  languages: ['excalidraw'],
+  extensions: ['.excalidraw'],
+  formats: ['svg', 'png'],
+  versionCommand: 'excalidraw-brute-export-cli --version',
+
+  async check() {
+    return commandSucceeds('excalidraw-brute-export-cli', ['--version']);
+  },
+
+  async install() {
+    // The exporter drives Excalidraw in a headless Firefox
+    return installTool('Excalidraw exporter', {
+      all: 'npm install -g excalidraw-brute-export-cli && npx playwright install firefox',
+      manual: 'https://github.com/realazthat/excalidraw-brute-export-cli'
+    });
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    // Fail with the JSON error rather than the exporter's timeout
+    JSON.parse(code);
+
+    const inputFile = path.join(tempDir, `${id}${theme.dark ? '-dark' : ''}.excalidraw`);
+    try {
+      await fs.writeFile(inputFile, code, 'utf8');
+      await runCommand('excalidraw-brute-export-cli', [
+        '-i', inputFile, '-o', outputFile, '--format', format,
+        '--background', '1', '--embed-scene', '0', '--dark-mode', theme.dark ? '1' : '0', '--scale', '1'
+      ]);
+    } finally {
+      await fs.remove(inputFile);
+    }
+
+    if (format === 'svg') {
+      // Dark mode drawings bring their own dark background
+      await fs.writeFile(outputFile, optimizeStyledSvg(await fs.readFile(outputFile, 'utf8'), {
+        background: theme.dark ? null : theme.background
+      }), 'utf8');
+    }
+  }
+};
@@ -0,0 +1,54 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { commandSucceeds, runCommand, installTool } = require('./cli-tools');
+const { optimizeSvg } = require('./svg-optimizer');
+
+/**
+ * Graphviz renderer (dot)
+ */
+module.exports = {
+  type: 'graphviz',
+  languages: ['dot', 'graphviz'],
+  formats: ['svg', 'png'],
+  versionCommand: 'dot -V',
+
+  async check() {
+    return commandSucceeds('dot', ['-V']);
+  },
+
+  async install() {
+    return installTool('Graphviz', {
+      darwin: 'brew install graphviz',
+      linux: 'sudo apt-get install -y graphviz || sudo yum install -y graphviz',
+      manual: 'https://graphviz.org/download/'
+    });
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    const inputFile = path.join(tempDir, `${id}${theme.dark ? '-dark' : ''}.dot`);
+    const font = theme.font || 'Arial';
+    // Graph attributes given on the command line are defaults the diagram source can still override
+    const attributes = [
+      `-Gbgcolor=${theme.background || 'white'}`,
+      '-Gpad=0.5', // keeps edge labels and outer nodes from being cropped by image viewers
+      `-Gfontname=${font}`, `-Nfontname=${font}`, `-Efontname=${font}`
+    ];
+    if (theme.dark) {
+      attributes.push('-Gcolor=white', '-Gfontcolor=white', '-Ncolor=white', '-Nfontcolor=white', '-Ecolor=white', '-Efontcolor=white');
+    }
+    if (theme.width) {
+      attributes.push(`-Gsize=${(theme.width / 72).toFixed(2)},1000!`); // inches at 72 dpi, scaled to fit
+    }
+
+    try {
+      await fs.writeFile(inputFile, code, 'utf8');
+      await runCommand('dot', [`-T${format}`, inputFile, '-o', outputFile, ...attributes]);
+    } finally {
+      await fs.remove(inputFile);
+    }
+
+    if (format === 'svg') {
+      await fs.writeFile(outputFile, optimizeSvg(await fs.readFile(outputFile, 'utf8'), theme), 'utf8');
+    }
+  }
+};
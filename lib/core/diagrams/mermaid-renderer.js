@@ -0,0 +1,358 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { commandSucceeds, runCommand, installTool } = require('./cli-tools');
+const { optimizeMermaidSvg, fixXYChartSvg, optimizeLargeSvg } = require('./svg-optimizer');
+
+// Rendering settings tuned for image previews: no HTML labels, fixed widths, deterministic IDs
+const MERMAID_CONFIG = {
+  theme: 'default',
+  securityLevel: 'strict',
+  htmlLabels: false,
+  suppressErrorRendering: false,
+  deterministicIds: true,
+  deterministicIDSeed: 'docflu',
+  maxTextSize: 50000,
+  maxEdges: 500,
+  wrap: true,
+  fontSize: 16,
+  useMaxWidth: false,
+  logLevel: 'error',
+  flowchart: {
+    curve: 'linear',
+    htmlLabels: false,
+    useMaxWidth: false,
+    diagramPadding: 20,
+    nodeSpacing: 50,
+    rankSpacing: 60,
+    padding: 15,
+    wrapping: true
+  },
+  sequence: {
+    diagramMarginX: 50,
+    diagramMarginY: 20,
+    actorMargin: 50,
+    width: 150,
+    height: 65,
+    boxMargin: 10,
+    boxTextMargin: 5,
+    noteMargin: 10,
+    messageMargin: 35,
+    mirrorActors: true,
+    bottomMarginAdj: 1,
+    useMaxWidth: false,
+    rightAngles: false,
+    showSequenceNumbers: false,
+    actorFontSize: 14,
+    noteFontSize: 14,
+    messageFontSize: 14,
+    wrap: true,
+    wrapPadding: 10,
+    labelBoxWidth: 50,
+    labelBoxHeight: 20,
+    textPlacement: 'svg'
+  },
+  gantt: {
+    titleTopMargin: 25,
+    barHeight: 20,
+    fontFamily: 'Arial, Helvetica, sans-serif',
+    fontSize: 14,
+    fontWeight: 'bold',
+    gridLineStartPadding: 35,
+    bottomPadding: 25,
+    leftPadding: 75,
+    topPadding: 50,
+    topAxis: false,
+    rightPadding: 75,
+    numberSectionStyles: 4,
+    useMaxWidth: false,
+    displayMode: 'standard'
+  },
+  class: {
+    titleTopMargin: 25,
+    diagramPadding: 20,
+    useMaxWidth: false,
+    defaultRenderer: 'dagre-wrapper',
+    htmlLabels: false
+  },
+  state: {
+    titleTopMargin: 25,
+    diagramPadding: 20,
+    useMaxWidth: false,
+    defaultRenderer: 'dagre-wrapper',
+    dividerMargin: 10,
+    sizeUnit: 5,
+    stateLabelColor: '#000000'
+  },
+  er: {
+    diagramPadding: 20,
+    layoutDirection: 'TB',
+    minEntityWidth: 100,
+    minEntityHeight: 75,
+    entityPadding: 15,
+    stroke: '#333333',
+    fill: '#ECECFF',
+    fontSize: 12,
+    useMaxWidth: false
+  },
+  journey: {
+    diagramMarginX: 50,
+    diagramMarginY: 20,
+    leftMargin: 150,
+    width: 150,
+    height: 50,
+    boxMargin: 10,
+    boxTextMargin: 5,
+    noteMargin: 10,
+    messageMargin: 35,
+    bottomMarginAdj: 1,
+    useMaxWidth: false,
+    rightAngles: false,
+    htmlLabels: false
+  },
+  gitGraph: {
+    titleTopMargin: 25,
+    diagramPadding: 20,
+    nodeLabel: { width: 75, height: 100, x: -25, y: -8 },
+    mainBranchName: 'main',
+    showBranches: true,
+    showCommitLabel: true,
+    rotateCommitLabel: false,
+    theme: 'base',
+    useMaxWidth: false,
+    arrowMarkerAbsolute: false
+  },
+  pie: {
+    useWidth: 984,
+    useMaxWidth: false,
+    textPosition: 0.75,
+    outerStrokeWidth: 2,
+    innerStrokeColor: '#AAAA33',
+    outerStrokeColor: '#AAAA33',
+    legendPosition: 'right'
+  },
+  mindmap: {
+    padding: 10,
+    useMaxWidth: false,
+    maxNodeWidth: 200
+  },
+  quadrantChart: {
+    chartWidth: 500,
+    chartHeight: 500,
+    titleFontSize: 20,
+    titlePadding: 10,
+    quadrantPadding: 5,
+    quadrantTextTopPadding: 5,
+    quadrantLabelFontSize: 16,
+    quadrantInternalBorderStrokeWidth: 1,
+    quadrantExternalBorderStrokeWidth: 2,
+    xAxisLabelPadding: 5,
+    xAxisLabelFontSize: 16,
+    yAxisLabelPadding: 5,
+    yAxisLabelFontSize: 16,
+    pointTextPadding: 5,
+    pointLabelFontSize: 12,
+    pointRadius: 5,
+    useMaxWidth: false
+  },
+  xyChart: {
+    chartOrientation: 'vertical',
+    width: 700,
+    height: 500,
+    titleFontSize: 20,
+    titlePadding: 10,
+    showTitle: true,
+    axisTextFontSize: 14,
+    axisNameFontSize: 16,
+    axisNamePadding: 5,
+    disableMultiColor: false,
+    xAxis: {
+      showLabel: true,
+      labelFontSize: 14,
+      labelPadding: 5,
+      showTitle: true,
+      titleFontSize: 16,
+      titlePadding: 5,
+      showTick: true,
+      tickLength: 5,
+      tickWidth: 2,
+      showAxisLine: true,
+      axisLineWidth: 1
+    },
+    yAxis: {
+      showLabel: true,
+      labelFontSize: 14,
+      labelPadding: 5,
+      showTitle: true,
+      titleFontSize: 16,
+      titlePadding: 5,
+      showTick: true,
+      tickLength: 5,
+      tickWidth: 2,
+      showAxisLine: true,
+      axisLineWidth: 1
+    },
+    useMaxWidth: false
+  },
+  block: {
+    diagramPadding: 8,
+    useMaxWidth: false
+  },
+  packet: {
+    diagramPadding: 8,
+    useMaxWidth: false,
+    showBits: false
+  },
+  timeline: {
+    diagramMarginX: 50,
+    diagramMarginY: 20,
+    leftMargin: 150,
+    width: 150,
+    height: 50,
+    padding: 5,
+    useMaxWidth: false
+  },
+  requirement: {
+    useMaxWidth: false,
+    rect_fill: '#f9f9f9',
+    text_color: '#333',
+    rect_border_size: '0.5px',
+    rect_border_color: '#bbb',
+    rect_min_width: 200,
+    rect_min_height: 200,
+    fontSize: 14,
+    rect_padding: 10,
+    line_height: 20
+  },
+  c4: {
+    diagramMarginX: 50,
+    diagramMarginY: 10,
+    c4ShapeMargin: 50,
+    c4ShapePadding: 20,
+    width: 216,
+    height: 60,
+    boxMargin: 10,
+    useMaxWidth: false,
+    c4ShapeInRow: 4,
+    nextLinePaddingX: 0,
+    c4BoundaryInRow: 2,
+    personFontSize: 14,
+    personFontFamily: 'Arial',
+    personFontWeight: 'normal',
+    external_personFontSize: 14,
+    external_personFontFamily: 'Arial',
+    external_personFontWeight: 'normal',
+    systemFontSize: 14,
+    systemFontFamily: 'Arial',
+    systemFontWeight: 'normal',
+    external_systemFontSize: 14,
+    external_systemFontFamily: 'Arial',
+    external_systemFontWeight: 'normal'
+  }
+};
+
+// Canvas size per diagram kind (mmdc arguments); wide charts need more room than the default
+const CANVAS_ARGS = {
+  gantt: ['--width', '1400', '--height', '600', '--scale', '1', '--cssFile', '/dev/null'],
+  gitGraph: ['--width', '1000', '--height', '800', '--scale', '1', '--cssFile', '/dev/null'],
+  xyChart: ['--width', '900', '--height', '600', '--scale', '1', '--cssFile', '/dev/null'],
+  default: ['--width', '1200', '--height', '900', '--scale', '1']
+};
+
+// SVGs above this size get their coordinates rounded and whitespace collapsed
+const LARGE_SVG_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Kind of a Mermaid diagram, from its first keyword
+ * @param {string} code - Mermaid source
+ * @returns {string} 'gantt', 'gitGraph', 'xyChart' or 'default'
+ */
+function detectDiagramKind(code) {
+  const keyword = code.trim().toLowerCase();
+  if (keyword.startsWith('gantt')) return 'gantt';
+  if (keyword.startsWith('gitgraph')) return 'gitGraph';
+  if (keyword.startsWith('xychart')) return 'xyChart';
+  return 'default';
+}
+
+/**
+ * mmdc config of a theme variant: the Mermaid theme ('dark' for dark renders unless set) and font
+ * @param {Object} theme - Theme variant {dark, theme, font}
+ * @returns {Object} Mermaid config
+ */
+function getMermaidConfig(theme) {
+  if (!theme.dark && !theme.theme && !theme.font) {
+    return MERMAID_CONFIG;
+  }
+  const config = { ...MERMAID_CONFIG, theme: theme.theme || (theme.dark ? 'dark' : 'default') };
+  if (theme.font) {
+    config.fontFamily = theme.font;
+    config.themeVariables = { fontFamily: theme.font };
+    config.gantt = { ...MERMAID_CONFIG.gantt, fontFamily: theme.font };
+  }
+  return config;
+}
+
+/**
+ * Mermaid renderer (mmdc)
+ */
+module.exports = {
+  type: 'mermaid',
+  languages: ['mermaid'],
+  formats: ['svg', 'png'],
+  versionCommand: 'mmdc --version',
+
+  async check() {
+    return commandSucceeds('mmdc', ['--version']);
+  },
+
+  async install() {
+    return installTool('Mermaid CLI', { all: 'npm install -g @mermaid-js/mermaid-cli' });
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    const suffix = theme.dark ? '-dark' : '';
+    const inputFile = path.join(tempDir, `${id}${suffix}.mmd`);
+    const configFile = path.join(tempDir, `${id}${suffix}-config.json`);
+    const kind = detectDiagramKind(code);
+    const background = theme.background || 'white';
+    const canvasArgs = CANVAS_ARGS[kind].map((arg, index, args) => (theme.width && args[index - 1] === '--width' ? String(theme.width) : arg));
+
+    try {
+      await fs.writeJson(configFile, getMermaidConfig(theme), { spaces: 2 });
+      await fs.writeFile(inputFile, code, 'utf8');
+
+      try {
+        await runCommand('mmdc', ['-i', inputFile, '-o', outputFile, '-c', configFile, '--backgroundColor', background, ...canvasArgs]);
+        if (format === 'svg') {
+          const svgContent = await fs.readFile(outputFile, 'utf8');
+          if (!svgContent.includes('<text') && !svgContent.includes('<foreignObject')) {
+            throw new Error('Generated SVG appears to have no text content');
+          }
+        }
+      } catch (error) {
+        // A hung mmdc would hang again with basic settings
+        if (error.timedOut) {
+          throw error;
+        }
+        console.warn(chalk.yellow(`⚠️ Failed to generate Mermaid diagram ${id}: ${error.message}`));
+        console.log(chalk.gray('Attempting fallback generation with basic settings...'));
+        await runCommand('mmdc', ['-i', inputFile, '-o', outputFile, '--backgroundColor', background, '--width', String(theme.width || 800), '--height', '600']);
+      }
+
+      if (format === 'svg') {
+        let svgContent = optimizeMermaidSvg(await fs.readFile(outputFile, 'utf8'), { background, font: theme.font });
+        if (kind === 'xyChart') {
+          svgContent = fixXYChartSvg(svgContent);
+        }
+        if (Buffer.byteLength(svgContent, 'utf8') > LARGE_SVG_BYTES) {
+          svgContent = optimizeLargeSvg(svgContent);
+        }
+        await fs.writeFile(outputFile, svgContent, 'utf8');
+      }
+    } finally {
+      await fs.remove(inputFile);
+      await fs.remove(configFile);
+    }
+  }
+};
@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const chalk = require('chalk');
+const { commandSucceeds, runCommand, INSTALL_TIMEOUT } = require('./cli-tools');
+const { optimizeSvg } = require('./svg-optimizer');
+
+const PLANTUML_JAR = path.join(os.homedir(), 'plantuml.jar');
+const PLANTUML_JAR_URL = 'https://github.com/plantuml/plantuml/releases/latest/download/plantuml.jar';
+
+/**
+ * Local PlantUML command: the plantuml CLI, or java with ~/plantuml.jar
+ * @returns {Promise<Object|null>} {file, args} to run before the render arguments, or null when PlantUML is not installed
+ */
+async function localCommand() {
+  if (await commandSucceeds('plantuml', ['-version'])) {
+    return { file: 'plantuml', args: [] };
+  }
+  if (await fs.pathExists(PLANTUML_JAR) && await commandSucceeds('java', ['-version'])) {
+    return { file: 'java', args: ['-jar', PLANTUML_JAR] };
+  }
+  return null;
+}
+
+/**
+ * plantuml-encoder (optional dependency), used to render on a PlantUML server
+ * @returns {Object|null} Encoder module, or null when not installed
+ */
+function loadEncoder() {
+  try {
+    return require('plantuml-encoder');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Add the skinparams of a theme variant to a PlantUML diagram, after its @start line
+ * @param {string} code - PlantUML source
+ * @param {Object} theme - Theme variant {dark, theme, background, font, width}
+ * @returns {string} Themed source (unchanged for the default light variant)
+ */
+function applyTheme(code, theme) {
+  const themeName = theme.theme || (theme.dark ? 'cyborg' : null);
+  const settings = [
+    themeName && `!theme ${themeName}`,
+    theme.background && `skinparam backgroundColor ${theme.background}`,
+    theme.font && `skinparam defaultFontName ${theme.font}`,
+    theme.width && `scale ${theme.width} width`
+  ].filter(Boolean);
+  if (settings.length === 0) {
+    return code;
+  }
+  const startLine = code.match(/^\s*@start\w+[^\n]*\n/);
+  return startLine
+    ? `${startLine[0]}${settings.join('\n')}\n${code.slice(startLine[0].length)}`
+    : `${settings.join('\n')}\n${code}`;
+}
+
+/**
+ * PlantUML renderer: local CLI or jar when installed, else the PlantUML server set as
+ * diagrams.plantumlServer in the config file. Diagram sources are never sent to a server unless
+ * one is configured.
+ */
+module.exports = {
+  type: 'plantuml',
+  languages: ['plantuml'],
+  formats: ['svg', 'png'],
+  versionCommand: 'plantuml -version',
+
+  /**
+   * PlantUML server to render on when PlantUML is not installed
+   * @returns {string|null} Server URL, or null when none is configured or plantuml-encoder is missing
+   */
+  serverUrl() {
+    const server = (this.settings || {}).plantumlServer;
+    return server && loadEncoder() ? server.replace(/\/+$/, '') : null;
+  },
+
+  async check() {
+    return await localCommand() !== null || this.serverUrl() !== null;
+  },
+
+  async describe() {
+    const command = await localCommand();
+    if (command) {
+      return [command.file, ...command.args].join(' ');
+    }
+    const server = this.serverUrl();
+    return server ? `${server} (no local PlantUML, diagram sources are sent to the server)` : 'not installed';
+  },
+
+  async install() {
+    console.log(chalk.blue('📦 Installing PlantUML...'));
+    try {
+      console.log(chalk.gray('Downloading PlantUML JAR file...'));
+      await runCommand('curl', ['-fL', PLANTUML_JAR_URL, '-o', PLANTUML_JAR], { timeout: INSTALL_TIMEOUT });
+      console.log(chalk.green('✅ PlantUML installed successfully'));
+      return true;
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to install PlantUML:', error.message));
+      return false;
+    }
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    const command = await localCommand();
+    const themedCode = applyTheme(code, theme);
+
+    if (command) {
+      // PlantUML writes <input name>.<format> next to its input
+      const baseName = `${id}${theme.dark ? '-dark' : ''}`;
+      const inputFile = path.join(tempDir, `${baseName}.puml`);
+      try {
+        await fs.writeFile(inputFile, themedCode, 'utf8');
+        await runCommand(command.file, [...command.args, `-t${format}`, inputFile]);
+        const writtenFile = path.join(tempDir, `${baseName}.${format}`);
+        if (writtenFile !== outputFile) {
+          await fs.move(writtenFile, outputFile, { overwrite: true });
+        }
+      } finally {
+        await fs.remove(inputFile);
+      }
+    } else {
+      const server = this.serverUrl();
+      if (!server) {
+        throw new Error('PlantUML is not installed and no diagrams.plantumlServer is configured');
+      }
+      const response = await axios({
+        method: 'GET',
+        url: `${server}/${format}/${loadEncoder().encode(themedCode)}`,
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        headers: { 'User-Agent': 'docflu-plantuml-client/1.0' }
+      });
+      if (!response.data || response.data.length === 0) {
+        throw new Error('Empty response from the PlantUML server');
+      }
+      await fs.writeFile(outputFile, Buffer.from(response.data));
+    }
+
+    if (format === 'svg') {
+      await fs.writeFile(outputFile, optimizeSvg(await fs.readFile(outputFile, 'utf8'), theme), 'utf8');
+    }
+  }
+};
@@ -0,0 +1,576 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const DiagramCache = require('../diagram-cache');
+const { resolveThemeVariants, getThemeKey } = require('./diagram-theme');
+const { combineColorSchemeSvgs, resizeSvg } = require('./svg-optimizer');
+
+// Output formats a renderer can produce, with their content types
+const FORMATS = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+
+// Built-in renderers, registered before the ones listed in the config file
+const BUILT_IN_RENDERERS = [
+  require('./mermaid-renderer'),
+  require('./plantuml-renderer'),
+  require('./graphviz-renderer'),
+  require('./d2-renderer'),
+  require('./vega-lite-renderer'),
+  require('./wavedrom-renderer'),
+  require('./ditaa-renderer'),
+  require('./bpmn-renderer'),
+  require('./excalidraw-renderer')
+];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Diagram Renderer Registry
+ * Single place where diagram types are declared. A renderer is registered once with its fence
+ * languages, output formats and render function; the Confluence, Notion and Google Docs diagram
+ * processors extract diagrams and render them through the registry, and only decide how to upload
+ * and embed the result. Renderers are plain objects:
+ *
+ *   {
+ *     type: 'graphviz',                  // diagram type, used in diagram IDs and cache paths
+ *     languages: ['dot', 'graphviz'],    // code fence languages (default: [type])
+ *     extensions: ['.gv'],               // optional, diagram files embedded as markdown images
+ *     formats: ['svg', 'png'],           // output formats, preferred first
+ *     versionCommand: 'dot -V',          // optional, part of the render cache key
+ *     check: async () => boolean,        // optional, whether the renderer can run here
+ *     install: async () => boolean,      // optional, installs what check() found missing
+ *                                        // (only with --install-tools)
+ *     describe: async () => string,      // optional, how the renderer runs here (docflu doctor)
+ *     render: async ({code, id, format, outputFile, tempDir, theme}) => {}
+ *                                        // writes outputFile, or returns its content; tempDir is a
+ *                                        // directory of this render only; theme is
+ *                                        // {variant, dark, theme, background, font, width}, null
+ *                                        // values meaning the renderer's defaults
+ *   }
+ *
+ * Renderers registered later (e.g. from the config file's diagrams.renderers) replace built-in
+ * renderers of the same type or language.
+ */
+class DiagramRendererRegistry {
+  constructor() {
+    this.renderers = new Map(); // type -> renderer
+    this.languages = new Map(); // fence language -> type
+    this.availability = new Map(); // type -> Promise<boolean>, checked once per run
+  }
+
+  /**
+   * Register a renderer
+   * @param {Object} renderer - Renderer definition (see class comment)
+   * @returns {DiagramRendererRegistry} this
+   */
+  register(renderer) {
+    if (!renderer || typeof renderer !== 'object') {
+      throw new Error('Invalid diagram renderer: expected an object');
+    }
+    const { type } = renderer;
+    if (typeof type !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(type)) {
+      throw new Error(`Invalid diagram renderer type "${type}": use letters, digits, "-" and "_"`);
+    }
+
+    const languages = renderer.languages || [type];
+    if (!Array.isArray(languages) || languages.length === 0 || languages.some(language => typeof language !== 'string' || !/^[\w+-]+$/.test(language))) {
+      throw new Error(`Invalid diagram renderer "${type}": languages must be a non-empty list of code fence languages`);
+    }
+    const extensions = renderer.extensions || [];
+    if (!Array.isArray(extensions) || extensions.some(extension => typeof extension !== 'string' || !/^\.[\w.-]+$/.test(extension))) {
+      throw new Error(`Invalid diagram renderer "${type}": extensions must be a list of file extensions, e.g. ".excalidraw"`);
+    }
+    const formats = renderer.formats || ['svg'];
+    if (!Array.isArray(formats) || formats.length === 0 || formats.some(format => !FORMATS[format])) {
+      throw new Error(`Invalid diagram renderer "${type}": formats must be a non-empty list of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    for (const hook of ['render', 'check', 'install', 'describe']) {
+      if (renderer[hook] !== undefined && typeof renderer[hook] !== 'function') {
+        throw new Error(`Invalid diagram renderer "${type}": ${hook} must be a function`);
+      }
+    }
+    if (typeof renderer.render !== 'function') {
+      throw new Error(`Invalid diagram renderer "${type}": render must be a function`);
+    }
+
+    // A replaced renderer gives up its languages, and a language moves to the latest renderer claiming it
+    if (this.renderers.has(type)) {
+      this.unregister(type);
+    }
+    for (const language of languages) {
+      const previousType = this.languages.get(language);
+      if (previousType) {
+        const previous = this.renderers.get(previousType);
+        previous.languages = previous.languages.filter(previousLanguage => previousLanguage !== language);
+      }
+      this.languages.set(language, type);
+    }
+
+    this.renderers.set(type, { ...renderer, languages: [...languages], extensions: extensions.map(extension => extension.toLowerCase()), formats: [...formats] });
+    this.availability.delete(type);
+    return this;
+  }
+
+  /**
+   * Remove a renderer and its languages
+   * @param {string} type - Diagram type
+   */
+  unregister(type) {
+    for (const [language, languageType] of this.languages) {
+      if (languageType === type) {
+        this.languages.delete(language);
+      }
+    }
+    this.renderers.delete(type);
+    this.availability.delete(type);
+  }
+
+  /**
+   * Get a renderer
+   * @param {string} type - Diagram type
+   * @returns {Object|null} Renderer, or null when the type is not registered
+   */
+  get(type) {
+    return this.renderers.get(type) || null;
+  }
+
+  /**
+   * Registered diagram types
+   * @returns {Array<string>} Types in registration order
+   */
+  getTypes() {
+    return [...this.renderers.keys()];
+  }
+
+  /**
+   * Code fence languages rendered as diagrams
+   * @returns {Array<string>} Languages
+   */
+  getLanguages() {
+    return [...this.languages.keys()];
+  }
+
+  /**
+   * Diagram type of a code fence language
+   * @param {string} language - Code fence language, e.g. 'dot'
+   * @returns {string|null} Diagram type, e.g. 'graphviz'
+   */
+  resolveType(language) {
+    return this.languages.get(language) || null;
+  }
+
+  /**
+   * Whether a code fence language is rendered as a diagram
+   * @param {string} language - Code fence language
+   * @returns {boolean} true for diagram languages
+   */
+  isDiagramLanguage(language) {
+    return this.languages.has(language);
+  }
+
+  /**
+   * Regular expression matching diagram code fences: [fullMatch, language, meta, code]; meta is the
+   * rest of the fence line (e.g. 'theme=forest'), undefined when there is none
+   * @returns {RegExp} Global regex (new instance per call)
+   */
+  getFenceRegex() {
+    // Longest first, so a language is never cut short by another one it starts with
+    const languages = this.getLanguages().sort((a, b) => b.length - a.length).map(escapeRegExp);
+    return new RegExp('```(' + languages.join('|') + ')(?:[ \\t]+([^\\n]*?))?\\s*\\n([\\s\\S]*?)\\n\\s*```', 'g');
+  }
+
+  /**
+   * Whether markdown contains diagrams
+   * @param {string} markdownContent - Markdown content
+   * @returns {boolean} true when a diagram code fence is found
+   */
+  containsDiagrams(markdownContent) {
+    return this.languages.size > 0 && this.getFenceRegex().test(markdownContent);
+  }
+
+  /**
+   * Extract the diagrams of markdown content, in document order
+   * @param {string} markdownContent - Markdown content
+   * @param {Object} options - {quiet}: do not warn about empty diagrams
+   * @returns {Array<Object>} [{type, language, meta, fullMatch, code, index, id}]
+   */
+  extractDiagrams(markdownContent, options = {}) {
+    const diagrams = [];
+    if (this.languages.size === 0) {
+      return diagrams;
+    }
+
+    const regex = this.getFenceRegex();
+    let match;
+    while ((match = regex.exec(markdownContent)) !== null) {
+      const [fullMatch, language, meta, diagramCode] = match;
+      const type = this.resolveType(language);
+
+      if (diagramCode.trim().length === 0) {
+        if (!options.quiet) {
+          console.warn(chalk.yellow(`⚠️ Empty ${type} diagram found, skipping...`));
+        }
+        continue;
+      }
+
+      diagrams.push({
+        type,
+        language,
+        meta: (meta || '').trim(),
+        fullMatch,
+        code: diagramCode.trim(),
+        index: match.index,
+        id: DiagramRendererRegistry.generateDiagramId(type, diagramCode)
+      });
+    }
+    return diagrams;
+  }
+
+  /**
+   * Diagram type of a diagram file
+   * @param {string} filePath - File path or image source, e.g. 'architecture.excalidraw'
+   * @returns {string|null} Diagram type, or null when no renderer claims the file extension
+   */
+  resolveFileType(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (!extension) {
+      return null;
+    }
+    let fileType = null;
+    for (const [type, renderer] of this.renderers) {
+      if (renderer.extensions.includes(extension)) {
+        fileType = type; // the latest renderer claiming an extension wins, as for languages
+      }
+    }
+    return fileType;
+  }
+
+  /**
+   * Replace diagram files embedded as images (e.g. ![Architecture](./architecture.excalidraw)) with
+   * code fences holding the file's source, so they are rendered, cached and round-tripped like
+   * diagram code blocks
+   * @param {string} markdownContent - Markdown content
+   * @param {string} filePath - Markdown file, image paths are relative to it; "/" paths are looked
+   *   up in the static directory of the Docusaurus site
+   * @returns {Promise<string>} Markdown with the diagram files inlined
+   */
+  async inlineDiagramFiles(markdownContent, filePath) {
+    const imageRegex = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+    const replacements = [];
+    let match;
+    while ((match = imageRegex.exec(markdownContent)) !== null) {
+      const [fullMatch, src] = match;
+      const type = /^[a-z][a-z0-9+.-]*:/i.test(src) ? null : this.resolveFileType(src);
+      const language = type && this.get(type).languages[0];
+      if (!language) {
+        continue;
+      }
+
+      const diagramFile = await DiagramRendererRegistry.resolveDiagramFile(src, filePath);
+      if (!diagramFile) {
+        console.warn(chalk.yellow(`⚠️ Diagram file not found: ${src}`));
+        continue;
+      }
+      const code = (await fs.readFile(diagramFile, 'utf8')).trim();
+      replacements.push({ fullMatch, fence: `\n\`\`\`${language}\n${code}\n\`\`\`\n` });
+    }
+
+    let content = markdownContent;
+    for (const { fullMatch, fence } of replacements) {
+      content = content.replace(fullMatch, () => fence);
+    }
+    return content;
+  }
+
+  /**
+   * Output format of a diagram type for a platform
+   * @param {string} type - Diagram type
+   * @param {Array<string>} acceptedFormats - Formats the platform can embed, preferred first
+   * @returns {string|null} Format, or null when the renderer produces none of them
+   */
+  getFormat(type, acceptedFormats = Object.keys(FORMATS)) {
+    const renderer = this.get(type);
+    if (!renderer) {
+      return null;
+    }
+    return acceptedFormats.find(format => renderer.formats.includes(format)) || null;
+  }
+
+  /**
+   * Check that a renderer can run, installing it when allowed; checked once per registry
+   * @param {string} type - Diagram type
+   * @param {Object} options - {install: try the renderer's install() when the check fails}
+   * @returns {Promise<boolean>} true when the renderer is available
+   */
+  async ensureAvailable(type, options = {}) {
+    const renderer = this.get(type);
+    if (!renderer) {
+      return false;
+    }
+    if (!renderer.check) {
+      return true;
+    }
+
+    if (!this.availability.has(type)) {
+      this.availability.set(type, (async () => {
+        if (await renderer.check()) {
+          return true;
+        }
+        if (!options.install || !renderer.install) {
+          console.warn(chalk.yellow(`⚠️ ${type} renderer not available, ${type} diagrams are kept as code blocks (run "docflu doctor", or sync with --install-tools)`));
+          return false;
+        }
+        console.log(chalk.yellow(`⚠️ ${type.charAt(0).toUpperCase() + type.slice(1)} CLI not found. Attempting to install...`));
+        return (await renderer.install()) === true && await renderer.check();
+      })().catch(() => false));
+    }
+    return this.availability.get(type);
+  }
+
+  /**
+   * Render a diagram, or reuse the render of an earlier run. In the "both" theme mode SVG diagrams
+   * are rendered light and dark, and combined into one SVG following the viewer's color scheme;
+   * PNG diagrams can not switch, so they get the first variant only
+   * @param {Object} diagram - {type, id, code, meta}
+   * @param {Object} options - {formats (accepted, preferred first), tempDir, cache (DiagramCache), install,
+   *   theme (diagrams.theme of the config file)}
+   * @returns {Promise<Object>} {filePath, format, contentType, available, reason}; filePath is null when
+   *   the renderer is unavailable (available false) or rendering failed, and reason says which
+   */
+  async render(diagram, options = {}) {
+    const renderer = this.get(diagram.type);
+    const format = this.getFormat(diagram.type, options.formats);
+    if (!renderer || !format) {
+      console.warn(chalk.yellow(`⚠️ No ${diagram.type} renderer producing ${(options.formats || Object.keys(FORMATS)).join(' or ')}`));
+      return { filePath: null, format, contentType: null, available: false, reason: 'renderer not available' };
+    }
+
+    const variants = resolveThemeVariants(options.theme, diagram.type, diagram.meta);
+    let available = true;
+    const filePaths = [];
+    for (const theme of format === 'svg' ? variants : variants.slice(0, 1)) {
+      const renderFile = async () => {
+        available = await this.ensureAvailable(diagram.type, { install: options.install });
+        return available ? this.renderFile(renderer, diagram, format, options.tempDir, theme) : null;
+      };
+      let variantPath;
+      if (options.cache) {
+        variantPath = await options.cache.render(await this.getCacheEntry(renderer, diagram, format, theme), renderFile);
+      } else {
+        variantPath = await renderFile();
+      }
+      if (!variantPath) {
+        break;
+      }
+      filePaths.push(variantPath);
+    }
+
+    let filePath = null;
+    if (filePaths.length === 2) {
+      filePath = await this.combineVariants(diagram, filePaths, options.tempDir);
+    } else if (filePaths.length === 1 && (format !== 'svg' || variants.length === 1)) {
+      filePath = filePaths[0];
+    }
+    let reason = null;
+    if (!filePath) {
+      reason = available ? 'rendering failed' : 'renderer not available';
+    }
+    return { filePath, format, contentType: FORMATS[format], available, reason };
+  }
+
+  /**
+   * Run a renderer in a work directory of its own under the temp directory, so pages rendering the
+   * same diagram at the same time do not overwrite each other's files. The output is then copied
+   * next to the work directory (see writeOutput) and the work directory removed
+   * @param {Object} renderer - Renderer
+   * @param {Object} diagram - {type, id, code}
+   * @param {string} format - Output format
+   * @param {string} tempDir - Temp directory
+   * @param {Object} theme - Theme variant (see resolveThemeVariants)
+   * @returns {Promise<string|null>} Rendered file, or null when rendering failed
+   */
+  async renderFile(renderer, diagram, format, tempDir = path.join(process.cwd(), '.docusaurus', 'temp'), theme = null) {
+    const variant = theme || resolveThemeVariants()[0];
+    await fs.ensureDir(tempDir);
+    const workDir = await fs.mkdtemp(path.join(tempDir, `${diagram.id}-`));
+    const baseName = `${diagram.id}${variant.dark ? '-dark' : ''}`;
+    const outputFile = path.join(workDir, `${baseName}.${format}`);
+    try {
+      const content = await renderer.render({ code: diagram.code, id: diagram.id, format, outputFile, tempDir: workDir, theme: variant });
+      if (typeof content === 'string' || Buffer.isBuffer(content)) {
+        await fs.writeFile(outputFile, content);
+      }
+      if (!await fs.pathExists(outputFile) || (await fs.stat(outputFile)).size === 0) {
+        throw new Error('Output file not created');
+      }
+      // Renderers without a width option of their own are scaled afterwards
+      if (format === 'svg' && variant.width) {
+        await fs.writeFile(outputFile, resizeSvg(await fs.readFile(outputFile, 'utf8'), variant.width), 'utf8');
+      }
+      console.log(chalk.green(`✅ Generated ${diagram.type} diagram: ${path.basename(outputFile)}`));
+      return await this.writeOutput(tempDir, baseName, format, await fs.readFile(outputFile));
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Failed to generate ${diagram.type} diagram ${diagram.id}: ${error.message}`));
+      return null;
+    } finally {
+      await fs.remove(workDir).catch(() => {});
+    }
+  }
+
+  /**
+   * Write a rendered diagram to a file of its own in the temp directory (pages rendering the same
+   * diagram at the same time each get theirs, and one moved into the cache does not take the other's)
+   * @param {string} tempDir - Temp directory
+   * @param {string} baseName - File name without extension, e.g. 'mermaid-1a2b3c4d-dark'
+   * @param {string} format - Output format
+   * @param {Buffer|string} content - Rendered content
+   * @returns {Promise<string>} Written file
+   */
+  async writeOutput(tempDir, baseName, format, content) {
+    const filePath = path.join(tempDir, `${baseName}-${crypto.randomBytes(4).toString('hex')}.${format}`);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  /**
+   * Combine the light and dark renders of an SVG diagram
+   * @param {Object} diagram - {id}
+   * @param {Array<string>} filePaths - Light and dark SVG files
+   * @param {string} tempDir - Temp directory
+   * @returns {Promise<string>} Combined SVG file
+   */
+  async combineVariants(diagram, filePaths, tempDir = path.join(process.cwd(), '.docusaurus', 'temp')) {
+    const [lightSvg, darkSvg] = await Promise.all(filePaths.map(filePath => fs.readFile(filePath, 'utf8')));
+    await fs.ensureDir(tempDir);
+    return this.writeOutput(tempDir, diagram.id, 'svg', combineColorSchemeSvgs(lightSvg, darkSvg));
+  }
+
+  /**
+   * Diagram cache entry of a render; platforms rendering the same format and theme share it
+   * @param {Object} renderer - Renderer
+   * @param {Object} diagram - {type, code}
+   * @param {string} format - Output format
+   * @param {Object} theme - Theme variant (see resolveThemeVariants)
+   * @returns {Promise<Object>} {type, code, format, renderer, theme, variant}
+   */
+  async getCacheEntry(renderer, diagram, format, theme = null) {
+    const variant = theme || resolveThemeVariants()[0];
+    return {
+      type: diagram.type,
+      code: diagram.code,
+      format,
+      renderer: renderer.version || await DiagramCache.getRendererVersion(renderer.versionCommand),
+      theme: getThemeKey(variant),
+      variant: variant.dark ? 'dark' : null
+    };
+  }
+
+  /**
+   * Generate unique ID for diagram based on type and content
+   * Normalize by removing all spaces and newlines for consistent ID generation
+   * @param {string} type - Diagram type
+   * @param {string} code - Diagram source
+   * @returns {string} ID, e.g. 'mermaid-1a2b3c4d'
+   */
+  static generateDiagramId(type, code) {
+    const normalizedCode = code.replace(/\s+/g, '');
+    const hash = crypto.createHash('md5').update(normalizedCode).digest('hex');
+    return `${type}-${hash.substring(0, 8)}`;
+  }
+
+  /**
+   * Locate a diagram file embedded in a markdown file
+   * @param {string} src - Image source
+   * @param {string} filePath - Markdown file
+   * @returns {Promise<string|null>} Absolute path, or null when the file does not exist
+   */
+  static async resolveDiagramFile(src, filePath) {
+    const fileDir = path.dirname(path.resolve(filePath));
+    const candidates = [];
+    if (src.startsWith('/')) {
+      // Docusaurus serves /img/... from <site>/static/img/...
+      for (let dir = fileDir; dir !== path.dirname(dir); dir = path.dirname(dir)) {
+        candidates.push(path.join(dir, 'static', src.substring(1)));
+      }
+      candidates.push(path.join(fileDir, src.substring(1)));
+    } else {
+      candidates.push(path.resolve(fileDir, src));
+    }
+
+    for (const candidate of candidates) {
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Note shown above the source code block of a diagram that was not rendered
+   * @param {string} type - Diagram type
+   * @param {string} reason - Why, e.g. 'renderer not available' (optional)
+   * @returns {string} e.g. 'Mermaid diagram not rendered (renderer not available)'
+   */
+  static getUnrenderedNote(type, reason = null) {
+    const title = type.charAt(0).toUpperCase() + type.slice(1);
+    return `${title} diagram not rendered${reason ? ` (${reason})` : ''}`;
+  }
+
+  /**
+   * Content type of an output format
+   * @param {string} format - 'svg' or 'png'
+   * @returns {string|null} MIME type
+   */
+  static getContentType(format) {
+    return FORMATS[format] || null;
+  }
+
+  /**
+   * Registry with the built-in renderers and the renderer modules listed in the config file
+   * @param {string} projectRoot - Project root (module paths are relative to it)
+   * @param {Array<string>} rendererModules - Module paths or package names; a module exports one
+   *   renderer definition or an array of them
+   * @param {Object} settings - Diagram settings of the config file read by built-in renderers
+   *   ({plantumlServer}), available to them as this.settings
+   * @returns {DiagramRendererRegistry} Registry
+   */
+  static create(projectRoot = process.cwd(), rendererModules = [], settings = {}) {
+    const registry = new DiagramRendererRegistry();
+    for (const renderer of BUILT_IN_RENDERERS) {
+      registry.register({ ...renderer, settings });
+    }
+
+    for (const modulePath of rendererModules) {
+      let exported;
+      try {
+        const resolved = modulePath.startsWith('.') || path.isAbsolute(modulePath)
+          ? path.resolve(projectRoot, modulePath)
+          : require.resolve(modulePath, { paths: [projectRoot] });
+        exported = require(resolved);
+      } catch (error) {
+        throw new Error(`Cannot load diagram renderer ${modulePath}: ${error.message}`);
+      }
+
+      for (const renderer of Array.isArray(exported) ? exported : [exported]) {
+        try {
+          registry.register(renderer);
+        } catch (error) {
+          throw new Error(`Cannot load diagram renderer ${modulePath}: ${error.message}`);
+        }
+      }
+    }
+    return registry;
+  }
+}
+
+module.exports = DiagramRendererRegistry;
@@ -0,0 +1,339 @@
+const { convertForeignObject } = require('../svgo');
+
+const DEFAULT_FONT = 'Arial, Helvetica, sans-serif';
+
+/**
+ * Background rect covering a viewBox
+ * @param {string} svgContent - SVG content
+ * @param {string} fill - Background color
+ * @returns {string} <rect> element, or '' when the SVG has no viewBox
+ */
+function backgroundRect(svgContent, fill = 'white') {
+  const viewBoxMatch = svgContent.match(/viewBox="([^"]+)"/);
+  if (!viewBoxMatch) {
+    return '';
+  }
+  const [x, y, width, height] = viewBoxMatch[1].split(' ');
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill}" stroke="none"/>`;
+}
+
+/**
+ * Font family list with a theme font first
+ * @param {string|null} font - Theme font
+ * @returns {string} Font family attribute value
+ */
+function fontFamily(font) {
+  return font ? `${font.replace(/"/g, "'")}, ${DEFAULT_FONT}` : DEFAULT_FONT;
+}
+
+/**
+ * Size of an SVG, from the width and height of its root element or else its viewBox
+ * @param {string} svgContent - SVG content
+ * @returns {{width: number, height: number}|null} Size, or null when unknown
+ */
+function getSvgSize(svgContent) {
+  const rootTag = (svgContent.match(/<svg[^>]*>/) || [''])[0];
+  const width = parseFloat((rootTag.match(/\swidth="([\d.]+)(px)?"/) || [])[1]);
+  const height = parseFloat((rootTag.match(/\sheight="([\d.]+)(px)?"/) || [])[1]);
+  if (width > 0 && height > 0) {
+    return { width, height };
+  }
+  const viewBoxMatch = rootTag.match(/viewBox="([^"]+)"/);
+  if (viewBoxMatch) {
+    const [, , viewBoxWidth, viewBoxHeight] = viewBoxMatch[1].split(/[\s,]+/).map(Number);
+    if (viewBoxWidth > 0 && viewBoxHeight > 0) {
+      return { width: viewBoxWidth, height: viewBoxHeight };
+    }
+  }
+  return null;
+}
+
+/**
+ * Collapse whitespace between and inside tags
+ * @param {string} svgContent - SVG content
+ * @returns {string} Minified SVG
+ */
+function minify(svgContent) {
+  return svgContent.replace(/>\s+</g, '><').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Make a Mermaid SVG display in image previews: foreignObject labels become SVG text,
+ * and the SVG gets a background, explicit dimensions and plain fonts
+ * @param {string} svgContent - SVG rendered by mmdc
+ * @param {Object} options - {background, font} of the diagram theme (white and Arial by default)
+ * @returns {string} Optimized SVG
+ */
+function optimizeMermaidSvg(svgContent, options = {}) {
+  const background = options.background || 'white';
+  const font = fontFamily(options.font);
+  let svg = convertForeignObject(svgContent);
+
+  if (!svg.includes('xmlns="http://www.w3.org/2000/svg"')) {
+    svg = svg.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+  }
+
+  // Missing background is critical for Gantt, GitFlow and other diagrams
+  if (!svg.includes(`fill="${background}"`) && !svg.includes('class="background"')) {
+    let rect = backgroundRect(svg, background);
+    const widthMatch = svg.match(/width="([^"]+)"/);
+    const heightMatch = svg.match(/height="([^"]+)"/);
+    if (!rect && widthMatch && heightMatch) {
+      const width = widthMatch[1].replace(/[^\d.]/g, '');
+      const height = heightMatch[1].replace(/[^\d.]/g, '');
+      rect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${background}" stroke="none"/>`;
+    }
+    if (rect) {
+      svg = svg.replace(/(<svg[^>]*>)/, `$1${rect}`);
+    }
+  }
+
+  // Explicit width and height (percentages do not render in previews)
+  const viewBoxMatch = svg.match(/viewBox="([^"]+)"/);
+  const [, , viewBoxWidth, viewBoxHeight] = viewBoxMatch ? viewBoxMatch[1].split(' ') : [];
+  if (viewBoxMatch && !svg.includes('width=')) {
+    svg = svg.replace('<svg', `<svg width="${viewBoxWidth}"`);
+  }
+  if (viewBoxMatch && !svg.includes('height=')) {
+    svg = svg.replace('<svg', `<svg height="${viewBoxHeight}"`);
+  }
+  svg = svg.replace(/width="100%"/g, `width="${viewBoxWidth || 800}"`);
+
+  svg = svg.replace(/style="[^"]*max-width:[^"]*"/g, '');
+  svg = svg.replace(/style="[^"]*white-space:\s*nowrap[^"]*"/g, '');
+  svg = svg.replace(/font-family="[^"]*"/g, `font-family="${font}"`);
+  svg = svg.replace(/<style[^>]*>[\s\S]*?font-family:[^;]*trebuchet[^;]*;[\s\S]*?<\/style>/gi, match =>
+    match.replace(/font-family:[^;]*trebuchet[^;]*;/gi, `font-family:${font};`));
+
+  if (!svg.includes('encoding=')) {
+    svg = svg.replace('<?xml version="1.0"', '<?xml version="1.0" encoding="UTF-8"');
+  }
+
+  svg = svg.replace(/aria-roledescription="[^"]*"/g, '');
+  svg = svg.replace(/role="graphics-document document"/g, 'role="img"');
+
+  return minify(svg);
+}
+
+/**
+ * Fix coordinate precision, escaping and dimension mismatches of Mermaid XY charts
+ * @param {string} svgContent - Mermaid SVG
+ * @returns {string} Fixed SVG
+ */
+function fixXYChartSvg(svgContent) {
+  let svg = svgContent.replace(/(\d+\.\d{3,})/g, match => parseFloat(match).toFixed(2));
+
+  svg = svg.replace(/transform="translate\(([^)]+)\)"/g, (match, coords) => {
+    const cleanCoords = coords.split(',').map(coord => {
+      const num = parseFloat(coord.trim());
+      return isNaN(num) ? coord.trim() : num.toFixed(2);
+    }).join(', ');
+    return `transform="translate(${cleanCoords})"`;
+  });
+
+  // Labels such as "$1,000" are escaped once, consistently
+  svg = svg.replace(/&#x24;/g, '$').replace(/&amp;/g, '&');
+  svg = svg.replace(/<text[^>]*>([^<]*[&<>][^<]*)<\/text>/g, (match, textContent) =>
+    match.replace(textContent, textContent.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')));
+
+  const viewBoxMatch = svg.match(/viewBox="([^"]+)"/);
+  const widthMatch = svg.match(/width="([^"]+)"/);
+  const heightMatch = svg.match(/height="([^"]+)"/);
+  if (viewBoxMatch && widthMatch && heightMatch) {
+    const [, , viewBoxWidth, viewBoxHeight] = viewBoxMatch[1].split(' ');
+    if (widthMatch[1] !== viewBoxWidth || heightMatch[1] !== viewBoxHeight) {
+      svg = svg.replace(/width="[^"]*"/, `width="${viewBoxWidth}"`);
+      svg = svg.replace(/height="[^"]*"/, `height="${viewBoxHeight}"`);
+    }
+  }
+
+  return svg;
+}
+
+/**
+ * Shrink a large SVG: round coordinates, collapse whitespace and drop empty groups
+ * @param {string} svgContent - SVG content
+ * @returns {string} Smaller SVG
+ */
+function optimizeLargeSvg(svgContent) {
+  return minify(svgContent.replace(/(\d+\.\d{4,})/g, match => parseFloat(match).toFixed(2)))
+    .replace(/<g[^>]*>\s*<\/g>/g, '');
+}
+
+/**
+ * Generic SVG clean-up (PlantUML, Graphviz and third-party renderers): background,
+ * plain fonts, no embedded stylesheets, minified
+ * @param {string} svgContent - SVG content
+ * @param {Object} options - {background, font} of the diagram theme (white and Arial by default)
+ * @returns {string} Optimized SVG
+ */
+function optimizeSvg(svgContent, options = {}) {
+  let svg = svgContent;
+
+  if (!svg.includes('xmlns="http://www.w3.org/2000/svg"')) {
+    svg = svg.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+  }
+
+  if (!svg.includes('<rect') && !svg.includes('background')) {
+    const rect = backgroundRect(svg, options.background || 'white');
+    if (rect) {
+      svg = svg.replace(/(<svg[^>]*>)/, `$1\n${rect}`);
+    }
+  }
+
+  svg = svg.replace(/font-family="[^"]*"/g, `font-family="${fontFamily(options.font)}"`);
+  svg = svg.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
+  svg = svg.replace(/class="[^"]*"/g, '');
+  svg = svg.replace(/style="[^"]*max-width:[^"]*"/g, '');
+  svg = svg.replace(/encoding="[^"]*"/g, 'encoding="UTF-8"');
+  svg = minify(svg.replace(/<g[^>]*>\s*<\/g>/g, ''));
+
+  if (!svg.includes('width=') && !svg.includes('height=')) {
+    svg = svg.replace('<svg', '<svg width="800" height="600"');
+  }
+  return svg;
+}
+
+/**
+ * D2 SVG clean-up: D2 nests SVGs whose inner dimensions may be zero, so they take the
+ * outer viewBox size; its stylesheets are kept (they carry the shapes' colors)
+ * @param {string} svgContent - SVG rendered by d2
+ * @param {Object} options - {font} of the diagram theme (the D2 theme draws the background)
+ * @returns {string} Optimized SVG
+ */
+function optimizeD2Svg(svgContent, options = {}) {
+  let svg = svgContent;
+
+  const outerSvg = (svg.match(/<svg[^>]*>/) || [''])[0];
+  const viewBoxMatch = outerSvg.match(/viewBox="([^"]+)"/);
+  if (viewBoxMatch) {
+    const [, , width, height] = viewBoxMatch[1].split(' ').map(Number);
+    if (width > 0 && height > 0) {
+      svg = svg.replace(/<svg[^>]*width="0"[^>]*>/g, match => match.replace(/width="0"/, `width="${width}"`));
+      svg = svg.replace(/<svg[^>]*height="0"[^>]*>/g, match => match.replace(/height="0"/, `height="${height}"`));
+      if (!outerSvg.includes('width=')) {
+        svg = svg.replace('<svg', `<svg width="${width}" height="${height}"`);
+      }
+    }
+  }
+
+  if (!svg.includes('xmlns="http://www.w3.org/2000/svg"')) {
+    svg = svg.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+  }
+
+  if (!svg.includes('fill="#FFFFFF"') && !svg.includes('fill="white"')) {
+    const rect = backgroundRect(svg);
+    if (rect) {
+      svg = svg.replace(/(<svg[^>]*>)/, `$1\n${rect}`);
+    }
+  }
+
+  svg = svg.replace(/font-family="[^"]*"/g, `font-family="${fontFamily(options.font)}"`);
+  svg = svg.replace(/style="[^"]*max-width:[^"]*"/g, '');
+  if (!svg.includes('encoding=')) {
+    svg = svg.replace('<?xml version="1.0"', '<?xml version="1.0" encoding="UTF-8"');
+  }
+
+  return minify(svg);
+}
+
+/**
+ * Clean-up for SVGs styled by their own stylesheet (WaveDrom, Excalidraw): the stylesheet and
+ * classes are kept, the SVG only gets a namespace and a background
+ * @param {string} svgContent - SVG content
+ * @param {Object} options - {background} of the diagram theme (white by default)
+ * @returns {string} Optimized SVG
+ */
+function optimizeStyledSvg(svgContent, options = {}) {
+  let svg = svgContent;
+
+  if (!svg.includes('xmlns="http://www.w3.org/2000/svg"')) {
+    svg = svg.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+  }
+
+  if (options.background || !/fill="(#fff(fff)?|white)"/i.test(svg)) {
+    const rect = backgroundRect(svg, options.background || 'white');
+    if (rect) {
+      svg = svg.replace(/(<svg[^>]*>)/, `$1\n${rect}`);
+    }
+  }
+
+  return minify(svg);
+}
+
+/**
+ * Scale an SVG to a width, keeping its aspect ratio
+ * @param {string} svgContent - SVG content
+ * @param {number} width - Width in pixels
+ * @returns {string} Resized SVG (unchanged when its size is unknown)
+ */
+function resizeSvg(svgContent, width) {
+  const size = getSvgSize(svgContent);
+  if (!size || !(width > 0)) {
+    return svgContent;
+  }
+  const height = Math.round(size.height * width / size.width);
+  return svgContent.replace(/<svg[^>]*>/, rootTag => {
+    let tag = rootTag.replace(/\s(width|height)="[^"]*"/g, '');
+    if (!tag.includes('viewBox=')) {
+      tag = tag.replace('<svg', `<svg viewBox="0 0 ${size.width} ${size.height}"`);
+    }
+    return tag.replace('<svg', `<svg width="${width}" height="${height}"`);
+  });
+}
+
+/**
+ * Combine light and dark renders of a diagram into one SVG that shows the dark render when the
+ * viewer prefers a dark color scheme. The dark render's ids are prefixed so the two renders'
+ * markers, gradients and stylesheets do not clash
+ * @param {string} lightSvg - Light render
+ * @param {string} darkSvg - Dark render
+ * @returns {string} Adaptive SVG
+ */
+function combineColorSchemeSvgs(lightSvg, darkSvg) {
+  const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const prepare = (svgContent, className) => {
+    let svg = svgContent.replace(/<\?xml[^>]*\?>/, '').replace(/<!DOCTYPE[^>]*>/i, '').trim();
+    const size = getSvgSize(svg);
+    svg = svg.replace(/<svg[^>]*>/, rootTag => {
+      let tag = rootTag;
+      if (size && !/\swidth="/.test(tag)) {
+        tag = tag.replace('<svg', `<svg width="${size.width}" height="${size.height}"`);
+      }
+      return /\sclass="/.test(tag)
+        ? tag.replace(/\sclass="([^"]*)"/, ` class="$1 ${className}"`)
+        : tag.replace('<svg', `<svg class="${className}"`);
+    });
+    return { svg, size };
+  };
+
+  const light = prepare(lightSvg, 'docflu-light');
+  const dark = prepare(darkSvg, 'docflu-dark');
+
+  const ids = [...new Set([...dark.svg.matchAll(/\sid="([^"]+)"/g)].map(match => match[1]))];
+  for (const id of ids) {
+    const escapedId = escapeRegExp(id);
+    dark.svg = dark.svg
+      .replace(new RegExp(`(\\sid=")${escapedId}"`, 'g'), `$1dark-${id}"`)
+      .replace(new RegExp(`#${escapedId}(?![\\w-])`, 'g'), `#dark-${id}`);
+  }
+
+  const width = Math.max(light.size ? light.size.width : 0, dark.size ? dark.size.width : 0) || 800;
+  const height = Math.max(light.size ? light.size.height : 0, dark.size ? dark.size.height : 0) || 600;
+  const style = '<style>.docflu-dark{display:none}@media (prefers-color-scheme: dark){.docflu-light{display:none}.docflu-dark{display:inline}}</style>';
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `${style}${light.svg}${dark.svg}</svg>`;
+}
+
+module.exports = {
+  optimizeMermaidSvg,
+  fixXYChartSvg,
+  optimizeLargeSvg,
+  optimizeSvg,
+  optimizeD2Svg,
+  optimizeStyledSvg,
+  getSvgSize,
+  resizeSvg,
+  combineColorSchemeSvgs
+};
@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { commandSucceeds, runCommand, installTool } = require('./cli-tools');
+const { optimizeSvg } = require('./svg-optimizer');
+
+// Text and line colors of dark renders (as in the vega-themes dark theme)
+const DARK_CONFIG = {
+  title: { color: '#fff' },
+  axis: { domainColor: '#fff', gridColor: '#888', tickColor: '#fff', labelColor: '#fff', titleColor: '#fff' },
+  legend: { labelColor: '#fff', titleColor: '#fff' },
+  view: { stroke: '#888' }
+};
+
+/**
+ * Add the background, font and dark colors of a theme variant to a Vega-Lite spec
+ * @param {string} code - Spec source
+ * @param {Object} spec - Parsed spec
+ * @param {Object} theme - Theme variant {dark, background, font}
+ * @returns {string} Themed spec (the source itself for the default light variant)
+ */
+function applyTheme(code, spec, theme) {
+  if (!theme.dark && !theme.background && !theme.font) {
+    return code;
+  }
+  const config = { ...(theme.dark ? DARK_CONFIG : {}), ...(theme.font ? { font: theme.font } : {}), ...spec.config };
+  return JSON.stringify({ ...spec, background: theme.background || spec.background, config });
+}
+
+/**
+ * Vega-Lite renderer (vl2svg and vl2png from the vega-lite and vega-cli packages)
+ */
+module.exports = {
+  type: 'vega-lite',
+  languages: ['vega-lite', 'vegalite'],
+  formats: ['svg', 'png'],
+  versionCommand: 'vl2svg --version',
+
+  async check() {
+    return commandSucceeds('vl2svg', ['--version']);
+  },
+
+  async install() {
+    return installTool('Vega-Lite', {
+      all: 'npm install -g vega vega-lite vega-cli',
+      manual: 'https://vega.github.io/vega-lite/usage/compile.html#cli'
+    });
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    // Fail with the JSON error rather than the CLI's stack trace
+    const spec = JSON.parse(code);
+
+    const inputFile = path.join(tempDir, `${id}${theme.dark ? '-dark' : ''}.vl.json`);
+    try {
+      await fs.writeFile(inputFile, applyTheme(code, spec, theme), 'utf8');
+      await runCommand(`vl2${format}`, [inputFile, outputFile]);
+    } finally {
+      await fs.remove(inputFile);
+    }
+
+    if (format === 'svg') {
+      await fs.writeFile(outputFile, optimizeSvg(await fs.readFile(outputFile, 'utf8'), theme), 'utf8');
+    }
+  }
+};
@@ -0,0 +1,44 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { commandSucceeds, runCommand, installTool } = require('./cli-tools');
+const { optimizeStyledSvg } = require('./svg-optimizer');
+
+/**
+ * WaveDrom renderer (wavedrom-cli), for timing diagrams and register maps in WaveJSON
+ */
+module.exports = {
+  type: 'wavedrom',
+  languages: ['wavedrom'],
+  formats: ['svg', 'png'],
+  versionCommand: 'wavedrom-cli --version',
+
+  async check() {
+    return commandSucceeds('wavedrom-cli', ['--version']);
+  },
+
+  async install() {
+    return installTool('WaveDrom', {
+      all: 'npm install -g wavedrom-cli',
+      manual: 'https://github.com/wavedrom/cli'
+    });
+  },
+
+  async render({ code, id, format, outputFile, tempDir, theme = {} }) {
+    // WaveJSON is JSON5 (unquoted keys, trailing commas), which wavedrom-cli reads as is
+    const inputFile = path.join(tempDir, `${id}${theme.dark ? '-dark' : ''}.json5`);
+    try {
+      await fs.writeFile(inputFile, code, 'utf8');
+      await runCommand('wavedrom-cli', ['-i', inputFile, format === 'svg' ? '-s' : '-p', outputFile]);
+    } finally {
+      await fs.remove(inputFile);
+    }
+
+    if (format === 'svg') {
+      // No dark mode: dark renders keep their light colors and background
+      await fs.writeFile(outputFile, optimizeStyledSvg(await fs.readFile(outputFile, 'utf8'), {
+        background: theme.dark ? null : theme.background,
+        font: theme.font
+      }), 'utf8');
+    }
+  }
+};
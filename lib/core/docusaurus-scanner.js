@@ -2,13 +2,24 @@ const fs = require('fs-extra');
 const path = require('path');
 const matter = require('gray-matter');
 const chalk = require('chalk');
+const MdxProcessor = require('./mdx-processor');
+const ConfigFile = require('./config-file');
+const SidebarResolver = require('./sidebar-resolver');
+const ConflictDetector = require('./conflict-detector');
 
 class DocusaurusScanner {
-  constructor(projectRoot) {
+  /**
+   * @param {string} projectRoot - project root directory
+   * @param {Object} options - platform config {docsDir, blogDir, includePatterns, excludePatterns, excludeGlobs, overrides, sidebars}
+   */
+  constructor(projectRoot, options = {}) {
     this.projectRoot = projectRoot;
+    this.options = options;
+    this.mdxProcessor = new MdxProcessor();
     this.docsDir = null;
     this.blogDir = null;
     this.staticDir = null;
+    this.sidebarLayout = null;
   }
 
   /**
@@ -31,8 +42,8 @@ class DocusaurusScanner {
     }
 
     // Set default directories
-    this.docsDir = path.join(this.projectRoot, 'docs');
-    this.blogDir = path.join(this.projectRoot, 'blog');
+    this.docsDir = path.resolve(this.projectRoot, this.options.docsDir || 'docs');
+    this.blogDir = path.resolve(this.projectRoot, this.options.blogDir || 'blog');
     this.staticDir = path.join(this.projectRoot, 'static');
 
     console.log(chalk.green('✓ Detected Docusaurus project'));
@@ -49,7 +60,7 @@ class DocusaurusScanner {
       throw new Error(`Docs directory not found: ${this.docsDir}`);
     }
 
-    const { excludePatterns = [] } = options;
+    const { excludePatterns = [] } = { ...this.options, ...options };
     const documents = [];
 
     await this._scanDirectory(this.docsDir, documents, '', excludePatterns);
@@ -62,7 +73,13 @@ class DocusaurusScanner {
       return a.relativePath.localeCompare(b.relativePath);
     });
 
-    console.log(chalk.blue(`📁 Found ${documents.length} documents in docs/`));
+    console.log(chalk.blue(`📁 Found ${documents.length} documents in ${path.relative(this.projectRoot, this.docsDir)}/`));
+
+    // Replace directory categories with the sidebars.js tree
+    if (this.options.sidebars) {
+      await this.applySidebars(documents);
+    }
+
     return documents;
   }
 
@@ -75,7 +92,7 @@ class DocusaurusScanner {
       return [];
     }
 
-    const { excludePatterns = [] } = options;
+    const { excludePatterns = [] } = { ...this.options, ...options };
     const posts = [];
 
     await this._scanDirectory(this.blogDir, posts, '', excludePatterns);
@@ -103,14 +120,14 @@ class DocusaurusScanner {
       const stat = await fs.stat(itemPath);
 
       // Skip excluded patterns
-      if (this._isExcluded(itemRelativePath, excludePatterns)) {
+      if (this._isExcluded(itemPath, itemRelativePath, excludePatterns)) {
         continue;
       }
 
       if (stat.isDirectory()) {
         // Recursively scan subdirectories
         await this._scanDirectory(itemPath, documents, itemRelativePath, excludePatterns);
-      } else if (this._isMarkdownFile(item)) {
+      } else if (this._isMarkdownFile(item) && this._isIncluded(itemPath)) {
         // Parse markdown file
         const document = await this._parseMarkdownFile(itemPath, itemRelativePath);
         if (document) {
@@ -126,7 +143,23 @@ class DocusaurusScanner {
   async _parseMarkdownFile(filePath, relativePath) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const { data: frontmatter, content: markdown } = matter(content);
+      const { data: fileFrontmatter, content: rawMarkdown } = matter(content);
+      let markdown = rawMarkdown;
+
+      // Per-path overrides from the docflu config file
+      const overrides = ConfigFile.resolveOverrides(this.options.overrides, this._projectRelativePath(filePath));
+      if (overrides.exclude) {
+        return null;
+      }
+      const frontmatter = { ...fileFrontmatter, ...overrides.frontmatter };
+
+      // Strip ESM statements and translate JSX components in MDX files
+      if (this.mdxProcessor.isMdxFile(filePath)) {
+        const lineOffset = content.split('\n').length - rawMarkdown.split('\n').length;
+        const mdxResult = this.mdxProcessor.process(rawMarkdown, relativePath, lineOffset);
+        this.mdxProcessor.reportWarnings(mdxResult.warnings);
+        markdown = mdxResult.content;
+      }
 
       // Extract title
       const title = this._extractTitle(frontmatter, markdown, relativePath);
@@ -222,19 +255,57 @@ class DocusaurusScanner {
    * Check if file is markdown
    */
   _isMarkdownFile(filename) {
-    return /\.(md|mdx)$/i.test(filename);
+    // <file>.conflict.md holds remote content written on a sync conflict, not a document
+    return /\.(md|mdx)$/i.test(filename) && !ConflictDetector.isConflictFile(filename);
+  }
+
+  /**
+   * Check if file matches the config file include globs (relative to project root)
+   */
+  _isIncluded(filePath) {
+    const { includePatterns = [] } = this.options;
+    return includePatterns.length === 0 || ConfigFile.matchesAny(this._projectRelativePath(filePath), includePatterns);
   }
 
   /**
-   * Check if path should be excluded
+   * Get path relative to project root with forward slashes
    */
-  _isExcluded(relativePath, excludePatterns) {
+  _projectRelativePath(filePath) {
+    return path.relative(this.projectRoot, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Check if path should be excluded: by the config file exclude globs (relative to project root,
+   * like include), or by DOCFLU_EXCLUDE_PATTERNS / --exclude patterns (relative to the scanned directory)
+   */
+  _isExcluded(filePath, relativePath, excludePatterns) {
+    const { excludeGlobs = [] } = this.options;
+    if (excludeGlobs.length > 0 && ConfigFile.matchesAny(this._projectRelativePath(filePath), excludeGlobs)) {
+      return true;
+    }
     return excludePatterns.some(pattern => {
       const regex = new RegExp(pattern.replace(/\*/g, '.*'));
       return regex.test(relativePath);
     });
   }
 
+  /**
+   * Lay documents out by the sidebars file: category becomes the sidebar category path
+   * and sidebarPosition the navigation order
+   * @param {Array} documents - Scanned documents (modified in place)
+   * @returns {Object|null} - Sidebar layout {categories, placements, links, unlisted}
+   */
+  async applySidebars(documents) {
+    const resolver = new SidebarResolver(this.projectRoot, this.docsDir);
+    this.sidebarLayout = await resolver.resolve(documents, this.options.sidebars);
+
+    if (this.sidebarLayout) {
+      resolver.apply(documents, this.sidebarLayout);
+    }
+
+    return this.sidebarLayout;
+  }
+
   /**
    * Build parent-child hierarchy map
    */
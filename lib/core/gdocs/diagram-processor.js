@@ -1,53 +1,34 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync } = require('child_process');
 const chalk = require('chalk');
-
+const DiagramCache = require('../diagram-cache');
+const DiagramRendererRegistry = require('../diagrams/renderer-registry');
+
+/**
+ * Google Docs Diagram Processor
+ * Renders diagram code blocks through the diagram renderer registry as PNG (Google Docs does not
+ * display SVG) and uploads them to Google Drive for native image insertion
+ */
 class GDocsDiagramProcessor {
-  constructor(googleDriveClient, tempDir = '.docusaurus/temp') {
+  constructor(googleDriveClient, tempDir = '.docusaurus/temp', options = {}) {
     this.googleDriveClient = googleDriveClient;
     this.tempDir = tempDir;
     this.processedDiagrams = new Map(); // Cache processed diagrams
+
+    // Renders of earlier runs (shared with the Confluence and Notion processors)
+    this.cache = options.cache || new DiagramCache(options.projectRoot || process.cwd());
+
+    // Diagram types and their renderers (built-in plus diagrams.renderers from the config file)
+    this.renderers = options.renderers || DiagramRendererRegistry.create(options.projectRoot, options.diagramRenderers, { plantumlServer: options.plantumlServer });
+
+    // Install missing renderer CLIs (--install-tools)
+    this.installTools = options.installTools || false;
+
+    // diagrams.theme of the config file; PNG can not switch, so "both" renders the light variant
+    this.diagramTheme = options.diagramTheme || {};
     
     // Ensure temp directory exists
     fs.ensureDirSync(this.tempDir);
-
-    // Supported diagram types with their configurations
-    // Note: Using PNG instead of SVG for Google Docs compatibility
-    this.diagramTypes = {
-      mermaid: {
-        regex: /```mermaid\n([\s\S]*?)\n```/g,
-        generator: this.generateMermaidImage.bind(this),
-        checker: this.checkMermaidCLI.bind(this),
-        installer: this.installMermaidCLI.bind(this),
-        extension: 'png',
-        contentType: 'image/png'
-      },
-      plantuml: {
-        regex: /```plantuml\n([\s\S]*?)\n```/g,
-        generator: this.generatePlantUMLImage.bind(this),
-        checker: this.checkPlantUMLCLI.bind(this),
-        installer: this.installPlantUMLCLI.bind(this),
-        extension: 'png',
-        contentType: 'image/png'
-      },
-      graphviz: {
-        regex: /```(?:dot|graphviz)\n([\s\S]*?)\n```/g,
-        generator: this.generateGraphvizImage.bind(this),
-        checker: this.checkGraphvizCLI.bind(this),
-        installer: this.installGraphvizCLI.bind(this),
-        extension: 'png',
-        contentType: 'image/png'
-      },
-      d2: {
-        regex: /```d2\n([\s\S]*?)\n```/g,
-        generator: this.generateD2Image.bind(this),
-        checker: this.checkD2CLI.bind(this),
-        installer: this.installD2CLI.bind(this),
-        extension: 'png',
-        contentType: 'image/png'
-      }
-    };
   }
 
   /**
@@ -56,571 +37,7 @@ class GDocsDiagramProcessor {
    * @returns {Array} - Array of diagram objects with type info
    */
   extractAllDiagrams(markdownContent) {
-    const allDiagrams = [];
-    
-    for (const [type, config] of Object.entries(this.diagramTypes)) {
-      const diagrams = this.extractDiagramsByType(markdownContent, type, config);
-      allDiagrams.push(...diagrams);
-    }
-
-    // Sort by index to maintain order
-    return allDiagrams.sort((a, b) => a.index - b.index);
-  }
-
-  /**
-   * Extract diagrams of a specific type
-   */
-  extractDiagramsByType(markdownContent, type, config) {
-    const diagrams = [];
-    const regex = new RegExp(config.regex.source, config.regex.flags);
-    
-    let match;
-    while ((match = regex.exec(markdownContent)) !== null) {
-      const [fullMatch, diagramCode] = match;
-      
-      // Validate diagram content before processing
-      if (!diagramCode || diagramCode.trim().length === 0) {
-        console.warn(chalk.yellow(`⚠️ Empty ${type} diagram found, skipping...`));
-        continue;
-      }
-      
-      const diagram = {
-        type,
-        fullMatch,
-        code: diagramCode.trim(),
-        index: match.index,
-        id: this.generateDiagramId(type, diagramCode),
-        config
-      };
-
-      diagrams.push(diagram);
-    }
-
-    return diagrams;
-  }
-
-  /**
-   * Generate unique ID for diagram based on type and content
-   */
-  generateDiagramId(type, code) {
-    const hash = require('crypto').createHash('md5').update(code).digest('hex');
-    return `${type}-${hash.substring(0, 8)}`;
-  }
-
-  // ===========================================
-  // MERMAID SUPPORT
-  // ===========================================
-  
-  async checkMermaidCLI() {
-    try {
-      execSync('mmdc --version', { stdio: 'ignore' });
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  async installMermaidCLI() {
-    console.log(chalk.blue('📦 Installing Mermaid CLI...'));
-    try {
-      execSync('npm install -g @mermaid-js/mermaid-cli', { stdio: 'inherit' });
-      console.log(chalk.green('✅ Mermaid CLI installed successfully'));
-      return true;
-    } catch (error) {
-      console.error(chalk.red('❌ Failed to install Mermaid CLI:', error.message));
-      return false;
-    }
-  }
-
-  async generateMermaidImage(diagram) {
-    const inputFile = path.join(this.tempDir, `${diagram.id}.mmd`);
-    const outputFile = path.join(this.tempDir, `${diagram.id}.png`);
-    const configFile = path.join(this.tempDir, `${diagram.id}-config.json`);
-
-    try {
-      // Create high-quality Mermaid config optimized for Google Docs compatibility
-      const mermaidConfig = {
-        "theme": "default",
-        "securityLevel": "strict",
-        "themeVariables": {
-          // Explicit white background for Google Docs
-          "primaryColor": "#ffffff",
-          "primaryTextColor": "#000000",
-          "primaryBorderColor": "#333333",
-          "lineColor": "#333333",
-          "secondaryColor": "#f8f9fa",
-          "tertiaryColor": "#ffffff",
-          "background": "#ffffff",
-          "mainBkg": "#ffffff",
-          "secondBkg": "#f8f9fa",
-          "tertiaryBkg": "#ffffff",
-          
-          // Font settings for maximum visibility
-          "fontFamily": "Arial, Helvetica, sans-serif",
-          "fontSize": "14px",
-          "fontWeight": "bold",
-          
-          // Node specific colors
-          "nodeBkg": "#ffffff",
-          "nodeTextColor": "#000000",
-          "nodeBorder": "#333333",
-          
-          // Flowchart specific
-          "clusterBkg": "#f8f9fa",
-          "clusterTextColor": "#000000",
-          "edgeLabelBackground": "#ffffff",
-          "activeTaskBkgColor": "#ffffff",
-          "activeTaskBorderColor": "#333333",
-          
-          // Sequence diagram
-          "actorBkg": "#ffffff",
-          "actorTextColor": "#000000",
-          "actorLineColor": "#333333",
-          "signalColor": "#333333",
-          "signalTextColor": "#000000",
-          "labelBoxBkgColor": "#ffffff",
-          "labelBoxBorderColor": "#333333",
-          "labelTextColor": "#000000",
-          "loopTextColor": "#000000",
-          "noteBkgColor": "#fff3cd",
-          "noteTextColor": "#000000",
-          "noteBorderColor": "#ffc107",
-          
-          // Class diagram
-          "classText": "#000000",
-          "classTitleColor": "#000000",
-          "c0": "#ffffff",
-          "c1": "#f8f9fa",
-          "c2": "#e9ecef",
-          "c3": "#dee2e6"
-        },
-        "flowchart": {
-          "curve": "linear",
-          "htmlLabels": false,
-          "useMaxWidth": false,
-          "diagramPadding": 20,
-          "nodeSpacing": 50,
-          "rankSpacing": 60
-        },
-        "sequence": {
-          "diagramMarginX": 50,
-          "diagramMarginY": 20,
-          "actorMargin": 50,
-          "width": 150,
-          "height": 65,
-          "boxMargin": 10,
-          "boxTextMargin": 5,
-          "noteMargin": 10,
-          "messageMargin": 35,
-          "mirrorActors": false,
-          "bottomMarginAdj": 1,
-          "useMaxWidth": false,
-          "rightAngles": false,
-          "showSequenceNumbers": false
-        },
-        "gantt": {
-          "titleTopMargin": 25,
-          "barHeight": 20,
-          "barGap": 4,
-          "topPadding": 50,
-          "leftPadding": 75,
-          "gridLineStartPadding": 35,
-          "fontSize": 11,
-          "fontFamily": "Arial, sans-serif",
-          "sectionFontSize": 24,
-          "numberSectionStyles": 4
-        }
-      };
-
-      // Write diagram content to file
-      await fs.writeFile(inputFile, diagram.code);
-      
-      // Write config to file
-      await fs.writeFile(configFile, JSON.stringify(mermaidConfig, null, 2));
-
-      // Generate SVG with high quality settings for Google Docs
-      const command = `mmdc -i "${inputFile}" -o "${outputFile}" -c "${configFile}" --backgroundColor white --width 1200 --height 900 --scale 1`;
-      
-      // console.log(chalk.blue(`📊 Generating Mermaid diagram: ${diagram.id}...`));
-      
-      try {
-        execSync(command, { stdio: 'pipe' });
-        
-        if (await fs.pathExists(outputFile)) {
-          console.log(chalk.green(`✅ Generated high-quality Mermaid diagram: ${diagram.id}.png`));
-          return outputFile;
-        } else {
-          throw new Error('PNG file was not generated');
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`⚠️ Failed to generate Mermaid diagram ${diagram.id}: ${error.message}`));
-        
-        // Try fallback generation with basic settings
-        console.log(chalk.gray('Attempting fallback generation with basic settings...'));
-        const fallbackCommand = `mmdc -i "${inputFile}" -o "${outputFile}" --backgroundColor white --width 800 --height 600`;
-        
-        try {
-          execSync(fallbackCommand, { stdio: 'pipe' });
-          
-          if (await fs.pathExists(outputFile)) {
-            console.log(chalk.yellow(`⚠️ Generated Mermaid diagram with fallback settings: ${diagram.id}.png`));
-            return outputFile;
-          }
-        } catch (fallbackError) {
-          console.error(chalk.red(`⚠️ Fallback generation also failed: ${fallbackError.message}`));
-        }
-        
-        return null;
-      }
-      
-    } catch (error) {
-      console.error(chalk.red(`❌ Error generating Mermaid diagram ${diagram.id}:`, error.message));
-      return null;
-    } finally {
-      // Clean up temp files
-      try {
-        if (await fs.pathExists(inputFile)) await fs.remove(inputFile);
-        if (await fs.pathExists(configFile)) await fs.remove(configFile);
-      } catch (cleanupError) {
-        console.warn(chalk.gray(`⚠️ Cleanup warning: ${cleanupError.message}`));
-      }
-    }
-  }
-
-
-
-  // ===========================================
-  // PLANTUML SUPPORT
-  // ===========================================
-  
-  async checkPlantUMLCLI() {
-    try {
-      // Try to load plantuml-encoder package
-      require('plantuml-encoder');
-      return true;
-    } catch (error) {
-      // Fallback: check if Java + PlantUML jar is available
-      try {
-        execSync('java -version', { stdio: 'ignore' });
-        const plantUMLPath = path.join(process.env.HOME || process.env.USERPROFILE, 'plantuml.jar');
-        return await fs.pathExists(plantUMLPath);
-      } catch (javaError) {
-        return false;
-      }
-    }
-  }
-
-  async installPlantUMLCLI() {
-    console.log(chalk.blue('📦 Setting up PlantUML...'));
-    try {
-      // Try to use plantuml-encoder package (preferred)
-      try {
-        require('plantuml-encoder');
-        console.log(chalk.green('✅ PlantUML encoder package available'));
-        return true;
-      } catch (nodeError) {
-        console.log(chalk.yellow('⚠️ plantuml-encoder package not found, trying alternative...'));
-        
-        // Fallback: try to install plantuml-encoder
-        try {
-          console.log(chalk.blue('📦 Installing plantuml-encoder package...'));
-          execSync('npm install plantuml-encoder', { stdio: 'inherit', cwd: process.cwd() });
-          console.log(chalk.green('✅ plantuml-encoder installed successfully'));
-          return true;
-        } catch (installError) {
-          console.log(chalk.yellow('⚠️ Failed to install plantuml-encoder, checking Java fallback...'));
-          
-          // Final fallback: Java + PlantUML jar
-          try {
-            execSync('java -version', { stdio: 'ignore' });
-            const plantUMLPath = path.join(process.env.HOME || process.env.USERPROFILE, 'plantuml.jar');
-            
-            if (await fs.pathExists(plantUMLPath)) {
-              console.log(chalk.green('✅ PlantUML Java fallback available'));
-              return true;
-            } else {
-              console.log(chalk.yellow('⚠️ PlantUML jar not found. PlantUML diagrams will be skipped.'));
-              console.log(chalk.gray('   To enable PlantUML: npm install plantuml-encoder'));
-              return false;
-            }
-          } catch (javaError) {
-            console.log(chalk.yellow('⚠️ Neither Node.js nor Java PlantUML available. Skipping PlantUML support.'));
-            return false;
-          }
-        }
-      }
-    } catch (error) {
-      console.error(chalk.red('❌ Failed to setup PlantUML:', error.message));
-      return false;
-    }
-  }
-
-  async generatePlantUMLImage(diagram) {
-    const outputFile = path.join(this.tempDir, `${diagram.id}.png`);
-
-    try {
-      console.log(chalk.blue(`📊 Generating PlantUML diagram: ${diagram.id}...`));
-      
-      // Try plantuml-encoder package first (preferred method)
-      try {
-        const plantumlEncoder = require('plantuml-encoder');
-        const axios = require('axios');
-        
-        // Encode PlantUML diagram
-        const encoded = plantumlEncoder.encode(diagram.code);
-        
-        // Generate PNG using PlantUML server
-        const plantUMLServerUrl = `http://www.plantuml.com/plantuml/png/${encoded}`;
-        
-        console.log(chalk.blue(`📊 Downloading PlantUML diagram from server...`));
-        
-        const response = await axios({
-          method: 'GET',
-          url: plantUMLServerUrl,
-          responseType: 'arraybuffer',
-          timeout: 30000,
-          headers: {
-            'User-Agent': 'docflu-plantuml-client/1.0'
-          }
-        });
-        
-        if (response.status !== 200) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const pngBuffer = Buffer.from(response.data);
-        if (pngBuffer.length === 0) {
-          throw new Error('Empty PNG buffer received from server');
-        }
-        
-        await fs.writeFile(outputFile, pngBuffer);
-        
-        if (await fs.pathExists(outputFile)) {
-          const stats = await fs.stat(outputFile);
-          if (stats.size === 0) {
-            throw new Error('Generated PNG file is empty');
-          }
-          console.log(chalk.green(`✅ Generated PlantUML diagram: ${diagram.id}.png (${stats.size} bytes, Server)`));
-          return outputFile;
-        } else {
-          throw new Error('PNG file was not created');
-        }
-        
-      } catch (nodeError) {
-        console.log(chalk.yellow(`⚠️ PlantUML server method failed, trying Java fallback...`));
-        
-        // Fallback to Java + PlantUML jar
-        const inputFile = path.join(this.tempDir, `${diagram.id}.puml`);
-        const plantUMLPath = path.join(process.env.HOME || process.env.USERPROFILE, 'plantuml.jar');
-        
-        try {
-          // Check Java and jar availability
-          execSync('java -version', { stdio: 'ignore' });
-          
-          if (!(await fs.pathExists(plantUMLPath))) {
-            throw new Error('PlantUML jar not found');
-          }
-          
-          // Write PlantUML content to file
-          await fs.writeFile(inputFile, diagram.code);
-
-          // Generate PNG using Java PlantUML
-          const command = `java -jar "${plantUMLPath}" -tpng "${inputFile}"`;
-          execSync(command, { stdio: 'pipe' });
-
-          if (await fs.pathExists(outputFile)) {
-            console.log(chalk.green(`✅ Generated PlantUML diagram: ${diagram.id}.png (Java)`));
-            return outputFile;
-          } else {
-            throw new Error('PNG file was not generated');
-          }
-          
-        } catch (javaError) {
-          throw new Error(`Both server and Java methods failed: ${nodeError.message}, ${javaError.message}`);
-        } finally {
-          // Clean up input file
-          try {
-            if (await fs.pathExists(inputFile)) await fs.remove(inputFile);
-          } catch (cleanupError) {
-            console.warn(chalk.gray(`⚠️ Cleanup warning: ${cleanupError.message}`));
-          }
-        }
-      }
-      
-    } catch (error) {
-      console.error(chalk.red(`❌ Error generating PlantUML diagram ${diagram.id}:`, error.message));
-      return null;
-    }
-  }
-
-  // ===========================================
-  // GRAPHVIZ SUPPORT
-  // ===========================================
-  
-  async checkGraphvizCLI() {
-    try {
-      execSync('dot -V', { stdio: 'ignore' });
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  async installGraphvizCLI() {
-    console.log(chalk.blue('📦 Installing Graphviz...'));
-    try {
-      // Platform-specific installation
-      const platform = process.platform;
-      
-      if (platform === 'darwin') {
-        execSync('brew install graphviz', { stdio: 'inherit' });
-      } else if (platform === 'linux') {
-        execSync('sudo apt-get install -y graphviz', { stdio: 'inherit' });
-      } else if (platform === 'win32') {
-        console.log(chalk.yellow('⚠️ Please install Graphviz manually on Windows from https://graphviz.org/download/'));
-        return false;
-      }
-      
-      console.log(chalk.green('✅ Graphviz installed successfully'));
-      return true;
-    } catch (error) {
-      console.error(chalk.red('❌ Failed to install Graphviz:', error.message));
-      return false;
-    }
-  }
-
-  async generateGraphvizImage(diagram) {
-    const inputFile = path.join(this.tempDir, `${diagram.id}.dot`);
-    const outputFile = path.join(this.tempDir, `${diagram.id}.png`);
-
-    try {
-      // Write Graphviz content to file
-      await fs.writeFile(inputFile, diagram.code);
-
-      // Generate PNG using Graphviz
-      const command = `dot -Tpng "${inputFile}" -o "${outputFile}"`;
-      
-      console.log(chalk.blue(`📊 Generating Graphviz diagram: ${diagram.id}...`));
-      execSync(command, { stdio: 'pipe' });
-
-      if (await fs.pathExists(outputFile)) {
-        console.log(chalk.green(`✅ Generated Graphviz diagram: ${diagram.id}.png`));
-        return outputFile;
-      } else {
-        throw new Error('PNG file was not generated');
-      }
-      
-    } catch (error) {
-      console.error(chalk.red(`❌ Error generating Graphviz diagram ${diagram.id}:`, error.message));
-      return null;
-    } finally {
-      // Clean up temp files
-      try {
-        if (await fs.pathExists(inputFile)) await fs.remove(inputFile);
-      } catch (cleanupError) {
-        console.warn(chalk.gray(`⚠️ Cleanup warning: ${cleanupError.message}`));
-      }
-    }
-  }
-
-  // ===========================================
-  // D2 SUPPORT
-  // ===========================================
-  
-  async checkD2CLI() {
-    try {
-      execSync('d2 --version', { stdio: 'ignore' });
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  async installD2CLI() {
-    console.log(chalk.blue('📦 Installing D2...'));
-    try {
-      // Platform-specific installation
-      const platform = process.platform;
-      
-      if (platform === 'darwin') {
-        execSync('brew install d2', { stdio: 'inherit' });
-      } else if (platform === 'linux') {
-        execSync('curl -fsSL https://d2lang.com/install.sh | sh -s --', { stdio: 'inherit' });
-      } else if (platform === 'win32') {
-        console.log(chalk.yellow('⚠️ Please install D2 manually on Windows from https://d2lang.com/tour/install'));
-        return false;
-      }
-      
-      console.log(chalk.green('✅ D2 installed successfully'));
-      return true;
-    } catch (error) {
-      console.error(chalk.red('❌ Failed to install D2:', error.message));
-      return false;
-    }
-  }
-
-  async generateD2Image(diagram) {
-    const inputFile = path.join(this.tempDir, `${diagram.id}.d2`);
-    const outputFile = path.join(this.tempDir, `${diagram.id}.png`);
-
-    try {
-      // Validate and fix D2 syntax
-      const validatedCode = this.validateAndFixD2Syntax(diagram.code);
-      
-      // Write D2 content to file
-      await fs.writeFile(inputFile, validatedCode);
-
-      // Generate PNG using D2
-      const command = `d2 "${inputFile}" "${outputFile}" --theme=0 --dark-theme=0 --layout=dagre --pad=20`;
-      
-      console.log(chalk.blue(`📊 Generating D2 diagram: ${diagram.id}...`));
-      execSync(command, { stdio: 'pipe' });
-
-      if (await fs.pathExists(outputFile)) {
-        console.log(chalk.green(`✅ Generated D2 diagram: ${diagram.id}.png`));
-        return outputFile;
-      } else {
-        throw new Error('PNG file was not generated');
-      }
-      
-    } catch (error) {
-      console.error(chalk.red(`❌ Error generating D2 diagram ${diagram.id}:`, error.message));
-      return null;
-    } finally {
-      // Clean up temp files
-      try {
-        if (await fs.pathExists(inputFile)) await fs.remove(inputFile);
-      } catch (cleanupError) {
-        console.warn(chalk.gray(`⚠️ Cleanup warning: ${cleanupError.message}`));
-      }
-    }
-  }
-
-  /**
-   * Optimize D2 SVG for Google Docs compatibility
-   * Note: This method is deprecated since we now use PNG format for Google Docs compatibility
-   */
-
-
-  /**
-   * Validate and fix common D2 syntax issues
-   */
-  validateAndFixD2Syntax(diagramCode) {
-    let fixedCode = diagramCode;
-    
-    // Fix common D2 syntax issues
-    fixedCode = fixedCode
-      // Ensure proper connection syntax
-      .replace(/-->/g, '->')
-      .replace(/\s*->\s*/g, ' -> ')
-      // Fix label syntax
-      .replace(/:\s*([^{}\n]+)(?=\s*\{)/g, ': $1')
-      // Ensure proper shape syntax
-      .replace(/\.shape\s*=\s*([^\s\n]+)/g, '.shape: $1')
-      // Fix style syntax
-      .replace(/\.style\s*=\s*([^\s\n]+)/g, '.style: $1');
-
-    return fixedCode;
+    return this.renderers.extractDiagrams(markdownContent);
   }
 
   /**
@@ -686,17 +103,22 @@ class GDocsDiagramProcessor {
       // Process each diagram
       for (const diagram of allDiagrams) {
         try {
-          // Check if CLI tool is available
-          const isToolAvailable = await diagram.config.checker();
-          if (!isToolAvailable) {
-            console.warn(chalk.yellow(`⚠️ ${diagram.type} CLI not available, keeping original text for: ${diagram.id}`));
+          // Render PNG, or reuse the render of an earlier run (no CLI needed then)
+          const rendered = await this.renderers.render(diagram, {
+            formats: ['png'],
+            tempDir: this.tempDir,
+            cache: this.cache,
+            install: this.installTools,
+            theme: this.diagramTheme
+          });
+          const imagePath = rendered.filePath;
+
+          if (!rendered.available) {
+            console.warn(chalk.yellow(`⚠️ ${diagram.type} renderer not available, keeping original text for: ${diagram.id}`));
             stats.diagramsSkipped++;
-            stats.errors.push(`${diagram.type} CLI not available for diagram: ${diagram.id}`);
+            stats.errors.push(`${diagram.type} renderer not available for diagram: ${diagram.id}`);
             continue; // Keep original diagram text
           }
-
-          // Generate diagram image
-          const imagePath = await diagram.config.generator(diagram);
           
           if (imagePath && await fs.pathExists(imagePath)) {
             // Upload to Google Drive
@@ -712,9 +134,6 @@ class GDocsDiagramProcessor {
 
             stats.diagramsProcessed++;
             stats.diagramsUploaded++;
-
-            // Clean up temp file
-            await fs.remove(imagePath);
             
           } else {
             console.warn(chalk.yellow(`⚠️ Failed to generate ${diagram.type} diagram, keeping original text: ${diagram.id}`));
@@ -778,12 +197,8 @@ class GDocsDiagramProcessor {
     try {
       if (await fs.pathExists(this.tempDir)) {
         const files = await fs.readdir(this.tempDir);
-        const diagramFiles = files.filter(file => 
-          file.includes('mermaid-') || 
-          file.includes('plantuml-') || 
-          file.includes('graphviz-') || 
-          file.includes('d2-')
-        );
+        const prefixes = this.renderers.getTypes().map(type => `${type}-`);
+        const diagramFiles = files.filter(file => prefixes.some(prefix => file.startsWith(prefix)));
         
         for (const file of diagramFiles) {
           await fs.remove(path.join(this.tempDir, file));
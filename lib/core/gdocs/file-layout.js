@@ -0,0 +1,145 @@
+const path = require('path');
+const chalk = require('chalk');
+const SidebarResolver = require('../sidebar-resolver');
+
+/**
+ * Google Docs File Layout
+ * Places one Google Doc per markdown file in a Drive folder tree mirroring the docs/ directories
+ * (root folder named after the document title, sub folders named from _category_.json labels)
+ */
+class GoogleDocsFileLayout {
+  /**
+   * @param {GoogleDriveClient} driveClient - Initialized Drive client
+   * @param {GoogleDocsState} state - Google Docs state
+   * @param {Object} options - {docsDir (absolute path), rootTitle}
+   */
+  constructor(driveClient, state, options = {}) {
+    this.driveClient = driveClient;
+    this.state = state;
+    this.docsDir = options.docsDir;
+    this.rootTitle = options.rootTitle || 'Documentation';
+    this.verifiedFolders = new Map(); // category path -> promise of the folder ID checked during this sync
+  }
+
+  /**
+   * Get the recorded Google Doc of a file
+   * @param {Object} document - Scanned document
+   * @returns {Object|undefined} Document state
+   */
+  getDocument(document) {
+    return this.state.getFileDocument(document.filePath);
+  }
+
+  /**
+   * Check if a file changed since its Google Doc was last synced
+   * @param {Object} document - Scanned document
+   * @returns {Promise<boolean>}
+   */
+  async needsSync(document) {
+    const existing = this.getDocument(document);
+    return !existing || this.state.needsSync(document.filePath, existing.documentId);
+  }
+
+  /**
+   * Get the Google Doc of a file, creating it (and its folders) when missing
+   * @param {Object} document - Scanned document
+   * @returns {Promise<Object>} - { documentId, url, folderId, created }
+   */
+  async ensureDocument(document) {
+    const folderId = await this.ensureFolder(this.getCategoryPath(document));
+    const existing = this.getDocument(document);
+
+    if (existing) {
+      const file = await this.driveClient.getActiveFile(existing.documentId);
+      if (file) {
+        if (file.name !== document.title) {
+          await this.driveClient.renameFile(existing.documentId, document.title);
+        }
+        return { documentId: existing.documentId, url: existing.documentUrl, folderId, created: false };
+      }
+
+      console.log(chalk.yellow(`⚠️ Google Doc of ${document.relativePath} was deleted, creating a new one`));
+      this.state.removeDocument(existing.documentId);
+    }
+
+    const created = await this.driveClient.createDocument(document.title, folderId);
+    console.log(chalk.green(`📄 Created Google Doc: ${document.title}`));
+    return { documentId: created.documentId, url: created.url, folderId, created: true };
+  }
+
+  /**
+   * Get the Drive folder of a category path, creating missing folders from the root down.
+   * Documents synced in parallel share the pending lookup, so each folder is created once
+   * @param {string} categoryPath - Directory relative to docs/ ('' for the root folder)
+   * @returns {Promise<string>} Folder ID
+   */
+  ensureFolder(categoryPath) {
+    if (!this.verifiedFolders.has(categoryPath)) {
+      const folderId = this.verifyFolder(categoryPath);
+      this.verifiedFolders.set(categoryPath, folderId);
+      folderId.catch(() => this.verifiedFolders.delete(categoryPath));
+    }
+
+    return this.verifiedFolders.get(categoryPath);
+  }
+
+  /**
+   * Check the recorded Drive folder of a category path, creating it when missing
+   * @param {string} categoryPath - Directory relative to docs/ ('' for the root folder)
+   * @returns {Promise<string>} Folder ID
+   */
+  async verifyFolder(categoryPath) {
+    const parentId = categoryPath
+      ? await this.ensureFolder(path.posix.dirname(categoryPath) === '.' ? '' : path.posix.dirname(categoryPath))
+      : 'root';
+    const name = this.getFolderName(categoryPath);
+
+    const recorded = this.state.getFolder(categoryPath);
+    let folder = null;
+    if (recorded) {
+      const file = await this.driveClient.getActiveFile(recorded.folderId);
+      if (file) {
+        if (file.name !== name) {
+          await this.driveClient.renameFile(recorded.folderId, name);
+        }
+        folder = { id: recorded.folderId, url: recorded.url };
+      }
+    }
+
+    if (!folder) {
+      folder = await this.driveClient.ensureFolder(name, parentId);
+      this.state.setFolder(categoryPath, { folderId: folder.id, name, url: folder.url });
+    }
+
+    return folder.id;
+  }
+
+  /**
+   * Folder name of a category path: root title, _category_.json label or the directory name
+   */
+  getFolderName(categoryPath) {
+    if (!categoryPath) {
+      return this.rootTitle;
+    }
+
+    const data = SidebarResolver.loadCategoryFileSync(path.join(this.docsDir, categoryPath));
+    return data.label || path.posix.basename(categoryPath);
+  }
+
+  /**
+   * Directory of a document relative to docs/ with forward slashes ('' for docs root and files outside docs/)
+   */
+  getCategoryPath(document) {
+    const directory = path.relative(this.docsDir, path.dirname(path.resolve(document.filePath)));
+    return !directory || directory.startsWith('..') ? '' : directory.split(path.sep).join('/');
+  }
+
+  /**
+   * Get the root folder URL
+   */
+  getRootUrl() {
+    return this.state.getFolder('')?.url || null;
+  }
+}
+
+module.exports = GoogleDocsFileLayout;
@@ -10,8 +10,16 @@ const axios = require('axios');
  * Integrates with existing diagram processors from Confluence implementation
  */
 class GDocsImageProcessor {
-  constructor(projectRoot = process.cwd()) {
+  /**
+   * @param {string} projectRoot - Project root directory
+   * @param {DiagramRendererRegistry} diagramRenderers - Diagram renderers (built-in ones when omitted)
+   * @param {Object} options - {installTools: install missing renderer CLIs, diagramTheme: diagrams.theme settings}
+   */
+  constructor(projectRoot = process.cwd(), diagramRenderers = null, options = {}) {
     this.projectRoot = projectRoot;
+    this.diagramRenderers = diagramRenderers;
+    this.installTools = options.installTools || false;
+    this.diagramTheme = options.diagramTheme || {};
     this.driveClient = null;
     this.stateManager = null;
     
@@ -73,7 +81,12 @@ class GDocsImageProcessor {
     try {
       // Load Google Docs diagram processor (custom implementation for Google Drive)
       const GDocsDiagramProcessor = require('./diagram-processor');
-      this.diagramProcessor = new GDocsDiagramProcessor(this.driveClient, path.join(this.projectRoot, '.docusaurus', 'temp'));
+      this.diagramProcessor = new GDocsDiagramProcessor(this.driveClient, path.join(this.projectRoot, '.docusaurus', 'temp'), {
+        projectRoot: this.projectRoot,
+        renderers: this.diagramRenderers,
+        installTools: this.installTools,
+        diagramTheme: this.diagramTheme
+      });
       
   
     } catch (error) {
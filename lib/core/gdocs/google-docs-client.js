@@ -8,9 +8,14 @@ const crypto = require('crypto');
 const open = require('open');
 const chalk = require('chalk');
 const axios = require('axios');
+const RetryPolicy = require('../retry-policy');
 
 class GoogleDocsClient {
-  constructor(projectRoot = process.cwd()) {
+  /**
+   * @param {string} projectRoot - Project root directory
+   * @param {Object} options - {retryCount}
+   */
+  constructor(projectRoot = process.cwd(), options = {}) {
     this.projectRoot = projectRoot;
     this.tokensPath = path.join(projectRoot, '.docusaurus', 'google-tokens.json');
     this.oauth2Client = null;
@@ -23,6 +28,9 @@ class GoogleDocsClient {
       'https://www.googleapis.com/auth/documents',      // Google Docs API
       'https://www.googleapis.com/auth/drive.file'      // Google Drive API (file upload)
     ];
+
+    // Retry rate limited and failed requests of the Docs and Drive APIs (DOCFLU_RETRY_COUNT)
+    this.retryPolicy = new RetryPolicy({ retryCount: options.retryCount, label: 'Google' });
   }
 
   /**
@@ -59,7 +67,7 @@ class GoogleDocsClient {
       }
 
       // Initialize Google Docs API
-      this.docs = google.docs({ version: 'v1', auth: this.oauth2Client });
+      this.docs = google.docs({ version: 'v1', auth: this.oauth2Client, retryConfig: this.retryPolicy.toGaxiosConfig() });
       
       console.log(chalk.green('✅ Google Docs client initialized successfully'));
       return true;
@@ -422,6 +430,74 @@ class GoogleDocsClient {
     }
   }
 
+  /**
+   * Get document information including the tab tree and the content of every tab
+   */
+  async getDocumentWithTabs(documentId) {
+    try {
+      const response = await this.docs.documents.get({
+        documentId: documentId,
+        includeTabsContent: true,
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to get document tabs:'), error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a tab to a document
+   * @param {string} documentId - Document ID
+   * @param {string} title - Tab title
+   * @param {string|null} parentTabId - Parent tab ID (null for a top-level tab)
+   * @returns {Promise<Object>} Tab properties of the new tab ({tabId, title, parentTabId, index})
+   */
+  async addTab(documentId, title, parentTabId = null) {
+    const response = await this.docs.documents.batchUpdate({
+      documentId: documentId,
+      requestBody: {
+        requests: [{
+          addDocumentTab: {
+            tabProperties: { title, ...(parentTabId && { parentTabId }) }
+          }
+        }]
+      }
+    });
+
+    return response.data.replies[0].addDocumentTab.tabProperties;
+  }
+
+  /**
+   * Rename a tab
+   */
+  async renameTab(documentId, tabId, title) {
+    await this.docs.documents.batchUpdate({
+      documentId: documentId,
+      requestBody: {
+        requests: [{
+          updateDocumentTabProperties: {
+            tabProperties: { tabId, title },
+            fields: 'title'
+          }
+        }]
+      }
+    });
+  }
+
+  /**
+   * Delete a tab and its child tabs
+   */
+  async deleteTab(documentId, tabId) {
+    await this.docs.documents.batchUpdate({
+      documentId: documentId,
+      requestBody: {
+        requests: [{ deleteTab: { tabId } }]
+      }
+    });
+  }
+
   /**
    * Test API connectivity
    */
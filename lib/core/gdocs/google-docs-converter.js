@@ -3,13 +3,19 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const TableConverter = require('./table-converter');
+const AdmonitionProcessor = require('../admonition-processor');
+const DiagramRendererRegistry = require('../diagrams/renderer-registry');
 
 /**
  * Google Docs Content Converter
  * Converts markdown content to Google Docs Document Resource format
  */
 class GoogleDocsConverter {
-  constructor() {
+  /**
+   * @param {DiagramRendererRegistry} diagramRenderers - Diagram types whose code blocks are rendered as images
+   */
+  constructor(diagramRenderers = DiagramRendererRegistry.create()) {
+    this.diagramRenderers = diagramRenderers;
     this.md = new MarkdownIt({
       html: true,
       linkify: true,
@@ -17,6 +23,7 @@ class GoogleDocsConverter {
     });
     
     this.tableConverter = new TableConverter();
+    this.admonitionProcessor = new AdmonitionProcessor();
     
     // Debug configuration
     this.debug = process.env.DEBUG_GDOCS_CONVERTER === 'true';
@@ -70,6 +77,26 @@ class GoogleDocsConverter {
           type: this.getLineType(trimmedLine)
         });
 
+        // Admonition - title paragraph followed by converted body, shaded in step 2
+        const admonition = this.admonitionProcessor.isOpening(line)
+          ? this.admonitionProcessor.extractBlock(lines, i)
+          : null;
+        if (admonition) {
+          this.appendAdmonition(admonition, requests, tablesForStep2, formattingForStep2, options);
+          
+          debugInfo.processing.elements.push({
+            lineNumber: i + 1,
+            type: 'admonition',
+            kind: admonition.kind,
+            title: admonition.title,
+            linesSpanned: admonition.endIndex - i + 1,
+            needsFormatting: true
+          });
+          
+          i = admonition.endIndex; // Skip processed lines
+          continue;
+        }
+
         if (trimmedLine === '') {
           // Empty line
           requests.push({
@@ -114,28 +141,33 @@ class GoogleDocsConverter {
           });
           
         } else if (trimmedLine.startsWith('```')) {
-          // Code block - check if it's a diagram type that should be skipped
+          // Code block (diagrams left here were not rendered)
           const codeBlockResult = this.extractCodeBlock(lines, i);
           if (codeBlockResult) {
             const { content, language, endIndex } = codeBlockResult;
             
-            // Skip diagram code blocks that should have been processed by image processor
-            // These should have been converted to placeholders already
-            const diagramLanguages = ['mermaid', 'plantuml', 'dot', 'graphviz', 'd2'];
-            if (diagramLanguages.includes(language?.toLowerCase())) {
-              console.log(chalk.yellow(`⚠️ Skipping unprocessed ${language} diagram code block - likely missing CLI tool`));
+            // Rendered diagrams were replaced by placeholders already; the ones left were not
+            // rendered (e.g. missing CLI tool) and stay code blocks, with a note above them
+            // (the fence language may be followed by diagram settings, e.g. "mermaid theme=forest")
+            const diagramType = this.diagramRenderers.resolveType(language?.split(/\s+/)[0].toLowerCase());
+            if (diagramType) {
+              console.log(chalk.yellow(`⚠️ Keeping unrendered ${language} diagram as a code block`));
+              
+              requests.push({
+                insertText: {
+                  text: `⚠️ ${DiagramRendererRegistry.getUnrenderedNote(diagramType)}\n`,
+                  endOfSegmentLocation: { segmentId: '' }
+                }
+              });
               
               debugInfo.processing.elements.push({
                 lineNumber: i + 1,
-                type: 'skipped_diagram',
+                type: 'unrendered_diagram',
                 language: language,
                 content: content.substring(0, 100) + (content.length > 100 ? '...' : ''),
                 linesSpanned: endIndex - i + 1,
-                reason: 'Diagram should have been processed by image processor but was not - skipping to avoid duplication'
+                reason: 'Diagram was not rendered by the image processor - kept as a code block'
               });
-              
-              i = endIndex; // Skip these lines completely
-              continue;
             }
             
             // Regular code block - insert language label if present
@@ -376,6 +408,57 @@ class GoogleDocsConverter {
     }
   }
 
+  /**
+   * Append admonition requests: a title line, then the body converted recursively
+   * Body requests, tables and formatting are re-indexed into the parent result
+   */
+  appendAdmonition(admonition, requests, tablesForStep2, formattingForStep2, options = {}) {
+    const title = this.admonitionProcessor.getTitle(admonition.kind, admonition.title);
+    const titleText = title + '\n';
+    
+    requests.push({
+      insertText: {
+        text: titleText,
+        endOfSegmentLocation: { segmentId: '' }
+      }
+    });
+    const titleRequestIndex = requests.length - 1;
+    
+    const body = this.convertFromMarkdown(admonition.body, options);
+    const offset = requests.length;
+    
+    requests.push(...body.requests);
+    body.tablesForStep2.forEach(table => {
+      tablesForStep2.push({ ...table, requestIndex: table.requestIndex + offset });
+    });
+    body.formattingForStep2.forEach(format => {
+      formattingForStep2.push({ ...format, requestIndex: format.requestIndex + offset });
+    });
+    
+    // Plain text of the whole admonition, used to locate the shaded range in the document
+    const bodyText = body.requests
+      .filter(request => request.insertText)
+      .map(request => request.insertText.text)
+      .join('');
+    
+    requests.push({
+      insertText: {
+        text: '\n',
+        endOfSegmentLocation: { segmentId: '' }
+      }
+    });
+    
+    formattingForStep2.push({
+      type: 'admonition',
+      kind: admonition.kind,
+      text: title,
+      textLength: title.length,
+      content: (titleText + bodyText).replace(/\n+$/, ''),
+      style: this.admonitionProcessor.getGoogleDocsStyle(admonition.kind),
+      requestIndex: titleRequestIndex
+    });
+  }
+
   /**
    * Extract code block from lines
    */
@@ -589,6 +672,7 @@ class GoogleDocsConverter {
   getLineType(line) {
     if (!line) return 'empty';
     if (line.startsWith('#')) return 'heading';
+    if (this.admonitionProcessor.isOpening(line)) return 'admonition';
     if (line.startsWith('|')) return 'table';
     if (line.startsWith('```')) return 'code_block_delimiter';
     if (line.match(/^[\*\-\+]\s/)) return 'unordered_list';
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const WorkerPool = require('../worker-pool');
 
 /**
  * Google Docs State Manager
@@ -12,12 +13,15 @@ class GoogleDocsState {
     this.projectRoot = projectRoot;
     this.stateDir = path.join(projectRoot, '.docusaurus');
     this.stateFile = path.join(this.stateDir, 'google-docs-state.json');
+    this.saveLock = WorkerPool.createLock();
     this.state = {
       lastSync: null,
       rootDocumentId: null,
       rootDocumentUrl: null,
       documents: {},
       tabs: {},
+      folders: {}, // category path ('' for the root folder) -> Drive folder (layout: files)
+      failures: {}, // file path -> error of its last failed sync
       stats: {
         totalProcessed: 0,
         created: 0,
@@ -51,15 +55,17 @@ class GoogleDocsState {
   }
 
   /**
-   * Save state to file
+   * Save state to file (saves of documents synced in parallel are written one after another)
    */
   async save() {
-    try {
-      await fs.ensureDir(this.stateDir);
-      await fs.writeJson(this.stateFile, this.state, { spaces: 2 });
-    } catch (error) {
-      console.warn(chalk.yellow('⚠️ Could not save Google Docs state:', error.message));
-    }
+    return this.saveLock(async () => {
+      try {
+        await fs.ensureDir(this.stateDir);
+        await fs.writeJson(this.stateFile, this.state, { spaces: 2 });
+      } catch (error) {
+        console.warn(chalk.yellow('⚠️ Could not save Google Docs state:', error.message));
+      }
+    });
   }
 
   /**
@@ -111,23 +117,63 @@ class GoogleDocsState {
       const stats = await fs.stat(filePath);
       const lastModified = stats.mtime.toISOString();
       
-      const { documentId, title, tabId, parentTabId } = documentData;
+      const { documentId, title, tabId, parentTabId, layout, folderId, documentUrl } = documentData;
       
-      const stateKey = documentId || filePath;
+      const stateKey = this.getDocumentKey(documentId, tabId) || filePath;
       this.state.documents[stateKey] = {
         filePath,
         documentId,
         title,
         tabId,
         parentTabId,
+        ...(layout && { layout, folderId, documentUrl }),
         lastModified,
         lastSync: new Date().toISOString()
       };
+      delete this.state.failures[filePath];
     } catch (error) {
       console.warn(chalk.yellow(`⚠️ Could not update document state for ${filePath}:`, error.message));
     }
   }
 
+  /**
+   * Record the error of a file that failed to sync (shown by docflu status until it syncs again)
+   * @param {string} filePath - Absolute file path
+   * @param {Error|string} error - Sync error
+   */
+  recordFailure(filePath, error) {
+    this.state.failures[filePath] = {
+      message: error?.message || String(error),
+      time: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the error of the last failed sync of a file
+   * @param {string} filePath - Absolute file path
+   * @returns {Object|null} {message, time}
+   */
+  getFailure(filePath) {
+    return this.state.failures[filePath] || null;
+  }
+
+  /**
+   * State key of a document: its document ID, or document and tab ID when it lives in a tab (layout: tabs)
+   */
+  getDocumentKey(documentId, tabId = null) {
+    return documentId && tabId ? `${documentId}#${tabId}` : documentId;
+  }
+
+  /**
+   * Record the other files a document links to by heading, so it is synced again when their heading IDs change
+   */
+  setHeadingLinkTargets(documentKey, filePaths) {
+    const docState = this.state.documents[documentKey];
+    if (docState) {
+      docState.headingLinkTargets = filePaths;
+    }
+  }
+
   /**
    * Update tab state
    */
@@ -145,6 +191,51 @@ class GoogleDocsState {
     return Object.values(this.state.documents).find(doc => doc.filePath === filePath);
   }
 
+  /**
+   * Get the own Google Doc of a file (layout: files)
+   */
+  getFileDocument(filePath) {
+    return Object.values(this.state.documents).find(doc => doc.filePath === filePath && doc.layout === 'files');
+  }
+
+  /**
+   * Get the own Google Docs of all files (layout: files)
+   */
+  getFileDocuments() {
+    return Object.values(this.state.documents).filter(doc => doc.layout === 'files');
+  }
+
+  /**
+   * Get the tab of a file in the root document (layout: tabs)
+   */
+  getTabDocument(filePath) {
+    return Object.values(this.state.documents).find(doc => doc.filePath === filePath && doc.layout === 'tabs');
+  }
+
+  /**
+   * Forget a document (e.g. deleted in Drive)
+   */
+  removeDocument(documentId) {
+    delete this.state.documents[documentId];
+  }
+
+  /**
+   * Get Drive folder of a category path ('' for the root folder)
+   */
+  getFolder(categoryPath) {
+    return (this.state.folders || {})[categoryPath];
+  }
+
+  /**
+   * Set Drive folder of a category path
+   */
+  setFolder(categoryPath, folderData) {
+    this.state.folders = {
+      ...this.state.folders,
+      [categoryPath]: { ...folderData, lastSync: new Date().toISOString() }
+    };
+  }
+
   /**
    * Get document by document ID
    */
@@ -168,6 +259,25 @@ class GoogleDocsState {
     return this.state.tabs[tabId];
   }
 
+  /**
+   * Get tab by the docs/ path it was created for (file or category directory)
+   */
+  getTabByPath(tabPath) {
+    return Object.values(this.state.tabs).find(tab => tab.path === tabPath);
+  }
+
+  /**
+   * Forget a tab, and the file synced to it
+   */
+  removeTab(tabId) {
+    delete this.state.tabs[tabId];
+    for (const [key, doc] of Object.entries(this.state.documents)) {
+      if (doc.tabId === tabId) {
+        delete this.state.documents[key];
+      }
+    }
+  }
+
   /**
    * Get all pages (for compatibility with ReferenceProcessor)
    * Maps documents to page-like objects
@@ -275,6 +385,7 @@ class GoogleDocsState {
   getSummary() {
     return {
       rootDocument: this.getRootDocument(),
+      rootFolder: this.getFolder('') || null,
       totalDocuments: Object.keys(this.state.documents).length,
       totalTabs: Object.keys(this.state.tabs).length,
       lastSync: this.state.lastSync,
@@ -6,10 +6,34 @@ const GoogleDocsConverter = require('./google-docs-converter');
 const GoogleDocsState = require('./google-docs-state');
 const DocusaurusScanner = require('../docusaurus-scanner');
 const ReferenceProcessor = require('../reference-processor');
+const WorkerPool = require('../worker-pool');
+const SyncReport = require('../sync-report');
+const DiagramRendererRegistry = require('../diagrams/renderer-registry');
 
 const GoogleDriveClient = require('./google-drive-client');
 const GDocsImageProcessor = require('./gdocs-image-processor');
 const LinkProcessor = require('./link-processor');
+const GoogleDocsFileLayout = require('./file-layout');
+const GoogleDocsTabLayout = require('./tab-layout');
+const GoogleDocsInternalLinkResolver = require('./internal-link-resolver');
+
+/**
+ * Record documents left out of the sync because they did not change
+ * @param {SyncReport} report - Sync report
+ * @param {Array} documents - Scanned documents
+ * @param {Array} filesToSync - Documents about to be synced
+ * @param {Object} documentLayout - File or tab layout, to look up existing documents (optional)
+ */
+function reportSkippedFiles(report, documents, filesToSync, documentLayout = null) {
+  const syncing = new Set(filesToSync.map(document => document.filePath));
+  for (const document of documents.filter(document => !syncing.has(document.filePath))) {
+    report.addFile(document.relativePath, 'skipped', {
+      title: document.title,
+      id: documentLayout?.getDocument(document)?.documentId,
+      markdown: document.content
+    });
+  }
+}
 
 /**
  * Debug Helper for Google Docs Sync
@@ -190,23 +214,35 @@ class GoogleDocsSyncDebugger {
  * Main orchestrator for syncing Docusaurus content to Google Docs
  */
 class GoogleDocsSync {
-  constructor(googleDocsClient, projectRoot = process.cwd()) {
+  constructor(googleDocsClient, projectRoot = process.cwd(), config = {}) {
     this.client = googleDocsClient;
     this.projectRoot = projectRoot;
-    this.converter = new GoogleDocsConverter();
+    this.config = config;
+    // Diagram types (built-in plus diagrams.renderers from the config file)
+    this.diagramRenderers = DiagramRendererRegistry.create(projectRoot, config.diagramRenderers, { plantumlServer: config.plantumlServer });
+    this.converter = new GoogleDocsConverter(this.diagramRenderers);
     this.state = new GoogleDocsState(projectRoot);
-    this.scanner = new DocusaurusScanner(projectRoot);
+    this.scanner = new DocusaurusScanner(projectRoot, config);
     
     // Initialize processors
     this.referenceProcessor = new ReferenceProcessor(projectRoot, this.state);
     
     // Google Drive integration for image upload
     this.driveClient = new GoogleDriveClient(projectRoot);
-    this.gDocsImageProcessor = new GDocsImageProcessor(projectRoot);
+    this.gDocsImageProcessor = new GDocsImageProcessor(projectRoot, this.diagramRenderers, {
+      installTools: config.installTools,
+      diagramTheme: config.diagramTheme
+    });
     
     // Link and attachment processing
     this.linkProcessor = null; // Will be initialized after driveClient
     
+    // 'single': all files in one root document, 'files': one document per file in a Drive folder tree,
+    // 'tabs': one tab per file in the root document
+    this.layout = config.layout || 'single';
+    this.documentLayout = null; // Will be initialized after driveClient
+    this.internalLinkResolver = null; // Will be initialized after driveClient
+    
     // Initialize debugger
     this.debugger = new GoogleDocsSyncDebugger(projectRoot);
   }
@@ -228,13 +264,13 @@ class GoogleDocsSync {
     
     // Initialize Google Drive client with OAuth2 credentials
     try {
-      await this.driveClient.initialize(this.client.oauth2Client, this.state);
+      await this.driveClient.initialize(this.client.oauth2Client, this.state, this.client.retryPolicy);
       
       // Initialize Google Docs image processor
       await this.gDocsImageProcessor.initialize(this.driveClient, this.state);
       
       // Initialize link processor
-      this.linkProcessor = new LinkProcessor(this.driveClient, this.projectRoot, this.state);
+      this.linkProcessor = new LinkProcessor(this.driveClient, this.projectRoot, this.state, { docsDir: this.scanner.docsDir });
       await this.linkProcessor.initialize();
       
     } catch (error) {
@@ -247,25 +283,44 @@ class GoogleDocsSync {
         await this.client.initialize();
         
         // Retry initialization
-        await this.driveClient.initialize(this.client.oauth2Client, this.state);
+        await this.driveClient.initialize(this.client.oauth2Client, this.state, this.client.retryPolicy);
         await this.gDocsImageProcessor.initialize(this.driveClient, this.state);
         
         // Re-initialize link processor
-        this.linkProcessor = new LinkProcessor(this.driveClient, this.projectRoot, this.state);
+        this.linkProcessor = new LinkProcessor(this.driveClient, this.projectRoot, this.state, { docsDir: this.scanner.docsDir });
         await this.linkProcessor.initialize();
       } else {
         throw error;
       }
     }
     
+    if (this.layout === 'files') {
+      this.documentLayout = new GoogleDocsFileLayout(this.driveClient, this.state, {
+        docsDir: this.scanner.docsDir,
+        rootTitle: this.config.documentTitle
+      });
+    } else if (this.layout === 'tabs') {
+      this.documentLayout = new GoogleDocsTabLayout(this.client, this.state, {
+        docsDir: this.scanner.docsDir
+      });
+    }
+    
+    this.internalLinkResolver = new GoogleDocsInternalLinkResolver(this.client, this.state, {
+      projectRoot: this.projectRoot,
+      layout: this.layout
+    });
+    
     console.log(chalk.green('✅ Google Docs sync engine initialized'));
   }
 
   /**
    * Sync all docs to Google Docs
+   * @param {Object} options - {dryRun, force, report}
    */
   async syncDocs(options = {}) {
-    const { dryRun = false, force = false } = options;
+    const { dryRun = false, force = false, report = new SyncReport() } = options;
+    report.setDiagramRenderers(this.diagramRenderers);
+    this.client.retryPolicy?.setReport(report);
     
     console.log(chalk.blue('📚 Starting Google Docs sync...'));
     
@@ -290,6 +345,10 @@ class GoogleDocsSync {
 
       spinner.succeed(`Found ${documents.length} documents to scan`);
       
+      if (this.documentLayout) {
+        return await this.syncDocumentFiles(documents, { dryRun, force, report });
+      }
+      
       // Get or create root document
       spinner.start('Setting up root Google Docs document...');
       const rootDocument = await this.ensureRootDocument();
@@ -298,6 +357,7 @@ class GoogleDocsSync {
       // Filter documents that need sync
       spinner.start('Checking which documents need sync...');
       const filesToSync = force ? documents : await this.state.getFilesToSync(documents);
+      reportSkippedFiles(report, documents, filesToSync, this.documentLayout);
       
       if (filesToSync.length === 0) {
         spinner.succeed('All documents are up to date');
@@ -310,6 +370,7 @@ class GoogleDocsSync {
         console.log(chalk.yellow('\n📋 DRY RUN - Would sync these files:'));
         filesToSync.forEach(file => {
           console.log(`   📄 ${file.relativePath} (${file.title})`);
+          report.addFile(file.relativePath, 'previewed', { title: file.title, markdown: file.content });
         });
         return { success: true, dryRun: true, filesToSync };
       }
@@ -349,18 +410,27 @@ class GoogleDocsSync {
       for (let i = 0; i < filesToSync.length; i++) {
         const doc = filesToSync[i];
         const progress = `(${i + 1}/${filesToSync.length})`;
+        const reportEntry = report.startFile(doc.relativePath, { title: doc.title, markdown: doc.content });
         
         try {
           spinner.start(`${progress} Processing ${doc.title}...`);
           await this.syncDocumentAppend(doc, rootDocument.documentId);
           spinner.succeed(`${progress} ✅ ${doc.title}`);
           this.state.updateStats('updated');
+          report.finishFile(reportEntry, 'updated', {
+            id: rootDocument.documentId,
+            url: rootDocument.documentUrl || rootDocument.url
+          });
         } catch (error) {
           spinner.fail(`${progress} ❌ ${doc.title}: ${error.message}`);
           this.state.updateStats('failed');
+          this.state.recordFailure(doc.filePath, error);
+          report.failFile(reportEntry, error);
         }
       }
 
+      await this.resolveInternalLinks([rootDocument], filesToSync);
+
       // Save state
       await this.state.save();
       
@@ -375,9 +445,13 @@ class GoogleDocsSync {
 
   /**
    * Sync specific directory to Google Docs
+   * @param {string} dirPath - Directory to sync
+   * @param {Object} options - {dryRun, force, report}
    */
   async syncDirectory(dirPath, options = {}) {
-    const { dryRun = false, force = false } = options;
+    const { dryRun = false, force = false, report = new SyncReport() } = options;
+    report.setDiagramRenderers(this.diagramRenderers);
+    this.client.retryPolicy?.setReport(report);
     
     console.log(chalk.blue(`📁 Syncing directory: ${dirPath}`));
     
@@ -419,9 +493,14 @@ class GoogleDocsSync {
 
       spinner.succeed(`Found ${filteredDocuments.length} documents in ${dirPath}`);
       
+      if (this.documentLayout) {
+        return await this.syncDocumentFiles(filteredDocuments, { dryRun, force, report });
+      }
+      
       // Filter documents that need sync
       spinner.start('Checking which documents need sync...');
       const filesToSync = force ? filteredDocuments : await this.state.getFilesToSync(filteredDocuments);
+      reportSkippedFiles(report, filteredDocuments, filesToSync, this.documentLayout);
       
       if (filesToSync.length === 0) {
         spinner.succeed('All documents are up to date');
@@ -434,6 +513,7 @@ class GoogleDocsSync {
         console.log(chalk.yellow('\n📋 DRY RUN - Would sync these files:'));
         filesToSync.forEach(file => {
           console.log(`   📄 ${file.relativePath} (${file.title})`);
+          report.addFile(file.relativePath, 'previewed', { title: file.title, markdown: file.content });
         });
         return { success: true, dryRun: true, filesToSync };
       }
@@ -478,18 +558,27 @@ class GoogleDocsSync {
       for (let i = 0; i < filesToSync.length; i++) {
         const doc = filesToSync[i];
         const progress = `(${i + 1}/${filesToSync.length})`;
+        const reportEntry = report.startFile(doc.relativePath, { title: doc.title, markdown: doc.content });
         
         try {
           spinner.start(`${progress} Processing ${doc.title}...`);
           await this.syncDocumentAppend(doc, rootDocument.documentId);
           spinner.succeed(`${progress} ✅ ${doc.title}`);
           this.state.updateStats('updated');
+          report.finishFile(reportEntry, 'updated', {
+            id: rootDocument.documentId,
+            url: rootDocument.documentUrl || rootDocument.url
+          });
         } catch (error) {
           spinner.fail(`${progress} ❌ ${doc.title}: ${error.message}`);
           this.state.updateStats('failed');
+          this.state.recordFailure(doc.filePath, error);
+          report.failFile(reportEntry, error);
         }
       }
 
+      await this.resolveInternalLinks([rootDocument], filesToSync);
+
       // Save state
       await this.state.save();
       
@@ -504,9 +593,15 @@ class GoogleDocsSync {
 
   /**
    * Sync single file to Google Docs
+   * @param {string} filePath - Markdown file
+   * @param {Object} options - {dryRun, report}
    */
   async syncFile(filePath, options = {}) {
-    const { dryRun = false } = options;
+    const { dryRun = false, report = new SyncReport() } = options;
+    report.setDiagramRenderers(this.diagramRenderers);
+    this.client.retryPolicy?.setReport(report);
+    let reportEntry = null;
+    let absoluteFilePath = null;
     
     console.log(chalk.blue(`📄 Syncing file: ${filePath}`));
     
@@ -522,7 +617,8 @@ class GoogleDocsSync {
 
       // Parse file with scanner
       // Convert relative path to absolute path for scanner
-      const absoluteFilePath = path.isAbsolute(filePath) ? filePath : path.join(this.projectRoot, filePath);
+      absoluteFilePath = path.isAbsolute(filePath) ? filePath : path.join(this.projectRoot, filePath);
+      reportEntry = report.startFile(filePath);
       const document = await this.scanner.parseFile(absoluteFilePath);
       
       if (!document) {
@@ -533,19 +629,42 @@ class GoogleDocsSync {
         console.log(chalk.yellow('📋 DRY RUN - Would sync:'));
         console.log(chalk.gray(`   📄 ${document.title}`));
         console.log(chalk.gray(`   📁 ${document.relativePath}`));
+        report.finishFile(reportEntry, 'previewed', { title: document.title, markdown: document.content });
         return { success: true, dryRun: true, document };
       }
 
+      if (this.documentLayout) {
+        await this.prepareDocumentLayout();
+        const target = await this.syncDocumentFile(document);
+        await this.resolveInternalLinks([target], [document]);
+        await this.state.save();
+        console.log(chalk.green(`✅ Successfully synced: ${document.title}`));
+        report.finishFile(reportEntry, target.created ? 'created' : 'updated', {
+          title: document.title,
+          id: target.documentId,
+          url: target.url,
+          markdown: document.content
+        });
+        return { success: true, document: document.title, url: target.url };
+      }
+
       // Get or create root document
       const rootDocument = await this.ensureRootDocument();
       
       // Sync the document
       await this.syncDocument(document, rootDocument.documentId);
+      await this.resolveInternalLinks([rootDocument], [document]);
       
       // Save state
       await this.state.save();
       
       console.log(chalk.green(`✅ Successfully synced: ${document.title}`));
+      report.finishFile(reportEntry, 'updated', {
+        title: document.title,
+        id: rootDocument.documentId,
+        url: rootDocument.documentUrl || rootDocument.url,
+        markdown: document.content
+      });
       
       return { 
         success: true, 
@@ -555,10 +674,135 @@ class GoogleDocsSync {
       
     } catch (error) {
       console.error(chalk.red('❌ File sync error:', error.message));
+      if (reportEntry) {
+        report.failFile(reportEntry, error);
+      }
+      if (absoluteFilePath && !dryRun) {
+        this.state.recordFailure(absoluteFilePath, error);
+        await this.state.save();
+      }
       throw error;
     }
   }
 
+  /**
+   * Sync documents to their own Google Docs (layout: files) or root document tabs (layout: tabs)
+   * Only documents changed since their last sync are rewritten
+   */
+  async syncDocumentFiles(documents, options = {}) {
+    const { dryRun = false, force = false, report = new SyncReport() } = options;
+    const changedPaths = new Set();
+
+    for (const document of documents) {
+      if (force || await this.documentLayout.needsSync(document)) {
+        changedPaths.add(document.filePath);
+      }
+    }
+
+    // Rewriting a file changes its heading IDs, so files linking to its headings are rewritten too
+    const filesToSync = documents.filter(document => changedPaths.has(document.filePath) ||
+      (this.documentLayout.getDocument(document)?.headingLinkTargets || []).some(filePath => changedPaths.has(filePath)));
+    for (let i = filesToSync.length; i < documents.length; i++) {
+      this.state.updateStats('skipped');
+    }
+    reportSkippedFiles(report, documents, filesToSync, this.documentLayout);
+
+    if (filesToSync.length === 0) {
+      console.log(chalk.green('✅ All documents are up to date'));
+      return this.generateSyncReport();
+    }
+
+    if (dryRun) {
+      console.log(chalk.yellow('\n📋 DRY RUN - Would sync these files:'));
+      filesToSync.forEach(file => {
+        const existing = this.documentLayout.getDocument(file);
+        console.log(`   📄 ${file.relativePath} (${file.title}) [${existing ? 'update' : 'create'}]`);
+        report.addFile(file.relativePath, 'previewed', { title: file.title, id: existing?.documentId, markdown: file.content });
+      });
+      return { success: true, dryRun: true, filesToSync };
+    }
+
+    await this.prepareDocumentLayout();
+
+    console.log(chalk.blue(`\n📝 Processing ${filesToSync.length} documents...`));
+    const synced = [];
+
+    // Files are synced in parallel (folders are created once, before their documents);
+    // tabs all live in the root document, so they are written one at a time
+    const pool = new WorkerPool(this.layout === 'files' ? this.config.concurrentUploads : 1);
+
+    await pool.run(filesToSync, async (doc, i) => {
+      const progress = `(${i + 1}/${filesToSync.length})`;
+      const reportEntry = report.startFile(doc.relativePath, { title: doc.title, markdown: doc.content });
+
+      try {
+        console.log(chalk.cyan(`🔄 ${progress} Processing ${doc.title}...`));
+        const target = await this.syncDocumentFile(doc);
+        console.log(chalk.green(`✅ ${progress} ${doc.title}`));
+        this.state.updateStats(target.created ? 'created' : 'updated');
+        report.finishFile(reportEntry, target.created ? 'created' : 'updated', { id: target.documentId, url: target.url });
+        synced.push(target);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${progress} ${doc.title}: ${error.message}`));
+        this.state.updateStats('failed');
+        this.state.recordFailure(doc.filePath, error);
+        report.failFile(reportEntry, error);
+      }
+
+      // Save after each document so progress survives an interrupted sync
+      await this.state.save();
+    });
+
+    await this.resolveInternalLinks(synced, documents);
+    await this.state.save();
+
+    return this.generateSyncReport();
+  }
+
+  /**
+   * Second pass of internal links, once every linked document exists
+   * @param {Array} targets - Synced documents or tabs: [{documentId, tabId}]
+   * @param {Array} documents - Scanned documents of this sync
+   */
+  async resolveInternalLinks(targets, documents) {
+    if (targets.length === 0) {
+      return;
+    }
+
+    try {
+      const stats = await this.internalLinkResolver.resolveLinks(targets, documents);
+      if (stats.resolved > 0 || stats.unresolved > 0) {
+        console.log(chalk.green(`🔗 Resolved ${stats.resolved} internal links${stats.unresolved > 0 ? chalk.yellow(` (${stats.unresolved} unresolved)`) : ''}`));
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Could not resolve internal links: ${error.message}`));
+    }
+  }
+
+  /**
+   * Load the root document tabs before syncing into them (layout: tabs)
+   */
+  async prepareDocumentLayout() {
+    if (this.layout === 'tabs') {
+      const rootDocument = await this.ensureRootDocument();
+      await this.documentLayout.load(rootDocument.documentId, rootDocument.documentUrl || rootDocument.url);
+    }
+  }
+
+  /**
+   * Sync one document to its own Google Doc or tab, creating it (and its folders or parent tabs) when missing
+   */
+  async syncDocumentFile(document) {
+    const target = await this.documentLayout.ensureDocument(document);
+    await this.syncDocument(document, target.documentId, {
+      layout: this.layout,
+      documentUrl: target.url,
+      ...(target.folderId && { folderId: target.folderId }),
+      ...(target.tabId && { tabId: target.tabId, parentTabId: target.parentTabId })
+    });
+    return target;
+  }
+
   /**
    * Ensure root document exists
    */
@@ -576,13 +820,42 @@ class GoogleDocsSync {
     }
 
     // Create new root document
-    const rootDoc = await this.client.createDocument('Documentation');
-    this.state.setRootDocument(rootDoc.documentId, rootDoc.url, 'Documentation');
+    const documentTitle = this.config.documentTitle || 'Documentation';
+    const rootDoc = await this.client.createDocument(documentTitle);
+    this.state.setRootDocument(rootDoc.documentId, rootDoc.url, documentTitle);
     await this.state.save();
     
     return rootDoc;
   }
 
+  /**
+   * Get a document, or a view of one of its tabs where `body` is the tab body
+   * @param {string} documentId - Document ID
+   * @param {string|null} tabId - Tab ID (layout: tabs)
+   */
+  async getDocumentContent(documentId, tabId = null) {
+    if (!tabId) {
+      return await this.client.getDocument(documentId);
+    }
+    const document = await this.client.getDocumentWithTabs(documentId);
+    return GoogleDocsTabLayout.getTabView(document, tabId);
+  }
+
+  /**
+   * Apply batchUpdate requests to a document body, or to one of its tabs
+   * @param {string} documentId - Document ID
+   * @param {Array} requests - Requests addressing the body
+   * @param {string|null} tabId - Tab ID (layout: tabs)
+   */
+  async applyRequests(documentId, requests, tabId = null) {
+    await this.client.docs.documents.batchUpdate({
+      documentId: documentId,
+      requestBody: {
+        requests: tabId ? GoogleDocsTabLayout.scopeRequests(requests, tabId) : requests
+      }
+    });
+  }
+
   /**
    * Sync single document (append mode for batch sync)
    */
@@ -592,11 +865,11 @@ class GoogleDocsSync {
     try {
       // Process content with processors
       let processedContent = markdownContent;
+
+      // Diagram files embedded as images (.excalidraw, .bpmn) become diagram code blocks
+      processedContent = await this.diagramRenderers.inlineDiagramFiles(processedContent, path.resolve(this.projectRoot, filePath));
       
-      // Skip internal reference processing for Google Docs
-      // Google Docs doesn't support complex linking like Confluence
-      // Keep original markdown text instead of converting to links
-      // Internal references will remain as plain text (e.g., "Create a page")
+      // Internal links get a marker URL here, resolved once every target exists (resolveInternalLinks)
 
       // Process links and attachments FIRST to preserve backticks and special formatting
       let linkRequests = [];
@@ -609,7 +882,7 @@ class GoogleDocsSync {
         const linkStats = linkResult.stats;
         const originalExternalLinks = linkStats.externalLinks - linkStats.attachmentsUploaded - linkStats.attachmentsCached;
         const totalAttachments = linkStats.attachmentsUploaded + linkStats.attachmentsCached;
-        console.log(chalk.green(`✅ Link processing complete: ${originalExternalLinks} external links, ${totalAttachments} attachments uploaded (${linkStats.attachmentsCached} cached)`));
+        console.log(chalk.green(`✅ Link processing complete: ${originalExternalLinks} external links, ${linkStats.internalLinks} internal links, ${totalAttachments} attachments uploaded (${linkStats.attachmentsCached} cached)`));
         
         if (linkStats.errors.length > 0) {
           console.log(chalk.yellow(`⚠️ ${linkStats.errors.length} link processing errors`));
@@ -797,18 +1070,22 @@ class GoogleDocsSync {
 
   /**
    * Sync single document (replace mode for single file sync)
+   * @param {Object} document - Scanned document
+   * @param {string} rootDocumentId - Document to replace the content of
+   * @param {Object} stateData - Extra document state (layout, folderId, documentUrl)
    */
-  async syncDocument(document, rootDocumentId) {
+  async syncDocument(document, rootDocumentId, stateData = {}) {
     const { filePath, title, content: markdownContent } = document;
+    const tabId = stateData.tabId || null;
     
     try {
       // Process content with processors
       let processedContent = markdownContent;
+
+      // Diagram files embedded as images (.excalidraw, .bpmn) become diagram code blocks
+      processedContent = await this.diagramRenderers.inlineDiagramFiles(processedContent, path.resolve(this.projectRoot, filePath));
       
-      // Skip internal reference processing for Google Docs
-      // Google Docs doesn't support complex linking like Confluence
-      // Keep original markdown text instead of converting to links
-      // Internal references will remain as plain text (e.g., "Create a page")
+      // Internal links get a marker URL here, resolved once every target exists (resolveInternalLinks)
 
       // Process links and attachments FIRST to preserve backticks and special formatting
       let linkRequests = [];
@@ -821,7 +1098,7 @@ class GoogleDocsSync {
         const linkStats = linkResult.stats;
         const originalExternalLinks = linkStats.externalLinks - linkStats.attachmentsUploaded - linkStats.attachmentsCached;
         const totalAttachments = linkStats.attachmentsUploaded + linkStats.attachmentsCached;
-        console.log(chalk.green(`✅ Link processing complete: ${originalExternalLinks} external links, ${totalAttachments} attachments uploaded (${linkStats.attachmentsCached} cached)`));
+        console.log(chalk.green(`✅ Link processing complete: ${originalExternalLinks} external links, ${linkStats.internalLinks} internal links, ${totalAttachments} attachments uploaded (${linkStats.attachmentsCached} cached)`));
         
         if (linkStats.errors.length > 0) {
           console.log(chalk.yellow(`⚠️ ${linkStats.errors.length} link processing errors`));
@@ -853,7 +1130,7 @@ class GoogleDocsSync {
       // Always sync - clear and replace content each time
       
       // Get current document to check if it has content to clear
-      const currentDoc = await this.client.getDocument(rootDocumentId);
+      const currentDoc = await this.getDocumentContent(rootDocumentId, tabId);
       
       // Find the last content element to get the actual document length
       const content = currentDoc.body?.content || [];
@@ -894,23 +1171,18 @@ class GoogleDocsSync {
       allRequests.push(...requests);
       
       if (allRequests.length > 0) {
-        await this.client.docs.documents.batchUpdate({
-          documentId: rootDocumentId,
-          requestBody: {
-            requests: allRequests
-          }
-        });
+        await this.applyRequests(rootDocumentId, allRequests, tabId);
       }
 
       // Step 1.5: Insert native images at their placeholder positions
       if (imageRequests.length > 0) {
-        await this.insertImagesWithBatchProcessing(imageRequests, rootDocumentId);
+        await this.insertImagesWithBatchProcessing(imageRequests, rootDocumentId, tabId);
       }
 
       // Step 2: Populate table cells if there are tables
       if (tablesForStep2 && tablesForStep2.length > 0) {
         // Get updated document to find actual table positions
-        const updatedDoc = await this.client.getDocument(rootDocumentId);
+        const updatedDoc = await this.getDocumentContent(rootDocumentId, tabId);
         
         // Debug: Log document structure to file
         await this.debugger.logDocumentStructure(updatedDoc, 'step1-after-table-creation-replace', {
@@ -940,12 +1212,7 @@ class GoogleDocsSync {
             tableCount: tables.length
           });
           
-          await this.client.docs.documents.batchUpdate({
-            documentId: rootDocumentId,
-            requestBody: {
-              requests: cellRequests
-            }
-          });
+          await this.applyRequests(rootDocumentId, cellRequests, tabId);
         }
       }
 
@@ -955,7 +1222,7 @@ class GoogleDocsSync {
       
       if (needsFormatting || needsLinkFormatting) {
         // Get updated document structure to find actual text indices
-        const finalDoc = await this.client.getDocument(rootDocumentId);
+        const finalDoc = await this.getDocumentContent(rootDocumentId, tabId);
         
         const allFormattingRequests = [];
         
@@ -983,12 +1250,7 @@ class GoogleDocsSync {
           const textCount = needsFormatting ? formattingForStep2.length : 0;
           const linkCount = needsLinkFormatting ? linkRequests.length : 0;
           
-          await this.client.docs.documents.batchUpdate({
-            documentId: rootDocumentId,
-            requestBody: {
-              requests: allFormattingRequests
-            }
-          });
+          await this.applyRequests(rootDocumentId, allFormattingRequests, tabId);
           
           console.log(chalk.green(`✅ Successfully applied text replacement and formatting`));
         }
@@ -1003,8 +1265,9 @@ class GoogleDocsSync {
       await this.state.updateDocument(filePath, {
         documentId: rootDocumentId,
         title,
-        tabId: null, // Will be implemented in hierarchy phase
-        parentTabId: null
+        tabId: null, // Set through stateData by the tabs layout
+        parentTabId: null,
+        ...stateData
       });
 
       return { success: true, title };
@@ -1019,15 +1282,7 @@ class GoogleDocsSync {
    * Check if content contains diagrams
    */
   containsDiagrams(content) {
-    const diagramPatterns = [
-      /```mermaid/,
-      /```plantuml/,
-      /```dot/,
-      /```graphviz/,
-      /```d2/
-    ];
-    
-    return diagramPatterns.some(pattern => pattern.test(content));
+    return this.diagramRenderers.containsDiagrams(content);
   }
 
   /**
@@ -1053,8 +1308,9 @@ class GoogleDocsSync {
     const externalLinks = /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g;
     const localFiles = /\[([^\]]+)\]\(\/[^)]+\.[^)]+\)/g;
     const relativeFiles = /\[([^\]]+)\]\(\.\/[^)]+\)/g;
+    const internalLinks = /\[([^\]]+)\]\((#|\.\.?\/|\/docs\/|[^)\s]*\.mdx?[#)])/g;
     
-    return externalLinks.test(content) || localFiles.test(content) || relativeFiles.test(content);
+    return externalLinks.test(content) || localFiles.test(content) || relativeFiles.test(content) || internalLinks.test(content);
   }
 
   /**
@@ -1072,15 +1328,21 @@ class GoogleDocsSync {
     console.log(chalk.red(`❌ Failed: ${stats.failed}`));
     console.log(chalk.cyan(`📄 Total: ${stats.totalProcessed}`));
     
-    if (summary.rootDocument.documentUrl) {
-      console.log(chalk.cyan(`\n🔗 Google Docs: ${summary.rootDocument.documentUrl}`));
+    const retries = this.client.retryPolicy?.stats.retries || 0;
+    if (retries > 0) {
+      console.log(chalk.yellow(`🔁 Retried requests: ${retries}`));
+    }
+    
+    const url = this.layout === 'files' ? summary.rootFolder?.url : summary.rootDocument.documentUrl;
+    if (url) {
+      console.log(chalk.cyan(`\n🔗 Google ${this.layout === 'files' ? 'Drive folder' : 'Docs'}: ${url}`));
     }
     
     const syncResult = {
       success: stats.failed === 0,
-      stats,
+      stats: { ...stats, retries },
       summary,
-      url: summary.rootDocument.documentUrl
+      url
     };
     
     // Debug: Log sync summary to file
@@ -1235,6 +1497,7 @@ class GoogleDocsSync {
         // Use position-based matching instead of text search to avoid conflicts
         const headingPosition = requestPositions[requestIndex];
         if (headingPosition) {
+          requests.push(this.createHeadingStyleRequest(headingPosition.startIndex, textLength, level));
           requests.push({
             updateTextStyle: {
               range: {
@@ -1316,6 +1579,8 @@ class GoogleDocsSync {
             });
           }
         }
+      } else if (type === 'admonition') {
+        requests.push(...this.createAdmonitionRequests(formatItem, textElements));
       } else if (type === 'list' && formats && formats.length > 0) {
         // Find list text and apply inline formatting
         const listPosition = this.findTextInDocument(formatItem.processedText, textElements);
@@ -1384,6 +1649,7 @@ class GoogleDocsSync {
         // Use position-based matching for new content to avoid conflicts
         const headingPosition = requestPositions[requestIndex];
         if (headingPosition && headingPosition.startIndex >= contentStartIndex) {
+          requests.push(this.createHeadingStyleRequest(headingPosition.startIndex, textLength, level));
           requests.push({
             updateTextStyle: {
               range: {
@@ -1423,6 +1689,7 @@ class GoogleDocsSync {
             if (process.env.DEBUG_GDOCS_CONVERTER === 'true') {
               console.log(chalk.yellow(`🐛 Using fallback text search for heading: "${text}" → ${fallbackPosition.startIndex}-${fallbackPosition.startIndex + textLength}`));
             }
+            requests.push(this.createHeadingStyleRequest(fallbackPosition.startIndex, textLength, level));
             requests.push({
               updateTextStyle: {
                 range: {
@@ -1514,6 +1781,9 @@ class GoogleDocsSync {
             });
           }
         }
+      } else if (type === 'admonition') {
+        // Shade admonition in NEW content only
+        requests.push(...this.createAdmonitionRequests(formatItem, newTextElements));
       } else if (type === 'list' && formats && formats.length > 0) {
         // Find list text in NEW content only
         const listPosition = this.findTextInDocument(formatItem.processedText, newTextElements);
@@ -1540,6 +1810,63 @@ class GoogleDocsSync {
     return requests;
   }
 
+  /**
+   * Create admonition requests: shaded paragraphs with a colored left border and a bold title
+   * @param {Object} formatItem - Admonition formatting item from converter
+   * @param {Array} textElements - Document text elements to search in
+   * @returns {Array} Paragraph and text style requests
+   */
+  createAdmonitionRequests(formatItem, textElements) {
+    const { text, textLength, content, style } = formatItem;
+    const requests = [];
+    
+    // Shade the whole block when its text can be located, otherwise just the title line
+    const blockPosition = this.findTextInDocument(content, textElements);
+    const titlePosition = blockPosition || this.findTextInDocument(text, textElements);
+    if (!titlePosition) {
+      return requests;
+    }
+    
+    const blockEnd = blockPosition
+      ? blockPosition.startIndex + content.length
+      : titlePosition.startIndex + textLength;
+    
+    requests.push({
+      updateParagraphStyle: {
+        range: {
+          startIndex: titlePosition.startIndex,
+          endIndex: blockEnd
+        },
+        paragraphStyle: {
+          shading: { backgroundColor: { color: { rgbColor: style.background } } },
+          borderLeft: {
+            color: { color: { rgbColor: style.border } },
+            width: { magnitude: 3, unit: 'PT' },
+            padding: { magnitude: 8, unit: 'PT' },
+            dashStyle: 'SOLID'
+          }
+        },
+        fields: 'shading,borderLeft'
+      }
+    });
+    
+    requests.push({
+      updateTextStyle: {
+        range: {
+          startIndex: titlePosition.startIndex,
+          endIndex: titlePosition.startIndex + textLength
+        },
+        textStyle: {
+          bold: true,
+          foregroundColor: { color: { rgbColor: style.border } }
+        },
+        fields: 'bold,foregroundColor'
+      }
+    });
+    
+    return requests;
+  }
+
   /**
    * Extract all text elements from document
    */
@@ -1693,6 +2020,25 @@ class GoogleDocsSync {
     return sizes[level] || 11;
   }
 
+  /**
+   * Give a heading paragraph its named heading style, so Google Docs lists it in the outline
+   * and assigns the heading ID internal links point to
+   */
+  createHeadingStyleRequest(startIndex, textLength, level) {
+    return {
+      updateParagraphStyle: {
+        range: {
+          startIndex: startIndex,
+          endIndex: startIndex + textLength
+        },
+        paragraphStyle: {
+          namedStyleType: `HEADING_${Math.min(level, 6)}`
+        },
+        fields: 'namedStyleType'
+      }
+    };
+  }
+
   /**
    * Extract text from paragraph element
    */
@@ -1714,7 +2060,7 @@ class GoogleDocsSync {
    * @param {Object} document - Google Docs document object
    * @returns {Array} - Array of Google Docs API requests for image insertion
    */
-  async processImageInsertionBatches(imageRequests, documentId) {
+  async processImageInsertionBatches(imageRequests, documentId, tabId = null) {
     if (!imageRequests || imageRequests.length === 0) {
       return { success: true, insertedCount: 0 };
     }
@@ -1734,19 +2080,14 @@ class GoogleDocsSync {
         const batchImageRequests = imageRequests.slice(startIndex, endIndex);
         
         // Get current document state for this batch
-        const currentDoc = await this.client.getDocument(documentId);
+        const currentDoc = await this.getDocumentContent(documentId, tabId);
         
         // Create insertion requests for this batch
         const batchRequests = await this.createImageInsertionRequests(batchImageRequests, currentDoc);
         
         if (batchRequests.length > 0) {
           try {
-            await this.client.docs.documents.batchUpdate({
-              documentId: documentId,
-              requestBody: {
-                requests: batchRequests
-              }
-            });
+            await this.applyRequests(documentId, batchRequests, tabId);
             
             const imagesInBatch = batchRequests.length / 2; // Each image has 2 requests (delete + insert)
             totalInserted += imagesInBatch;
@@ -1767,7 +2108,7 @@ class GoogleDocsSync {
   /**
    * Insert images with batch processing and automatic fallback
    */
-  async insertImagesWithBatchProcessing(imageRequests, documentId) {
+  async insertImagesWithBatchProcessing(imageRequests, documentId, tabId = null) {
     if (!imageRequests || imageRequests.length === 0) {
       return { success: true, insertedCount: 0 };
     }
@@ -1775,14 +2116,14 @@ class GoogleDocsSync {
 
     
     // Try batch processing first
-    const batchResult = await this.processImageInsertionBatches(imageRequests, documentId);
+    const batchResult = await this.processImageInsertionBatches(imageRequests, documentId, tabId);
     
     if (batchResult.success) {
       return batchResult;
     }
     
     // If batch processing fails, use fallback
-    await this.insertImagesAsFallback(imageRequests, documentId);
+    await this.insertImagesAsFallback(imageRequests, documentId, tabId);
     
     return { success: true, insertedCount: imageRequests.length, fallback: true };
   }
@@ -1790,10 +2131,10 @@ class GoogleDocsSync {
   /**
    * Fallback method to insert images as markdown when native insertion fails
    */
-  async insertImagesAsFallback(imageRequests, documentId) {
+  async insertImagesAsFallback(imageRequests, documentId, tabId = null) {
     try {
       // Get current document state
-      const currentDoc = await this.client.getDocument(documentId);
+      const currentDoc = await this.getDocumentContent(documentId, tabId);
       const textElements = this.extractTextElements(currentDoc);
       
       // Find all placeholder positions first
@@ -1844,12 +2185,7 @@ class GoogleDocsSync {
       
       // Execute all requests in one batch
       if (fallbackRequests.length > 0) {
-        await this.client.docs.documents.batchUpdate({
-          documentId: documentId,
-          requestBody: {
-            requests: fallbackRequests
-          }
-        });
+        await this.applyRequests(documentId, fallbackRequests, tabId);
       }
       
     } catch (error) {
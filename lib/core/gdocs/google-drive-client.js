@@ -4,6 +4,7 @@ const path = require('path');
 const crypto = require('crypto');
 const chalk = require('chalk');
 const axios = require('axios');
+const RetryPolicy = require('../retry-policy');
 
 /**
  * Google Drive Client for Image Upload
@@ -29,14 +30,16 @@ class GoogleDriveClient {
    * Initialize Google Drive client with existing OAuth2 credentials
    * @param {OAuth2Client} oauth2Client - Authenticated OAuth2 client from GoogleDocsClient
    * @param {StateManager} stateManager - State manager for persistence
+   * @param {RetryPolicy} retryPolicy - Retry policy shared with the Google Docs client
    */
-  async initialize(oauth2Client, stateManager) {
+  async initialize(oauth2Client, stateManager, retryPolicy = null) {
     try {
       this.oauth2Client = oauth2Client;
       this.stateManager = stateManager;
+      this.retryPolicy = retryPolicy || new RetryPolicy({ label: 'Google Drive' });
       
       // Initialize Google Drive API
-      this.drive = google.drive({ version: 'v3', auth: this.oauth2Client });
+      this.drive = google.drive({ version: 'v3', auth: this.oauth2Client, retryConfig: this.retryPolicy.toGaxiosConfig() });
       
       // Ensure image folder exists
       await this.ensureImageFolder();
@@ -124,6 +127,126 @@ class GoogleDriveClient {
     }
   }
 
+  /**
+   * Find or create a folder by name under a parent folder
+   * @param {string} name - Folder name
+   * @param {string} parentId - Parent folder ID ('root' for My Drive)
+   * @returns {Object} - { id, name, url, created }
+   */
+  async ensureFolder(name, parentId = 'root') {
+    const escapedName = name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    const response = await this.drive.files.list({
+      q: `name = '${escapedName}' and mimeType = 'application/vnd.google-apps.folder' and '${parentId}' in parents and trashed = false`,
+      fields: 'files(id,name)',
+      spaces: 'drive'
+    });
+
+    const existing = response.data.files?.[0];
+    if (existing) {
+      return { id: existing.id, name: existing.name, url: this.getFolderUrl(existing.id), created: false };
+    }
+
+    const folder = await this.drive.files.create({
+      resource: {
+        name,
+        mimeType: 'application/vnd.google-apps.folder',
+        parents: [parentId]
+      },
+      fields: 'id,name'
+    });
+
+    console.log(chalk.blue(`📁 Created Drive folder: ${name}`));
+    return { id: folder.data.id, name: folder.data.name, url: this.getFolderUrl(folder.data.id), created: true };
+  }
+
+  /**
+   * Create an empty Google Doc inside a folder
+   * @param {string} title - Document title
+   * @param {string} parentId - Folder ID
+   * @returns {Object} - { documentId, title, url }
+   */
+  async createDocument(title, parentId) {
+    const file = await this.drive.files.create({
+      resource: {
+        name: title,
+        mimeType: 'application/vnd.google-apps.document',
+        parents: [parentId]
+      },
+      fields: 'id,name'
+    });
+
+    return {
+      documentId: file.data.id,
+      title: file.data.name,
+      url: `https://docs.google.com/document/d/${file.data.id}`
+    };
+  }
+
+  /**
+   * Get file metadata, or null if the file was deleted or trashed
+   * @param {string} fileId - Drive file ID
+   * @returns {Object|null} - { id, name, parents }
+   */
+  async getActiveFile(fileId) {
+    try {
+      const file = await this.drive.files.get({
+        fileId,
+        fields: 'id,name,parents,trashed'
+      });
+      return file.data.trashed ? null : file.data;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a Drive file
+   * @param {string} fileId - Drive file ID
+   * @param {string} name - New name
+   */
+  async renameFile(fileId, name) {
+    await this.drive.files.update({
+      fileId,
+      resource: { name }
+    });
+  }
+
+  /**
+   * Move a Drive file to the trash
+   * @param {string} fileId - Drive file ID
+   */
+  async trashFile(fileId) {
+    await this.drive.files.update({
+      fileId,
+      resource: { trashed: true }
+    });
+  }
+
+  /**
+   * Move a Drive file into another folder
+   * @param {string} fileId - Drive file ID
+   * @param {string} folderId - Target folder ID
+   */
+  async moveFile(fileId, folderId) {
+    const file = await this.drive.files.get({ fileId, fields: 'parents' });
+    await this.drive.files.update({
+      fileId,
+      addParents: folderId,
+      removeParents: (file.data.parents || []).join(','),
+      fields: 'id,parents'
+    });
+  }
+
+  /**
+   * Get browser URL of a Drive folder
+   */
+  getFolderUrl(folderId) {
+    return `https://drive.google.com/drive/folders/${folderId}`;
+  }
+
   /**
    * Convert SVG to PNG if needed for Google Docs compatibility
    * @param {string} imagePath - Path to image file
@@ -0,0 +1,279 @@
+const path = require('path');
+const chalk = require('chalk');
+const GoogleDocsTabLayout = require('./tab-layout');
+const HeadingSlugger = require('../heading-slugger');
+
+// Temporary link target of internal links until their target exists (.invalid never resolves)
+const MARKER_PREFIX = 'https://docflu.invalid/link';
+
+// Files a Docusaurus link without extension can point to
+const TARGET_CANDIDATES = ['', '.md', '.mdx', '/index.md', '/index.mdx', '/README.md'];
+
+/**
+ * Google Docs Internal Link Resolver
+ * Second pass of internal links: the first pass writes links to other markdown files and #anchors
+ * with a marker URL, then once every target exists the markers are replaced with
+ * - heading links inside the same document or tab
+ * - tab links (layout: tabs)
+ * - the URL of the sibling Google Doc (layout: files)
+ * Links whose target was never synced lose their marker and stay plain text.
+ */
+class GoogleDocsInternalLinkResolver {
+  /**
+   * @param {GoogleDocsClient} docsClient - Initialized Docs client
+   * @param {GoogleDocsState} state - Google Docs state
+   * @param {Object} options - {projectRoot, layout}
+   */
+  constructor(docsClient, state, options = {}) {
+    this.docsClient = docsClient;
+    this.state = state;
+    this.projectRoot = options.projectRoot || process.cwd();
+    this.layout = options.layout || 'single';
+    this.documents = new Map(); // document ID -> document fetched during the current pass
+    this.scannedDocuments = new Map(); // file path -> scanned document of the current pass
+    this.stats = { resolved: 0, unresolved: 0 };
+  }
+
+  /**
+   * Marker URL written in the first pass
+   * @param {string} targetPath - Absolute path of the linked file (extension optional)
+   * @param {string|null} anchor - Heading anchor
+   * @param {string} projectRoot - Project root the path is stored relative to
+   * @returns {string}
+   */
+  static toMarkerUrl(targetPath, anchor, projectRoot) {
+    const file = path.relative(projectRoot, targetPath).split(path.sep).join('/');
+    return `${MARKER_PREFIX}?file=${encodeURIComponent(file)}${anchor ? `&anchor=${encodeURIComponent(anchor)}` : ''}`;
+  }
+
+  /**
+   * Parse a marker URL
+   * @returns {Object|null} - { filePath, anchor } or null for other URLs
+   */
+  static parseMarkerUrl(url, projectRoot) {
+    if (!url || !url.startsWith(MARKER_PREFIX)) {
+      return null;
+    }
+
+    const params = new URL(url).searchParams;
+    return {
+      filePath: path.resolve(projectRoot, params.get('file') || ''),
+      anchor: params.get('anchor') || null
+    };
+  }
+
+  /**
+   * Replace the marker links of synced documents
+   * @param {Array} targets - Synced documents or tabs: [{documentId, tabId}]
+   * @param {Array} documents - Scanned documents (link targets of the single layout)
+   * @returns {Promise<Object>} Stats {resolved, unresolved}
+   */
+  async resolveLinks(targets, documents = []) {
+    this.documents.clear();
+    this.scannedDocuments = new Map(documents.map(document => [document.filePath, document]));
+    this.stats = { resolved: 0, unresolved: 0 };
+
+    for (const target of targets) {
+      await this.resolveDocument(target.documentId, target.tabId || null);
+    }
+
+    return this.stats;
+  }
+
+  /**
+   * Replace the marker links of one document or tab
+   * @param {string} documentId - Document ID
+   * @param {string|null} tabId - Tab ID (layout: tabs)
+   */
+  async resolveDocument(documentId, tabId = null) {
+    const view = this.getView(await this.getDocument(documentId), tabId);
+    const markers = this.findMarkerLinks(view.body.content);
+    if (markers.length === 0) {
+      return;
+    }
+
+    const requests = [];
+    const headingLinkTargets = new Set();
+
+    for (const marker of markers) {
+      const resolved = await this.resolveTarget(marker.target, documentId, view.tabId);
+      const range = { startIndex: marker.startIndex, endIndex: marker.endIndex };
+
+      if (resolved) {
+        requests.push({ updateTextStyle: { range, textStyle: { link: resolved.link }, fields: 'link' } });
+        if (resolved.headingTarget) {
+          headingLinkTargets.add(resolved.headingTarget);
+        }
+        this.stats.resolved++;
+      } else {
+        console.warn(chalk.yellow(`⚠️ Could not resolve internal link: ${path.relative(this.projectRoot, marker.target.filePath)}${marker.target.anchor ? `#${marker.target.anchor}` : ''}`));
+        requests.push({ updateTextStyle: { range, textStyle: {}, fields: 'link,foregroundColor,underline' } });
+        this.stats.unresolved++;
+      }
+    }
+
+    await this.docsClient.docs.documents.batchUpdate({
+      documentId: documentId,
+      requestBody: {
+        requests: GoogleDocsTabLayout.scopeRequests(requests, view.tabId)
+      }
+    });
+
+    this.state.setHeadingLinkTargets(this.state.getDocumentKey(documentId, tabId), [...headingLinkTargets]);
+  }
+
+  /**
+   * Resolve a marker target to a Google Docs link
+   * @param {Object} target - { filePath, anchor }
+   * @param {string} documentId - Document holding the link
+   * @param {string} tabId - Tab holding the link
+   * @returns {Promise<Object|null>} - { link, headingTarget } or null when the target is unknown
+   */
+  async resolveTarget(target, documentId, tabId) {
+    const entry = this.findDocument(target.filePath);
+    if (!entry) {
+      return null;
+    }
+
+    const targetView = this.getView(await this.getDocument(entry.documentId), entry.tabId || null);
+    const headings = this.getHeadings(targetView.body.content);
+    // Files of the single layout share one body: link them to the heading matching their title
+    const heading = target.anchor
+      ? headings.find(item => item.slug === target.anchor)
+      : this.layout === 'single' ? headings.find(item => item.text === entry.title) : null;
+
+    if (target.anchor && !heading) {
+      console.warn(chalk.yellow(`⚠️ Heading #${target.anchor} not found in ${entry.title}`));
+    }
+
+    const headingTarget = heading && (entry.documentId !== documentId || targetView.tabId !== tabId) ? entry.filePath : null;
+
+    if (entry.documentId === documentId && heading) {
+      return { link: { heading: { id: heading.id, tabId: targetView.tabId } }, headingTarget };
+    }
+    if (this.layout === 'tabs') {
+      return { link: { tabId: targetView.tabId }, headingTarget };
+    }
+    if (this.layout === 'single') {
+      return null;
+    }
+
+    const documentUrl = `https://docs.google.com/document/d/${entry.documentId}/edit`;
+    return { link: { url: heading ? `${documentUrl}#heading=${heading.id}` : documentUrl }, headingTarget };
+  }
+
+  /**
+   * Find the synced document of a link target in the current layout
+   * @param {string} filePath - Absolute target path (extension optional)
+   * @returns {Object|undefined} Document state
+   */
+  findDocument(filePath) {
+    for (const suffix of TARGET_CANDIDATES) {
+      const candidate = filePath + suffix;
+      let entry;
+      if (this.layout === 'files') {
+        entry = this.state.getFileDocument(candidate);
+      } else if (this.layout === 'tabs') {
+        entry = this.state.getTabDocument(candidate);
+      } else if (this.scannedDocuments.has(candidate)) {
+        // The single layout appends every file to the root document
+        const { title } = this.scannedDocuments.get(candidate);
+        entry = { filePath: candidate, documentId: this.state.getRootDocument().documentId, tabId: null, title };
+      }
+      if (entry) {
+        return entry;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get a document with its tabs, once per pass
+   */
+  async getDocument(documentId) {
+    if (!this.documents.has(documentId)) {
+      this.documents.set(documentId, await this.docsClient.getDocumentWithTabs(documentId));
+    }
+    return this.documents.get(documentId);
+  }
+
+  /**
+   * Body of a tab, or of the first tab for documents synced without tabs
+   * @returns {Object} - { tabId, body }
+   */
+  getView(document, tabId) {
+    const resolvedTabId = tabId || document.tabs?.[0]?.tabProperties?.tabId;
+    return { tabId: resolvedTabId, body: GoogleDocsTabLayout.getTabView(document, resolvedTabId).body };
+  }
+
+  /**
+   * Find text runs linked to marker URLs, merging adjacent runs of the same link
+   * @param {Array} content - Structural elements of a body or table cell
+   * @returns {Array} - [{ startIndex, endIndex, target }]
+   */
+  findMarkerLinks(content = []) {
+    const markers = [];
+
+    for (const run of this.getTextRuns(content)) {
+      const url = run.textRun.textStyle?.link?.url;
+      const target = GoogleDocsInternalLinkResolver.parseMarkerUrl(url, this.projectRoot);
+      if (!target) {
+        continue;
+      }
+
+      const previous = markers[markers.length - 1];
+      if (previous && previous.url === url && previous.endIndex === run.startIndex) {
+        previous.endIndex = run.endIndex;
+      } else {
+        markers.push({ startIndex: run.startIndex, endIndex: run.endIndex, url, target });
+      }
+    }
+
+    return markers;
+  }
+
+  /**
+   * Headings with a Google Docs heading ID and their Docusaurus anchor
+   * @param {Array} content - Structural elements of a body
+   * @returns {Array} - [{ id, text, slug }]
+   */
+  getHeadings(content = []) {
+    const headings = [];
+    const slugger = new HeadingSlugger();
+
+    for (const element of content) {
+      const headingId = element.paragraph?.paragraphStyle?.headingId;
+      if (!headingId) {
+        continue;
+      }
+
+      const text = (element.paragraph.elements || [])
+        .map(item => item.textRun?.content || '')
+        .join('')
+        .trim();
+      headings.push({ id: headingId, text, slug: slugger.slug(text) });
+    }
+
+    return headings;
+  }
+
+  /**
+   * Text runs of paragraphs, including paragraphs inside table cells
+   */
+  getTextRuns(content = []) {
+    return content.flatMap(element => {
+      if (element.paragraph) {
+        return (element.paragraph.elements || []).filter(item => item.textRun);
+      }
+      if (element.table) {
+        return (element.table.tableRows || []).flatMap(row =>
+          (row.tableCells || []).flatMap(cell => this.getTextRuns(cell.content))
+        );
+      }
+      return [];
+    });
+  }
+}
+
+module.exports = GoogleDocsInternalLinkResolver;
@@ -3,17 +3,26 @@ const path = require('path');
 const chalk = require('chalk');
 const crypto = require('crypto');
 const AttachmentProcessor = require('./attachment-processor');
+const GoogleDocsInternalLinkResolver = require('./internal-link-resolver');
 
 /**
  * Link Processor for Google Docs
- * Handles external links and local attachment processing
+ * Handles external links, local attachment processing and internal links to other docs
+ * (written with a marker URL, resolved by GoogleDocsInternalLinkResolver once every target exists)
  * Based on PLAN2.md Phase 3 requirements
  */
 class LinkProcessor {
-  constructor(googleDriveClient, projectRoot, stateManager = null) {
+  /**
+   * @param {GoogleDriveClient} googleDriveClient - Initialized Drive client
+   * @param {string} projectRoot - Project root
+   * @param {GoogleDocsState} stateManager - Google Docs state
+   * @param {Object} options - {docsDir (absolute path the /docs/ route maps to)}
+   */
+  constructor(googleDriveClient, projectRoot, stateManager = null, options = {}) {
     this.googleDriveClient = googleDriveClient;
     this.projectRoot = projectRoot || process.cwd();
     this.stateManager = stateManager;
+    this.docsDir = options.docsDir || path.join(this.projectRoot, 'docs');
     this.debug = process.env.DEBUG_GDOCS_CONVERTER === 'true';
     this.debugDir = path.join(this.projectRoot, '.docusaurus', 'debug', 'gdocs-link-processor');
     
@@ -25,7 +34,8 @@ class LinkProcessor {
       external: /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g,           // [text](http://...)
       localFile: /\[([^\]]+)\]\(\/files\/([^)]+)\)/g,           // [text](/files/...)
       relativePath: /\[([^\]]+)\]\(\.\/([^)]+)\)/g,             // [text](./file.pdf)
-      docusaurusPath: /\[([^\]]+)\]\(\/([^)]+\.[^)]+)\)/g       // [text](/path/file.ext)
+      docusaurusPath: /\[([^\]]+)\]\(\/([^)]+\.[^)]+)\)/g,      // [text](/path/file.ext)
+      internal: /\[([^\]]+)\]\(([^)\s]+)\)/g                    // [text](../doc.md#anchor), [text](/docs/doc), [text](#anchor)
     };
     
     this.stats = {
@@ -33,6 +43,7 @@ class LinkProcessor {
       duplicatesRemoved: 0,
       linksProcessed: 0,
       externalLinks: 0,
+      internalLinks: 0,
       localAttachments: 0,
       attachmentsUploaded: 0,
       attachmentsCached: 0,
@@ -90,6 +101,7 @@ class LinkProcessor {
         duplicatesRemoved: 0,
         linksProcessed: 0,
         externalLinks: 0,
+        internalLinks: 0,
         localAttachments: 0,
         attachmentsUploaded: 0,
         attachmentsCached: 0,
@@ -275,10 +287,78 @@ class LinkProcessor {
       }
     }
 
+    // 3. Extract internal links to other docs and headings
+    const seenIndexes = new Set(links.map(link => link.index));
+    this.linkPatterns.internal.lastIndex = 0;
+    while ((match = this.linkPatterns.internal.exec(markdownContent)) !== null) {
+      const startIndex = match.index;
+      if ((startIndex > 0 && markdownContent[startIndex - 1] === '!') || seenIndexes.has(startIndex)) {
+        continue;
+      }
+      if (!this.isInternalLink(match[2])) {
+        continue;
+      }
+
+      const { targetPath, anchor } = this.resolveInternalLink(match[2], filePath);
+      links.push({
+        fullMatch: match[0],
+        text: match[1],
+        url: GoogleDocsInternalLinkResolver.toMarkerUrl(targetPath, anchor, this.projectRoot),
+        originalUrl: match[2],
+        type: 'internal',
+        isLocal: false,
+        index: startIndex
+      });
+    }
+
     // Sort by index to maintain order
     return links.sort((a, b) => a.index - b.index);
   }
 
+  /**
+   * Check if URL points to another doc or a heading: #anchor, *.md/*.mdx, /docs/... or a relative path without extension
+   */
+  isInternalLink(url) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+      return false; // http:, mailto:, ...
+    }
+
+    const [urlPath] = url.split('#');
+    if (!urlPath) {
+      return url.length > 1;
+    }
+    if (/\.(md|mdx)$/i.test(urlPath)) {
+      return true;
+    }
+    if (urlPath.startsWith('/docs/')) {
+      return !this.isFileUrl(urlPath);
+    }
+    return /^\.\.?\//.test(urlPath) && !/\.[a-zA-Z0-9]+$/.test(urlPath);
+  }
+
+  /**
+   * Resolve an internal link to the linked file (extension optional) and heading anchor
+   * @param {string} url - Link URL
+   * @param {string} filePath - Path to markdown file containing the link
+   * @returns {Object} - { targetPath, anchor }
+   */
+  resolveInternalLink(url, filePath) {
+    const hashIndex = url.indexOf('#');
+    const urlPath = decodeURI(hashIndex === -1 ? url : url.substring(0, hashIndex));
+    const anchor = hashIndex === -1 ? null : decodeURIComponent(url.substring(hashIndex + 1)) || null;
+
+    let targetPath;
+    if (!urlPath) {
+      targetPath = filePath;
+    } else if (urlPath.startsWith('/docs/')) {
+      targetPath = path.join(this.docsDir, urlPath.substring('/docs/'.length));
+    } else {
+      targetPath = path.resolve(path.dirname(filePath), urlPath);
+    }
+
+    return { targetPath: targetPath.replace(/[\\/]+$/, ''), anchor };
+  }
+
   /**
    * Check if URL looks like a file (has extension) - exclude internal markdown links
    */
@@ -286,7 +366,7 @@ class LinkProcessor {
     // Simple check for file extension - accept any file extension
     const hasExtension = /\.[a-zA-Z0-9]+$/.test(url);
     
-    // Exclude internal markdown files (.md, .mdx) as Google Docs doesn't support internal linking
+    // Exclude internal markdown files (.md, .mdx): they are internal links, not attachments
     if (hasExtension && /\.(md|mdx)$/i.test(url)) {
       return false;
     }
@@ -479,8 +559,9 @@ class LinkProcessor {
         text: link.text,
         url: finalUrl,
         placeholder: placeholder,
-        isExternal: !link.isLocal,
-        originalUrl: link.url,
+        isExternal: !link.isLocal && link.type !== 'internal',
+        isInternal: link.type === 'internal',
+        originalUrl: link.originalUrl || link.url,
         placeholderIndex: placeholderCounter,
         link: link, // Store original link for replacement
         formatting: formattingInfo
@@ -541,8 +622,12 @@ class LinkProcessor {
         
         linkRequests.push(cleanLinkRequest);
         
-        // Count as external links (both external and uploaded attachments)
-        this.stats.externalLinks++;
+        if (cleanLinkRequest.isInternal) {
+          this.stats.internalLinks++;
+        } else {
+          // Count as external links (both external and uploaded attachments)
+          this.stats.externalLinks++;
+        }
       } else {
         if (this.debug) {
           console.warn(chalk.yellow(`🐛 Skipping linkRequest for unsuccessful replacement: "${placeholder}"`));
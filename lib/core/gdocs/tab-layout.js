@@ -0,0 +1,226 @@
+const path = require('path');
+const chalk = require('chalk');
+const SidebarResolver = require('../sidebar-resolver');
+
+// Google Docs nests tabs at most three levels deep
+const MAX_TAB_DEPTH = 3;
+
+// Request fields holding a document position, scoped to a tab with their tabId
+const LOCATION_FIELDS = new Set(['location', 'range', 'endOfSegmentLocation', 'tableStartLocation']);
+
+/**
+ * Google Docs Tab Layout
+ * Places one tab per markdown file in the root Google Doc, with parent tabs for the docs/ directories
+ * (titled from _category_.json labels), so each tab is rewritten on its own when its file changes.
+ * Directories deeper than the tab nesting limit are merged into their deepest allowed ancestor.
+ */
+class GoogleDocsTabLayout {
+  /**
+   * @param {GoogleDocsClient} docsClient - Initialized Docs client
+   * @param {GoogleDocsState} state - Google Docs state
+   * @param {Object} options - {docsDir (absolute path)}
+   */
+  constructor(docsClient, state, options = {}) {
+    this.docsClient = docsClient;
+    this.state = state;
+    this.docsDir = options.docsDir;
+    this.documentId = null;
+    this.documentUrl = null;
+    this.remoteTabs = new Map(); // tab ID -> tab properties in the root document
+  }
+
+  /**
+   * Load the tab tree of the root document
+   * @param {string} documentId - Root document ID
+   * @param {string} documentUrl - Root document URL
+   */
+  async load(documentId, documentUrl) {
+    const document = await this.docsClient.getDocumentWithTabs(documentId);
+    this.documentId = documentId;
+    this.documentUrl = documentUrl;
+    this.remoteTabs = new Map(
+      GoogleDocsTabLayout.flattenTabs(document.tabs).map(tab => [tab.tabProperties.tabId, tab.tabProperties])
+    );
+  }
+
+  /**
+   * Get the recorded tab of a file
+   * @param {Object} document - Scanned document
+   * @returns {Object|undefined} Document state
+   */
+  getDocument(document) {
+    return this.state.getTabDocument(document.filePath);
+  }
+
+  /**
+   * Check if a file changed since its tab was last synced
+   * @param {Object} document - Scanned document
+   * @returns {Promise<boolean>}
+   */
+  async needsSync(document) {
+    const existing = this.getDocument(document);
+    return !existing || this.state.needsSync(document.filePath, this.state.getDocumentKey(existing.documentId, existing.tabId));
+  }
+
+  /**
+   * Get the tab of a file, creating it (and its category tabs) when missing
+   * @param {Object} document - Scanned document
+   * @returns {Promise<Object>} - { documentId, url, tabId, parentTabId, created }
+   */
+  async ensureDocument(document) {
+    const parentTabId = await this.ensureCategoryTab(this.getCategoryPath(document));
+    const tab = await this.ensureTab(this.getTabPath(document), document.title, parentTabId);
+
+    if (tab.created) {
+      console.log(chalk.green(`📑 Created tab: ${document.title}`));
+    }
+
+    return {
+      documentId: this.documentId,
+      url: this.getTabUrl(tab.tabId),
+      tabId: tab.tabId,
+      parentTabId,
+      created: tab.created
+    };
+  }
+
+  /**
+   * Get the tab of a category path, creating missing parent tabs from the top down
+   * @param {string} categoryPath - Directory relative to docs/ ('' for top-level tabs)
+   * @returns {Promise<string|null>} Tab ID (null for the top level)
+   */
+  async ensureCategoryTab(categoryPath) {
+    if (!categoryPath) {
+      return null;
+    }
+
+    const parentPath = path.posix.dirname(categoryPath);
+    const parentTabId = await this.ensureCategoryTab(parentPath === '.' ? '' : parentPath);
+    const tab = await this.ensureTab(categoryPath, this.getCategoryTitle(categoryPath), parentTabId);
+    return tab.tabId;
+  }
+
+  /**
+   * Get the recorded tab of a path if it still exists under the expected parent, otherwise add it
+   * @param {string} tabPath - File or directory path relative to docs/
+   * @param {string} title - Tab title
+   * @param {string|null} parentTabId - Parent tab ID
+   * @returns {Promise<Object>} - { tabId, created }
+   */
+  async ensureTab(tabPath, title, parentTabId) {
+    const recorded = this.state.getTabByPath(tabPath);
+    const remote = recorded && this.remoteTabs.get(recorded.tabId);
+
+    if (remote && (remote.parentTabId || null) === parentTabId) {
+      if (remote.title !== title) {
+        await this.docsClient.renameTab(this.documentId, recorded.tabId, title);
+        remote.title = title;
+      }
+      this.state.updateTab(recorded.tabId, { ...recorded, title });
+      return { tabId: recorded.tabId, created: false };
+    }
+
+    if (remote) {
+      // Tabs cannot be moved to another parent, so a file moved to another directory gets a new tab
+      await this.docsClient.deleteTab(this.documentId, recorded.tabId);
+      this.remoteTabs.delete(recorded.tabId);
+    }
+    if (recorded) {
+      this.state.removeTab(recorded.tabId);
+    }
+
+    const properties = await this.docsClient.addTab(this.documentId, title, parentTabId);
+    this.remoteTabs.set(properties.tabId, { ...properties, title, parentTabId });
+    this.state.updateTab(properties.tabId, {
+      tabId: properties.tabId,
+      path: tabPath,
+      title,
+      parentTabId,
+      documentId: this.documentId
+    });
+    return { tabId: properties.tabId, created: true };
+  }
+
+  /**
+   * Tab title of a category path: _category_.json label or the directory name
+   */
+  getCategoryTitle(categoryPath) {
+    const data = SidebarResolver.loadCategoryFileSync(path.join(this.docsDir, categoryPath));
+    return data.label || path.posix.basename(categoryPath);
+  }
+
+  /**
+   * Path of a document relative to docs/ with forward slashes
+   */
+  getTabPath(document) {
+    return path.relative(this.docsDir, path.resolve(document.filePath)).split(path.sep).join('/');
+  }
+
+  /**
+   * Directory of a document relative to docs/, cut to the tab nesting limit ('' for top-level tabs)
+   */
+  getCategoryPath(document) {
+    const directory = path.posix.dirname(this.getTabPath(document));
+    if (directory === '.' || directory.startsWith('..')) {
+      return '';
+    }
+    return directory.split('/').slice(0, MAX_TAB_DEPTH - 1).join('/');
+  }
+
+  /**
+   * Get the URL opening a tab
+   */
+  getTabUrl(tabId) {
+    return this.documentUrl ? `${this.documentUrl}/edit?tab=${tabId}` : null;
+  }
+
+  /**
+   * Flatten a tab tree (document.tabs) depth-first
+   * @param {Array} tabs - Tabs with nested childTabs
+   * @returns {Array} Tabs
+   */
+  static flattenTabs(tabs = []) {
+    return (tabs || []).flatMap(tab => [tab, ...GoogleDocsTabLayout.flattenTabs(tab.childTabs)]);
+  }
+
+  /**
+   * View of a document where `body` is the body of one tab, so body-based helpers work on the tab
+   * @param {Object} document - Document fetched with includeTabsContent
+   * @param {string} tabId - Tab ID
+   * @returns {Object} Document
+   */
+  static getTabView(document, tabId) {
+    const tab = GoogleDocsTabLayout.flattenTabs(document.tabs).find(item => item.tabProperties.tabId === tabId);
+    if (!tab) {
+      throw new Error(`Tab not found in Google Doc: ${tabId}`);
+    }
+    return { ...document, body: tab.documentTab?.body || { content: [] } };
+  }
+
+  /**
+   * Scope batchUpdate requests to a tab by adding the tab ID to every position
+   * @param {Array} requests - Requests addressing the document body
+   * @param {string} tabId - Tab ID
+   * @returns {Array} Scoped copies of the requests
+   */
+  static scopeRequests(requests, tabId) {
+    const scope = (value, key) => {
+      if (Array.isArray(value)) {
+        return value.map(item => scope(item));
+      }
+      if (!value || typeof value !== 'object') {
+        return value;
+      }
+
+      const scoped = {};
+      for (const [field, item] of Object.entries(value)) {
+        scoped[field] = scope(item, field);
+      }
+      return LOCATION_FIELDS.has(key) ? { ...scoped, tabId } : scoped;
+    };
+
+    return requests.map(request => scope(request));
+  }
+}
+
+module.exports = GoogleDocsTabLayout;
@@ -0,0 +1,92 @@
+// Fenced code blocks, whose lines are never headings
+const FENCE_REGEX = /^(?:```|~~~)[^\n]*\n[\s\S]*?^(?:```|~~~)\s*$/gm;
+
+/**
+ * Heading Slugger
+ * Generates heading anchors the way Docusaurus does: the {#custom-id} of the heading, or the
+ * GitHub slug of its text with -1, -2... suffixes for repeated anchors within a page
+ */
+class HeadingSlugger {
+  constructor() {
+    this.occurrences = new Map();
+  }
+
+  /**
+   * Anchor of a heading, ignoring repeats
+   * @param {string} text - Heading text
+   * @returns {string}
+   */
+  static slugify(text) {
+    const customId = HeadingSlugger.getCustomId(text);
+    if (customId) {
+      return customId;
+    }
+
+    return text
+      .trim()
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-');
+  }
+
+  /**
+   * Docusaurus custom heading ID: `## Title {#custom-id}`
+   * @param {string} text - Heading text
+   * @returns {string|null}
+   */
+  static getCustomId(text) {
+    const match = text.match(/\{#([^}]+)\}\s*$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Heading text without its custom ID
+   * @param {string} text - Heading text
+   * @returns {string}
+   */
+  static stripCustomId(text) {
+    return text.replace(/\s*\{#[^}]+\}\s*$/, '');
+  }
+
+  /**
+   * Headings of a markdown document with their anchors
+   * @param {string} markdown - Markdown content
+   * @returns {Array} - [{ level, text (plain text without custom ID), slug, customId }]
+   */
+  static parseHeadings(markdown) {
+    const slugger = new HeadingSlugger();
+
+    return [...markdown.replace(FENCE_REGEX, '').matchAll(/^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/gm)].map(match => ({
+      level: match[1].length,
+      text: HeadingSlugger.toPlainText(HeadingSlugger.stripCustomId(match[2])),
+      slug: slugger.slug(HeadingSlugger.toPlainText(match[2])),
+      customId: HeadingSlugger.getCustomId(match[2])
+    }));
+  }
+
+  /**
+   * Heading markdown as rendered: links, emphasis and inline code reduced to their text
+   * @param {string} markdown - Inline markdown
+   * @returns {string}
+   */
+  static toPlainText(markdown) {
+    return markdown
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*\*|___|\*\*|__|\*|_|~~|`)(.+?)\1/g, '$2')
+      .trim();
+  }
+
+  /**
+   * Anchor of the next heading of the page
+   * @param {string} text - Heading text
+   * @returns {string}
+   */
+  slug(text) {
+    const baseSlug = HeadingSlugger.slugify(text);
+    const count = this.occurrences.get(baseSlug) || 0;
+    this.occurrences.set(baseSlug, count + 1);
+    return count > 0 ? `${baseSlug}-${count}` : baseSlug;
+  }
+}
+
+module.exports = HeadingSlugger;
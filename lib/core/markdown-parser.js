@@ -3,6 +3,10 @@ const matter = require('gray-matter');
 const fs = require('fs-extra');
 const ReferenceProcessor = require('./reference-processor');
 const DiagramProcessor = require('./diagram-processor');
+const DiagramRendererRegistry = require('./diagrams/renderer-registry');
+const AdmonitionProcessor = require('./admonition-processor');
+const MdxProcessor = require('./mdx-processor');
+const HeadingSlugger = require('./heading-slugger');
 
 class MarkdownParser {
   constructor(projectRoot = null, stateManager = null, confluenceClient = null, diagramOptions = {}) {
@@ -11,6 +15,9 @@ class MarkdownParser {
       linkify: true,
       typographer: true
     });
+
+    this.admonitionProcessor = new AdmonitionProcessor();
+    this.mdxProcessor = new MdxProcessor();
     
     // Initialize reference processor if dependencies provided
     this.referenceProcessor = null;
@@ -21,7 +28,7 @@ class MarkdownParser {
     // Initialize diagram processor if confluence client provided
     this.diagramProcessor = null;
     if (confluenceClient) {
-      this.diagramProcessor = new DiagramProcessor(confluenceClient, '.docusaurus/temp', diagramOptions);
+      this.diagramProcessor = new DiagramProcessor(confluenceClient, '.docusaurus/temp', { projectRoot: projectRoot || process.cwd(), ...diagramOptions });
     }
   }
 
@@ -37,7 +44,16 @@ class MarkdownParser {
     }
 
     const fileContent = await fs.readFile(filePath, 'utf8');
-    const { data: frontmatter, content: markdown } = matter(fileContent);
+    const { data: frontmatter, content: rawMarkdown } = matter(fileContent);
+    let markdown = rawMarkdown;
+
+    // Strip ESM statements and translate JSX components in MDX files
+    if (this.mdxProcessor.isMdxFile(filePath)) {
+      const lineOffset = fileContent.split('\n').length - rawMarkdown.split('\n').length;
+      const mdxResult = this.mdxProcessor.process(rawMarkdown, filePath, lineOffset);
+      this.mdxProcessor.reportWarnings(mdxResult.warnings);
+      markdown = mdxResult.content;
+    }
 
     return this.parseMarkdown(markdown, frontmatter, filePath, baseUrl);
   }
@@ -52,6 +68,11 @@ class MarkdownParser {
    * @returns {Object} - {title, content, frontmatter, originalMarkdown, htmlContent, linkStats, diagramStats}
    */
   async parseMarkdown(markdown, frontmatter = {}, currentFilePath = null, baseUrl = null, pageId = null) {
+    // Diagram files embedded as images (.excalidraw, .bpmn) become diagram code blocks
+    if (this.diagramProcessor && currentFilePath) {
+      markdown = await this.diagramProcessor.renderers.inlineDiagramFiles(markdown, currentFilePath);
+    }
+
     let processedMarkdown = markdown;
     let linkStats = null;
     let diagramStats = null;
@@ -62,20 +83,26 @@ class MarkdownParser {
       processedMarkdown = this.referenceProcessor.processReferences(
         markdown, 
         currentFilePath, 
-        baseUrl
+        baseUrl,
+        this.extractTitle(frontmatter, markdown)
       );
     }
 
     // Extract title from frontmatter or first heading
     const title = this.extractTitle(frontmatter, processedMarkdown);
     
-    // Convert markdown to HTML first
-    const html = this.md.render(processedMarkdown);
+    // Convert markdown to HTML first (admonitions become Confluence macros)
+    const html = this.renderMarkdown(processedMarkdown);
     
     // Convert HTML to Confluence Storage Format (basic, without images)
     let confluenceContent = this.convertToConfluenceFormat(html);
     confluenceContent = this.replaceCodeBlocksInConfluence(confluenceContent);
 
+    // Table of contents requested by the frontmatter
+    if (frontmatter.confluence_toc) {
+      confluenceContent = this.createTocMacro(frontmatter) + confluenceContent;
+    }
+
     // Process all diagrams AFTER HTML conversion if diagram processor is available and pageId provided
     if (this.diagramProcessor && pageId) {
       const diagramResult = await this.diagramProcessor.processAllDiagrams(pageId, processedMarkdown);
@@ -83,7 +110,7 @@ class MarkdownParser {
       // Apply diagram processing to the Confluence content
       if (diagramResult) {
         // Convert Confluence code blocks to image format
-        confluenceContent = this.replaceDiagramCodeBlocksInConfluence(confluenceContent, diagramResult.diagramMap);
+        confluenceContent = this.replaceDiagramCodeBlocksInConfluence(confluenceContent, diagramResult.diagramMap, diagramResult.unrendered);
       }
       
       diagramStats = diagramResult.stats;
@@ -101,6 +128,23 @@ class MarkdownParser {
     };
   }
 
+  /**
+   * Render markdown to HTML, converting Docusaurus admonitions to Confluence macros
+   * @param {string} markdown - markdown content
+   * @returns {string} - HTML with admonition macros
+   */
+  renderMarkdown(markdown) {
+    const segments = this.admonitionProcessor.split(markdown);
+
+    return segments.map(segment => {
+      if (segment.type === 'admonition') {
+        const bodyHtml = this.renderMarkdown(segment.body);
+        return this.admonitionProcessor.toConfluenceMacro(segment.kind, segment.title, bodyHtml);
+      }
+      return this.md.render(segment.content);
+    }).join('');
+  }
+
   /**
    * Extract frontmatter from markdown content
    * @param {string} markdownContent - Raw markdown content
@@ -111,6 +155,23 @@ class MarkdownParser {
     return data || {};
   }
 
+  /**
+   * Replace the markdown body of a file, keeping its frontmatter block verbatim
+   * @param {string} markdownContent - Current file content
+   * @param {string} body - New markdown body
+   * @returns {string} New file content
+   */
+  replaceBody(markdownContent, body) {
+    const { content } = matter(markdownContent);
+    const frontmatterBlock = markdownContent.slice(0, markdownContent.length - content.length);
+
+    if (!frontmatterBlock) {
+      return body;
+    }
+
+    return `${frontmatterBlock.replace(/\n*$/, '')}\n\n${body}`;
+  }
+
   /**
    * Extract title from frontmatter or markdown content
    * @param {Object|string} frontmatterOrMarkdown - Frontmatter object or markdown content
@@ -157,14 +218,18 @@ class MarkdownParser {
     // Basic conversion - will improve later
     let confluenceXML = html;
 
-    // Convert headings
+    // Convert headings (Docusaurus custom heading IDs become anchor macros)
     confluenceXML = confluenceXML.replace(/<h([1-6])>(.*?)<\/h[1-6]>/g, (match, level, text) => {
+      const customId = HeadingSlugger.getCustomId(text);
+      if (customId) {
+        return `<h${level}>${HeadingSlugger.stripCustomId(text)}${this.createAnchorMacro(customId)}</h${level}>`;
+      }
       return `<h${level}>${text}</h${level}>`;
     });
 
     // Convert code blocks
     confluenceXML = confluenceXML.replace(
-      /<pre><code class="language-(\w+)">(.*?)<\/code><\/pre>/gs,
+      /<pre><code class="language-([\w+-]+)">(.*?)<\/code><\/pre>/gs,
       (match, lang, code) => {
         return `<ac:structured-macro ac:name="code">
           <ac:parameter ac:name="language">${lang}</ac:parameter>
@@ -186,6 +251,26 @@ class MarkdownParser {
     return confluenceXML;
   }
 
+  /**
+   * Confluence anchor macro, linked to as `PageTitle-name`
+   * @param {string} name - Anchor name
+   * @returns {string}
+   */
+  createAnchorMacro(name) {
+    return `<ac:structured-macro ac:name="anchor"><ac:parameter ac:name="">${name}</ac:parameter></ac:structured-macro>`;
+  }
+
+  /**
+   * Confluence toc macro for `confluence_toc: true`, limited to the Docusaurus TOC heading levels
+   * @param {Object} frontmatter - frontmatter data (toc_min_heading_level, toc_max_heading_level)
+   * @returns {string}
+   */
+  createTocMacro(frontmatter = {}) {
+    const minLevel = frontmatter.toc_min_heading_level || 2;
+    const maxLevel = frontmatter.toc_max_heading_level || 3;
+    return `<ac:structured-macro ac:name="toc"><ac:parameter ac:name="minLevel">${minLevel}</ac:parameter><ac:parameter ac:name="maxLevel">${maxLevel}</ac:parameter></ac:structured-macro>`;
+  }
+
   replaceCodeBlocksInConfluence(confluenceContent) {
     const diagramTypes = ['mermaid', 'plantuml', 'dot', 'graphviz', 'd2'];
     
@@ -209,65 +294,59 @@ class MarkdownParser {
 
   /**
    * Replace diagram code blocks in Confluence content with image format
+   * Diagrams that were not rendered stay code blocks, with a note above them
+   * @param {string} confluenceContent - Confluence storage format
+   * @param {Map} diagramMap - Diagram ID -> attachment
+   * @param {Map} unrendered - Diagram ID -> reason the diagram was not rendered
    */
-  replaceDiagramCodeBlocksInConfluence(confluenceContent, diagramMap) {
+  replaceDiagramCodeBlocksInConfluence(confluenceContent, diagramMap, unrendered = new Map()) {
     let processedContent = confluenceContent;
     
-    // Define diagram types and their patterns (updated to handle flexible whitespace)
-    const diagramTypes = {
-      mermaid: /```mermaid\s*\n([\s\S]*?)\n\s*```/g,
-      plantuml: /```plantuml\s*\n([\s\S]*?)\n\s*```/g,
-      graphviz: /```(?:dot|graphviz)\s*\n([\s\S]*?)\n\s*```/g,
-      d2: /```d2\s*\n([\s\S]*?)\n\s*```/g
-    };
+    // Diagram code blocks of every registered renderer (flexible whitespace around the fences)
+    const renderers = this.diagramProcessor.renderers;
 
     // Process markdown-style code blocks first
-    for (const [type, regex] of Object.entries(diagramTypes)) {
-      processedContent = processedContent.replace(regex, (match, diagramCode) => {
-        const diagramId = this.generateDiagramId(type, diagramCode);
-        const attachment = diagramMap.get(diagramId);
+    processedContent = processedContent.replace(renderers.getFenceRegex(), (match, language, meta, diagramCode) => {
+      const type = renderers.resolveType(language);
+      const diagramId = this.generateDiagramId(type, diagramCode);
+      const attachment = diagramMap.get(diagramId);
+      
+      if (attachment) {
+        const cleanCode = diagramCode.trim();
+        const diagramTitle = type.charAt(0).toUpperCase() + type.slice(1);
         
-        if (attachment) {
-          const cleanCode = diagramCode.trim();
-          const diagramTitle = type.charAt(0).toUpperCase() + type.slice(1);
-          
-          // Check if this is a Mermaid diagram using plugin integration
-          if (attachment.type === 'mermaid-attachment' && attachment.usePlugin) {
-            const pluginName = attachment.pluginName || 'mermaid-cloud';
-            console.log(`pluginName: ${pluginName}`);
-            return `
+        // Check if this is a Mermaid diagram using plugin integration
+        if (attachment.type === 'mermaid-attachment' && attachment.usePlugin) {
+          const pluginName = attachment.pluginName || 'mermaid-cloud';
+          console.log(`pluginName: ${pluginName}`);
+          return `
 <ac:structured-macro ac:name="${pluginName}" ac:schema-version="1">
   <ac:parameter ac:name="filename">${attachment.filename}</ac:parameter>
   <ac:parameter ac:name="revision">1</ac:parameter>
   <ac:parameter ac:name="toolbar">bottom</ac:parameter>
 </ac:structured-macro>
 
-<!-- DOCFLU_DIAGRAM_START:${type} -->
-<!-- DOCFLU_DIAGRAM_METADATA:${type}:${Buffer.from(cleanCode).toString('base64')} -->
-<!-- DOCFLU_DIAGRAM_END:${type} -->
+${this.createDiagramMetadata(type, cleanCode, (meta || '').trim())}
 `;
-          }
-          
-          // Standard image format for other diagrams
-          return `
+        }
+        
+        // Standard image format for other diagrams
+        return `
 <ac:image ac:align="center" ac:layout="center">
   <ri:attachment ri:filename="${attachment.title}" />
 </ac:image>
 
 <p style="text-align: center;"><em>${diagramTitle} Diagram</em></p>
 
-<!-- DOCFLU_DIAGRAM_START:${type} -->
-<!-- DOCFLU_DIAGRAM_METADATA:${type}:${Buffer.from(cleanCode).toString('base64')} -->
-<!-- DOCFLU_DIAGRAM_END:${type} -->
+${this.createDiagramMetadata(type, cleanCode, (meta || '').trim())}
 `;
-        }
-        
-        return this.unescapeHtmlEntities(match);
-      });
-    }
+      }
+      
+      return this.createUnrenderedDiagramNote(type, diagramId, unrendered) + this.unescapeHtmlEntities(match);
+    });
 
     // Process Confluence code blocks - use a more robust approach to avoid greedy matching
-    processedContent = this.processConfluenceDiagramBlocks(processedContent, diagramMap);
+    processedContent = this.processConfluenceDiagramBlocks(processedContent, diagramMap, unrendered);
     
     return processedContent;
   }
@@ -275,8 +354,8 @@ class MarkdownParser {
   /**
    * Process Confluence diagram blocks more robustly to avoid greedy matching
    */
-  processConfluenceDiagramBlocks(content, diagramMap) {
-    const diagramTypes = ['mermaid', 'plantuml', 'dot', 'graphviz', 'd2'];
+  processConfluenceDiagramBlocks(content, diagramMap, unrendered = new Map()) {
+    const renderers = this.diagramProcessor.renderers;
     
     // Find all structured-macro code blocks
     const codeBlockRegex = /<ac:structured-macro\s+ac:name="code"[^>]*>([\s\S]*?)<\/ac:structured-macro>/g;
@@ -291,12 +370,7 @@ class MarkdownParser {
       const language = languageMatch[1].trim().toLowerCase();
       
       // Check if this is a diagram type
-      let diagramType = null;
-      if (diagramTypes.includes(language)) {
-        diagramType = language;
-      } else if (language === 'dot') {
-        diagramType = 'graphviz';
-      }
+      const diagramType = renderers.resolveType(language);
       
       if (!diagramType) {
         return this.unescapeHtmlEntities(match);
@@ -330,9 +404,7 @@ class MarkdownParser {
   <ac:parameter ac:name="toolbar">bottom</ac:parameter>
 </ac:structured-macro>
 
-<!-- DOCFLU_DIAGRAM_START:${diagramType} -->
-<!-- DOCFLU_DIAGRAM_METADATA:${diagramType}:${Buffer.from(cleanCode).toString('base64')} -->
-<!-- DOCFLU_DIAGRAM_END:${diagramType} -->
+${this.createDiagramMetadata(diagramType, cleanCode, attachment.meta)}
 `;
         }
         
@@ -344,25 +416,49 @@ class MarkdownParser {
 
 <p style="text-align: center;"><em>${diagramTitle} Diagram</em></p>
 
-<!-- DOCFLU_DIAGRAM_START:${diagramType} -->
-<!-- DOCFLU_DIAGRAM_METADATA:${diagramType}:${Buffer.from(cleanCode).toString('base64')} -->
-<!-- DOCFLU_DIAGRAM_END:${diagramType} -->
+${this.createDiagramMetadata(diagramType, cleanCode, attachment.meta)}
 `;
       }
       
-      // If no attachment found, return original match (no HTML entity unescaping)
-      return this.unescapeHtmlEntities(match);
+      // If no attachment found, keep the code block
+      return this.createUnrenderedDiagramNote(diagramType, diagramId, unrendered) + this.unescapeHtmlEntities(match);
     });
   }
 
+  /**
+   * Comments keeping a rendered diagram's source in the page, for pull and for later syncs
+   * @param {string} type - Diagram type
+   * @param {string} code - Diagram source
+   * @param {string} meta - Code fence meta (e.g. 'theme=forest'), kept when set
+   * @returns {string} DOCFLU_DIAGRAM comments
+   */
+  createDiagramMetadata(type, code, meta = '') {
+    const encodedMeta = meta ? `:${Buffer.from(meta).toString('base64')}` : '';
+    return `<!-- DOCFLU_DIAGRAM_START:${type} -->
+<!-- DOCFLU_DIAGRAM_METADATA:${type}:${Buffer.from(code).toString('base64')}${encodedMeta} -->
+<!-- DOCFLU_DIAGRAM_END:${type} -->`;
+  }
+
+  /**
+   * Note placed above the code block of a diagram that was not rendered
+   * @param {string} type - Diagram type
+   * @param {string} diagramId - Diagram ID
+   * @param {Map} unrendered - Diagram ID -> reason the diagram was not rendered
+   * @returns {string} - Paragraph, or '' when the diagram was not meant to be rendered
+   */
+  createUnrenderedDiagramNote(type, diagramId, unrendered) {
+    if (!unrendered.has(diagramId)) {
+      return '';
+    }
+    return `<p><em>⚠️ ${DiagramRendererRegistry.getUnrenderedNote(type, unrendered.get(diagramId))}</em></p>\n`;
+  }
+
   /**
    * Generate diagram ID (same logic as DiagramProcessor)
    * Normalize by removing all spaces and newlines for consistent ID generation
    */
   generateDiagramId(type, code) {
-    const normalizedCode = code.replace(/\s+/g, '');
-    const hash = require('crypto').createHash('md5').update(normalizedCode).digest('hex');
-    return `${type}-${hash.substring(0, 8)}`;
+    return DiagramRendererRegistry.generateDiagramId(type, code);
   }
 
   /**
@@ -0,0 +1,392 @@
+const chalk = require('chalk');
+
+// Components translated by the processor; any other JSX component is reported and its tags removed
+const KNOWN_COMPONENTS = ['Tabs', 'TabItem', 'CodeBlock'];
+
+/**
+ * MDX Processor
+ * Turns Docusaurus MDX into plain markdown before it is converted for Confluence, Notion or Google Docs:
+ * removes ESM import/export statements and translates common JSX components
+ */
+class MdxProcessor {
+  constructor() {
+    this.fenceRegex = /^\s*(`{3,}|~{3,})/;
+    this.componentRegex = /<([A-Z][\w.]*)(?=[\s/>]|$)/g;
+    this.attributeRegex = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*["'`]([^"'`]*)["'`]\s*\})/g;
+  }
+
+  /**
+   * Check if a file should go through MDX preprocessing
+   * @param {string} filePath - File path
+   * @returns {boolean}
+   */
+  isMdxFile(filePath) {
+    return /\.mdx$/i.test(filePath || '');
+  }
+
+  /**
+   * Convert MDX content to markdown
+   * @param {string} markdown - MDX content (frontmatter, if present, is left untouched)
+   * @param {string} filePath - File path used in warnings
+   * @param {number} lineOffset - Number of lines preceding the content in the original file
+   * @returns {Object} - {content, warnings} where warnings are [{file, line, component, message}]
+   */
+  process(markdown, filePath = null, lineOffset = 0) {
+    const { frontmatter, body, bodyLineOffset } = this.splitFrontmatter(markdown || '');
+    const warnings = this.findUnknownComponents(body, filePath, lineOffset + bodyLineOffset);
+
+    let content = this.mapOutsideCode(body, text => this.stripEsm(text));
+    content = this.mapOutsideCode(content, text => this.convertCodeBlocks(text));
+    content = this.mapOutsideCode(content, text => this.stripComments(text));
+    content = this.mapOutsideCode(content, text => this.convertDetails(text));
+    content = this.convertTabs(content);
+    content = this.mapOutsideCode(content, text => this.removeUnknownComponents(text));
+
+    return {
+      content: frontmatter + content.replace(/\n{3,}/g, '\n\n'),
+      warnings
+    };
+  }
+
+  /**
+   * Print warnings for unknown components
+   * @param {Array} warnings - Warnings returned by process()
+   */
+  reportWarnings(warnings) {
+    warnings.forEach(warning => {
+      console.warn(chalk.yellow(`⚠️ ${warning.message}`));
+    });
+  }
+
+  /**
+   * Separate a leading frontmatter block so it is not treated as MDX
+   */
+  splitFrontmatter(markdown) {
+    const match = markdown.match(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+      return { frontmatter: '', body: markdown, bodyLineOffset: 0 };
+    }
+
+    return {
+      frontmatter: match[0],
+      body: markdown.slice(match[0].length),
+      bodyLineOffset: match[0].split('\n').length - 1
+    };
+  }
+
+  /**
+   * Apply a transform to every part of the markdown that is outside fenced code blocks
+   * @param {string} markdown - Markdown content
+   * @param {Function} transform - (text) => text
+   * @returns {string}
+   */
+  mapOutsideCode(markdown, transform) {
+    const lines = markdown.split('\n');
+    const output = [];
+    let buffer = [];
+    let fence = null;
+
+    const flush = () => {
+      if (buffer.length > 0) {
+        output.push(transform(buffer.join('\n')));
+        buffer = [];
+      }
+    };
+
+    for (const line of lines) {
+      const fenceMatch = line.match(this.fenceRegex);
+
+      if (fence) {
+        output.push(line);
+        if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) {
+          fence = null;
+        }
+      } else if (fenceMatch) {
+        flush();
+        fence = fenceMatch[1];
+        output.push(line);
+      } else {
+        buffer.push(line);
+      }
+    }
+
+    flush();
+    return output.join('\n');
+  }
+
+  /**
+   * Find JSX components that have no markdown equivalent
+   * @returns {Array} - [{file, line, component, message}]
+   */
+  findUnknownComponents(markdown, filePath, lineOffset = 0) {
+    const warnings = [];
+    const lines = markdown.split('\n');
+    let fence = null;
+    let esmEnd = -1; // Last line of the import/export statement being skipped
+
+    lines.forEach((line, index) => {
+      const fenceMatch = line.match(this.fenceRegex);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) {
+          fence = null;
+        }
+        return;
+      }
+      if (fence || index <= esmEnd) {
+        return;
+      }
+
+      // Skip the ESM statements stripEsm() removes; prose starting with import/export is checked
+      esmEnd = this.findStatementEnd(lines, index);
+      if (esmEnd !== -1) {
+        return;
+      }
+
+      // Ignore components mentioned inside inline code
+      const text = line.replace(/`[^`]*`/g, '');
+      const seen = new Set();
+      let match;
+      this.componentRegex.lastIndex = 0;
+
+      while ((match = this.componentRegex.exec(text)) !== null) {
+        const component = match[1];
+        if (KNOWN_COMPONENTS.includes(component) || seen.has(component)) {
+          continue;
+        }
+        seen.add(component);
+
+        const lineNumber = lineOffset + index + 1;
+        const location = filePath ? `${filePath}:${lineNumber}` : `line ${lineNumber}`;
+        warnings.push({
+          file: filePath,
+          line: lineNumber,
+          component,
+          message: `Unsupported MDX component <${component}> at ${location} (tags removed, inner content kept)`
+        });
+      }
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Remove ESM import/export statements, including multi-line ones
+   */
+  stripEsm(text) {
+    const lines = text.split('\n');
+    const output = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const end = this.findStatementEnd(lines, i);
+      if (end === -1) {
+        output.push(lines[i]);
+        continue;
+      }
+      i = end;
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Find the last line of the import/export statement starting at a line
+   * @returns {number} - Line index, or -1 when the line does not start a complete statement (e.g. prose)
+   */
+  findStatementEnd(lines, start) {
+    if (!/^(import|export)\s/.test(lines[start])) {
+      return -1;
+    }
+
+    let statement = lines[start];
+    for (let i = start; i < lines.length; i++) {
+      if (i > start) {
+        statement += '\n' + lines[i];
+      }
+      if (this.isStatementComplete(statement)) {
+        return this.isEsmStatement(statement) ? i : -1;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Check whether an import/export statement is complete (brackets balanced, nothing pending)
+   */
+  isStatementComplete(statement) {
+    let depth = 0;
+    for (const char of statement) {
+      if ('{(['.includes(char)) depth++;
+      if ('})]'.includes(char)) depth--;
+    }
+    if (depth > 0) {
+      return false;
+    }
+
+    const trimmed = statement.trim();
+    if (trimmed.startsWith('import')) {
+      return /from\s*['"][^'"]*['"]\s*;?$/.test(trimmed) || /^import\s*['"][^'"]*['"]\s*;?$/.test(trimmed);
+    }
+
+    return !/[=,({[]$/.test(trimmed);
+  }
+
+  /**
+   * Check that a complete statement has the shape of an import/export rather than prose
+   */
+  isEsmStatement(statement) {
+    const trimmed = statement.trim();
+    if (trimmed.startsWith('import')) {
+      const binding = '(?:[\\w$]+|\\{[^}]*\\}|\\*\\s+as\\s+[\\w$]+)';
+      return new RegExp(`^import\\s+(?:type\\s+)?${binding}(?:\\s*,\\s*${binding})?\\s*from\\s*['"][^'"]+['"]\\s*;?$`).test(trimmed) ||
+        /^import\s*['"][^'"]+['"]\s*;?$/.test(trimmed);
+    }
+
+    return /^export\s+(?:default\s|const\s|let\s|var\s|function[\s*]|async\s+function|class\s|type\s|interface\s|\{|\*)/.test(trimmed);
+  }
+
+  /**
+   * Convert <CodeBlock language="..."> components to fenced code blocks
+   */
+  convertCodeBlocks(text) {
+    return text.replace(/<CodeBlock\b([^>]*)>([\s\S]*?)<\/CodeBlock>/g, (match, attributes, code) => {
+      const attrs = this.parseAttributes(attributes);
+      const language = attrs.language || attrs.lang || '';
+      const lines = code
+        .trim()
+        .replace(/^\{\s*`/, '')
+        .replace(/`\s*\}$/, '')
+        .replace(/^\n+|\n+$/g, '')
+        .split('\n');
+
+      return `\n\`\`\`${language}\n${this.dedent(lines).join('\n')}\n\`\`\`\n`;
+    });
+  }
+
+  /**
+   * Remove MDX comments {/* ... *\/}
+   */
+  stripComments(text) {
+    return text.replace(/\{\s*\/\*[\s\S]*?\*\/\s*\}/g, '');
+  }
+
+  /**
+   * Convert <details><summary> to :::details directives
+   * The admonition processor renders them as Confluence expand macros and Notion toggles
+   */
+  convertDetails(text) {
+    return text
+      .replace(/<details\b[^>]*>\s*(?:<summary\b[^>]*>([\s\S]*?)<\/summary>)?/g, (match, summary) => {
+        const title = (summary || '')
+          .replace(/<[^>]+>/g, '')
+          .replace(/[\[\]]/g, '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        return title ? `\n:::details[${title}]\n` : '\n:::details\n';
+      })
+      .replace(/<\/details>/g, '\n:::\n');
+  }
+
+  /**
+   * Convert <Tabs>/<TabItem> into a sequence of headed sections
+   * Each tab heading sits one level below the closest preceding heading
+   */
+  convertTabs(markdown) {
+    const lines = markdown.split('\n');
+    const output = [];
+    let fence = null;
+    let headingLevel = 0;
+    let inTab = false;
+    let tabIndent = null;
+
+    for (const rawLine of lines) {
+      // Tab content is often indented under <TabItem>; bring it back to the left margin
+      let line = rawLine;
+      if (inTab && line.trim()) {
+        if (tabIndent === null) {
+          tabIndent = line.match(/^\s*/)[0].length;
+        }
+        line = line.replace(new RegExp(`^\\s{0,${tabIndent}}`), '');
+      }
+
+      const fenceMatch = line.match(this.fenceRegex);
+      if (fence || fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) {
+          fence = null;
+        }
+        output.push(line);
+        continue;
+      }
+
+      const headingMatch = line.match(/^(#{1,6})\s/);
+      if (headingMatch && !inTab) {
+        headingLevel = headingMatch[1].length;
+      }
+
+      if (!/<\/?(Tabs|TabItem)\b/.test(line)) {
+        output.push(line);
+        continue;
+      }
+
+      const converted = line
+        .replace(/<\/?Tabs\b[^>]*>/g, '')
+        .replace(/<TabItem\b([^>]*?)\/?>/g, (match, attributes) => {
+          const attrs = this.parseAttributes(attributes);
+          const label = attrs.label || attrs.value || 'Tab';
+          const level = Math.min(headingLevel + 1, 6);
+          inTab = true;
+          tabIndent = null;
+          return `\n${'#'.repeat(level)} ${label}\n`;
+        })
+        .replace(/<\/TabItem>/g, () => {
+          inTab = false;
+          return '';
+        });
+
+      output.push(converted.trim());
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Remove tags of components that cannot be translated, keeping their children
+   */
+  removeUnknownComponents(text) {
+    return text.replace(/<\/?([A-Z][\w.]*)(?:\s[^>]*)?\/?>/g, (match, component) => {
+      return KNOWN_COMPONENTS.includes(component) ? match : '';
+    });
+  }
+
+  /**
+   * Parse JSX attributes into an object
+   */
+  parseAttributes(attributes) {
+    const attrs = {};
+    let match;
+    this.attributeRegex.lastIndex = 0;
+
+    while ((match = this.attributeRegex.exec(attributes || '')) !== null) {
+      attrs[match[1]] = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    }
+
+    return attrs;
+  }
+
+  /**
+   * Remove common leading indentation from lines
+   */
+  dedent(lines) {
+    const indents = lines
+      .filter(line => line.trim())
+      .map(line => line.match(/^\s*/)[0].length);
+    const minIndent = indents.length > 0 ? Math.min(...indents) : 0;
+    return minIndent > 0 ? lines.map(line => line.slice(minIndent)) : lines;
+  }
+}
+
+module.exports = MdxProcessor;
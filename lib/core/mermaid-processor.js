@@ -4,10 +4,11 @@ const { execSync } = require('child_process');
 const chalk = require('chalk');
 
 class MermaidProcessor {
-  constructor(confluenceClient, tempDir = '.docusaurus/temp') {
+  constructor(confluenceClient, tempDir = '.docusaurus/temp', options = {}) {
     this.confluenceClient = confluenceClient;
     this.tempDir = tempDir;
     this.processedDiagrams = new Map(); // Cache processed diagrams
+    this.installTools = options.installTools || false; // Install Mermaid CLI when missing (--install-tools)
     
     // Ensure temp directory exists
     fs.ensureDirSync(this.tempDir);
@@ -289,8 +290,11 @@ class MermaidProcessor {
     // Check if Mermaid CLI is available
     const hasMermaidCLI = await this.checkMermaidCLI();
     if (!hasMermaidCLI) {
-      console.log(chalk.yellow('⚠️ Mermaid CLI not found. Attempting to install...'));
-      const installed = await this.installMermaidCLI();
+      let installed = false;
+      if (this.installTools) {
+        console.log(chalk.yellow('⚠️ Mermaid CLI not found. Attempting to install...'));
+        installed = await this.installMermaidCLI();
+      }
       if (!installed) {
         console.log(chalk.red('❌ Cannot process Mermaid diagrams without CLI. Skipping...'));
         return {
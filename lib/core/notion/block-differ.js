@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+// Blocks whose own content can be changed in place with updateBlock
+const UPDATABLE_TYPES = new Set([
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item', 'numbered_list_item',
+  'quote', 'to_do', 'toggle', 'callout', 'code', 'equation', 'table_row'
+]);
+
+// Blocks that only hold children: kept when their shape (e.g. table width, column count) is unchanged
+const CONTAINER_TYPES = new Set(['table', 'column_list', 'column']);
+
+// Blocks that are pages of their own and never part of the synced content
+const PROTECTED_TYPES = new Set(['child_page', 'child_database']);
+
+const MEDIA_TYPES = new Set(['image', 'file', 'pdf', 'video', 'audio']);
+
+/**
+ * Notion Block Differ
+ * Updates an existing page to the converter output by diffing both block trees, so unchanged blocks
+ * (and the comments and links attached to them) are left alone:
+ * - unchanged blocks are kept
+ * - changed blocks of the same type are updated in place, then their children are diffed
+ * - other blocks are deleted or inserted after the previous kept block
+ * Uploaded files cannot be compared with the stored copy, so their blocks are always replaced
+ */
+class NotionBlockDiffer {
+  constructor(notionClient) {
+    this.client = notionClient;
+    this.signatures = new WeakMap();
+  }
+
+  /**
+   * Bring the children of a page in line with the given blocks
+   * @param {string} pageId - Page ID
+   * @param {Array} blocks - Blocks generated from markdown
+   * @returns {Promise<Object>} Stats {kept, updated, inserted, deleted}
+   */
+  async syncPage(pageId, blocks) {
+    const stats = { kept: 0, updated: 0, inserted: 0, deleted: 0 };
+    const existing = await this.fetchTree(pageId);
+    await this.syncChildren(pageId, existing, blocks, stats);
+    return stats;
+  }
+
+  /**
+   * Hash of the page content the differ compares (text, formatting, structure, media sources).
+   * Detects remote edits that last_edited_time misses, as Notion rounds it to the minute
+   * @param {string} pageId - Page ID
+   * @returns {Promise<string>} SHA-256 hex digest
+   */
+  async getContentHash(pageId) {
+    const blocks = await this.fetchTree(pageId);
+    return crypto.createHash('sha256').update(blocks.map(block => this.getSignature(block)).join('\n')).digest('hex');
+  }
+
+  /**
+   * Fetch the block tree under a page or block, without child pages
+   * @param {string} blockId - Page or block ID
+   * @returns {Promise<Array>} Blocks with nested `children`
+   */
+  async fetchTree(blockId) {
+    const blocks = [];
+    let startCursor = null;
+
+    do {
+      const response = await this.client.retrieveBlockChildren(blockId, startCursor);
+      blocks.push(...response.results.filter(block => !PROTECTED_TYPES.has(block.type) && !block.archived));
+      startCursor = response.has_more ? response.next_cursor : null;
+    } while (startCursor);
+
+    for (const block of blocks) {
+      block.children = block.has_children ? await this.fetchTree(block.id) : [];
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Diff and apply the children of one parent
+   * @param {string} parentId - Page or block ID
+   * @param {Array} existing - Current blocks (from fetchTree)
+   * @param {Array} desired - Blocks generated from markdown
+   * @param {Object} stats - Stats to update
+   */
+  async syncChildren(parentId, existing, desired, stats) {
+    let operations = this.diff(existing, desired);
+
+    // Blocks cannot be inserted before the first child, so a new first block means rewriting the rest
+    const firstPlaced = operations.find(operation => operation.type !== 'delete');
+    if (firstPlaced?.type === 'insert' && operations.some(operation => operation.type === 'keep' || operation.type === 'update')) {
+      operations = [
+        ...existing.map(block => ({ type: 'delete', existing: block })),
+        ...desired.map(block => ({ type: 'insert', block }))
+      ];
+    }
+
+    for (const operation of operations.filter(operation => operation.type === 'delete')) {
+      await this.client.deleteBlock(operation.existing.id);
+      stats.deleted++;
+    }
+
+    let previousId = null;
+    let pending = [];
+
+    const flush = async () => {
+      if (pending.length > 0) {
+        await this.client.appendBlocks(parentId, pending, previousId);
+        stats.inserted += pending.length;
+        pending = [];
+      }
+    };
+
+    for (const operation of operations) {
+      if (operation.type === 'insert') {
+        pending.push(operation.block);
+        continue;
+      }
+      if (operation.type === 'delete') {
+        continue;
+      }
+
+      await flush();
+
+      if (operation.type === 'keep') {
+        stats.kept++;
+      } else {
+        await this.updateBlock(operation.existing, operation.block, stats);
+      }
+      previousId = operation.existing.id;
+    }
+
+    await flush();
+  }
+
+  /**
+   * Update a changed block in place, then diff its children
+   */
+  async updateBlock(existing, block, stats) {
+    const type = block.type;
+
+    if (this.getOwnSignature(existing) !== this.getOwnSignature(block)) {
+      const { children, ...content } = block[type];
+      await this.client.updateBlock(existing.id, { [type]: content });
+      stats.updated++;
+    } else {
+      stats.kept++;
+    }
+
+    await this.syncChildren(existing.id, existing.children || [], this.getChildren(block), stats);
+  }
+
+  /**
+   * Align existing and desired blocks (longest common subsequence of block signatures)
+   * @param {Array} existing - Current blocks
+   * @param {Array} desired - Blocks generated from markdown
+   * @returns {Array} Operations in final order: {type: 'keep'|'update'|'delete'|'insert', existing, block}
+   */
+  diff(existing, desired) {
+    const oldSignatures = existing.map(block => this.getSignature(block));
+    const newSignatures = desired.map(block => this.getSignature(block));
+
+    let start = 0;
+    while (start < existing.length && start < desired.length && oldSignatures[start] === newSignatures[start]) {
+      start++;
+    }
+
+    let oldEnd = existing.length;
+    let newEnd = desired.length;
+    while (oldEnd > start && newEnd > start && oldSignatures[oldEnd - 1] === newSignatures[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    // LCS table of the changed middle section
+    const rows = oldEnd - start;
+    const columns = newEnd - start;
+    const lengths = new Uint32Array((rows + 1) * (columns + 1));
+    const at = (i, j) => i * (columns + 1) + j;
+
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = columns - 1; j >= 0; j--) {
+        lengths[at(i, j)] = oldSignatures[start + i] === newSignatures[start + j]
+          ? lengths[at(i + 1, j + 1)] + 1
+          : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+      }
+    }
+
+    const operations = [];
+    const keep = (i, j) => operations.push({ type: 'keep', existing: existing[i], block: desired[j] });
+
+    for (let i = 0; i < start; i++) {
+      keep(i, i);
+    }
+
+    let i = 0;
+    let j = 0;
+    let deleted = [];
+    let inserted = [];
+
+    const flushGap = () => {
+      operations.push(...this.pairGap(deleted, inserted));
+      deleted = [];
+      inserted = [];
+    };
+
+    while (i < rows || j < columns) {
+      if (i < rows && j < columns && oldSignatures[start + i] === newSignatures[start + j]) {
+        flushGap();
+        keep(start + i, start + j);
+        i++;
+        j++;
+      } else if (j < columns && (i === rows || lengths[at(i, j + 1)] >= lengths[at(i + 1, j)])) {
+        inserted.push(desired[start + j]);
+        j++;
+      } else {
+        deleted.push(existing[start + i]);
+        i++;
+      }
+    }
+    flushGap();
+
+    for (let k = 0; k < existing.length - oldEnd; k++) {
+      keep(oldEnd + k, newEnd + k);
+    }
+
+    return operations;
+  }
+
+  /**
+   * Turn a run of removed and added blocks into in-place updates where the block types allow it
+   */
+  pairGap(deleted, inserted) {
+    const operations = [];
+
+    inserted.forEach((block, index) => {
+      const existing = deleted[index];
+      if (existing && this.canUpdate(existing, block)) {
+        operations.push({ type: 'update', existing, block });
+        deleted[index] = null;
+      } else {
+        operations.push({ type: 'insert', block });
+      }
+    });
+
+    return [
+      ...deleted.filter(Boolean).map(existing => ({ type: 'delete', existing })),
+      ...operations
+    ];
+  }
+
+  /**
+   * Check if an existing block can be turned into the desired one without replacing it
+   */
+  canUpdate(existing, block) {
+    if (existing.type !== block.type) {
+      return false;
+    }
+    if (UPDATABLE_TYPES.has(block.type)) {
+      return true;
+    }
+    return CONTAINER_TYPES.has(block.type) && this.getOwnSignature(existing) === this.getOwnSignature(block);
+  }
+
+  /**
+   * Signature of a block including its children
+   * @param {Object} block - Existing or desired block
+   * @returns {string}
+   */
+  getSignature(block) {
+    if (!this.signatures.has(block)) {
+      const children = this.getChildren(block).map(child => this.getSignature(child));
+      this.signatures.set(block, `${this.getOwnSignature(block)}[${children.join(',')}]`);
+    }
+    return this.signatures.get(block);
+  }
+
+  /**
+   * Signature of the block content the converter controls, ignoring API defaults and read-only fields
+   * @param {Object} block - Existing or desired block
+   * @returns {string}
+   */
+  getOwnSignature(block) {
+    const data = block[block.type] || {};
+    let content;
+
+    if (block.type === 'table_row') {
+      content = { cells: (data.cells || []).map(cell => this.normalizeRichText(cell)) };
+    } else if (block.type === 'table') {
+      content = { width: data.table_width, columnHeader: !!data.has_column_header, rowHeader: !!data.has_row_header };
+    } else if (block.type === 'column_list') {
+      content = { columns: this.getChildren(block).length };
+    } else if (MEDIA_TYPES.has(block.type)) {
+      content = { source: this.getMediaSource(data), caption: this.normalizeRichText(data.caption), name: data.name || null };
+    } else if (block.type === 'bookmark' || block.type === 'embed') {
+      content = { url: data.url, caption: this.normalizeRichText(data.caption) };
+    } else if (block.type === 'equation') {
+      content = { expression: data.expression };
+    } else {
+      content = {
+        text: this.normalizeRichText(data.rich_text),
+        color: data.color || 'default',
+        checked: !!data.checked,
+        toggleable: !!data.is_toggleable,
+        language: data.language || null,
+        caption: this.normalizeRichText(data.caption),
+        icon: data.icon ? data.icon.emoji || data.icon.external?.url || null : null
+      };
+    }
+
+    return `${block.type}:${JSON.stringify(content)}`;
+  }
+
+  /**
+   * Source of a media block; stored copies of uploaded files never match a new upload
+   */
+  getMediaSource(data) {
+    if (data.type === 'external') {
+      return data.external?.url || null;
+    }
+    if (data.type === 'file_upload') {
+      return `file_upload:${data.file_upload?.id}`;
+    }
+    return `${data.type}:stored`;
+  }
+
+  /**
+   * Normalize rich text so converter output and API responses compare equal
+   * Drops empty segments and merges adjacent segments with the same formatting
+   * @param {Array} richText - Rich text items
+   * @returns {Array} [[kind, text, link, annotations]]
+   */
+  normalizeRichText(richText = []) {
+    const segments = [];
+
+    for (const item of richText || []) {
+      const type = item.type || 'text';
+      const annotations = item.annotations || {};
+      const flags = ['bold', 'italic', 'strikethrough', 'underline', 'code']
+        .filter(flag => annotations[flag])
+        .concat(annotations.color && annotations.color !== 'default' ? [annotations.color] : [])
+        .join('+');
+
+      let text;
+      let link = null;
+      if (type === 'text') {
+        text = item.text?.content || '';
+        link = item.text?.link?.url || null;
+      } else if (type === 'equation') {
+        text = item.equation?.expression || '';
+      } else if (type === 'mention') {
+        const mention = item.mention || {};
+        text = `${mention.type}:${mention[mention.type]?.id || JSON.stringify(mention[mention.type])}`;
+      } else {
+        text = item.plain_text || '';
+      }
+
+      if (!text) {
+        continue;
+      }
+
+      const previous = segments[segments.length - 1];
+      if (type === 'text' && previous && previous[0] === 'text' && previous[2] === link && previous[3] === flags) {
+        previous[1] += text;
+      } else {
+        segments.push([type, text, link, flags]);
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Children of an existing block (fetched) or a desired block (nested in its content)
+   */
+  getChildren(block) {
+    if (Array.isArray(block.children)) {
+      return block.children;
+    }
+    return block[block.type]?.children || [];
+  }
+
+  /**
+   * Describe what a page update touched
+   * @param {Object} stats - Stats from syncPage
+   * @returns {string}
+   */
+  static formatStats(stats) {
+    return chalk.gray(`kept ${stats.kept}, updated ${stats.updated}, inserted ${stats.inserted}, deleted ${stats.deleted}`);
+  }
+}
+
+module.exports = NotionBlockDiffer;
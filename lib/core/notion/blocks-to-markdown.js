@@ -0,0 +1,236 @@
+const AdmonitionProcessor = require('../admonition-processor');
+
+const LIST_TYPES = new Set(['bulleted_list_item', 'numbered_list_item', 'to_do']);
+
+/**
+ * Notion Blocks To Markdown
+ * Converts the blocks of a Notion page back into markdown, e.g. for .conflict.md files
+ * Diagrams come back as images since Notion pages only keep the rendered SVG
+ */
+class NotionBlocksToMarkdown {
+  constructor(notionClient) {
+    this.client = notionClient;
+    this.admonitionProcessor = new AdmonitionProcessor();
+  }
+
+  /**
+   * Convert a Notion page to markdown
+   * @param {string} pageId - Page ID
+   * @returns {Promise<string>} Markdown body
+   */
+  async convertPage(pageId) {
+    const blocks = await this.fetchBlocks(pageId);
+    return `${this.convertBlocks(blocks).trim()}\n`;
+  }
+
+  /**
+   * Fetch all child blocks (recursively) of a page or block
+   * @param {string} blockId - Page or block ID
+   * @returns {Promise<Array>} Blocks with nested `children`
+   */
+  async fetchBlocks(blockId) {
+    const blocks = [];
+    let startCursor = null;
+
+    do {
+      const response = await this.client.retrieveBlockChildren(blockId, startCursor);
+      blocks.push(...response.results);
+      startCursor = response.has_more ? response.next_cursor : null;
+    } while (startCursor);
+
+    for (const block of blocks) {
+      if (block.has_children && block.type !== 'child_page') {
+        block.children = await this.fetchBlocks(block.id);
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Convert sibling blocks, keeping consecutive list items together
+   * @param {Array} blocks - Notion blocks
+   * @returns {string} Markdown
+   */
+  convertBlocks(blocks = []) {
+    let output = '';
+    let previous = null;
+    let number = 0;
+
+    for (const block of blocks) {
+      number = block.type === 'numbered_list_item' && previous?.type === 'numbered_list_item' ? number + 1 : 1;
+      const markdown = this.convertBlock(block, number);
+
+      if (!markdown) {
+        continue;
+      }
+
+      if (output) {
+        output += LIST_TYPES.has(block.type) && LIST_TYPES.has(previous?.type) ? '\n' : '\n\n';
+      }
+      output += markdown;
+      previous = block;
+    }
+
+    return output;
+  }
+
+  /**
+   * Convert a single block
+   * @param {Object} block - Notion block
+   * @param {number} number - Position in a numbered list
+   * @returns {string} Markdown
+   */
+  convertBlock(block, number = 1) {
+    const data = block[block.type] || {};
+    const text = this.convertRichText(data.rich_text);
+    const children = this.convertBlocks(block.children);
+
+    switch (block.type) {
+      case 'paragraph':
+        return children ? `${text}\n\n${children}` : text;
+      case 'heading_1':
+        return `# ${text}`;
+      case 'heading_2':
+        return `## ${text}`;
+      case 'heading_3':
+        return `### ${text}`;
+      case 'bulleted_list_item':
+        return this.listItem('-', text, children);
+      case 'numbered_list_item':
+        return this.listItem(`${number}.`, text, children);
+      case 'to_do':
+        return this.listItem(data.checked ? '- [x]' : '- [ ]', text, children);
+      case 'code': {
+        const language = data.language && data.language !== 'plain text' ? data.language : '';
+        const code = (data.rich_text || []).map(item => item.plain_text ?? item.text?.content ?? '').join('');
+        return `\`\`\`${language}\n${code}\n\`\`\``;
+      }
+      case 'quote':
+        return [text, children].filter(Boolean).join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      case 'callout':
+        return this.convertCallout(data, children);
+      case 'toggle':
+        return `<details>\n<summary>${text}</summary>\n\n${children}\n\n</details>`;
+      case 'divider':
+        return '---';
+      case 'equation':
+        return `$$\n${data.expression}\n$$`;
+      case 'image': {
+        const caption = this.convertRichText(data.caption);
+        return `![${caption}](${this.getFileUrl(data)})`;
+      }
+      case 'file':
+      case 'pdf':
+      case 'video':
+      case 'audio': {
+        const url = this.getFileUrl(data);
+        return `[${this.convertRichText(data.caption) || data.name || url}](${url})`;
+      }
+      case 'bookmark':
+      case 'embed':
+      case 'link_preview':
+        return `[${data.url}](${data.url})`;
+      case 'table':
+        return this.convertTable(block);
+      case 'column_list':
+      case 'column':
+      case 'synced_block':
+        return children;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Callouts rendered from admonitions go back to ::: blocks, other callouts become quotes
+   */
+  convertCallout(data, children) {
+    const heading = (data.rich_text || []).map(item => item.plain_text ?? item.text?.content ?? '').join('').trim();
+    const admonition = this.admonitionProcessor.fromNotionCallout(data.icon?.emoji, heading || null);
+
+    if (admonition) {
+      const opening = admonition.title ? `:::${admonition.kind} ${admonition.title}` : `:::${admonition.kind}`;
+      return `${opening}\n${children}\n:::`;
+    }
+
+    const emoji = data.icon?.emoji ? `${data.icon.emoji} ` : '';
+    return [`${emoji}${this.convertRichText(data.rich_text)}`, children].filter(Boolean).join('\n\n')
+      .split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+  }
+
+  /**
+   * Render table rows as GFM table (first row is the header)
+   */
+  convertTable(block) {
+    const rows = (block.children || [])
+      .filter(row => row.type === 'table_row')
+      .map(row => row.table_row.cells.map(cell => this.convertRichText(cell).replace(/\|/g, '\\|')));
+
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const formatRow = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+
+    return [
+      formatRow(rows[0]),
+      `| ${Array(columns).fill('---').join(' | ')} |`,
+      ...rows.slice(1).map(formatRow)
+    ].join('\n');
+  }
+
+  /**
+   * List item with nested blocks indented under it
+   */
+  listItem(marker, text, children) {
+    if (!children) {
+      return `${marker} ${text}`;
+    }
+
+    const indent = ' '.repeat(marker.replace(/ \[.\]$/, '').length + 1);
+    const nested = children.split('\n').map(line => (line ? `${indent}${line}` : '')).join('\n');
+    return `${marker} ${text}\n${nested}`;
+  }
+
+  /**
+   * Convert rich text with annotations and links to inline markdown
+   * @param {Array} richText - Notion rich text items
+   * @returns {string} Markdown
+   */
+  convertRichText(richText = []) {
+    return (richText || []).map(item => {
+      let text = item.plain_text ?? item.text?.content ?? '';
+      const annotations = item.annotations || {};
+      const href = item.href || item.text?.link?.url;
+
+      if (!text.trim()) {
+        return text;
+      }
+      if (annotations.code) {
+        text = `\`${text}\``;
+      }
+      if (annotations.bold) {
+        text = `**${text}**`;
+      }
+      if (annotations.italic) {
+        text = `*${text}*`;
+      }
+      if (annotations.strikethrough) {
+        text = `~~${text}~~`;
+      }
+      if (href) {
+        text = `[${text}](${href})`;
+      }
+
+      return text;
+    }).join('');
+  }
+
+  getFileUrl(data) {
+    return data.type === 'external' ? data.external?.url : data.file?.url;
+  }
+}
+
+module.exports = NotionBlocksToMarkdown;
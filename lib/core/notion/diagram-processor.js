@@ -3,17 +3,15 @@ const fs = require('fs-extra');
 const chalk = require('chalk');
 const crypto = require('crypto');
 
-// Use Notion-specific processors (based on Google Docs approach)
-const NotionMermaidProcessor = require('./mermaid-processor');
-const NotionPlantUMLProcessor = require('./plantuml-processor');
-const NotionGraphvizProcessor = require('./graphviz-processor');
-const NotionD2Processor = require('./d2-processor');
 const NotionFileUploader = require('./file-uploader');
+const AdmonitionProcessor = require('../admonition-processor');
+const DiagramCache = require('../diagram-cache');
+const DiagramRendererRegistry = require('../diagrams/renderer-registry');
 
 /**
  * Notion Diagram Processor
- * Handles diagram processing for Notion using Notion-specific SVG processors
- * Based on Google Docs approach for optimal SVG generation
+ * Renders diagram code blocks through the diagram renderer registry (SVG preferred, PNG for
+ * renderers without SVG output) and uploads them as Notion image blocks
  */
 class NotionDiagramProcessor {
   constructor(notionClient, state, config, authToken = null) {
@@ -22,32 +20,97 @@ class NotionDiagramProcessor {
     this.config = config;
     this.authToken = authToken || process.env.NOTION_API_TOKEN;
     
-    // Initialize Notion-specific processors
-    this.mermaidProcessor = new NotionMermaidProcessor(notionClient);
-    this.plantumlProcessor = new NotionPlantUMLProcessor(notionClient);
-    this.graphvizProcessor = new NotionGraphvizProcessor(notionClient);
-    this.d2Processor = new NotionD2Processor(notionClient);
-    
-    // Initialize file uploader for SVG uploads
+    // Initialize file uploader for diagram uploads
     this.fileUploader = new NotionFileUploader(notionClient, this.authToken);
+
+    // Renders of earlier runs (shared with the Confluence and Google Docs processors)
+    const projectRoot = config?.projectRoot || state?.projectRoot || process.cwd();
+    this.cache = new DiagramCache(projectRoot);
+
+    // Diagram types and their renderers (built-in plus diagrams.renderers from the config file)
+    this.renderers = DiagramRendererRegistry.create(projectRoot, config?.diagramRenderers, { plantumlServer: config?.plantumlServer });
     
     // Initialize markdown converter for proper text processing
     this.markdownConverter = null; // Will be set later to avoid circular dependency
     
-    // Diagram patterns
-    this.patterns = {
-      mermaid: /```mermaid\n([\s\S]*?)```/g,
-      plantuml: /```plantuml\n([\s\S]*?)```/g,
-      dot: /```dot\n([\s\S]*?)```/g,
-      graphviz: /```graphviz\n([\s\S]*?)```/g,
-      d2: /```d2\n([\s\S]*?)```/g
-    };
+    // Admonitions are kept whole so the markdown converter can render them as callouts
+    this.admonitionProcessor = new AdmonitionProcessor();
     
     // Temporary directory for processing
     this.tempDir = path.join(process.cwd(), '.docflu', 'temp', 'notion-diagrams');
     fs.ensureDirSync(this.tempDir);
   }
 
+  /**
+   * Render a diagram, or reuse the render of an earlier run
+   * @param {Object} diagram - {type, id, code, meta}
+   * @returns {Promise<Object>} {filePath, format, contentType, available, reason}; filePath is null when the
+   *   diagram was not rendered
+   */
+  async renderDiagram(diagram) {
+    return this.renderers.render(diagram, {
+      formats: ['svg', 'png'],
+      tempDir: this.tempDir,
+      cache: this.cache,
+      install: this.config?.installTools === true,
+      theme: this.config?.diagramTheme
+    });
+  }
+
+  /**
+   * Upload a rendered diagram
+   * @param {Object} diagram - {type, id, code}
+   * @param {Object} rendered - Result of renderDiagram()
+   * @returns {Promise<Object>} Notion image block
+   */
+  async uploadDiagram(diagram, rendered) {
+    const content = await fs.readFile(rendered.filePath);
+    const fileName = `${diagram.type}-diagram-${crypto.createHash('md5').update(content).digest('hex').substring(0, 8)}.${rendered.format}`;
+
+    if (rendered.format === 'svg') {
+      return this.fileUploader.uploadSvgToNotion(content.toString('utf8'), fileName);
+    }
+
+    const upload = await this.fileUploader.uploadFileToNotion(content, fileName, rendered.contentType);
+    return {
+      object: 'block',
+      type: 'image',
+      image: {
+        type: 'file_upload',
+        file_upload: { id: upload.fileUploadId },
+        caption: []
+      }
+    };
+  }
+
+  /**
+   * Blocks of a diagram that was not rendered: a note and the diagram source
+   * @param {Object} diagram - {type, code}
+   * @param {string} language - Code fence language
+   * @param {string} reason - Why the diagram was not rendered
+   * @returns {Array} Callout and code blocks
+   */
+  createUnrenderedDiagramBlocks(diagram, language, reason) {
+    return [
+      {
+        type: 'callout',
+        callout: {
+          rich_text: [{ text: { content: DiagramRendererRegistry.getUnrenderedNote(diagram.type, reason) } }],
+          icon: { emoji: '⚠️' },
+          color: 'yellow_background'
+        }
+      },
+      {
+        type: 'code',
+        code: {
+          rich_text: [{ text: { content: diagram.code } }],
+          language: this.mapLanguageToNotion(language),
+          caption: [{ text: { content: language } }]
+        }
+      }
+    ];
+  }
+
   /**
    * Set markdown converter to avoid circular dependency
    * @param {MarkdownToBlocksConverter} converter - Markdown converter instance
@@ -104,10 +167,19 @@ class NotionDiagramProcessor {
       
       const line = lines[i];
       
-      // Check if this line starts a code block
-      const codeBlockMatch = line.match(/^```(\w+)$/);
-      if (codeBlockMatch) {
+      // Keep admonition blocks (including any code inside them) in the text block
+      const admonition = this.admonitionProcessor.isOpening(line) ? this.admonitionProcessor.extractBlock(lines, i) : null;
+      if (admonition) {
+        currentTextBlock.push(...lines.slice(i, admonition.endIndex + 1));
+        i = admonition.endIndex + 1;
+        continue;
+      }
+      
+      // Check if this line starts a code block (diagrams may have settings after the language)
+      const codeBlockMatch = line.match(/^```([\w+-]+)(?:[ \t]+(.*))?$/);
+      if (codeBlockMatch && (codeBlockMatch[2] === undefined || this.isDiagramLanguage(codeBlockMatch[1]))) {
         const language = codeBlockMatch[1];
+        const meta = (codeBlockMatch[2] || '').trim();
         
         // If we have accumulated text, convert it to blocks first
         if (currentTextBlock.length > 0) {
@@ -162,70 +234,25 @@ class NotionDiagramProcessor {
             }
             
             // Process diagram code block
-            const diagramId = `${language}-${crypto.createHash('md5').update(codeContent).digest('hex').substring(0, 8)}`;
+            const type = this.renderers.resolveType(language);
             const diagram = {
-              id: diagramId,
+              type,
+              id: DiagramRendererRegistry.generateDiagramId(type, codeContent),
               code: codeContent,
-              language: language
+              meta
             };
             
             try {
-              // Process diagram based on type
-              let svgContent = null;
-              let processingTime = Date.now();
-              
-              if (language === 'mermaid') {
-                const mermaidFile = await this.mermaidProcessor.generateDiagramImage(diagram);
-                if (mermaidFile) {
-                  svgContent = await fs.readFile(mermaidFile, 'utf8');
-                  // Upload SVG to Notion
-                  const imageBlock = await this.fileUploader.uploadSvgToNotion(svgContent, `mermaid-diagram-${crypto.createHash('md5').update(svgContent).digest('hex').substring(0, 8)}.svg`);
-                  if (imageBlock) {
-                    blocks.push(imageBlock);
-                    diagramsProcessed++;
-                  }
-                }
-              } else if (language === 'plantuml') {
-                const plantUMLFile = await this.plantumlProcessor.generatePlantUMLImage(diagram);
-                if (plantUMLFile) {
-                  svgContent = await fs.readFile(plantUMLFile, 'utf8');
-                  // Upload SVG to Notion
-                  const imageBlock = await this.fileUploader.uploadSvgToNotion(svgContent, `plantuml-diagram-${crypto.createHash('md5').update(svgContent).digest('hex').substring(0, 8)}.svg`);
-                  if (imageBlock) {
-                    blocks.push(imageBlock);
-                    diagramsProcessed++;
-                  }
-                }
-              } else if (language === 'dot' || language === 'graphviz') {
-                const graphvizFile = await this.graphvizProcessor.generateGraphvizImage(diagram);
-                if (graphvizFile) {
-                  svgContent = await fs.readFile(graphvizFile, 'utf8');
-                  // Upload SVG to Notion
-                  const imageBlock = await this.fileUploader.uploadSvgToNotion(svgContent, `dot-diagram-${crypto.createHash('md5').update(svgContent).digest('hex').substring(0, 8)}.svg`);
-                  if (imageBlock) {
-                    blocks.push(imageBlock);
-                    diagramsProcessed++;
-                  }
-                }
-              } else if (language === 'd2') {
-                const d2File = await this.d2Processor.generateD2Image(diagram);
-                if (d2File) {
-                  svgContent = await fs.readFile(d2File, 'utf8');
-                  // Upload SVG to Notion
-                  const imageBlock = await this.fileUploader.uploadSvgToNotion(svgContent, `d2-diagram-${crypto.createHash('md5').update(svgContent).digest('hex').substring(0, 8)}.svg`);
-                  if (imageBlock) {
-                    blocks.push(imageBlock);
-                    diagramsProcessed++;
-                  }
-                }
-              }
+              const rendered = await this.renderDiagram(diagram);
+              const imageBlock = rendered.filePath ? await this.uploadDiagram(diagram, rendered) : null;
               
-              processingTime = Date.now() - processingTime;
-              
-              if (svgContent) {
+              if (imageBlock) {
+                blocks.push(imageBlock);
+                diagramsProcessed++;
                 console.log(chalk.green(`✅ Processed ${language} diagram and uploaded`));
               } else {
-                console.log(chalk.yellow(`⚠️ Failed to process ${language} diagram`));
+                console.log(chalk.yellow(`⚠️ Failed to process ${language} diagram, keeping it as a code block`));
+                blocks.push(...this.createUnrenderedDiagramBlocks(diagram, language, rendered.reason));
               }
               
             } catch (error) {
@@ -533,6 +560,12 @@ class NotionDiagramProcessor {
       'dot': 'plain text',
       'graphviz': 'plain text',
       'd2': 'plain text',
+      'ditaa': 'plain text',
+      'vega-lite': 'json',
+      'vegalite': 'json',
+      'excalidraw': 'json',
+      'wavedrom': 'javascript',
+      'bpmn': 'markup',
       'js': 'javascript',
       'javascript': 'javascript',
       'typescript': 'typescript',
@@ -621,7 +654,7 @@ class NotionDiagramProcessor {
    * @returns {boolean} Is diagram language
    */
   isDiagramLanguage(language) {
-    return ['mermaid', 'plantuml', 'dot', 'graphviz', 'd2'].includes(language);
+    return this.renderers.isDiagramLanguage(language);
   }
 
   /**
@@ -634,26 +667,15 @@ class NotionDiagramProcessor {
   }
 
   /**
-   * Check if diagram processors are available
-   * @returns {Object} Availability status
+   * Check if diagram renderers are available
+   * @returns {Object} Availability status by diagram type
    */
   async checkProcessorAvailability() {
-    try {
-      return {
-        mermaid: await this.mermaidProcessor.checkMermaidCLI(),
-        plantuml: await this.plantumlProcessor.checkPlantUMLCLI(),
-        graphviz: await this.graphvizProcessor.checkGraphvizCLI(),
-        d2: await this.d2Processor.checkD2CLI()
-      };
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️ Error checking processor availability: ${error.message}`));
-      return {
-        mermaid: false,
-        plantuml: false,
-        graphviz: false,
-        d2: false
-      };
+    const availability = {};
+    for (const type of this.renderers.getTypes()) {
+      availability[type] = await this.renderers.ensureAvailable(type);
     }
+    return availability;
   }
 
   /**
@@ -661,18 +683,9 @@ class NotionDiagramProcessor {
    */
   async cleanup() {
     try {
-      // Clean up main temp directory
       if (await fs.pathExists(this.tempDir)) {
         await fs.remove(this.tempDir);
       }
-      
-      // Clean up individual processor temp directories
-      await Promise.all([
-        this.mermaidProcessor.cleanup(),
-        this.plantumlProcessor.cleanup(),
-        this.graphvizProcessor.cleanup(),
-        this.d2Processor.cleanup()
-      ]);
     } catch (error) {
       console.warn(chalk.yellow(`⚠️ Failed to clean up temp directories: ${error.message}`));
     }
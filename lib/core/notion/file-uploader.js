@@ -12,6 +12,18 @@ class NotionFileUploader {
     this.apiVersion = '2022-06-28';
   }
 
+  /**
+   * Send an upload request with the retry policy of the Notion client: only rate limited requests
+   * are sent again, as the upload may have been stored
+   * @param {Function} requestFn - Function that makes the request
+   * @param {string} description - Request description for the log
+   * @returns {Promise} Request result
+   */
+  request(requestFn, description) {
+    const retryPolicy = this.notionClient?.retryPolicy;
+    return retryPolicy ? retryPolicy.execute(requestFn, { idempotent: false, description }) : requestFn();
+  }
+
   /**
    * Upload file buffer to Notion using the new File Upload API
    * @param {Buffer} fileBuffer - File content as buffer
@@ -103,7 +115,7 @@ class NotionFileUploader {
    */
   async createFileUploadForFile(filename, mimeType) {
     try {
-      const response = await axios.post('https://api.notion.com/v1/file_uploads', {
+      const response = await this.request(() => axios.post('https://api.notion.com/v1/file_uploads', {
         filename: filename,
         content_type: mimeType
       }, {
@@ -112,7 +124,7 @@ class NotionFileUploader {
           'Notion-Version': this.apiVersion,
           'Content-Type': 'application/json'
         }
-      });
+      }), `create file upload ${filename}`);
 
       return response.data;
     } catch (error) {
@@ -129,7 +141,7 @@ class NotionFileUploader {
    */
   async createFileUpload(filename, content) {
     try {
-      const response = await axios.post('https://api.notion.com/v1/file_uploads', {
+      const response = await this.request(() => axios.post('https://api.notion.com/v1/file_uploads', {
         filename: filename,
         content_type: 'image/svg+xml'
       }, {
@@ -138,7 +150,7 @@ class NotionFileUploader {
           'Notion-Version': this.apiVersion,
           'Content-Type': 'application/json'
         }
-      });
+      }), `create file upload ${filename}`);
 
       return response.data;
     } catch (error) {
@@ -162,7 +174,7 @@ class NotionFileUploader {
         contentType: mimeType
       });
 
-      const response = await axios.post(uploadUrl, form, {
+      const response = await this.request(() => axios.post(uploadUrl, form, {
         headers: {
           'Authorization': `Bearer ${this.authToken}`,
           'Notion-Version': this.apiVersion,
@@ -170,7 +182,7 @@ class NotionFileUploader {
         },
         maxContentLength: Infinity,
         maxBodyLength: Infinity
-      });
+      }), `upload ${filename}`);
 
       return response.data;
     } catch (error) {
@@ -194,7 +206,7 @@ class NotionFileUploader {
         contentType: 'image/svg+xml'
       });
 
-      const response = await axios.post(uploadUrl, form, {
+      const response = await this.request(() => axios.post(uploadUrl, form, {
         headers: {
           'Authorization': `Bearer ${this.authToken}`,
           'Notion-Version': this.apiVersion,
@@ -202,7 +214,7 @@ class NotionFileUploader {
         },
         maxContentLength: Infinity,
         maxBodyLength: Infinity
-      });
+      }), `upload ${filename}`);
 
       return response.data;
     } catch (error) {
@@ -14,6 +14,69 @@ class NotionHierarchyManager {
     this.projectRoot = projectRoot || process.cwd();
     this.hierarchyCache = new Map(); // Cache for created parent pages
     this.categoryCache = new Map(); // Cache for _category_.json data
+    this.sidebarLayout = null; // Sidebar layout from SidebarResolver (replaces directory hierarchy)
+  }
+
+  /**
+   * Use the sidebars.js tree instead of directories for parent pages
+   * @param {Object|null} sidebarLayout - Layout from DocusaurusScanner.applySidebars()
+   */
+  setSidebarLayout(sidebarLayout) {
+    this.sidebarLayout = sidebarLayout;
+  }
+
+  /**
+   * Get sidebar category path of a file
+   * @param {string} filePath - Relative file path
+   * @returns {string|null|undefined} Category path, null for top level, undefined when not laid out by sidebar
+   */
+  getSidebarCategoryPath(filePath) {
+    const placement = this.sidebarLayout?.placements.get(filePath.replace(/^docs\//, ''));
+    return placement ? placement.category : undefined;
+  }
+
+  /**
+   * Get category data of a sidebar category in _category_.json shape
+   * @param {string} categoryPath - Sidebar category path
+   * @returns {Object|null} Category data or null
+   */
+  getSidebarCategoryData(categoryPath) {
+    const category = this.sidebarLayout?.categories.get(categoryPath);
+    if (!category) {
+      return null;
+    }
+
+    const { label, description, link, links } = category.data;
+    return {
+      label,
+      link: { ...link, description: link?.description || description },
+      links
+    };
+  }
+
+  /**
+   * Get the hierarchy path of the parent page of a file, as created by createPageHierarchy
+   * @param {string} filePath - Relative file path
+   * @returns {string} Hierarchy path ('' for the root page)
+   */
+  getParentPath(filePath) {
+    const sidebarCategoryPath = this.getSidebarCategoryPath(filePath);
+    if (sidebarCategoryPath !== undefined) {
+      return sidebarCategoryPath || '';
+    }
+
+    const pathSegments = this.extractPathSegments(filePath);
+    const startIndex = pathSegments[0] === 'docs' ? 1 : 0;
+    return pathSegments.slice(startIndex, -1).join('/');
+  }
+
+  /**
+   * Check if the parent page of a hierarchy path is already known
+   * @param {string} pathKey - Hierarchy path ('' for the root page)
+   * @returns {boolean}
+   */
+  hasHierarchyPage(pathKey) {
+    return !pathKey || this.hierarchyCache.has(pathKey) || Boolean(this.state.getHierarchyPageId(pathKey));
   }
 
   /**
@@ -25,7 +88,10 @@ class NotionHierarchyManager {
    */
   async createPageHierarchy(filePath, rootPageId, flatMode = false) {
     try {
-      const pathSegments = this.extractPathSegments(filePath);
+      const sidebarCategoryPath = this.getSidebarCategoryPath(filePath);
+      const pathSegments = sidebarCategoryPath !== undefined
+        ? [...(sidebarCategoryPath ? sidebarCategoryPath.split('/') : []), path.basename(filePath)]
+        : this.extractPathSegments(filePath);
       
       // For flat mode, return root directly
       if (flatMode) {
@@ -37,7 +103,7 @@ class NotionHierarchyManager {
       
       // Process each directory segment (exclude filename)
       // Skip the first segment if it's 'docs' to avoid creating nested Docs folder
-      const shouldSkipDocs = pathSegments[0] === 'docs';
+      const shouldSkipDocs = sidebarCategoryPath === undefined && pathSegments[0] === 'docs';
       const startIndex = shouldSkipDocs ? 1 : 0;
       
       // Only create hierarchy if there are directories to process
@@ -83,8 +149,8 @@ class NotionHierarchyManager {
           }
         }
 
-        // Get directory metadata from _category_.json
-        const categoryData = await this.loadCategoryData(fullDirectoryPath);
+        // Get directory metadata from the sidebar category or _category_.json
+        const categoryData = this.getSidebarCategoryData(pathSoFar) || await this.loadCategoryData(fullDirectoryPath);
         const pageTitle = categoryData.label || this.formatSegmentTitle(segment);
         
         // Check if parent page already exists by searching children
@@ -228,6 +294,20 @@ class NotionHierarchyManager {
         }
       });
 
+      // Add {type: 'link'} sidebar items (Notion only accepts absolute URLs)
+      for (const link of (categoryData.links || []).filter(link => /^https?:\/\//.test(link.href))) {
+        children.push({
+          type: 'paragraph',
+          paragraph: {
+            rich_text: [
+              {
+                text: { content: link.label, link: { url: link.href } }
+              }
+            ]
+          }
+        });
+      }
+
       // Add position info if available
       if (categoryData.position) {
         children.push({
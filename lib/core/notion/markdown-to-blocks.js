@@ -1,4 +1,6 @@
 const chalk = require('chalk');
+const AdmonitionProcessor = require('../admonition-processor');
+const HeadingSlugger = require('../heading-slugger');
 
 /**
  * Markdown to Notion Blocks Converter
@@ -10,6 +12,7 @@ class MarkdownToBlocksConverter {
     this.diagramProcessor = diagramProcessor;
     this.config = config;
     this.pendingBlocks = []; // Store blocks that need to be inserted between sections
+    this.admonitionProcessor = new AdmonitionProcessor();
     
     // Define patterns for markdown parsing
     this.patterns = {
@@ -50,20 +53,79 @@ class MarkdownToBlocksConverter {
       // Preprocess markdown
       let processedMarkdown = await this.preprocessMarkdown(markdown);
       
+      return await this.convertMarkdownToBlocks(processedMarkdown);
+    } catch (error) {
+      throw new Error(`Failed to convert markdown to blocks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert preprocessed markdown to blocks, rendering admonitions as callouts
+   * @param {string} markdown - Preprocessed markdown
+   * @returns {Array} Array of Notion blocks
+   */
+  async convertMarkdownToBlocks(markdown) {
+    const blocks = [];
+    
+    for (const segment of this.admonitionProcessor.split(markdown)) {
+      if (segment.type === 'admonition') {
+        blocks.push(await this.convertAdmonition(segment));
+        continue;
+      }
+      
       // Split into logical sections
-      const sections = this.splitIntoSections(processedMarkdown);
+      const sections = this.splitIntoSections(segment.content);
       
       // Convert each section to blocks
-      const blocks = [];
       for (const section of sections) {
         const sectionBlocks = await this.convertSection(section);
         blocks.push(...sectionBlocks);
       }
+    }
+    
+    return blocks;
+  }
 
-      return blocks;
-    } catch (error) {
-      throw new Error(`Failed to convert markdown to blocks: ${error.message}`);
+  /**
+   * Convert Docusaurus admonition to Notion callout block (toggle block for details)
+   * @param {Object} admonition - Admonition segment {kind, title, body}
+   * @returns {Object} Callout or toggle block with body as children
+   */
+  async convertAdmonition(admonition) {
+    const { emoji, color, block } = this.admonitionProcessor.getNotionStyle(admonition.kind);
+    const title = this.admonitionProcessor.getTitle(admonition.kind, admonition.title);
+    const children = admonition.body ? await this.convertMarkdownToBlocks(admonition.body) : [];
+    
+    // Collapsible sections (MDX <details>) become toggle blocks
+    if (block === 'toggle') {
+      const toggleBlock = {
+        type: 'toggle',
+        toggle: {
+          rich_text: [{ text: { content: title } }]
+        }
+      };
+      
+      if (children.length > 0) {
+        toggleBlock.toggle.children = this.validateBlocks(children);
+      }
+      
+      return toggleBlock;
+    }
+    
+    const calloutBlock = {
+      type: 'callout',
+      callout: {
+        rich_text: [{ text: { content: title }, annotations: { bold: true } }],
+        icon: { emoji },
+        color
+      }
+    };
+    
+    if (children.length > 0) {
+      calloutBlock.callout.children = this.validateBlocks(children);
     }
+    
+    return calloutBlock;
   }
 
   /**
@@ -272,7 +334,7 @@ class MarkdownToBlocksConverter {
     if (!match) return this.convertParagraph(text);
     
     const level = Math.min(match[1].length, 3); // Notion supports h1, h2, h3
-    const content = this.parseRichText(match[2]);
+    const content = this.parseRichText(HeadingSlugger.stripCustomId(match[2]));
     
     return {
       type: `heading_${level}`,
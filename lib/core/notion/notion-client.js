@@ -1,5 +1,6 @@
 const { Client } = require('@notionhq/client');
 const chalk = require('chalk');
+const RetryPolicy = require('../retry-policy');
 
 /**
  * Notion API Client
@@ -18,6 +19,8 @@ class NotionClient {
     this.processing = false;
     this.minInterval = 334; // ~3 requests/second (Notion API limit)
     this.lastRequestTime = 0;
+    this.requestCount = 0; // API calls made, reported at the end of a sync
+    this.retryPolicy = new RetryPolicy({ retryCount: config.retryCount, label: 'Notion' });
   }
 
   /**
@@ -37,11 +40,25 @@ class NotionClient {
   }
 
   /**
-   * Rate-limited request wrapper
+   * Rate-limited request wrapper; rate limited and failed requests are queued again (DOCFLU_RETRY_COUNT)
    * @param {Function} requestFn - Function that makes the API request
+   * @param {Object} options - {idempotent: false for requests that create pages, blocks or uploads}
    * @returns {Promise} Request result
    */
-  async makeRequest(requestFn) {
+  async makeRequest(requestFn, options = {}) {
+    try {
+      return await this.retryPolicy.execute(() => this.enqueue(requestFn), options);
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Queue one attempt of a request
+   * @param {Function} requestFn - Function that makes the API request
+   * @returns {Promise} Request result
+   */
+  enqueue(requestFn) {
     return new Promise((resolve, reject) => {
       this.requestQueue.push({ requestFn, resolve, reject });
       this.processQueue();
@@ -49,7 +66,8 @@ class NotionClient {
   }
 
   /**
-   * Process request queue with rate limiting
+   * Process request queue with rate limiting: requests start at least minInterval apart,
+   * and may overlap while in flight when pages are synced in parallel
    */
   async processQueue() {
     if (this.processing || this.requestQueue.length === 0) {
@@ -70,13 +88,11 @@ class NotionClient {
         await this.sleep(delay);
       }
 
-      try {
-        const result = await requestFn();
-        this.lastRequestTime = Date.now();
-        resolve(result);
-      } catch (error) {
-        reject(this.handleError(error));
-      }
+      this.requestCount++;
+      this.lastRequestTime = Date.now();
+      Promise.resolve()
+        .then(requestFn)
+        .then(resolve, reject);
     }
 
     this.processing = false;
@@ -89,20 +105,29 @@ class NotionClient {
    */
   handleError(error) {
     if (error.code) {
+      let formatted;
       switch (error.code) {
         case 'rate_limited':
-          return new Error(`Rate limited: ${error.message}. Please wait before retrying.`);
+          formatted = new Error(`Rate limited: ${error.message}. Please wait before retrying.`);
+          break;
         case 'validation_error':
-          return new Error(`Validation error: ${error.message}`);
+          formatted = new Error(`Validation error: ${error.message}`);
+          break;
         case 'object_not_found':
-          return new Error(`Object not found: ${error.message}`);
+          formatted = new Error(`Object not found: ${error.message}`);
+          break;
         case 'unauthorized':
-          return new Error(`Unauthorized: ${error.message}. Check your API token.`);
+          formatted = new Error(`Unauthorized: ${error.message}. Check your API token.`);
+          break;
         case 'restricted_resource':
-          return new Error(`Restricted resource: ${error.message}. Check page permissions.`);
+          formatted = new Error(`Restricted resource: ${error.message}. Check page permissions.`);
+          break;
         default:
-          return new Error(`Notion API error (${error.code}): ${error.message}`);
+          formatted = new Error(`Notion API error (${error.code}): ${error.message}`);
       }
+      // Keep the code so callers can tell missing pages from other failures
+      formatted.code = error.code;
+      return formatted;
     }
     
     return error;
@@ -136,7 +161,7 @@ class NotionClient {
    * @returns {Promise<Object>} Created page
    */
   async createPage(pageData) {
-    return this.makeRequest(() => this.client.pages.create(pageData));
+    return this.makeRequest(() => this.client.pages.create(pageData), { idempotent: false, description: 'create page' });
   }
 
   /**
@@ -161,15 +186,25 @@ class NotionClient {
     }));
   }
 
+  /**
+   * Archive a page (Notion API cannot permanently delete pages)
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Object>} Archived page
+   */
+  async archivePage(pageId) {
+    return this.updatePage(pageId, { archived: true });
+  }
+
   // Block API methods
 
   /**
    * Append blocks to a page
    * @param {string} pageId - Page ID
    * @param {Array} children - Array of block objects
+   * @param {string} after - Insert after this child block instead of at the end (optional)
    * @returns {Promise<Object>} Response with created blocks
    */
-  async appendBlocks(pageId, children) {
+  async appendBlocks(pageId, children, after = null) {
     // Split into chunks if too many blocks
     const maxBlocksPerRequest = 100;
     const results = [];
@@ -179,10 +214,17 @@ class NotionClient {
       const result = await this.makeRequest(() => 
         this.client.blocks.children.append({
           block_id: pageId,
-          children: chunk
-        })
+          children: chunk,
+          ...(after && { after })
+        }),
+        { idempotent: false, description: 'append blocks' }
       );
       results.push(result);
+
+      // Next chunk goes after the last block of this one
+      if (after && result.results?.length > 0) {
+        after = result.results[result.results.length - 1].id;
+      }
     }
 
     return results;
@@ -263,7 +305,8 @@ class NotionClient {
             type: mimeType,
             size: fileBuffer.length
           }
-        })
+        }),
+        { idempotent: false, description: 'create file upload' }
       );
 
       const uploadId = createResponse.id;
@@ -290,7 +333,8 @@ class NotionClient {
             'Content-Type': 'application/json',
             'Notion-Version': '2022-06-28'
           }
-        })
+        }),
+        { idempotent: false, description: 'complete file upload' }
       );
 
       return {
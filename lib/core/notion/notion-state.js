@@ -172,9 +172,36 @@ class NotionState {
     // Add metadata
     Object.assign(this.state.pages[filePath], metadata);
     
+    if (this.state.failures) {
+      delete this.state.failures[filePath];
+    }
+    
+    this.saveState();
+  }
+
+  /**
+   * Record the error of a file that failed to sync (shown by docflu status until it syncs again)
+   * @param {string} filePath - File path
+   * @param {Error|string} error - Sync error
+   */
+  recordFailure(filePath, error) {
+    this.state.failures = this.state.failures || {};
+    this.state.failures[filePath] = {
+      message: error?.message || String(error),
+      time: new Date().toISOString()
+    };
     this.saveState();
   }
 
+  /**
+   * Get the error of the last failed sync of a file
+   * @param {string} filePath - File path
+   * @returns {Object|null} {message, time}
+   */
+  getFailure(filePath) {
+    return this.state.failures?.[filePath] || null;
+  }
+
   /**
    * Get all tracked pages
    * @returns {Object} Pages object
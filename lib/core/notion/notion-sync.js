@@ -10,10 +10,19 @@ const MarkdownToBlocksConverter = require('./markdown-to-blocks');
 const NotionDiagramProcessor = require('./diagram-processor');
 const NotionImageProcessor = require('./image-processor');
 const NotionAttachmentProcessor = require('./attachment-processor');
+const NotionBlocksToMarkdown = require('./blocks-to-markdown');
+const NotionBlockDiffer = require('./block-differ');
+const NotionReferenceResolver = require('./reference-resolver');
 
 // Reuse existing components
 const DocusaurusScanner = require('../docusaurus-scanner');
 const MarkdownParser = require('../markdown-parser');
+const MdxProcessor = require('../mdx-processor');
+const ConfigFile = require('../config-file');
+const PagePruner = require('../page-pruner');
+const ConflictDetector = require('../conflict-detector');
+const WorkerPool = require('../worker-pool');
+const SyncReport = require('../sync-report');
 
 /**
  * Notion Sync Orchestrator
@@ -30,10 +39,14 @@ class NotionSync {
     this.hierarchyManager = new NotionHierarchyManager(this.client, this.state, projectRoot);
     
     // Initialize processors
-    this.diagramProcessor = new NotionDiagramProcessor(this.client, this.state, config, config.notionApiToken);
+    this.diagramProcessor = new NotionDiagramProcessor(this.client, this.state, { ...config, projectRoot }, config.notionApiToken);
     this.imageProcessor = new NotionImageProcessor(this.client, this.state, { ...config, projectRoot });
     this.attachmentProcessor = new NotionAttachmentProcessor(this.client, this.state, { ...config, projectRoot });
     this.markdownConverter = new MarkdownToBlocksConverter(this.imageProcessor, this.diagramProcessor, { ...config, projectRoot });
+    this.blockDiffer = new NotionBlockDiffer(this.client);
+    this.referenceResolver = new NotionReferenceResolver(this.client, this.state, {
+      docsDir: path.resolve(projectRoot, config.docsDir || 'docs')
+    });
     
     // Set markdown converter for diagram processor to avoid circular dependency
     this.diagramProcessor.setMarkdownConverter(this.markdownConverter);
@@ -42,8 +55,11 @@ class NotionSync {
     this.diagramProcessor.setImageProcessor(this.imageProcessor);
     
     // Reuse existing scanners
-    this.scanner = new DocusaurusScanner(projectRoot);
+    this.scanner = new DocusaurusScanner(projectRoot, config);
     this.markdownParser = new MarkdownParser();
+    this.mdxProcessor = new MdxProcessor();
+    this.conflictDetector = null; // Created from the first sync options (--overwrite / --skip-conflicts)
+    this.conversionLock = WorkerPool.createLock(); // Files are synced in parallel, converted one at a time
     
     // Sync statistics
     this.syncStats = {
@@ -53,6 +69,7 @@ class NotionSync {
       updated: 0,
       skipped: 0,
       failed: 0,
+      conflicts: 0,
       startTime: null,
       endTime: null
     };
@@ -95,9 +112,13 @@ class NotionSync {
   /**
    * Sync single file
    * @param {string} filePath - File path to sync
-   * @param {Object} options - Sync options
+   * @param {Object} options - Sync options {dryRun, force, report}
    */
   async syncFile(filePath, options = {}) {
+    const report = options.report || new SyncReport();
+    this.client.retryPolicy.setReport(report);
+    let reportEntry = null;
+
     try {
       this.syncStats.startTime = new Date();
       this.syncStats.totalDocuments = 1;
@@ -126,7 +147,9 @@ class NotionSync {
       // Process file with force option only if explicitly requested
       // This allows --file to use incremental sync like --docs
       const fileOptions = { ...options, singleFile: true };
+      reportEntry = report.startFile(relativePath);
       const result = await this.processFile(relativePath, fileOptions);
+      this.reportFileResult(report, reportEntry, result);
       
       if (result.success) {
         if (result.skipped) {
@@ -144,6 +167,11 @@ class NotionSync {
         this.syncStats.failed++;
       }
       
+      // Pages that linked to this file before it had a page now point to it
+      if (!options.dryRun) {
+        await this.relinkPendingReferences(options);
+      }
+      
       this.syncStats.endTime = new Date();
       
       // Generate sync report to save statistics
@@ -154,6 +182,9 @@ class NotionSync {
     } catch (error) {
       this.syncStats.failed++;
       this.syncStats.endTime = new Date();
+      if (reportEntry && !reportEntry.action) {
+        report.failFile(reportEntry, error);
+      }
       
       // Generate sync report even on failure to save statistics
       this.generateSyncReport();
@@ -165,9 +196,12 @@ class NotionSync {
   /**
    * Sync specific directory
    * @param {string} dirPath - Directory path to sync
-   * @param {Object} options - Sync options
+   * @param {Object} options - Sync options {dryRun, force, report}
    */
   async syncDirectory(dirPath, options = {}) {
+    const report = options.report || new SyncReport();
+    this.client.retryPolicy.setReport(report);
+
     try {
       this.syncStats.startTime = new Date();
       
@@ -187,6 +221,7 @@ class NotionSync {
       // Scan for all markdown files then filter by directory
       await this.scanner.detectProject();
       const allDocuments = await this.scanner.scanDocs();
+      this.hierarchyManager.setSidebarLayout(this.scanner.sidebarLayout);
       
       // Filter documents by target directory
       const filteredDocuments = allDocuments.filter(doc => {
@@ -208,6 +243,7 @@ class NotionSync {
       const filesToSync = options.force === true // Only force when explicitly requested
         ? markdownFiles 
         : this.state.getFilesNeedingSync(markdownFiles);
+      this.reportSkippedFiles(report, markdownFiles, filesToSync);
       
       if (filesToSync.length === 0) {
         console.log(chalk.green('✓ All files are up to date'));
@@ -225,6 +261,7 @@ class NotionSync {
         filesToSync.forEach((filePath, index) => {
           const title = this.extractTitleFromPath(filePath);
           console.log(`   📄 ${filePath} (${title})`);
+          report.addFile(filePath, 'previewed', { title, id: this.state.getPageId(filePath) });
         });
         return { success: true, dryRun: true, filesToSync };
       }
@@ -232,9 +269,17 @@ class NotionSync {
       // Process files with detailed batch progress
       console.log(chalk.blue('\n📝 Processing documents...'));
       
-      for (let i = 0; i < filesToSync.length; i++) {
-        const filePath = filesToSync[i];
+      // Files are synced in parallel; the first file under a new parent page creates it
+      const pool = new WorkerPool(this.config.concurrentUploads);
+      const dependsOn = WorkerPool.parentsFirst(
+        filesToSync,
+        filePath => this.hierarchyManager.getParentPath(filePath),
+        parentPath => this.hierarchyManager.hasHierarchyPage(parentPath)
+      );
+      
+      await pool.run(filesToSync, async (filePath, i) => {
         const progress = `(${i + 1}/${filesToSync.length})`;
+        const reportEntry = report.startFile(filePath);
         
         try {
           // Extract title for better logging
@@ -243,6 +288,7 @@ class NotionSync {
           console.log(chalk.cyan(`🔄 ${progress} Processing ${title}...`));
           
           const result = await this.processFile(filePath, options);
+          this.reportFileResult(report, reportEntry, result);
           
           if (result.success) {
             if (result.dryRun) {
@@ -270,12 +316,14 @@ class NotionSync {
           const title = this.extractTitleFromPath(filePath);
           console.error(chalk.red(`❌ ${progress} ❌ ${title}: ${error.message}`));
           this.syncStats.failed++;
+          report.failFile(reportEntry, error);
         }
-      }
+      }, { dependsOn });
       
       // Clean up orphaned entries (skip for dry run)
       if (!options.dryRun) {
         this.state.cleanupOrphanedEntries(markdownFiles);
+        await this.relinkPendingReferences(options);
       }
       
       this.syncStats.endTime = new Date();
@@ -295,9 +343,12 @@ class NotionSync {
 
   /**
    * Sync docs directory
-   * @param {Object} options - Sync options
+   * @param {Object} options - Sync options {dryRun, force, prune, pruneAction, report}
    */
   async syncDocs(options = {}) {
+    const report = options.report || new SyncReport();
+    this.client.retryPolicy.setReport(report);
+
     try {
       this.syncStats.startTime = new Date();
       
@@ -306,6 +357,7 @@ class NotionSync {
       // Scan for markdown files in docs directory
       await this.scanner.detectProject();
       const documents = await this.scanner.scanDocs();
+      this.hierarchyManager.setSidebarLayout(this.scanner.sidebarLayout);
       const markdownFiles = documents.map(doc => doc.relativePath); // Remove docs/ prefix
       this.syncStats.totalDocuments = markdownFiles.length;
       
@@ -320,6 +372,7 @@ class NotionSync {
       const filesToSync = options.force === true // Only force when explicitly requested
         ? markdownFiles 
         : this.state.getFilesNeedingSync(markdownFiles);
+      this.reportSkippedFiles(report, markdownFiles, filesToSync);
       
       if (filesToSync.length === 0) {
         console.log(chalk.green('✓ All files are up to date'));
@@ -337,6 +390,7 @@ class NotionSync {
         filesToSync.forEach((filePath, index) => {
           const title = this.extractTitleFromPath(filePath);
           console.log(`   📄 ${filePath} (${title})`);
+          report.addFile(filePath, 'previewed', { title, id: this.state.getPageId(filePath) });
         });
         return { success: true, dryRun: true, filesToSync };
       }
@@ -344,9 +398,17 @@ class NotionSync {
       // Process files with detailed batch progress
       console.log(chalk.blue('\n📝 Processing documents...'));
       
-      for (let i = 0; i < filesToSync.length; i++) {
-        const filePath = filesToSync[i];
+      // Files are synced in parallel; the first file under a new parent page creates it
+      const pool = new WorkerPool(this.config.concurrentUploads);
+      const dependsOn = WorkerPool.parentsFirst(
+        filesToSync,
+        filePath => this.hierarchyManager.getParentPath(filePath),
+        parentPath => this.hierarchyManager.hasHierarchyPage(parentPath)
+      );
+      
+      await pool.run(filesToSync, async (filePath, i) => {
         const progress = `(${i + 1}/${filesToSync.length})`;
+        const reportEntry = report.startFile(filePath);
         
         try {
           // Extract title for better logging
@@ -355,6 +417,7 @@ class NotionSync {
           console.log(chalk.cyan(`🔄 ${progress} Processing ${title}...`));
           
           const result = await this.processFile(filePath, options);
+          this.reportFileResult(report, reportEntry, result);
           
           if (result.success) {
             if (result.dryRun) {
@@ -382,12 +445,24 @@ class NotionSync {
           const title = this.extractTitleFromPath(filePath);
           console.error(chalk.red(`❌ ${progress} ❌ ${title}: ${error.message}`));
           this.syncStats.failed++;
+          report.failFile(reportEntry, error);
         }
+      }, { dependsOn });
+      
+      // Prune remote pages of removed files (before state cleanup forgets them)
+      if (options.prune) {
+        const pruner = new PagePruner(this.projectRoot, {
+          docsDir: this.config.docsDir,
+          action: options.pruneAction,
+          dryRun: options.dryRun
+        });
+        await pruner.pruneNotion(this.client, this.state);
       }
       
       // Clean up orphaned entries (skip for dry run)
       if (!options.dryRun) {
         this.state.cleanupOrphanedEntries(markdownFiles);
+        await this.relinkPendingReferences(options);
       }
       
       this.syncStats.endTime = new Date();
@@ -405,6 +480,33 @@ class NotionSync {
     }
   }
 
+  /**
+   * Sync pages again whose links pointed to files that had no page yet, now that their targets exist
+   * @param {Object} options - Sync options
+   * @returns {Promise<number>} Number of relinked pages
+   */
+  async relinkPendingReferences(options = {}) {
+    const filesToRelink = Object.entries(this.state.getAllPages())
+      .filter(([, page]) => page.pageId && (page.pendingReferences || []).some(target => this.state.getPageId(target)))
+      .map(([filePath]) => filePath);
+
+    if (filesToRelink.length === 0) {
+      return 0;
+    }
+
+    console.log(chalk.blue(`\n🔗 Relinking ${filesToRelink.length} pages with newly synced link targets...`));
+
+    let relinked = 0;
+    for (const filePath of filesToRelink) {
+      const result = await this.processFile(filePath, { ...options, force: true });
+      if (result.success && !result.skipped) {
+        relinked++;
+      }
+    }
+
+    return relinked;
+  }
+
   /**
    * Validate hierarchy before sync to ensure all parent pages exist
    * @param {string} filePath - File path to validate hierarchy for
@@ -512,61 +614,61 @@ class NotionSync {
       
       // Read and parse markdown
       // For docs sync, files are relative to docs/ directory
+      const docsDir = this.scanner.docsDir || path.resolve(this.projectRoot, this.config.docsDir || 'docs');
       const fullPath = filePath.startsWith('docs/') 
         ? path.resolve(this.projectRoot, filePath)
-        : path.resolve(this.projectRoot, 'docs', filePath);
+        : path.resolve(docsDir, filePath);
       let markdownContent = await fs.readFile(fullPath, 'utf8');
-      const frontmatter = this.markdownParser.extractFrontmatter(markdownContent);
+      const overrides = ConfigFile.resolveOverrides(
+        this.config.overrides,
+        path.relative(this.projectRoot, fullPath).split(path.sep).join('/')
+      );
+      const frontmatter = {
+        ...this.markdownParser.extractFrontmatter(markdownContent),
+        ...overrides.frontmatter
+      };
+      
+      // Strip ESM statements and translate JSX components in MDX files
+      if (this.mdxProcessor.isMdxFile(filePath)) {
+        const mdxResult = this.mdxProcessor.process(markdownContent, filePath);
+        this.mdxProcessor.reportWarnings(mdxResult.warnings);
+        markdownContent = mdxResult.content;
+      }
+      
+      // Diagram files embedded as images (.excalidraw, .bpmn) become diagram code blocks
+      markdownContent = await this.diagramProcessor.renderers.inlineDiagramFiles(markdownContent, fullPath);
       
       // Extract title
       const title = frontmatter.title || 
                    this.markdownParser.extractTitle(markdownContent) ||
-                   path.basename(filePath, '.md');
+                   path.basename(filePath, path.extname(filePath));
       
-      // Process attachments in content
-      if (this.attachmentProcessor) {
-        markdownContent = await this.attachmentProcessor.processAttachmentLinks(markdownContent, filePath, this.projectRoot, options.dryRun);
-      }
+      // Link other docs to their Notion pages (targets without a page yet are relinked after the sync)
+      const references = await this.referenceResolver.processReferences(markdownContent, fullPath);
+      markdownContent = references.markdown;
       
       // Dry run mode - only preview, don't create actual pages
       if (options.dryRun) {
         console.log(chalk.yellow(`  🔍 DRY RUN: Analyzing file: ${filePath}`));
         
-        // Check if markdown contains diagrams
-        const hasDiagrams = this.containsDiagrams(markdownContent);
-        
-        let blocks;
-        if (hasDiagrams) {
-          // Use diagram processor for direct block conversion (no placeholders)
-          blocks = await this.diagramProcessor.processMarkdownWithDiagrams(markdownContent, options.dryRun, this.projectRoot);
-        } else {
-          // Use regular markdown converter
-          blocks = await this.markdownConverter.convertToBlocks(markdownContent);
-          
-          // Process images directly in blocks
-          blocks = await this.processMediaInBlocks(blocks, options.dryRun);
-        }
-        
-        // Insert file blocks at appropriate positions using marker-based approach
-        blocks = this.insertFileBlocks(blocks);
-        
-        // Validate blocks
-        const validBlocks = this.markdownConverter.validateBlocks(blocks);
+        const { blocks: validBlocks, hasDiagrams, attachments } = await this.convertMarkdown(markdownContent, filePath, options);
         
         console.log(chalk.cyan(`  📄 Title: ${title}`));
         console.log(chalk.cyan(`  📁 Path: ${filePath}`));
         console.log(chalk.cyan(`  🧱 Blocks: ${validBlocks.length}`));
         console.log(chalk.cyan(`  📊 Has diagrams: ${hasDiagrams ? 'Yes' : 'No'}`));
-        console.log(chalk.cyan(`  📎 Attachments: ${this.attachmentProcessor?.fileBlocksWithPositions?.length || 0}`));
+        console.log(chalk.cyan(`  📎 Attachments: ${attachments}`));
         console.log(chalk.yellow(`  ⚠️ DRY RUN: No changes made to Notion`));
         
         return { 
           success: true, 
           dryRun: true,
           title,
+          pageId: this.state.getPageId(filePath),
           totalBlocks: validBlocks.length,
           hasDiagrams,
-          attachments: this.attachmentProcessor?.fileBlocksWithPositions?.length || 0
+          attachments,
+          media: SyncReport.countMedia(markdownContent, this.diagramProcessor.renderers)
         };
       }
       
@@ -574,23 +676,10 @@ class NotionSync {
       const existingPageId = this.state.getPageId(filePath);
       const hadExistingPage = !!existingPageId;
       
-      // For force sync, single file sync, or docs sync with existing page - archive old page and create new
-      if ((options.force || options.singleFile || hadExistingPage) && existingPageId) {
-        try {
-          await this.client.updatePage(existingPageId, {
-            archived: true
-          });
-          if (options.singleFile) {
-            console.log(chalk.yellow(`  🗑️ Archived old page to replace with new one: ${filePath}`));
-          } else if (options.force) {
-            console.log(chalk.yellow(`  🗑️ Force sync: Archived old page: ${filePath}`));
-          } else {
-            console.log(chalk.yellow(`  🗑️ Docs sync: Archived old page to replace with new one: ${filePath}`));
-          }
-        } catch (error) {
-          console.warn(chalk.yellow(`  ⚠️ Could not archive old page: ${error.message}`));
-        }
-        this.state.removePage(filePath);
+      // Refuse to replace a page edited in Notion since the last sync
+      if (hadExistingPage && !await this.checkRemoteEdits(filePath, fullPath, existingPageId, options)) {
+        this.syncStats.conflicts++;
+        return { success: true, skipped: true, conflict: true, title, pageId: existingPageId };
       }
       
       // Validate hierarchy before creating it
@@ -601,114 +690,224 @@ class NotionSync {
       const flatMode = false; // Always use nested mode for consistent hierarchy support
       const parentPageId = await this.hierarchyManager.createPageHierarchy(filePath, this.config.rootPageId, flatMode);
       
-      // Get or create content page (will always create new since we archived old one)
+      // Get the tracked page (recreated if it was archived or deleted) or create a new one
       const page = await this.hierarchyManager.getOrCreateContentPage(filePath, title, parentPageId);
-      const isNewPage = !hadExistingPage;
+      const isNewPage = !hadExistingPage || page.id !== existingPageId;
       
-      // Check if markdown contains diagrams
-      const hasDiagrams = this.containsDiagrams(markdownContent);
-      
-      let blocks;
-      if (hasDiagrams) {
-        // Use diagram processor for direct block conversion (no placeholders)
-        blocks = await this.diagramProcessor.processMarkdownWithDiagrams(markdownContent, options.dryRun, this.projectRoot);
-      } else {
-        // Use regular markdown converter
-        blocks = await this.markdownConverter.convertToBlocks(markdownContent);
-        
-        // Process images directly in blocks
-        blocks = await this.processMediaInBlocks(blocks, options.dryRun);
-      }
-      
-      // Insert file blocks at appropriate positions using marker-based approach
-      blocks = this.insertFileBlocks(blocks);
-      
-      // Validate blocks
-      const validBlocks = this.markdownConverter.validateBlocks(blocks);
+      const { blocks: validBlocks } = await this.convertMarkdown(markdownContent, filePath, options);
       
       if (validBlocks.length === 0) {
         console.log(chalk.yellow(`  ⚠️ No valid blocks generated for ${filePath}`));
-        return { success: false };
+        this.state.recordFailure(filePath, `No valid blocks generated for ${filePath}`);
+        return { success: false, error: `No valid blocks generated for ${filePath}`, title, pageId: page.id };
       }
       
-      // Since we now archive old pages for all sync modes, we don't need to clear content
-      // All pages are fresh when we reach this point
-      
-      // Upload blocks in chunks
-      const blockChunks = this.markdownConverter.chunkBlocks(validBlocks);
-      let totalBlocks = 0;
-      
-      for (const chunk of blockChunks) {
-        try {
-          await this.client.appendBlocks(page.id, chunk);
-          totalBlocks += chunk.length;
-        } catch (error) {
-          if (error.message.includes('archived') || error.code === 'object_not_found') {
-            // Page became archived/deleted during upload, create new page
-            console.log(chalk.yellow(`⚠️ Page became archived/deleted during upload, creating new page for: ${title}`));
-            
-            // Remove old page from state
-            this.state.removePage(filePath);
-            
-            // Create new page
-            const newPage = await this.hierarchyManager.getOrCreateContentPage(filePath, title, parentPageId);
-            page.id = newPage.id;
-            
-            // Retry uploading to new page
-            await this.client.appendBlocks(page.id, chunk);
-            totalBlocks += chunk.length;
-            
-            console.log(chalk.green(`✅ Successfully uploaded to new page: ${title}`));
-          } else if (error.code === 'validation_error') {
-            throw new Error(`Validation error: ${error.message}`);
-          } else {
-            throw error;
-          }
+      // Existing pages are diffed block by block, so only changed blocks are touched
+      if (!isNewPage && this.client.getPageTitle(page) !== title) {
+        await this.client.updatePage(page.id, {
+          properties: { title: { title: [{ text: { content: title } }] } }
+        });
+      }
+
+      let diffStats;
+      try {
+        diffStats = await this.blockDiffer.syncPage(page.id, validBlocks);
+      } catch (error) {
+        if (error.message.includes('archived') || error.code === 'object_not_found') {
+          // Page became archived/deleted during upload, create new page
+          console.log(chalk.yellow(`⚠️ Page became archived/deleted during upload, creating new page for: ${title}`));
+          
+          // Remove old page from state
+          this.state.removePage(filePath);
+          
+          // Create new page and retry uploading to it
+          const newPage = await this.hierarchyManager.getOrCreateContentPage(filePath, title, parentPageId);
+          page.id = newPage.id;
+          diffStats = await this.blockDiffer.syncPage(page.id, validBlocks);
+          
+          console.log(chalk.green(`✅ Successfully uploaded to new page: ${title}`));
+        } else {
+          throw error;
         }
       }
+      const totalBlocks = validBlocks.length;
+      this.referenceResolver.forgetPage(page.id);
       
-      // Update state
-      this.state.setPageId(filePath, page.id, { title, totalBlocks });
+      // Update state (last_edited_time and the content hash detect remote edits on the next sync)
+      const remoteHash = await this.blockDiffer.getContentHash(page.id);
+      const syncedPage = await this.client.retrievePage(page.id);
+      this.state.setPageId(filePath, page.id, { title, totalBlocks, lastEditedTime: syncedPage.last_edited_time, remoteHash });
       this.state.updateFileHash(filePath, currentHash, { 
         title, 
         totalBlocks,
+        pendingReferences: references.pending,
         lastSync: new Date().toISOString()
       });
       
-      // Since we archive old pages for all sync modes, all pages are effectively "Created"
-      // Only truly new files (never synced before) are considered "Created", others are "Replaced"
-      const action = isNewPage ? 'Created' : 'Replaced';
-      console.log(chalk.green(`  ✓ ${action}: ${title} (${totalBlocks} blocks)`));
+      const action = isNewPage ? 'Created' : 'Updated';
+      console.log(chalk.green(`  ✓ ${action}: ${title} (${totalBlocks} blocks)`), NotionBlockDiffer.formatStats(diffStats));
       
       return { 
         success: true, 
         created: isNewPage, 
-        updated: !isNewPage, // Updated means "replaced" in this context
+        updated: !isNewPage,
         title,
-        totalBlocks 
+        pageId: page.id,
+        url: syncedPage.url,
+        totalBlocks,
+        diffStats,
+        media: SyncReport.countMedia(markdownContent, this.diagramProcessor.renderers)
       };
       
     } catch (error) {
       console.error(chalk.red(`  ❌ Processing failed: ${error.message}`));
-      return { success: false, error: error.message };
+      if (!options.dryRun) {
+        this.state.recordFailure(filePath, error);
+      }
+      return { success: false, error: error.message, stack: error.stack };
     }
   }
 
+  /**
+   * Record the result of processFile() in the sync report
+   * @param {SyncReport} report - Sync report
+   * @param {Object} entry - Report entry of the file
+   * @param {Object} result - processFile() result
+   */
+  reportFileResult(report, entry, result) {
+    const details = { title: result.title, id: result.pageId, url: result.url, ...result.media };
+
+    if (!result.success) {
+      report.failFile(entry, { message: result.error || 'Processing failed', stack: result.stack }, details);
+    } else if (result.dryRun) {
+      report.finishFile(entry, 'previewed', details);
+    } else if (result.conflict) {
+      report.finishFile(entry, 'conflict', details);
+    } else if (result.skipped) {
+      report.finishFile(entry, 'skipped', { ...details, id: this.state.getPageId(entry.file) });
+    } else {
+      report.finishFile(entry, result.created ? 'created' : 'updated', details);
+    }
+  }
+
+  /**
+   * Record files left out of the sync because they did not change
+   * @param {SyncReport} report - Sync report
+   * @param {Array<string>} markdownFiles - All scanned files
+   * @param {Array<string>} filesToSync - Files about to be synced
+   */
+  reportSkippedFiles(report, markdownFiles, filesToSync) {
+    const syncing = new Set(filesToSync);
+    for (const filePath of markdownFiles.filter(file => !syncing.has(file))) {
+      report.addFile(filePath, 'skipped', { id: this.state.getPageId(filePath) });
+    }
+  }
+
+  /**
+   * Check a tracked page for edits made in Notion since the last sync
+   * @param {string} filePath - Docs-relative file path
+   * @param {string} fullPath - Absolute file path
+   * @param {string} pageId - Tracked page ID
+   * @param {Object} options - Sync options {overwrite, skipConflicts}
+   * @returns {Promise<boolean>} True if the page may be replaced
+   */
+  async checkRemoteEdits(filePath, fullPath, pageId, options = {}) {
+    const pageData = this.state.getPageData(filePath);
+    const recorded = pageData?.lastEditedTime;
+    if (!recorded) {
+      return true;
+    }
+
+    if (!this.conflictDetector) {
+      this.conflictDetector = new ConflictDetector(options);
+    }
+
+    let page;
+    try {
+      page = await this.client.retrievePage(pageId);
+    } catch (error) {
+      if (error.code === 'object_not_found') {
+        return true; // Deleted remotely, nothing to protect
+      }
+      throw error;
+    }
+
+    if (page.archived) {
+      return true;
+    }
+
+    // last_edited_time is rounded to the minute: edits made in the minute of the last sync only change the content
+    let recordedVersion = recorded;
+    let remoteVersion = page.last_edited_time;
+    if (pageData.remoteHash && String(recorded) === String(remoteVersion)) {
+      const remoteHash = await this.blockDiffer.getContentHash(pageId);
+      recordedVersion = `${recorded} #${pageData.remoteHash.slice(0, 12)}`;
+      remoteVersion = `${remoteVersion} #${remoteHash.slice(0, 12)}`;
+    }
+
+    return this.conflictDetector.check({
+      filePath: fullPath,
+      relativePath: filePath,
+      title: this.client.getPageTitle(page),
+      recorded: recordedVersion,
+      remote: remoteVersion
+    }, async () => {
+      const originalContent = await fs.readFile(fullPath, 'utf8');
+      const body = await new NotionBlocksToMarkdown(this.client).convertPage(pageId);
+      return this.markdownParser.replaceBody(originalContent, body);
+    });
+  }
+
+  /**
+   * Convert markdown to Notion blocks, uploading its attachments, images and diagrams.
+   * The converter and attachment processor keep per-file state, so files are converted one at a time
+   * @param {string} markdownContent - Markdown content
+   * @param {string} filePath - Relative file path
+   * @param {Object} options - Sync options {dryRun}
+   * @returns {Promise<Object>} - { blocks (valid blocks), hasDiagrams, attachments (count) }
+   */
+  async convertMarkdown(markdownContent, filePath, options = {}) {
+    return this.conversionLock(async () => {
+      // Process attachments in content
+      if (this.attachmentProcessor) {
+        markdownContent = await this.attachmentProcessor.processAttachmentLinks(markdownContent, filePath, this.projectRoot, options.dryRun);
+      }
+
+      // Check if markdown contains diagrams
+      const hasDiagrams = this.containsDiagrams(markdownContent);
+
+      let blocks;
+      if (hasDiagrams) {
+        // Use diagram processor for direct block conversion (no placeholders)
+        blocks = await this.diagramProcessor.processMarkdownWithDiagrams(markdownContent, options.dryRun, this.projectRoot);
+      } else {
+        // Use regular markdown converter
+        blocks = await this.markdownConverter.convertToBlocks(markdownContent);
+
+        // Process images directly in blocks
+        blocks = await this.processMediaInBlocks(blocks, options.dryRun);
+      }
+
+      const attachments = this.attachmentProcessor?.fileBlocksWithPositions?.length || 0;
+
+      // Insert file blocks at appropriate positions using marker-based approach
+      blocks = this.insertFileBlocks(blocks);
+
+      return {
+        blocks: this.markdownConverter.validateBlocks(blocks),
+        hasDiagrams,
+        attachments
+      };
+    });
+  }
+
   /**
    * Check if markdown contains diagrams
    * @param {string} markdown - Markdown content
    * @returns {boolean} True if contains diagrams
    */
   containsDiagrams(markdown) {
-    const diagramPatterns = [
-      /```mermaid\n/,
-      /```plantuml\n/,
-      /```dot\n/,
-      /```graphviz\n/,
-      /```d2\n/
-    ];
-    
-    return diagramPatterns.some(pattern => pattern.test(markdown));
+    return this.diagramProcessor.renderers.containsDiagrams(markdown);
   }
 
   /**
@@ -840,7 +1039,7 @@ class NotionSync {
             paragraph: { rich_text: newRichText }
           });
         }
-      } else if (block.type === 'code' && (block.code.language === 'mermaid' || block.code.language === 'plantuml' || block.code.language === 'dot')) {
+      } else if (block.type === 'code' && this.diagramProcessor.isDiagramLanguage(block.code.language)) {
         // Convert diagram code blocks to annotated text blocks
         const diagramType = block.code.language.toUpperCase();
         console.log(chalk.blue(`📊 Converting ${diagramType} diagram to code block`));
@@ -859,59 +1058,6 @@ class NotionSync {
     return processedBlocks;
   }
 
-  /**
-   * Clear existing content from a page
-   * @param {string} pageId - Page ID
-   */
-  async clearPageContent(pageId) {
-    try {
-      // First check if page exists and is accessible
-      try {
-        await this.client.retrievePage(pageId);
-      } catch (error) {
-        if (error.code === 'object_not_found') {
-          throw new Error(`Page not found: ${pageId}`);
-        }
-        if (error.message.includes('archived')) {
-          throw new Error(`Page is archived: ${pageId}`);
-        }
-        throw error;
-      }
-      
-      let hasMore = true;
-      let startCursor = null;
-      let deletedCount = 0;
-      
-      while (hasMore) {
-        const response = await this.client.retrieveBlockChildren(pageId, startCursor);
-        
-        // Delete blocks in reverse order to avoid index issues
-        const blocksToDelete = response.results.reverse();
-        
-        for (const block of blocksToDelete) {
-          try {
-            await this.client.deleteBlock(block.id);
-            deletedCount++;
-          } catch (error) {
-            // Skip blocks that can't be deleted (like archived blocks)
-            if (!error.message.includes('archived')) {
-              console.warn(chalk.yellow(`⚠️ Could not delete block ${block.id}: ${error.message}`));
-            }
-          }
-        }
-        
-        hasMore = response.has_more;
-        startCursor = response.next_cursor;
-      }
-      
-    } catch (error) {
-      if (error.message.includes('archived') || error.message.includes('Page not found')) {
-        throw error; // Re-throw for handling in processFile
-      }
-      console.warn(chalk.yellow(`⚠️ Could not clear page content: ${error.message}`));
-    }
-  }
-
   /**
    * Generate sync report
    * @returns {Object} Sync report
@@ -930,6 +1076,8 @@ class NotionSync {
     
     return {
       ...this.syncStats,
+      apiCalls: this.client.requestCount,
+      retries: this.client.retryPolicy.stats.retries,
       duration,
       success: this.syncStats.failed === 0
     };
@@ -0,0 +1,248 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const HeadingSlugger = require('../heading-slugger');
+
+// Files a Docusaurus link without extension can point to
+const TARGET_CANDIDATES = ['', '.md', '.mdx', '/index.md', '/index.mdx', '/README.md'];
+
+const HEADING_TYPES = new Set(['heading_1', 'heading_2', 'heading_3']);
+
+/**
+ * Notion Reference Resolver
+ * Rewrites links to other markdown files (and #heading anchors) to the notion.so URLs of their pages,
+ * with anchors pointing to the heading block. Links to files that have no page yet become plain text
+ * and are reported as pending, so the page can be relinked once its targets are synced.
+ */
+class NotionReferenceResolver {
+  /**
+   * @param {NotionClient} notionClient - Notion client
+   * @param {NotionState} state - Notion state (pages keyed by docs-relative path)
+   * @param {Object} options - {docsDir (absolute path)}
+   */
+  constructor(notionClient, state, options = {}) {
+    this.client = notionClient;
+    this.state = state;
+    this.docsDir = options.docsDir;
+    this.headings = new Map(); // page ID -> heading blocks fetched during the current sync
+    this.stats = { resolved: 0, pending: 0, unresolved: 0 };
+  }
+
+  /**
+   * Rewrite the internal links of a markdown file
+   * @param {string} markdown - Markdown content
+   * @param {string} fullPath - Absolute path of the file
+   * @returns {Promise<Object>} - { markdown, pending: [docs-relative target paths] }
+   */
+  async processReferences(markdown, fullPath) {
+    const pending = new Set();
+    // Fenced code blocks are left alone
+    const segments = markdown.split(/(^(?:```|~~~)[^\n]*\n[\s\S]*?^(?:```|~~~)\s*$)/m);
+
+    for (let i = 0; i < segments.length; i += 2) {
+      const links = [...segments[i].matchAll(/(!?)\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g)];
+      let processed = '';
+      let lastIndex = 0;
+
+      for (const match of links) {
+        const [fullMatch, image, text, url] = match;
+        if (image || !this.isInternalLink(url)) {
+          continue;
+        }
+
+        const replacement = await this.resolveLink(text, url, fullPath, pending);
+        processed += segments[i].substring(lastIndex, match.index) + replacement;
+        lastIndex = match.index + fullMatch.length;
+      }
+
+      segments[i] = processed + segments[i].substring(lastIndex);
+    }
+
+    return { markdown: segments.join(''), pending: [...pending] };
+  }
+
+  /**
+   * Markdown of one internal link: a link to the target page, or its text when the page is unknown
+   * @param {string} text - Link text
+   * @param {string} url - Link URL
+   * @param {string} fullPath - Absolute path of the file holding the link
+   * @param {Set} pending - Targets without a page yet
+   * @returns {Promise<string>}
+   */
+  async resolveLink(text, url, fullPath, pending) {
+    const { targetPath, anchor } = this.parseLink(url, fullPath);
+    const target = this.findTarget(targetPath);
+
+    if (!target) {
+      console.warn(chalk.yellow(`⚠️ Could not resolve internal reference: ${url}`));
+      this.stats.unresolved++;
+      return text;
+    }
+
+    const pageId = this.state.getPageId(target.key);
+    if (!pageId) {
+      // Relinked once the target page is created
+      pending.add(target.key);
+      this.stats.pending++;
+      return text;
+    }
+
+    let notionUrl = NotionReferenceResolver.getPageUrl(pageId);
+    if (anchor) {
+      const blockId = await this.findHeadingBlock(pageId, target.filePath, anchor);
+      if (blockId) {
+        notionUrl += `#${blockId.replace(/-/g, '')}`;
+      } else {
+        console.warn(chalk.yellow(`⚠️ Heading #${anchor} not found in ${target.key}, linking to the page`));
+      }
+    }
+
+    this.stats.resolved++;
+    return `[${text}](${notionUrl})`;
+  }
+
+  /**
+   * Check if URL points to another doc or a heading: #anchor, *.md/*.mdx, /docs/... or a relative path without extension
+   */
+  isInternalLink(url) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) {
+      return false; // http:, mailto:, ...
+    }
+
+    const [urlPath] = url.split('#');
+    if (!urlPath) {
+      return url.length > 1;
+    }
+    if (/\.(md|mdx)$/i.test(urlPath)) {
+      return true;
+    }
+    if (urlPath.startsWith('/docs/') || /^\.\.?\//.test(urlPath)) {
+      return !/\.[a-zA-Z0-9]+$/.test(urlPath);
+    }
+    return false;
+  }
+
+  /**
+   * Split an internal link into the linked file (extension optional) and heading anchor
+   * @param {string} url - Link URL
+   * @param {string} fullPath - Absolute path of the file holding the link
+   * @returns {Object} - { targetPath, anchor }
+   */
+  parseLink(url, fullPath) {
+    const hashIndex = url.indexOf('#');
+    const urlPath = decodeURI(hashIndex === -1 ? url : url.substring(0, hashIndex));
+    const anchor = hashIndex === -1 ? null : decodeURIComponent(url.substring(hashIndex + 1)) || null;
+
+    let targetPath;
+    if (!urlPath) {
+      targetPath = fullPath;
+    } else if (urlPath.startsWith('/docs/')) {
+      targetPath = path.join(this.docsDir, urlPath.substring('/docs/'.length));
+    } else {
+      targetPath = path.resolve(path.dirname(fullPath), urlPath);
+    }
+
+    return { targetPath: targetPath.replace(/[\\/]+$/, ''), anchor };
+  }
+
+  /**
+   * Find the synced or syncable file a link points to
+   * @param {string} targetPath - Absolute target path (extension optional)
+   * @returns {Object|null} - { key (docs-relative state key), filePath } or null
+   */
+  findTarget(targetPath) {
+    for (const suffix of TARGET_CANDIDATES) {
+      const filePath = targetPath + suffix;
+      const key = path.relative(this.docsDir, filePath).split(path.sep).join('/');
+      if (key.startsWith('..')) {
+        return null;
+      }
+      if (this.state.getPageId(key) || (fs.existsSync(filePath) && fs.statSync(filePath).isFile())) {
+        return { key, filePath };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the heading block of an anchor: the anchor is looked up in the markdown of the target,
+   * then matched to the heading block with the same text
+   * @param {string} pageId - Target page ID
+   * @param {string} filePath - Absolute path of the target file
+   * @param {string} anchor - Heading anchor
+   * @returns {Promise<string|null>} Block ID
+   */
+  async findHeadingBlock(pageId, filePath, anchor) {
+    const markdownHeadings = await this.getMarkdownHeadings(filePath);
+    const heading = markdownHeadings.find(item => item.slug === anchor);
+    if (!heading) {
+      return null;
+    }
+
+    const occurrence = markdownHeadings
+      .filter(item => item.text === heading.text)
+      .indexOf(heading);
+    const blocks = (await this.getHeadingBlocks(pageId)).filter(block => block.text === heading.text);
+    return blocks[occurrence]?.id || null;
+  }
+
+  /**
+   * Headings of a markdown file with their anchors
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<Array>} - [{ level, text, slug, customId }]
+   */
+  async getMarkdownHeadings(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      return [];
+    }
+
+    return HeadingSlugger.parseHeadings(await fs.readFile(filePath, 'utf8'));
+  }
+
+  /**
+   * Heading blocks at the top level of a page, fetched once per sync
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Array>} - [{ id, text }]
+   */
+  async getHeadingBlocks(pageId) {
+    if (!this.headings.has(pageId)) {
+      const headings = [];
+      let startCursor = null;
+
+      do {
+        const response = await this.client.retrieveBlockChildren(pageId, startCursor);
+        for (const block of response.results) {
+          if (HEADING_TYPES.has(block.type)) {
+            const text = (block[block.type].rich_text || []).map(item => item.plain_text ?? item.text?.content ?? '').join('');
+            headings.push({ id: block.id, text: text.trim() });
+          }
+        }
+        startCursor = response.has_more ? response.next_cursor : null;
+      } while (startCursor);
+
+      this.headings.set(pageId, headings);
+    }
+
+    return this.headings.get(pageId);
+  }
+
+  /**
+   * Forget the fetched headings of a page after its blocks changed
+   * @param {string} pageId - Page ID
+   */
+  forgetPage(pageId) {
+    this.headings.delete(pageId);
+  }
+
+  /**
+   * URL of a Notion page
+   * @param {string} pageId - Page ID
+   * @returns {string}
+   */
+  static getPageUrl(pageId) {
+    return `https://www.notion.so/${pageId.replace(/-/g, '')}`;
+  }
+}
+
+module.exports = NotionReferenceResolver;
@@ -0,0 +1,267 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+
+const PRUNE_ACTIONS = ['delete', 'archive', 'label'];
+const OBSOLETE_LABEL = 'obsolete';
+const OBSOLETE_PREFIX = '[Obsolete] ';
+const ARCHIVE_TITLE = 'Archive';
+
+/**
+ * Page Pruner
+ * Finds remote pages whose source markdown files were removed and deletes, archives or labels them
+ */
+class PagePruner {
+  /**
+   * @param {string} projectRoot - project root directory
+   * @param {Object} options - {docsDir, action, dryRun}
+   */
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    this.docsDir = path.resolve(projectRoot, options.docsDir || 'docs');
+    this.action = options.action || 'archive';
+    this.dryRun = options.dryRun || false;
+
+    if (!PRUNE_ACTIONS.includes(this.action)) {
+      throw new Error(`Invalid prune action "${this.action}". Use one of: ${PRUNE_ACTIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Find state entries whose source file no longer exists
+   * @param {Object} pages - State pages map {filePath: pageData}
+   * @param {string} idKey - Key holding the remote page ID ('confluenceId' or 'pageId')
+   * @returns {Array} - [{filePath, pageId, title}]
+   */
+  async findOrphans(pages, idKey) {
+    const orphans = [];
+
+    for (const [filePath, pageData] of Object.entries(pages || {})) {
+      // Category index pages are parent pages, kept while the directory exists
+      if (!pageData || !pageData[idKey] || pageData.categoryIndex) {
+        continue;
+      }
+
+      // State keys are relative to docs/ (some Notion entries keep the docs/ prefix)
+      const sourcePath = filePath.startsWith('docs/')
+        ? path.resolve(this.projectRoot, filePath)
+        : path.resolve(this.docsDir, filePath);
+
+      if (!await fs.pathExists(sourcePath)) {
+        orphans.push({ filePath, pageId: pageData[idKey], title: pageData.title || filePath });
+      }
+    }
+
+    return orphans;
+  }
+
+  /**
+   * Prune Confluence pages of removed files
+   * @param {ConfluenceClient} client - Confluence client
+   * @param {StateManager} stateManager - Confluence state manager
+   * @param {string} rootParentId - Root page ID, parent of the Archive page
+   * @returns {Object} - {orphans, pruned, failed}
+   */
+  async pruneConfluence(client, stateManager, rootParentId = null) {
+    const orphans = await this.findOrphans(stateManager.getAllPages(), 'confluenceId');
+    let archivePageId = null;
+
+    return this.processOrphans(orphans, async orphan => {
+      if (this.action === 'delete') {
+        await client.deletePage(orphan.pageId);
+      } else if (this.action === 'archive') {
+        archivePageId = archivePageId || await client.findOrCreateArchivePage(rootParentId);
+        await client.movePage(orphan.pageId, archivePageId);
+      } else {
+        await client.addLabels(orphan.pageId, [OBSOLETE_LABEL]);
+      }
+
+      stateManager.removePageState(orphan.filePath);
+    }, async () => {
+      await stateManager.saveState();
+    });
+  }
+
+  /**
+   * Prune Notion pages of removed files, then the directory pages left without child pages
+   * Notion pages cannot be permanently deleted through the API, so 'delete' archives them
+   * @param {NotionClient} client - Notion client
+   * @param {NotionState} state - Notion state
+   * @returns {Object} - {orphans, pruned, failed}
+   */
+  async pruneNotion(client, state) {
+    const orphans = await this.findOrphans(state.getAllPages(), 'pageId');
+    // Labelled pages stay under their directory pages, so those are only pruned when pages are archived
+    if (this.action !== 'label') {
+      orphans.push(...await this.findEmptyHierarchyPages(client, state, orphans));
+    }
+    const failedPageIds = new Set();
+
+    return this.processOrphans(orphans, async orphan => {
+      try {
+        if (orphan.childPageIds && orphan.childPageIds.some(pageId => failedPageIds.has(pageId))) {
+          throw new Error('some of its child pages could not be pruned');
+        }
+
+        if (this.action === 'label') {
+          await client.updatePage(orphan.pageId, {
+            properties: {
+              title: { title: [{ text: { content: `${OBSOLETE_PREFIX}${orphan.title}` } }] }
+            }
+          });
+        } else {
+          await client.archivePage(orphan.pageId);
+        }
+      } catch (error) {
+        failedPageIds.add(this.normalizeNotionId(orphan.pageId));
+        throw error;
+      }
+
+      if (orphan.hierarchyPath !== undefined) {
+        state.removeHierarchyPageId(orphan.hierarchyPath);
+      } else {
+        state.removePage(orphan.filePath);
+      }
+    });
+  }
+
+  /**
+   * Find the Notion directory pages whose child pages are all being pruned (deepest directories first)
+   * @param {NotionClient} client - Notion client
+   * @param {NotionState} state - Notion state
+   * @param {Array} orphans - Orphaned file pages
+   * @returns {Array} - [{filePath, pageId, title, hierarchyPath, childPageIds}]
+   */
+  async findEmptyHierarchyPages(client, state, orphans) {
+    const prunedPageIds = new Set(orphans.map(orphan => this.normalizeNotionId(orphan.pageId)));
+    const entries = Object.entries(state.getHierarchyMap())
+      .sort(([a], [b]) => b.split('/').length - a.split('/').length);
+    const emptyPages = [];
+
+    for (const [hierarchyPath, pageId] of entries) {
+      let childPageIds;
+      try {
+        childPageIds = await this.listChildPageIds(client, pageId);
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Could not list the child pages of ${hierarchyPath}: ${error.message}`));
+        continue;
+      }
+
+      if (childPageIds.every(childPageId => prunedPageIds.has(childPageId))) {
+        emptyPages.push({ filePath: `${hierarchyPath}/`, pageId, title: `Directory page ${hierarchyPath}`, hierarchyPath, childPageIds });
+        prunedPageIds.add(this.normalizeNotionId(pageId));
+      }
+    }
+
+    return emptyPages;
+  }
+
+  /**
+   * List the IDs of the child pages and databases of a Notion page
+   * @param {NotionClient} client - Notion client
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Array>} Normalized page IDs
+   */
+  async listChildPageIds(client, pageId) {
+    const pageIds = [];
+    let startCursor = null;
+
+    do {
+      const response = await client.retrieveBlockChildren(pageId, startCursor);
+      response.results
+        .filter(block => block.type === 'child_page' || block.type === 'child_database')
+        .forEach(block => pageIds.push(this.normalizeNotionId(block.id)));
+      startCursor = response.has_more ? response.next_cursor : null;
+    } while (startCursor);
+
+    return pageIds;
+  }
+
+  /**
+   * Notion IDs are returned with or without dashes
+   */
+  normalizeNotionId(pageId) {
+    return String(pageId).replace(/-/g, '');
+  }
+
+  /**
+   * Prune the Google Docs of removed files (layout: files)
+   * 'delete' moves the documents to the Drive trash
+   * @param {GoogleDriveClient} driveClient - Initialized Drive client
+   * @param {GoogleDocsState} state - Google Docs state
+   * @returns {Object} - {orphans, pruned, failed}
+   */
+  async pruneGoogleDocs(driveClient, state) {
+    // Google Docs state is keyed by document ID and records absolute file paths
+    const documents = {};
+    state.getFileDocuments().forEach(doc => {
+      documents[path.relative(this.docsDir, doc.filePath)] = doc;
+    });
+    const orphans = await this.findOrphans(documents, 'documentId');
+    let archiveFolderId = null;
+
+    return this.processOrphans(orphans, async orphan => {
+      if (this.action === 'delete') {
+        await driveClient.trashFile(orphan.pageId);
+      } else if (this.action === 'archive') {
+        if (!archiveFolderId) {
+          const rootFolder = state.getFolder('');
+          archiveFolderId = (await driveClient.ensureFolder(ARCHIVE_TITLE, rootFolder ? rootFolder.folderId : 'root')).id;
+        }
+        await driveClient.moveFile(orphan.pageId, archiveFolderId);
+      } else {
+        await driveClient.renameFile(orphan.pageId, `${OBSOLETE_PREFIX}${orphan.title}`);
+      }
+
+      state.removeDocument(orphan.pageId);
+    }, async () => {
+      await state.save();
+    });
+  }
+
+  /**
+   * Apply the prune action to each orphan, or list them in dry-run mode
+   * @param {Array} orphans - Orphaned entries
+   * @param {Function} applyAction - async (orphan) => void
+   * @param {Function} afterAll - async () => void, called when not in dry-run mode
+   */
+  async processOrphans(orphans, applyAction, afterAll = null) {
+    const result = { orphans, pruned: 0, failed: 0 };
+    const verb = { delete: 'Delete', archive: 'Archive', label: 'Label as obsolete' }[this.action];
+
+    if (orphans.length === 0) {
+      console.log(chalk.green('✓ No orphaned pages to prune'));
+      return result;
+    }
+
+    console.log(chalk.cyan(`\n🧹 ${orphans.length} orphaned page(s) whose source files were removed:`));
+
+    for (const orphan of orphans) {
+      if (this.dryRun) {
+        console.log(chalk.yellow(`  ${verb}: ${orphan.title} (${orphan.filePath}, page ${orphan.pageId})`));
+        continue;
+      }
+
+      try {
+        await applyAction(orphan);
+        result.pruned++;
+        console.log(chalk.green(`  ✅ ${verb}: ${orphan.title} (${orphan.filePath})`));
+      } catch (error) {
+        result.failed++;
+        console.error(chalk.red(`  ❌ ${verb} failed: ${orphan.title} - ${error.message}`));
+      }
+    }
+
+    if (this.dryRun) {
+      console.log(chalk.yellow('⚠️ This is a dry run. No pages were pruned.'));
+    } else if (afterAll) {
+      await afterAll();
+    }
+
+    return result;
+  }
+}
+
+PagePruner.ACTIONS = PRUNE_ACTIONS;
+
+module.exports = PagePruner;
@@ -1,5 +1,8 @@
 const path = require('path');
+const fs = require('fs-extra');
+const matter = require('gray-matter');
 const chalk = require('chalk');
+const HeadingSlugger = require('./heading-slugger');
 
 class ReferenceProcessor {
   constructor(projectRoot, stateManager) {
@@ -14,15 +17,18 @@ class ReferenceProcessor {
    * @param {string} markdown - Original markdown content
    * @param {string} currentFilePath - Path of current file being processed
    * @param {string} baseUrl - Confluence base URL
+   * @param {string} pageTitle - Title of the current page, for same-page anchors (defaults to the tracked title)
    * @returns {string} - Processed markdown with converted references
    */
-  processReferences(markdown, currentFilePath, baseUrl) {
+  processReferences(markdown, currentFilePath, baseUrl, pageTitle = null) {
     let processedMarkdown = markdown;
+    const trackedPage = this.stateManager.getAllPages()[path.relative(this.docsDir, currentFilePath).split(path.sep).join('/')];
+    const currentPage = { title: trackedPage?.title || pageTitle, markdown };
 
     // Process different types of references
-    processedMarkdown = this.processMarkdownLinks(processedMarkdown, currentFilePath, baseUrl);
-    processedMarkdown = this.processReferenceStyleLinks(processedMarkdown, currentFilePath, baseUrl);
-    processedMarkdown = this.processHtmlLinks(processedMarkdown, currentFilePath, baseUrl);
+    processedMarkdown = this.processMarkdownLinks(processedMarkdown, currentFilePath, baseUrl, currentPage);
+    processedMarkdown = this.processReferenceStyleLinks(processedMarkdown, currentFilePath, baseUrl, currentPage);
+    processedMarkdown = this.processHtmlLinks(processedMarkdown, currentFilePath, baseUrl, currentPage);
 
     return processedMarkdown;
   }
@@ -30,11 +36,11 @@ class ReferenceProcessor {
   /**
    * Process standard markdown links [text](url)
    */
-  processMarkdownLinks(markdown, currentFilePath, baseUrl) {
+  processMarkdownLinks(markdown, currentFilePath, baseUrl, currentPage = null) {
     const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
     
     return markdown.replace(linkRegex, (match, linkText, linkUrl) => {
-      const processedUrl = this.processLinkUrl(linkUrl, currentFilePath, baseUrl);
+      const processedUrl = this.processLinkUrl(linkUrl, currentFilePath, baseUrl, currentPage);
       return `[${linkText}](${processedUrl})`;
     });
   }
@@ -42,7 +48,7 @@ class ReferenceProcessor {
   /**
    * Process reference-style links [text][ref] and [ref]: url
    */
-  processReferenceStyleLinks(markdown, currentFilePath, baseUrl) {
+  processReferenceStyleLinks(markdown, currentFilePath, baseUrl, currentPage = null) {
     // Find all reference definitions [ref]: url
     const refDefRegex = /^\s*\[([^\]]+)\]:\s*(.+)$/gm;
     const refDefs = new Map();
@@ -51,7 +57,7 @@ class ReferenceProcessor {
     let match;
     while ((match = refDefRegex.exec(markdown)) !== null) {
       const [fullMatch, refId, refUrl] = match;
-      const processedUrl = this.processLinkUrl(refUrl.trim(), currentFilePath, baseUrl);
+      const processedUrl = this.processLinkUrl(refUrl.trim(), currentFilePath, baseUrl, currentPage);
       refDefs.set(refId, processedUrl);
     }
 
@@ -67,27 +73,31 @@ class ReferenceProcessor {
   /**
    * Process HTML links <a href="url">text</a>
    */
-  processHtmlLinks(markdown, currentFilePath, baseUrl) {
+  processHtmlLinks(markdown, currentFilePath, baseUrl, currentPage = null) {
     const htmlLinkRegex = /<a\s+[^>]*href=["']([^"']+)["'][^>]*>([^<]+)<\/a>/gi;
     
     return markdown.replace(htmlLinkRegex, (match, linkUrl, linkText) => {
-      const processedUrl = this.processLinkUrl(linkUrl, currentFilePath, baseUrl);
+      const processedUrl = this.processLinkUrl(linkUrl, currentFilePath, baseUrl, currentPage);
       return match.replace(linkUrl, processedUrl);
     });
   }
 
   /**
    * Process individual link URL
+   * @param {Object} currentPage - {title, markdown} of the page holding the link, for same-page anchors
    */
-  processLinkUrl(url, currentFilePath, baseUrl) {
+  processLinkUrl(url, currentFilePath, baseUrl, currentPage = null) {
     // Skip external URLs
     if (this.isExternalUrl(url)) {
       return url;
     }
 
-    // Skip anchor-only links
+    // Same-page anchors point to the Confluence anchor of the heading
     if (url.startsWith('#')) {
-      return url;
+      if (!currentPage || !currentPage.title || url.length === 1) {
+        return url;
+      }
+      return `#${this.getConfluenceAnchor(currentPage.title, currentPage.markdown, decodeURIComponent(url.substring(1)))}`;
     }
 
     // Process internal references
@@ -147,7 +157,8 @@ class ReferenceProcessor {
         let confluenceUrl = `${baseUrl}/wiki/spaces/${spaceKey}/pages/${pageState.confluenceId}/${pageTitle}`;
         
         if (anchor) {
-          confluenceUrl += `#${anchor}`;
+          const targetMarkdown = this.readTargetMarkdown(targetPath);
+          confluenceUrl += `#${this.getConfluenceAnchor(pageState.title, targetMarkdown, decodeURIComponent(anchor))}`;
         }
 
         console.log(chalk.blue(`🔗 Converted link: ${url} → ${confluenceUrl}`));
@@ -183,6 +194,42 @@ class ReferenceProcessor {
     return 'DOCS';
   }
 
+  /**
+   * Confluence anchor of a Docusaurus heading anchor: headings are anchored as `PageTitle-HeadingText`
+   * and anchor macros ({#custom-id} headings) as `PageTitle-custom-id`, both without whitespace
+   * @param {string} pageTitle - Confluence page title
+   * @param {string} markdown - Markdown of the page, to find the heading of the anchor
+   * @param {string} anchor - Docusaurus anchor
+   * @returns {string} URL-encoded anchor
+   */
+  getConfluenceAnchor(pageTitle, markdown, anchor) {
+    const heading = HeadingSlugger.parseHeadings(markdown || '').find(item => item.slug === anchor);
+    const name = heading ? heading.customId || heading.text : anchor;
+    return encodeURIComponent(ReferenceProcessor.toConfluenceAnchor(pageTitle, name));
+  }
+
+  /**
+   * Anchor Confluence generates for a heading or anchor macro of a page
+   * @param {string} pageTitle - Confluence page title
+   * @param {string} name - Heading text or anchor macro name
+   * @returns {string}
+   */
+  static toConfluenceAnchor(pageTitle, name) {
+    return `${pageTitle.replace(/\s+/g, '')}-${name.replace(/\s+/g, '')}`;
+  }
+
+  /**
+   * Markdown body of a linked doc (extension optional), empty when it is not found
+   * @param {string} targetPath - Path relative to docs/
+   * @returns {string}
+   */
+  readTargetMarkdown(targetPath) {
+    const basePath = path.join(this.docsDir, targetPath);
+    const candidates = [basePath, basePath.replace(/\.md$/, '.mdx'), `${basePath}.md`, `${basePath}.mdx`];
+    const filePath = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    return filePath ? matter(fs.readFileSync(filePath, 'utf8')).content : '';
+  }
+
   /**
    * Convert page title to URL-friendly slug
    */
@@ -0,0 +1,238 @@
+const chalk = require('chalk');
+
+// Requests that can be sent again without side effects when the first attempt reached the server
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Network errors worth another attempt (axios, node-fetch, gaxios and the Notion client)
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ERR_NETWORK',
+  'notionhq_client_request_timeout'
+]);
+
+/**
+ * Retry Policy
+ * Shared HTTP resilience for the Confluence, Notion and Google APIs. Rate limited requests wait for
+ * Retry-After (or back off) and are sent again; server and network errors are retried with exponential
+ * backoff and jitter, but only for idempotent requests, so a page is never created twice. Creating
+ * requests can pass a recover() lookup that finds what the failed attempt created before retrying.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options - {retryCount, baseDelay (ms), maxDelay (ms), label, sleep, report}
+   */
+  constructor(options = {}) {
+    this.retryCount = Math.max(0, parseInt(options.retryCount ?? 3, 10) || 0);
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 60000;
+    this.label = options.label || 'API';
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.stats = { retries: 0, rateLimited: 0, recovered: 0 }; // reported at the end of a sync
+    this.report = options.report || null;
+  }
+
+  /**
+   * Record the retries on the sync report too, so --report files show them
+   * @param {SyncReport} report - Sync report of the running sync
+   */
+  setReport(report) {
+    this.report = report;
+  }
+
+  /**
+   * Run a request, retrying it when the failure is transient
+   * @param {Function} requestFn - async () => result
+   * @param {Object} options - {idempotent (default true), recover: async () => result or null, description}
+   * @returns {Promise<*>} Result of the request (or of recover)
+   */
+  async execute(requestFn, options = {}) {
+    const { idempotent = true, recover = null, description = 'request' } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await requestFn();
+      } catch (error) {
+        if (!this.shouldRetry(error, attempt, idempotent || Boolean(recover))) {
+          throw error;
+        }
+
+        // The failed attempt may still have been applied: look for its result before sending it again
+        if (!idempotent && recover && !RetryPolicy.isRateLimited(error)) {
+          const recovered = await recover();
+          if (recovered) {
+            this.stats.recovered++;
+            console.warn(chalk.yellow(`⚠️ ${this.label} ${description} failed but was applied, not sending it again`));
+            return recovered;
+          }
+        }
+
+        await this.backoff(error, attempt, description);
+      }
+    }
+  }
+
+  /**
+   * Retry failed requests of an axios instance (non-idempotent methods only when rate limited).
+   * Requests sent with {skipRetry: true} are left to the caller
+   * @param {Object} instance - axios instance
+   * @returns {Object} The instance
+   */
+  attachTo(instance) {
+    instance.interceptors.response.use(null, async error => {
+      const config = error.config;
+      if (!config || config.skipRetry) {
+        throw error;
+      }
+
+      const method = (config.method || 'get').toUpperCase();
+      const attempt = config.retryAttempt || 0;
+      if (!this.shouldRetry(error, attempt, IDEMPOTENT_METHODS.has(method))) {
+        throw error;
+      }
+
+      await this.backoff(error, attempt, `${method} ${config.url}`);
+      config.retryAttempt = attempt + 1;
+      return instance.request(config);
+    });
+
+    return instance;
+  }
+
+  /**
+   * gaxios retryConfig applying this policy to googleapis requests
+   * @returns {Object} retryConfig option of google.docs() / google.drive()
+   */
+  toGaxiosConfig() {
+    const getAttempt = error => error.config?.retryConfig?.currentRetryAttempt || 0;
+    const isIdempotent = error => IDEMPOTENT_METHODS.has((error.config?.method || 'GET').toUpperCase());
+
+    return {
+      retry: this.retryCount,
+      noResponseRetries: this.retryCount,
+      httpMethodsToRetry: [...IDEMPOTENT_METHODS, 'POST', 'PATCH'],
+      shouldRetry: error => this.shouldRetry(error, getAttempt(error), isIdempotent(error)),
+      // gaxios counts the attempt before waiting
+      retryBackoff: error => this.backoff(error, getAttempt(error) - 1, `${error.config?.method || 'GET'} ${String(error.config?.url || '').split('?')[0]}`)
+    };
+  }
+
+  /**
+   * Check if a failed attempt should be sent again
+   * @param {Error} error - Request error
+   * @param {number} attempt - Retries made so far
+   * @param {boolean} idempotent - Whether the request can be repeated safely
+   * @returns {boolean}
+   */
+  shouldRetry(error, attempt, idempotent = true) {
+    if (attempt >= this.retryCount) {
+      return false;
+    }
+    if (RetryPolicy.isRateLimited(error)) {
+      return true; // Rejected before being applied
+    }
+    return idempotent && RetryPolicy.isTransient(error);
+  }
+
+  /**
+   * Wait before the next attempt
+   * @param {Error} error - Request error
+   * @param {number} attempt - Retries made so far
+   * @param {string} description - Request description for the log
+   */
+  async backoff(error, attempt, description) {
+    const delay = this.getDelay(error, attempt);
+    const rateLimited = RetryPolicy.isRateLimited(error);
+
+    this.stats.retries++;
+    if (rateLimited) {
+      this.stats.rateLimited++;
+    }
+    this.report?.recordRetry(rateLimited);
+
+    const reason = rateLimited ? 'rate limited' : `failed (${RetryPolicy.getStatus(error) || error.code || error.message})`;
+    console.warn(chalk.yellow(`⚠️ ${this.label} ${description} ${reason}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${this.retryCount})`));
+    await this.sleep(delay);
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After when the server sent it, else exponential backoff with jitter
+   * @param {Error} error - Request error
+   * @param {number} attempt - Retries made so far
+   * @returns {number} Milliseconds
+   */
+  getDelay(error, attempt) {
+    const retryAfter = RetryPolicy.getRetryAfter(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * HTTP status of a request error
+   * @param {Error} error - axios, gaxios or Notion client error
+   * @returns {number|null}
+   */
+  static getStatus(error) {
+    const status = error?.response?.status ?? error?.status;
+    return typeof status === 'number' ? status : null;
+  }
+
+  /**
+   * Check if the request was rejected by a rate limit (429, Notion rate_limited, Google rate limit 403s)
+   * @param {Error} error - Request error
+   * @returns {boolean}
+   */
+  static isRateLimited(error) {
+    const status = RetryPolicy.getStatus(error);
+    if (status === 429 || error?.code === 'rate_limited') {
+      return true;
+    }
+
+    const reasons = error?.response?.data?.error?.errors || [];
+    return status === 403 && reasons.some(item => /rateLimitExceeded/i.test(item.reason || ''));
+  }
+
+  /**
+   * Check if the request failed on the server side or the network
+   * @param {Error} error - Request error
+   * @returns {boolean}
+   */
+  static isTransient(error) {
+    const status = RetryPolicy.getStatus(error);
+    if (status !== null) {
+      return status >= 500 || status === 408;
+    }
+    return TRANSIENT_CODES.has(error?.code);
+  }
+
+  /**
+   * Retry-After header of a response, in seconds or as an HTTP date
+   * @param {Error} error - Request error
+   * @returns {number|null} Milliseconds to wait
+   */
+  static getRetryAfter(error) {
+    const headers = error?.response?.headers || error?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = RetryPolicy;
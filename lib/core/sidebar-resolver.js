@@ -0,0 +1,477 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Module = require('module');
+const chalk = require('chalk');
+const yaml = require('js-yaml');
+
+// Searched in this order in the project root
+const SIDEBAR_FILE_NAMES = ['sidebars.js', 'sidebars.ts', 'sidebars.cjs', 'sidebars.mjs', 'sidebars.json'];
+const CATEGORY_FILES = ['_category_.json', '_category_.yml', '_category_.yaml'];
+const INDEX_NAMES = ['index', 'readme'];
+const UNPOSITIONED = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Sidebar Resolver
+ * Evaluates the Docusaurus sidebars file and lays documents out the way the website navigation does:
+ * categories, doc ids, links and autogenerated sections become virtual category paths
+ * that the Confluence, Notion and Google Docs sync paths use instead of directories
+ */
+class SidebarResolver {
+  /**
+   * @param {string} projectRoot - project root directory
+   * @param {string} docsDir - Absolute path to docs directory
+   */
+  constructor(projectRoot, docsDir) {
+    this.projectRoot = projectRoot;
+    this.docsDir = docsDir;
+  }
+
+  /**
+   * Find the sidebars file
+   * @param {string|boolean} explicitPath - Path from config/--sidebars (relative to project root) or true
+   * @returns {string|null} - Absolute path or null when no sidebars file exists
+   */
+  async find(explicitPath = true) {
+    if (typeof explicitPath === 'string') {
+      const resolved = path.resolve(this.projectRoot, explicitPath);
+      if (!await fs.pathExists(resolved)) {
+        throw new Error(`Sidebars file not found: ${resolved}`);
+      }
+      return resolved;
+    }
+
+    for (const fileName of SIDEBAR_FILE_NAMES) {
+      const candidate = path.join(this.projectRoot, fileName);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate sidebars file (JSON, CommonJS, ESM or TypeScript with type-only syntax)
+   * @param {string} filePath - Absolute path to sidebars file
+   * @returns {Object} - {sidebarId: items}
+   */
+  async load(filePath) {
+    if (filePath.endsWith('.json')) {
+      return await fs.readJson(filePath);
+    }
+
+    const source = this.transpile(await fs.readFile(filePath, 'utf8'));
+    const sidebarModule = new Module(filePath, module);
+    sidebarModule.filename = filePath;
+    sidebarModule.paths = Module._nodeModulePaths(path.dirname(filePath));
+
+    try {
+      sidebarModule._compile(source, filePath);
+    } catch (error) {
+      throw new Error(`Failed to evaluate ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    const exported = sidebarModule.exports;
+    return exported && exported.__esModule ? exported.default : exported;
+  }
+
+  /**
+   * Rewrite ESM and TypeScript-only syntax used by Docusaurus sidebars files into CommonJS
+   * @param {string} source - File content
+   * @returns {string}
+   */
+  transpile(source) {
+    return source
+      .replace(/^\s*import\s+type\s+[^;]+;?\s*$/gm, '')
+      .replace(/^\s*import\s+(\{[^}]*\}|\*\s+as\s+\w+|\w+)\s+from\s+(['"][^'"]+['"]);?/gm, (match, bindings, specifier) => {
+        const name = bindings.replace(/^\*\s+as\s+/, '');
+        return `const ${name.replace(/\s+as\s+/g, ': ')} = require(${specifier});`;
+      })
+      .replace(/^(\s*(?:const|let|var)\s+\w+)\s*:\s*[\w.]+(?:<[^=]*>)?(?:\[\])?\s*=/gm, '$1 =')
+      .replace(/\s+satisfies\s+[\w.]+/g, '')
+      .replace(/\s+as\s+const\b/g, '')
+      .replace(/^\s*export\s+default\s+/m, 'module.exports = ');
+  }
+
+  /**
+   * Lay out scanned documents according to the sidebars file
+   * @param {Array} documents - Documents from DocusaurusScanner
+   * @param {string|boolean} sidebarsOption - true to auto-detect, or path to sidebars file
+   * @returns {Object|null} - {sidebarsFile, categories, placements, links, unlisted} or null without sidebars file
+   */
+  async resolve(documents, sidebarsOption = true) {
+    const sidebarsFile = await this.find(sidebarsOption);
+    if (!sidebarsFile) {
+      console.warn(chalk.yellow('⚠️ No sidebars file found, using directory hierarchy'));
+      return null;
+    }
+
+    const sidebars = await this.load(sidebarsFile);
+    if (!sidebars || typeof sidebars !== 'object') {
+      throw new Error(`${path.basename(sidebarsFile)} must export an object of sidebars`);
+    }
+
+    const layout = this.buildLayout(documents, sidebars);
+    layout.sidebarsFile = sidebarsFile;
+
+    console.log(chalk.green(`✓ Using ${path.relative(this.projectRoot, sidebarsFile)} (${layout.categories.size} categories)`));
+    if (layout.unlisted.length > 0) {
+      console.log(chalk.gray(`ℹ️ ${layout.unlisted.length} doc(s) not in any sidebar are synced at the top level`));
+    }
+
+    return layout;
+  }
+
+  /**
+   * Walk all sidebars and assign each document a virtual category path and position
+   * @param {Array} documents - Scanned documents
+   * @param {Object} sidebars - Evaluated sidebars file
+   * @returns {Object} - {categories, placements, links, unlisted}
+   */
+  buildLayout(documents, sidebars) {
+    const layout = {
+      categories: new Map(), // category path -> {path, segment, parentPath, data, indexDocument}
+      placements: new Map(), // document relativePath -> {category, position}
+      links: [],
+      unlisted: []
+    };
+
+    this.documentsById = new Map(documents.map(document => [this.getDocId(document), document]));
+    this.documents = documents;
+    this.order = 0;
+
+    const sidebarIds = Object.keys(sidebars);
+    for (const sidebarId of sidebarIds) {
+      if (sidebarIds.length === 1) {
+        this.walkItems(sidebars[sidebarId], null, layout);
+      } else {
+        // Several sidebars: one top-level category per sidebar
+        const categoryPath = this.addCategory(layout, null, this.formatLabel(sidebarId), {});
+        this.walkItems(sidebars[sidebarId], categoryPath, layout);
+      }
+    }
+
+    for (const document of documents) {
+      if (!layout.placements.has(document.relativePath)) {
+        layout.unlisted.push(document);
+        layout.placements.set(document.relativePath, { category: null, position: ++this.order });
+      }
+    }
+
+    return layout;
+  }
+
+  /**
+   * Walk sidebar items (array or {label: items} shorthand)
+   */
+  walkItems(items, parentPath, layout) {
+    if (!items) {
+      return;
+    }
+
+    if (!Array.isArray(items)) {
+      // Shorthand: { 'Category label': [items] }
+      items = Object.entries(items).map(([label, categoryItems]) => ({ type: 'category', label, items: categoryItems }));
+    }
+
+    for (const item of items) {
+      this.walkItem(item, parentPath, layout);
+    }
+  }
+
+  /**
+   * Walk a single sidebar item
+   */
+  walkItem(item, parentPath, layout) {
+    if (typeof item === 'string') {
+      this.placeDocument(item, parentPath, layout);
+      return;
+    }
+
+    if (!item || typeof item !== 'object') {
+      return;
+    }
+
+    if (!item.type && !item.id && !item.items && !item.href) {
+      // Shorthand category inside an items array: { 'Label': [items] }
+      this.walkItems(item, parentPath, layout);
+      return;
+    }
+
+    const type = item.type || (item.items ? 'category' : (item.href ? 'link' : 'doc'));
+
+    switch (type) {
+      case 'doc':
+        this.placeDocument(item.id, parentPath, layout);
+        break;
+      case 'category':
+        this.walkCategory(item, parentPath, layout);
+        break;
+      case 'link':
+        this.addLink(item, parentPath, layout);
+        break;
+      case 'autogenerated':
+        this.walkAutogenerated(item.dirName || '.', parentPath, layout);
+        break;
+      case 'ref':
+      case 'html':
+        break; // Not part of the page tree
+      default:
+        console.warn(chalk.yellow(`⚠️ Unsupported sidebar item type "${type}"`));
+    }
+  }
+
+  /**
+   * Walk category item: {type: 'category', label, items, link}
+   */
+  walkCategory(item, parentPath, layout) {
+    const link = item.link || {};
+    const data = { label: item.label, description: item.description };
+    if (link.type === 'generated-index') {
+      data.link = { type: 'generated-index', description: link.description };
+    }
+
+    const categoryPath = this.addCategory(layout, parentPath, item.label, data);
+
+    if (link.type === 'doc') {
+      const document = this.placeDocument(link.id, categoryPath, layout);
+      if (document) {
+        layout.categories.get(categoryPath).indexDocument = document;
+      }
+    }
+
+    this.walkItems(item.items, categoryPath, layout);
+  }
+
+  /**
+   * Expand {type: 'autogenerated', dirName} from the docs directory structure
+   */
+  walkAutogenerated(dirName, parentPath, layout) {
+    const baseDir = dirName === '.' ? '' : dirName.replace(/^\.\/|\/$/g, '');
+    const entries = this.getDirectoryEntries(baseDir);
+
+    for (const entry of entries) {
+      if (entry.document) {
+        this.placeDocument(this.getDocId(entry.document), parentPath, layout);
+        continue;
+      }
+
+      const data = SidebarResolver.loadCategoryFileSync(path.join(this.docsDir, entry.dirPath));
+      const indexDocument = this.findIndexDocument(entry.dirPath);
+      const categoryData = { label: data.label || this.formatLabel(this.stripNumberPrefix(entry.name)), description: data.description };
+      if (data.link?.type === 'generated-index') {
+        categoryData.link = { type: 'generated-index', description: data.link.description };
+      }
+
+      const categoryPath = this.addCategory(layout, parentPath, categoryData.label, categoryData);
+      if (indexDocument) {
+        this.placeDocument(this.getDocId(indexDocument), categoryPath, layout);
+        layout.categories.get(categoryPath).indexDocument = indexDocument;
+      }
+
+      this.walkAutogenerated(entry.dirPath, categoryPath, layout);
+    }
+  }
+
+  /**
+   * List documents and subdirectories of a docs/ directory sorted like the autogenerated sidebar
+   * @param {string} dirPath - Directory relative to docs/ ('' for docs root)
+   * @returns {Array} - [{name, position, document}] or [{name, position, dirPath}]
+   */
+  getDirectoryEntries(dirPath) {
+    const entries = [];
+    const subdirectories = new Set();
+
+    for (const document of this.documents) {
+      const documentDir = this.toPosix(path.dirname(document.relativePath)).replace(/^\.$/, '');
+      if (documentDir === dirPath) {
+        entries.push({
+          name: path.basename(document.relativePath),
+          position: document.frontmatter?.sidebar_position,
+          document
+        });
+      } else if (documentDir.startsWith(dirPath ? `${dirPath}/` : '')) {
+        const child = documentDir.slice(dirPath ? dirPath.length + 1 : 0).split('/')[0];
+        subdirectories.add(dirPath ? `${dirPath}/${child}` : child);
+      }
+    }
+
+    for (const subdirectory of subdirectories) {
+      const data = SidebarResolver.loadCategoryFileSync(path.join(this.docsDir, subdirectory));
+      entries.push({ name: path.basename(subdirectory), position: data.position, dirPath: subdirectory });
+    }
+
+    // Category index documents were already placed with their directory (first placement wins)
+    return entries
+      .sort((a, b) => {
+        const positionA = typeof a.position === 'number' ? a.position : UNPOSITIONED;
+        const positionB = typeof b.position === 'number' ? b.position : UNPOSITIONED;
+        return positionA !== positionB ? positionA - positionB : a.name.localeCompare(b.name);
+      });
+  }
+
+  /**
+   * Find category index document of a directory (index.md > README.md > <dir>/<dir>.md)
+   */
+  findIndexDocument(dirPath) {
+    const dirName = this.stripNumberPrefix(path.basename(dirPath)).toLowerCase();
+    const candidates = this.documents
+      .filter(document => this.toPosix(path.dirname(document.relativePath)) === dirPath)
+      .map(document => {
+        const name = this.stripNumberPrefix(path.basename(document.relativePath, path.extname(document.relativePath))).toLowerCase();
+        return { document, rank: [...INDEX_NAMES, dirName].indexOf(name) };
+      })
+      .filter(candidate => candidate.rank !== -1)
+      .sort((a, b) => a.rank - b.rank);
+
+    return candidates.length > 0 ? candidates[0].document : null;
+  }
+
+  /**
+   * Place a document under a category, first occurrence wins
+   * @returns {Object|null} Placed document
+   */
+  placeDocument(docId, categoryPath, layout) {
+    const document = this.documentsById.get(docId);
+
+    if (!document) {
+      console.warn(chalk.yellow(`⚠️ Sidebar references unknown doc "${docId}"`));
+      return null;
+    }
+
+    if (layout.placements.has(document.relativePath)) {
+      return document; // Docs listed twice stay in their first location
+    }
+
+    layout.placements.set(document.relativePath, { category: categoryPath, position: ++this.order });
+    return document;
+  }
+
+  /**
+   * Register a category and return its unique path
+   */
+  addCategory(layout, parentPath, label, data) {
+    const baseSegment = this.slugify(label) || 'category';
+    let segment = baseSegment;
+    let suffix = 2;
+
+    while (layout.categories.has(parentPath ? `${parentPath}/${segment}` : segment)) {
+      segment = `${baseSegment}-${suffix++}`;
+    }
+
+    const categoryPath = parentPath ? `${parentPath}/${segment}` : segment;
+    layout.categories.set(categoryPath, {
+      path: categoryPath,
+      segment,
+      parentPath,
+      data: { ...data, label, position: ++this.order, links: [] },
+      indexDocument: null
+    });
+
+    return categoryPath;
+  }
+
+  /**
+   * Attach {type: 'link'} items to their category page
+   */
+  addLink(item, parentPath, layout) {
+    const link = { label: item.label || item.href, href: item.href };
+    layout.links.push({ ...link, category: parentPath });
+
+    if (parentPath) {
+      layout.categories.get(parentPath).data.links.push(link);
+    }
+  }
+
+  /**
+   * Apply layout to documents: virtual category and sidebar order
+   * @param {Array} documents - Scanned documents (modified in place)
+   * @param {Object} layout - Result of resolve()
+   * @returns {Array} Documents sorted in sidebar order
+   */
+  apply(documents, layout) {
+    for (const document of documents) {
+      const placement = layout.placements.get(document.relativePath);
+      if (placement) {
+        document.category = placement.category;
+        document.sidebarPosition = placement.position;
+      }
+    }
+
+    return documents.sort((a, b) => a.sidebarPosition - b.sidebarPosition);
+  }
+
+  /**
+   * Docusaurus doc id: path relative to docs/ without extension and number prefixes,
+   * last segment replaced by frontmatter id
+   */
+  getDocId(document) {
+    const relativePath = this.toPosix(document.relativePath).replace(/\.mdx?$/i, '');
+    const segments = relativePath.split('/').map(segment => this.stripNumberPrefix(segment));
+
+    if (document.frontmatter?.id) {
+      segments[segments.length - 1] = document.frontmatter.id;
+    }
+
+    return segments.join('/');
+  }
+
+  /**
+   * Strip Docusaurus number prefixes ("01-intro" -> "intro")
+   */
+  stripNumberPrefix(segment) {
+    return segment.replace(/^\d+\s*[-_.]\s*(?=.)/, '');
+  }
+
+  /**
+   * Format identifier to readable label ("tutorialSidebar" -> "Tutorial Sidebar")
+   */
+  formatLabel(name) {
+    return name
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[-_]/g, ' ')
+      .replace(/\b\w/g, l => l.toUpperCase())
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  slugify(label) {
+    return String(label || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+  }
+
+  /**
+   * Load _category_.json (or .yml) of a directory
+   * @param {string} dirPath - Absolute directory path
+   * @returns {Object} Category data or empty object
+   */
+  static loadCategoryFileSync(dirPath) {
+    for (const fileName of CATEGORY_FILES) {
+      const categoryFile = path.join(dirPath, fileName);
+
+      if (fs.pathExistsSync(categoryFile)) {
+        try {
+          const data = fileName.endsWith('.json')
+            ? fs.readJsonSync(categoryFile)
+            : yaml.safeLoad(fs.readFileSync(categoryFile, 'utf8'));
+          return data || {};
+        } catch (error) {
+          console.warn(chalk.yellow(`⚠️ Failed to load ${fileName} in ${dirPath}: ${error.message}`));
+          return {};
+        }
+      }
+    }
+
+    return {};
+  }
+}
+
+SidebarResolver.FILE_NAMES = SIDEBAR_FILE_NAMES;
+
+module.exports = SidebarResolver;
@@ -37,6 +37,7 @@ class StateManager {
       version: '1.0.0',
       lastSync: null,
       pages: {},
+      categories: {},
       stats: {
         totalPages: 0,
         created: 0,
@@ -93,6 +94,39 @@ class StateManager {
       ...pageData,
       lastSync: new Date().toISOString()
     };
+    this.clearFailure(filePath);
+  }
+
+  /**
+   * Record the error of a file that failed to sync (shown by docflu status until it syncs again)
+   * @param {string} filePath - relative file path
+   * @param {Error|string} error - sync error
+   */
+  recordFailure(filePath, error) {
+    this.state.failures = this.state.failures || {};
+    this.state.failures[filePath] = {
+      message: error?.message || String(error),
+      time: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the error of the last failed sync of a file
+   * @param {string} filePath - relative file path
+   * @returns {Object|null} {message, time}
+   */
+  getFailure(filePath) {
+    return this.state.failures?.[filePath] || null;
+  }
+
+  /**
+   * Forget the last failure of a file
+   * @param {string} filePath - relative file path
+   */
+  clearFailure(filePath) {
+    if (this.state.failures) {
+      delete this.state.failures[filePath];
+    }
   }
 
   /**
@@ -103,9 +137,31 @@ class StateManager {
   }
 
   /**
-   * Check if page needs sync (modified since last sync)
+   * Get parent page state for a docs/ category directory
    */
-  needsSync(filePath, lastModified) {
+  getCategoryState(categoryPath) {
+    return this.state.categories?.[categoryPath] || null;
+  }
+
+  /**
+   * Set parent page state for a docs/ category directory
+   */
+  setCategoryState(categoryPath, categoryData) {
+    this.state.categories = this.state.categories || {};
+    this.state.categories[categoryPath] = {
+      ...categoryData,
+      lastSync: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check if page needs sync
+   * Uses the content hash (source + dependencies) when available, file mtime otherwise
+   * @param {string} filePath - relative file path
+   * @param {Date|string} lastModified - file modification time
+   * @param {string} contentHash - hash from ContentHasher (optional)
+   */
+  needsSync(filePath, lastModified, contentHash = null) {
     const pageState = this.getPageState(filePath);
     
     if (!pageState) {
@@ -116,6 +172,10 @@ class StateManager {
       return true; // Never synced
     }
 
+    if (contentHash && pageState.contentHash) {
+      return pageState.contentHash !== contentHash;
+    }
+
     const lastSyncTime = new Date(pageState.lastSync);
     const fileModTime = new Date(lastModified);
 
@@ -232,6 +292,7 @@ class StateManager {
         version: importedState.version || '1.0.0',
         lastSync: importedState.lastSync,
         pages: importedState.pages,
+        categories: importedState.categories || {},
         stats: importedState.stats,
         configuration: importedState.configuration || {}
       };
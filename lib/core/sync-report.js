@@ -0,0 +1,363 @@
+const fs = require('fs-extra');
+const path = require('path');
+const DiagramRendererRegistry = require('./diagrams/renderer-registry');
+
+// Outcomes of a file, in summary order
+const ACTIONS = ['created', 'updated', 'skipped', 'conflict', 'previewed', 'failed'];
+
+const CODE_FENCE = /^[ \t]*(```|~~~)[^\n]*\n[\s\S]*?^[ \t]*\1[ \t]*$/gm;
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\([^)]+\)/g;
+const HTML_IMAGE = /<img\b/gi;
+
+// Stack frames kept per error
+const MAX_STACK_FRAMES = 10;
+
+/**
+ * Sync Report
+ * Records what a sync did to each file (action, remote page, timing, diagrams, images, errors)
+ * and writes it as JSON or as JUnit XML for CI test dashboards (--report <file>)
+ */
+class SyncReport {
+  /**
+   * @param {Object} options - {platform, mode, projectRoot, dryRun, skipConflicts, diagramRenderers}
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || 'confluence';
+    this.mode = options.mode || null;
+    this.projectRoot = options.projectRoot || process.cwd();
+    this.dryRun = Boolean(options.dryRun);
+    // Pages edited remotely fail the sync, unless --skip-conflicts asked to only report them
+    this.skipConflicts = Boolean(options.skipConflicts);
+    // Registry whose diagram languages are counted (built-in renderers until the sync sets its own)
+    this.diagramRenderers = options.diagramRenderers || null;
+    this.files = [];
+    this.retries = 0; // Requests sent again by the API clients
+    this.rateLimited = 0;
+    this.error = null;
+    this.startedAt = new Date();
+    this.finishedAt = null;
+  }
+
+  /**
+   * Start timing a file
+   * @param {string} file - File path as shown in the sync log
+   * @param {Object} details - {title, markdown}
+   * @returns {Object} Report entry, passed to finishFile() / failFile()
+   */
+  startFile(file, details = {}) {
+    const entry = {
+      file,
+      title: null,
+      action: null,
+      id: null,
+      url: null,
+      durationMs: null,
+      diagrams: 0,
+      images: 0,
+      error: null
+    };
+    Object.defineProperty(entry, 'startTime', { value: Date.now() });
+
+    this.applyDetails(entry, details);
+    this.files.push(entry);
+    return entry;
+  }
+
+  /**
+   * Record the outcome of a started file
+   * @param {Object} entry - Entry returned by startFile()
+   * @param {string} action - created, updated, skipped, conflict or previewed
+   * @param {Object} details - {id, url, title, markdown, diagrams, images}
+   * @returns {Object} The entry
+   */
+  finishFile(entry, action, details = {}) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown report action: ${action}`);
+    }
+
+    entry.action = action;
+    entry.durationMs = Date.now() - entry.startTime;
+    this.applyDetails(entry, details);
+    return entry;
+  }
+
+  /**
+   * Record a file that failed to sync
+   * @param {Object} entry - Entry returned by startFile()
+   * @param {Error|Object|string} error - Error, or {message, stack}
+   * @param {Object} details - {id, url, title, markdown}
+   * @returns {Object} The entry
+   */
+  failFile(entry, error, details = {}) {
+    this.finishFile(entry, 'failed', details);
+    entry.error = SyncReport.serializeError(error);
+    return entry;
+  }
+
+  /**
+   * Record a file that was not timed (unchanged files, dry run listings)
+   * @param {string} file - File path
+   * @param {string} action - Report action
+   * @param {Object} details - {id, url, title, markdown}
+   * @returns {Object} The entry
+   */
+  addFile(file, action, details = {}) {
+    return this.finishFile(this.startFile(file), action, details);
+  }
+
+  /**
+   * Record an error that stopped the whole sync
+   * @param {Error} error - Sync error
+   */
+  fail(error) {
+    this.error = SyncReport.serializeError(error);
+  }
+
+  /**
+   * Stop the clock; files still in progress are reported as failed
+   */
+  finish() {
+    this.finishedAt = new Date();
+    for (const entry of this.files.filter(file => !file.action)) {
+      this.failFile(entry, this.error || { message: 'Sync stopped before this file finished' });
+    }
+  }
+
+  /**
+   * Record a request sent again by an API client retry policy
+   * @param {boolean} rateLimited - Whether the failed attempt was rate limited
+   */
+  recordRetry(rateLimited = false) {
+    this.retries++;
+    if (rateLimited) {
+      this.rateLimited++;
+    }
+  }
+
+  /**
+   * Count diagrams with the renderers of the running sync, including diagrams.renderers from the config file
+   * @param {DiagramRendererRegistry} diagramRenderers - Diagram renderer registry
+   */
+  setDiagramRenderers(diagramRenderers) {
+    this.diagramRenderers = diagramRenderers;
+  }
+
+  /**
+   * Number of failed files
+   * @returns {number}
+   */
+  get failed() {
+    return this.files.filter(file => file.action === 'failed').length;
+  }
+
+  /**
+   * Number of files left in conflict (edited remotely since the last sync)
+   * @returns {number}
+   */
+  get conflicts() {
+    return this.files.filter(file => file.action === 'conflict').length;
+  }
+
+  /**
+   * Whether the sync succeeded: no error, no failed file and, unless --skip-conflicts, no conflict
+   * @returns {boolean}
+   */
+  get success() {
+    return !this.error && this.failed === 0 && (this.skipConflicts || this.conflicts === 0);
+  }
+
+  /**
+   * Copy known details onto an entry
+   * @param {Object} entry - Report entry
+   * @param {Object} details - {id, url, title, markdown, diagrams, images}
+   */
+  applyDetails(entry, details) {
+    for (const key of ['id', 'url', 'title', 'diagrams', 'images']) {
+      if (details[key] !== undefined && details[key] !== null) {
+        entry[key] = key === 'id' ? String(details[key]) : details[key];
+      }
+    }
+    if (typeof details.markdown === 'string') {
+      this.diagramRenderers = this.diagramRenderers || DiagramRendererRegistry.create(this.projectRoot);
+      Object.assign(entry, SyncReport.countMedia(details.markdown, this.diagramRenderers));
+    }
+  }
+
+  /**
+   * Report as a plain object
+   * @returns {Object}
+   */
+  toJSON() {
+    const finishedAt = this.finishedAt || new Date();
+    const files = [...this.files].sort((a, b) => a.file.localeCompare(b.file));
+    const summary = { total: files.length };
+    for (const action of ACTIONS) {
+      summary[action] = files.filter(file => file.action === action).length;
+    }
+    summary.diagrams = files.reduce((total, file) => total + file.diagrams, 0);
+    summary.images = files.reduce((total, file) => total + file.images, 0);
+    summary.retries = this.retries;
+    summary.rateLimited = this.rateLimited;
+
+    return {
+      platform: this.platform,
+      mode: this.mode,
+      projectRoot: this.projectRoot,
+      dryRun: this.dryRun,
+      skipConflicts: this.skipConflicts,
+      success: this.success,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      summary,
+      error: this.error,
+      files
+    };
+  }
+
+  /**
+   * Report as JUnit XML: one test case per file, failed and conflicting files as failures
+   * (conflicts as skipped with --skip-conflicts), unchanged files as skipped, an error stopping the sync as an error,
+   * retried requests as test suite properties
+   * @returns {string}
+   */
+  toJUnit() {
+    const report = this.toJSON();
+    const suite = `docflu.${report.platform}`;
+    const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+    const cases = [];
+
+    for (const file of report.files) {
+      const attributes = `classname="${escapeXml(suite)}" name="${escapeXml(file.file)}" time="${seconds(file.durationMs)}"`;
+      const output = [file.title, file.id && `id: ${file.id}`, file.url].filter(Boolean).join('\n');
+      let body = '';
+
+      if (file.action === 'failed') {
+        const error = file.error || {};
+        body = `      <failure message="${escapeAttribute(error.message)}" type="${escapeAttribute(error.name || 'Error')}">${escapeXml(error.stack || error.message)}</failure>\n`;
+      } else if (file.action === 'skipped') {
+        body = '      <skipped message="unchanged since the last sync"/>\n';
+      } else if (file.action === 'conflict' && this.skipConflicts) {
+        body = '      <skipped message="edited remotely since the last sync"/>\n';
+      } else if (file.action === 'conflict') {
+        body = '      <failure message="edited remotely since the last sync" type="Conflict"/>\n';
+      }
+      if (output) {
+        body += `      <system-out>${escapeXml(output)}</system-out>\n`;
+      }
+
+      cases.push(body ? `    <testcase ${attributes}>\n${body}    </testcase>` : `    <testcase ${attributes}/>`);
+    }
+
+    if (report.error) {
+      cases.push([
+        `    <testcase classname="${escapeXml(suite)}" name="sync" time="${seconds(report.durationMs)}">`,
+        `      <error message="${escapeAttribute(report.error.message)}" type="${escapeAttribute(report.error.name || 'Error')}">${escapeXml(report.error.stack || report.error.message)}</error>`,
+        '    </testcase>'
+      ].join('\n'));
+    }
+
+    const counts = [
+      `tests="${cases.length}"`,
+      `failures="${report.summary.failed + (this.skipConflicts ? 0 : report.summary.conflict)}"`,
+      `errors="${report.error ? 1 : 0}"`,
+      `skipped="${report.summary.skipped + (this.skipConflicts ? report.summary.conflict : 0)}"`,
+      `time="${seconds(report.durationMs)}"`
+    ].join(' ');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="docflu" ${counts}>`,
+      `  <testsuite name="${escapeXml(suite)}" ${counts} timestamp="${report.startedAt}">`,
+      '    <properties>',
+      `      <property name="retries" value="${report.summary.retries}"/>`,
+      `      <property name="rateLimited" value="${report.summary.rateLimited}"/>`,
+      '    </properties>',
+      ...cases,
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Write the report: JUnit XML for .xml paths, JSON otherwise
+   * @param {string} reportPath - Output file, relative to the working directory
+   * @returns {Promise<string>} Absolute path of the written report
+   */
+  async write(reportPath) {
+    if (!this.finishedAt) {
+      this.finish();
+    }
+
+    const outputPath = path.resolve(reportPath);
+    const content = /\.xml$/i.test(outputPath)
+      ? this.toJUnit()
+      : JSON.stringify(this.toJSON(), null, 2) + '\n';
+    await fs.outputFile(outputPath, content);
+    return outputPath;
+  }
+
+  /**
+   * Count diagrams and images of a markdown document
+   * Diagrams are the code fences the registry renders, so renderers from the config file are counted too
+   * @param {string} markdown - Markdown content
+   * @param {DiagramRendererRegistry} diagramRenderers - Diagram renderer registry (built-in renderers by default)
+   * @returns {Object} {diagrams, images}
+   */
+  static countMedia(markdown, diagramRenderers = DiagramRendererRegistry.create()) {
+    const diagrams = diagramRenderers.extractDiagrams(markdown, { quiet: true }).length;
+    const prose = markdown.replace(CODE_FENCE, '');
+    const images = (prose.match(MARKDOWN_IMAGE) || []).length + (prose.match(HTML_IMAGE) || []).length;
+    return { diagrams, images };
+  }
+
+  /**
+   * Error details for the report, with the top of the stack
+   * @param {Error|Object|string} error - Error, or {message, stack}
+   * @returns {Object} {name, message, code, status, stack}
+   */
+  static serializeError(error) {
+    if (!error || typeof error !== 'object') {
+      return { name: 'Error', message: String(error || 'Unknown error'), code: null, status: null, stack: null };
+    }
+
+    const stack = typeof error.stack === 'string'
+      ? error.stack.split('\n').slice(0, MAX_STACK_FRAMES + 1).join('\n')
+      : null;
+    const status = error.response?.status ?? error.status;
+
+    return {
+      name: error.name || 'Error',
+      message: error.message || String(error),
+      code: error.code ?? null,
+      status: typeof status === 'number' ? status : null,
+      stack
+    };
+  }
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '') // Not allowed in XML
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for XML attributes, keeping line breaks of multi-line messages
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return escapeXml(value).replace(/\n/g, '&#10;').replace(/\r/g, '&#13;').replace(/\t/g, '&#9;');
+}
+
+module.exports = SyncReport;
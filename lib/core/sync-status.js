@@ -0,0 +1,377 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ContentHasher = require('./content-hasher');
+const PagePruner = require('./page-pruner');
+const WorkerPool = require('./worker-pool');
+const RetryPolicy = require('./retry-policy');
+const NotionReferenceResolver = require('./notion/reference-resolver');
+const GoogleDocsTabLayout = require('./gdocs/tab-layout');
+
+// Row statuses, in summary order
+const STATUSES = ['new', 'modified', 'up-to-date', 'orphaned', 'failed'];
+
+const STATUS_STYLES = {
+  new: { icon: '🆕', color: chalk.cyan },
+  modified: { icon: '✏️ ', color: chalk.yellow },
+  'up-to-date': { icon: '✅', color: chalk.green },
+  orphaned: { icon: '👻', color: chalk.magenta },
+  failed: { icon: '❌', color: chalk.red }
+};
+
+/**
+ * Sync Status
+ * Compares the markdown files of a project with the sync state of a platform (docflu status):
+ * each file is new, modified since its last sync, up to date or failing since its last sync,
+ * and state entries whose file was removed are orphaned. Remote pages can be checked for existence.
+ */
+class SyncStatus {
+  /**
+   * @param {string} projectRoot - Project root directory
+   * @param {Object} options - {docsDir, concurrency}
+   */
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = path.resolve(projectRoot);
+    this.docsDir = path.resolve(this.projectRoot, options.docsDir || 'docs');
+    this.concurrency = options.concurrency || 5;
+  }
+
+  /**
+   * Status of each file against the Confluence state
+   * @param {Array} documents - Scanned documents
+   * @param {StateManager} stateManager - Confluence state manager
+   * @param {string} baseUrl - Confluence base URL
+   * @returns {Promise<Array>} Status rows
+   */
+  async collectConfluence(documents, stateManager, baseUrl) {
+    const contentHasher = new ContentHasher(this.projectRoot);
+    const pageUrl = pageId => `${baseUrl}/pages/viewpage.action?pageId=${pageId}`;
+    const rows = [];
+
+    for (const document of documents) {
+      const pageState = stateManager.getPageState(document.relativePath);
+      const pageId = pageState?.confluenceId;
+      let status = 'new';
+
+      if (pageId) {
+        const { hash } = await contentHasher.hashDocument(document.filePath);
+        status = stateManager.needsSync(document.relativePath, document.lastModified, hash) ? 'modified' : 'up-to-date';
+      }
+
+      rows.push(createRow(document.relativePath, {
+        title: pageState?.title || document.title,
+        status,
+        id: pageId,
+        url: pageId && pageUrl(pageId),
+        lastSync: pageState?.lastSync,
+        failure: stateManager.getFailure(document.relativePath)
+      }));
+    }
+
+    const pruner = new PagePruner(this.projectRoot, { docsDir: this.docsDir });
+    for (const orphan of await pruner.findOrphans(stateManager.getAllPages(), 'confluenceId')) {
+      rows.push(createRow(orphan.filePath, {
+        title: orphan.title,
+        status: 'orphaned',
+        id: orphan.pageId,
+        url: pageUrl(orphan.pageId),
+        lastSync: stateManager.getPageState(orphan.filePath)?.lastSync
+      }));
+    }
+
+    return sortRows(rows);
+  }
+
+  /**
+   * Status of each file against the Notion state
+   * @param {Array} documents - Scanned documents
+   * @param {NotionState} state - Notion state
+   * @returns {Promise<Array>} Status rows
+   */
+  async collectNotion(documents, state) {
+    const rows = [];
+
+    for (const document of documents) {
+      const pageData = state.getPageData(document.relativePath);
+      const pageId = pageData?.pageId;
+      let status = 'new';
+
+      if (pageId) {
+        status = state.needsSync(document.relativePath, state.calculateFileHash(document.relativePath)) ? 'modified' : 'up-to-date';
+      }
+
+      rows.push(createRow(document.relativePath, {
+        title: pageData?.title || document.title,
+        status,
+        id: pageId,
+        url: pageId && NotionReferenceResolver.getPageUrl(pageId),
+        lastSync: pageData?.lastSync,
+        failure: state.getFailure(document.relativePath)
+      }));
+    }
+
+    const pruner = new PagePruner(this.projectRoot, { docsDir: this.docsDir });
+    for (const orphan of await pruner.findOrphans(state.getAllPages(), 'pageId')) {
+      rows.push(createRow(orphan.filePath, {
+        title: orphan.title,
+        status: 'orphaned',
+        id: orphan.pageId,
+        url: NotionReferenceResolver.getPageUrl(orphan.pageId),
+        lastSync: state.getPageData(orphan.filePath)?.lastSync
+      }));
+    }
+
+    return sortRows(rows);
+  }
+
+  /**
+   * Status of each file against the Google Docs state.
+   * Files and tabs are tracked per file; the single layout only records when the root document was
+   * last synced, so files modified after that are reported as modified
+   * @param {Array} documents - Scanned documents
+   * @param {GoogleDocsState} state - Google Docs state
+   * @param {string} layout - 'single', 'files' or 'tabs'
+   * @returns {Promise<Array>} Status rows
+   */
+  async collectGoogleDocs(documents, state, layout = 'single') {
+    const rootDocument = state.getRootDocument();
+    const lastSync = state.state.lastSync;
+    const rows = [];
+
+    for (const document of documents) {
+      let tracked = null;
+      let status = 'new';
+
+      if (layout === 'single') {
+        if (rootDocument.documentId && lastSync) {
+          tracked = { documentId: rootDocument.documentId, documentUrl: rootDocument.documentUrl, lastSync };
+          status = new Date(document.lastModified) > new Date(lastSync) ? 'modified' : 'up-to-date';
+        }
+      } else {
+        tracked = layout === 'tabs' ? state.getTabDocument(document.filePath) : state.getFileDocument(document.filePath);
+        if (tracked) {
+          const key = state.getDocumentKey(tracked.documentId, tracked.tabId);
+          status = await state.needsSync(document.filePath, key) ? 'modified' : 'up-to-date';
+        }
+      }
+
+      rows.push(createRow(document.relativePath, {
+        title: tracked?.title || document.title,
+        status,
+        id: tracked && (tracked.tabId ? `${tracked.documentId}#${tracked.tabId}` : tracked.documentId),
+        url: tracked?.documentUrl,
+        lastSync: tracked?.lastSync,
+        failure: state.getFailure(document.filePath)
+      }));
+    }
+
+    // Documents and tabs are keyed by ID; their absolute file path locates the source file
+    const documentsByFile = {};
+    for (const tracked of Object.values(state.state.documents || {})) {
+      if (tracked.layout === layout && tracked.filePath) {
+        documentsByFile[tracked.filePath] = tracked;
+      }
+    }
+
+    const pruner = new PagePruner(this.projectRoot, { docsDir: this.docsDir });
+    for (const orphan of await pruner.findOrphans(documentsByFile, 'documentId')) {
+      const tracked = documentsByFile[orphan.filePath];
+      rows.push(createRow(path.relative(this.docsDir, orphan.filePath), {
+        title: orphan.title,
+        status: 'orphaned',
+        id: tracked.tabId ? `${tracked.documentId}#${tracked.tabId}` : tracked.documentId,
+        url: tracked.documentUrl,
+        lastSync: tracked.lastSync
+      }));
+    }
+
+    return sortRows(rows);
+  }
+
+  /**
+   * Check that the Confluence pages of the rows still exist (trashed pages count as missing)
+   * @param {Array} rows - Status rows
+   * @param {ConfluenceClient} client - Confluence client
+   * @returns {Promise<Array>} The rows, with remote set
+   */
+  async verifyConfluence(rows, client) {
+    return this.verifyRows(rows, async row => {
+      try {
+        const page = await client.getPageById(row.id);
+        return page.status !== 'trashed';
+      } catch (error) {
+        if (/not found/i.test(error.message)) {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Check that the Notion pages of the rows still exist (archived pages count as missing)
+   * @param {Array} rows - Status rows
+   * @param {NotionClient} client - Notion client
+   * @returns {Promise<Array>} The rows, with remote set
+   */
+  async verifyNotion(rows, client) {
+    return this.verifyRows(rows, async row => {
+      try {
+        const page = await client.retrievePage(row.id);
+        return !page.archived && !page.in_trash;
+      } catch (error) {
+        if (error.code === 'object_not_found') {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Check that the Google Docs (and tabs) of the rows still exist; each document is fetched once
+   * @param {Array} rows - Status rows
+   * @param {GoogleDocsClient} client - Initialized Google Docs client
+   * @returns {Promise<Array>} The rows, with remote set
+   */
+  async verifyGoogleDocs(rows, client) {
+    const fetches = new Map();
+    const fetchDocument = documentId => {
+      if (!fetches.has(documentId)) {
+        fetches.set(documentId, client.getDocumentWithTabs(documentId).catch(error => {
+          if ([403, 404].includes(RetryPolicy.getStatus(error) ?? Number(error.code))) {
+            return null;
+          }
+          throw error;
+        }));
+      }
+      return fetches.get(documentId);
+    };
+
+    return this.verifyRows(rows, async row => {
+      const [documentId, tabId] = row.id.split('#');
+      const document = await fetchDocument(documentId);
+      if (!document) {
+        return false;
+      }
+      return !tabId || GoogleDocsTabLayout.flattenTabs(document.tabs).some(tab => tab.tabProperties?.tabId === tabId);
+    });
+  }
+
+  /**
+   * Check the remote page of each tracked row in parallel
+   * @param {Array} rows - Status rows
+   * @param {Function} exists - async row => whether its remote page exists
+   * @returns {Promise<Array>} The rows, with remote ('ok', 'missing' or 'error') and remoteError set
+   */
+  async verifyRows(rows, exists) {
+    const pool = new WorkerPool(this.concurrency);
+
+    await pool.run(rows.filter(row => row.id), async row => {
+      try {
+        row.remote = await exists(row) ? 'ok' : 'missing';
+      } catch (error) {
+        row.remote = 'error';
+        row.remoteError = error.message;
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Count rows per status (and missing remote pages)
+   * @param {Array} rows - Status rows
+   * @returns {Object} {total, new, modified, up-to-date, orphaned, failed, missing}
+   */
+  static summarize(rows) {
+    const summary = { total: rows.length };
+    for (const status of STATUSES) {
+      summary[status] = rows.filter(row => row.status === status).length;
+    }
+    summary.missing = rows.filter(row => row.remote === 'missing').length;
+    return summary;
+  }
+
+  /**
+   * Print the rows and their summary
+   * @param {Array} rows - Status rows
+   * @param {string} platformName - Platform shown in the header
+   */
+  static print(rows, platformName) {
+    console.log(chalk.blue(`\n📊 ${platformName} sync status`));
+    console.log(chalk.gray('='.repeat(platformName.length + 15)));
+
+    if (rows.length === 0) {
+      console.log(chalk.gray('No markdown files found'));
+    }
+
+    for (const row of rows) {
+      const style = STATUS_STYLES[row.status];
+      console.log(`${style.icon} ${style.color(row.status.padEnd(10))} ${row.file}`);
+
+      const details = [
+        row.url || (row.id ? `id: ${row.id}` : null),
+        row.lastSync ? `last sync ${formatTime(row.lastSync)}` : 'never synced'
+      ];
+      console.log(chalk.gray(`   ${details.filter(Boolean).join(' · ')}`));
+
+      if (row.error) {
+        console.log(chalk.red(`   ${row.error.message} (${formatTime(row.error.time)})`));
+      }
+      if (row.remote === 'missing') {
+        console.log(chalk.red('   Remote page no longer exists'));
+      } else if (row.remote === 'error') {
+        console.log(chalk.yellow(`   Could not check remote page: ${row.remoteError}`));
+      }
+    }
+
+    const summary = SyncStatus.summarize(rows);
+    console.log(chalk.cyan('\n📊 STATUS SUMMARY:'));
+    for (const status of STATUSES) {
+      console.log(STATUS_STYLES[status].color(`${status}:`), summary[status]);
+    }
+    if (rows.some(row => row.remote)) {
+      console.log(chalk.red('missing remotely:'), summary.missing);
+    }
+  }
+}
+
+/**
+ * Status row of a file; a failed last sync wins over the file's own status
+ * @param {string} file - Docs-relative file path
+ * @param {Object} details - {title, status, id, url, lastSync, failure}
+ * @returns {Object} {file, title, status, id, url, lastSync, error, remote}
+ */
+function createRow(file, details) {
+  return {
+    file,
+    title: details.title || null,
+    status: details.failure ? 'failed' : details.status,
+    id: details.id ? String(details.id) : null,
+    url: details.url || null,
+    lastSync: details.lastSync || null,
+    error: details.failure || null,
+    remote: null
+  };
+}
+
+/**
+ * Sort rows by file path
+ * @param {Array} rows - Status rows
+ * @returns {Array} The rows
+ */
+function sortRows(rows) {
+  return rows.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Format an ISO time for the status list
+ * @param {string} time - ISO time
+ * @returns {string} Local date and time
+ */
+function formatTime(time) {
+  return new Date(time).toLocaleString();
+}
+
+module.exports = SyncStatus;
@@ -0,0 +1,114 @@
+/**
+ * Worker Pool
+ * Runs a worker over a list of items with bounded concurrency. Items start in list order; an item
+ * can depend on earlier items (e.g. the first page of a new category creates the category page),
+ * and only starts once they have finished. Rate limits stay with the platform clients.
+ */
+class WorkerPool {
+  /**
+   * @param {number} concurrency - Maximum number of items processed at once
+   */
+  constructor(concurrency = 5) {
+    this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+  }
+
+  /**
+   * Process items, resolving once every item has finished
+   * @param {Array} items - Items to process
+   * @param {Function} worker - async (item, index) => result
+   * @param {Object} options - {dependsOn: item => [earlier items that must finish first]}
+   * @returns {Promise<Array>} Results in item order
+   */
+  async run(items, worker, options = {}) {
+    const dependsOn = options.dependsOn || (() => []);
+    const running = new Map(); // item -> promise settled when the item has finished
+    const results = new Array(items.length);
+    const errors = [];
+    let next = 0;
+
+    const runNext = async () => {
+      while (next < items.length) {
+        const index = next++;
+        const item = items[index];
+
+        const task = (async () => {
+          const dependencies = dependsOn(item).map(dependency => {
+            if (!running.has(dependency)) {
+              throw new Error('Worker pool items can only depend on earlier items');
+            }
+            return running.get(dependency);
+          });
+          await Promise.all(dependencies);
+          results[index] = await worker(item, index);
+        })();
+
+        // Dependents wait for the item to finish, whether it succeeded or not
+        running.set(item, task.catch(() => {}));
+
+        try {
+          await task;
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, runNext));
+
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+    return results;
+  }
+
+  /**
+   * Dependencies that create missing parents before their children: the first item under a missing
+   * parent path (in list order) creates it, later items under that path wait for that item
+   * @param {Array} items - Items in processing order
+   * @param {Function} getParentPath - item => parent path ('a/b', '' for the root)
+   * @param {Function} parentExists - path => true if the parent already exists remotely
+   * @returns {Function} dependsOn option of run()
+   */
+  static parentsFirst(items, getParentPath, parentExists) {
+    const creators = new Map(); // missing parent path -> item creating it
+    const dependencies = new Map();
+
+    for (const item of items) {
+      const parentPath = getParentPath(item) || '';
+      const segments = parentPath ? parentPath.split('/') : [];
+      const ancestors = [...new Set(['', ...segments.map((segment, i) => segments.slice(0, i + 1).join('/'))])];
+      const itemDependencies = new Set();
+
+      for (const ancestor of ancestors) {
+        if (parentExists(ancestor)) {
+          continue;
+        }
+        if (!creators.has(ancestor)) {
+          creators.set(ancestor, item);
+        } else if (creators.get(ancestor) !== item) {
+          itemDependencies.add(creators.get(ancestor));
+        }
+      }
+
+      dependencies.set(item, [...itemDependencies]);
+    }
+
+    return item => dependencies.get(item) || [];
+  }
+
+  /**
+   * Lock running async functions one at a time, for shared processors that are not reentrant
+   * @returns {Function} exclusive(fn) => Promise of fn()
+   */
+  static createLock() {
+    let tail = Promise.resolve();
+
+    return fn => {
+      const result = tail.then(() => fn());
+      tail = result.catch(() => {});
+      return result;
+    };
+  }
+}
+
+module.exports = WorkerPool;
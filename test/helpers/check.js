@@ -0,0 +1,50 @@
+const chalk = require('chalk');
+
+/**
+ * Create the check() function of a test script
+ * check(name, fn) runs one named check (fn returns or resolves to true when it passes) and prints its result;
+ * check.summary() prints the "Tests passed: X/Y" footer
+ * @returns {Function} check
+ */
+function createChecker() {
+  let testsPassed = 0;
+  let totalTests = 0;
+
+  const check = (name, fn) => {
+    totalTests++;
+    return Promise.resolve()
+      .then(fn)
+      .then(ok => {
+        if (ok) {
+          console.log(chalk.green(`   ✅ ${name}`));
+          testsPassed++;
+        } else {
+          console.log(chalk.red(`   ❌ ${name}`));
+        }
+      })
+      .catch(error => {
+        console.log(chalk.red(`   ❌ ${name}: ${error.message}`));
+      });
+  };
+
+  /**
+   * Print the summary of the checks run so far
+   * @returns {boolean} - true when all checks passed
+   */
+  check.summary = () => {
+    console.log(chalk.gray('\n================'));
+    console.log(chalk.cyan(`Tests passed: ${testsPassed}/${totalTests}`));
+
+    if (testsPassed === totalTests) {
+      console.log(chalk.green('🎉 All tests passed!'));
+      return true;
+    } else {
+      console.log(chalk.red(`❌ ${totalTests - testsPassed} tests failed`));
+      return false;
+    }
+  };
+
+  return check;
+}
+
+module.exports = { createChecker };
@@ -7,11 +7,24 @@ const MarkdownToBlocksConverter = require('../../lib/core/notion/markdown-to-blo
 const NotionDiagramProcessor = require('../../lib/core/notion/diagram-processor');
 const NotionImageProcessor = require('../../lib/core/notion/image-processor');
 
-// Import NEW individual processors
-const NotionMermaidProcessor = require('../../lib/core/notion/mermaid-processor');
-const NotionPlantUMLProcessor = require('../../lib/core/notion/plantuml-processor');
-const NotionGraphvizProcessor = require('../../lib/core/notion/graphviz-processor');
-const NotionD2Processor = require('../../lib/core/notion/d2-processor');
+// Diagram renderers for direct testing
+const DiagramRendererRegistry = require('../../lib/core/diagrams/renderer-registry');
+
+// SVG renderer of a diagram type, through the shared diagram renderer registry
+const diagramRenderers = DiagramRendererRegistry.create();
+const svgRenderer = type => ({
+  generateSVGContent: async code => {
+    const diagram = { type, code, id: DiagramRendererRegistry.generateDiagramId(type, code) };
+    const tempDir = path.join(require('os').tmpdir(), 'docflu-notion-diagrams');
+    const { filePath } = await diagramRenderers.render(diagram, { formats: ['svg'], tempDir });
+    if (!filePath) {
+      throw new Error('Failed to generate SVG file');
+    }
+    const svgContent = require('fs-extra').readFileSync(filePath, 'utf8');
+    require('fs-extra').removeSync(filePath);
+    return svgContent;
+  }
+});
 
 /**
  * Test Notion Diagram Conversion with NEW Processors
@@ -35,10 +48,10 @@ async function testNotionDiagramConversion() {
     const converter = new MarkdownToBlocksConverter(imageProcessor, diagramProcessor);
 
     // Test individual NEW processors
-    const mermaidProcessor = new NotionMermaidProcessor();
-    const plantumlProcessor = new NotionPlantUMLProcessor();
-    const graphvizProcessor = new NotionGraphvizProcessor();
-    const d2Processor = new NotionD2Processor();
+    const mermaidProcessor = svgRenderer('mermaid');
+    const plantumlProcessor = svgRenderer('plantuml');
+    const graphvizProcessor = svgRenderer('graphviz');
+    const d2Processor = svgRenderer('d2');
 
     // Test data with ALL diagram types from all.md
     const testDiagrams = {
@@ -7,11 +7,24 @@ const MarkdownToBlocksConverter = require('../../lib/core/notion/markdown-to-blo
 const NotionDiagramProcessor = require('../../lib/core/notion/diagram-processor');
 const NotionImageProcessor = require('../../lib/core/notion/image-processor');
 
-// Import NEW individual processors
-const NotionMermaidProcessor = require('../../lib/core/notion/mermaid-processor');
-const NotionPlantUMLProcessor = require('../../lib/core/notion/plantuml-processor');
-const NotionGraphvizProcessor = require('../../lib/core/notion/graphviz-processor');
-const NotionD2Processor = require('../../lib/core/notion/d2-processor');
+// Diagram renderers for direct testing
+const DiagramRendererRegistry = require('../../lib/core/diagrams/renderer-registry');
+
+// SVG renderer of a diagram type, through the shared diagram renderer registry
+const diagramRenderers = DiagramRendererRegistry.create();
+const svgRenderer = type => ({
+  generateSVGContent: async code => {
+    const diagram = { type, code, id: DiagramRendererRegistry.generateDiagramId(type, code) };
+    const tempDir = path.join(require('os').tmpdir(), 'docflu-notion-diagrams');
+    const { filePath } = await diagramRenderers.render(diagram, { formats: ['svg'], tempDir });
+    if (!filePath) {
+      throw new Error('Failed to generate SVG file');
+    }
+    const svgContent = require('fs-extra').readFileSync(filePath, 'utf8');
+    require('fs-extra').removeSync(filePath);
+    return svgContent;
+  }
+});
 
 async function testNotionConversion() {
   console.log(chalk.blue('🧪 Testing Notion Markdown to Blocks Conversion with NEW Processors'));
@@ -34,10 +47,10 @@ async function testNotionConversion() {
     console.log(chalk.yellow('\n🔧 Testing NEW Individual Processors:\n'));
     
     const processorTests = [
-      { name: 'Mermaid', processor: new NotionMermaidProcessor(), content: 'graph TD\n  A --> B' },
-      { name: 'PlantUML', processor: new NotionPlantUMLProcessor(), content: '@startuml\nA -> B\n@enduml' },
-      { name: 'Graphviz', processor: new NotionGraphvizProcessor(), content: 'digraph G {\n  A -> B;\n}' },
-      { name: 'D2', processor: new NotionD2Processor(), content: 'A -> B' }
+      { name: 'Mermaid', processor: svgRenderer('mermaid'), content: 'graph TD\n  A --> B' },
+      { name: 'PlantUML', processor: svgRenderer('plantuml'), content: '@startuml\nA -> B\n@enduml' },
+      { name: 'Graphviz', processor: svgRenderer('graphviz'), content: 'digraph G {\n  A -> B;\n}' },
+      { name: 'D2', processor: svgRenderer('d2'), content: 'A -> B' }
     ];
 
     for (const { name, processor, content } of processorTests) {
@@ -6,13 +6,27 @@ const testNotionConversion = require('./test-notion-conversion');
 const testDiagramConversion = require('./test-diagram-conversion');
 const testAllMdConversion = require('./test-all-md-conversion');
 
-// Import NEW Notion processors for direct testing
-const NotionMermaidProcessor = require('../../lib/core/notion/mermaid-processor');
-const NotionPlantUMLProcessor = require('../../lib/core/notion/plantuml-processor');
-const NotionGraphvizProcessor = require('../../lib/core/notion/graphviz-processor');
-const NotionD2Processor = require('../../lib/core/notion/d2-processor');
 const NotionDiagramProcessor = require('../../lib/core/notion/diagram-processor');
 
+// Diagram renderers for direct testing
+const DiagramRendererRegistry = require('../../lib/core/diagrams/renderer-registry');
+
+// SVG renderer of a diagram type, through the shared diagram renderer registry
+const diagramRenderers = DiagramRendererRegistry.create();
+const svgRenderer = type => ({
+  generateSVGContent: async code => {
+    const diagram = { type, code, id: DiagramRendererRegistry.generateDiagramId(type, code) };
+    const tempDir = path.join(require('os').tmpdir(), 'docflu-notion-diagrams');
+    const { filePath } = await diagramRenderers.render(diagram, { formats: ['svg'], tempDir });
+    if (!filePath) {
+      throw new Error('Failed to generate SVG file');
+    }
+    const svgContent = require('fs-extra').readFileSync(filePath, 'utf8');
+    require('fs-extra').removeSync(filePath);
+    return svgContent;
+  }
+});
+
 /**
  * Comprehensive Notion Integration Test
  * Tests all NEW processors and conversion capabilities
@@ -33,10 +47,10 @@ async function testNotionIntegration() {
     console.log(chalk.yellow('🔧 Phase 1: Testing NEW Individual Processors\n'));
     
     const processors = [
-      { name: 'Mermaid', processor: new NotionMermaidProcessor(), testContent: 'graph TD\n  A --> B\n  B --> C' },
-      { name: 'PlantUML', processor: new NotionPlantUMLProcessor(), testContent: '@startuml\nA -> B: request\nB -> A: response\n@enduml' },
-      { name: 'Graphviz', processor: new NotionGraphvizProcessor(), testContent: 'digraph G {\n  A -> B;\n  B -> C;\n}' },
-      { name: 'D2', processor: new NotionD2Processor(), testContent: 'A -> B: "connection"\nB -> C: "process"' }
+      { name: 'Mermaid', processor: svgRenderer('mermaid'), testContent: 'graph TD\n  A --> B\n  B --> C' },
+      { name: 'PlantUML', processor: svgRenderer('plantuml'), testContent: '@startuml\nA -> B: request\nB -> A: response\n@enduml' },
+      { name: 'Graphviz', processor: svgRenderer('graphviz'), testContent: 'digraph G {\n  A -> B;\n  B -> C;\n}' },
+      { name: 'D2', processor: svgRenderer('d2'), testContent: 'A -> B: "connection"\nB -> C: "process"' }
     ];
 
     for (const { name, processor, testContent } of processors) {
@@ -229,9 +243,9 @@ async function testNotionIntegration() {
       console.log(chalk.blue('Running performance tests...'));
       
       const performanceTests = [
-        { name: 'Small Mermaid', content: 'graph TD\nA-->B', processor: new NotionMermaidProcessor() },
-        { name: 'Medium PlantUML', content: '@startuml\n!define RECTANGLE class\nRECTANGLE A\nRECTANGLE B\nA -> B\n@enduml', processor: new NotionPlantUMLProcessor() },
-        { name: 'Large Graphviz', content: 'digraph G {\nrankdir=TB;\nnode [shape=box];\nA -> B -> C -> D -> E -> F -> G -> H -> I -> J;\n}', processor: new NotionGraphvizProcessor() }
+        { name: 'Small Mermaid', content: 'graph TD\nA-->B', processor: svgRenderer('mermaid') },
+        { name: 'Medium PlantUML', content: '@startuml\n!define RECTANGLE class\nRECTANGLE A\nRECTANGLE B\nA -> B\n@enduml', processor: svgRenderer('plantuml') },
+        { name: 'Large Graphviz', content: 'digraph G {\nrankdir=TB;\nnode [shape=box];\nA -> B -> C -> D -> E -> F -> G -> H -> I -> J;\n}', processor: svgRenderer('graphviz') }
       ];
       
       let performancePassed = 0;
@@ -0,0 +1,114 @@
+const chalk = require('chalk');
+const AdmonitionProcessor = require('../lib/core/admonition-processor');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const MarkdownToBlocksConverter = require('../lib/core/notion/markdown-to-blocks');
+const GoogleDocsConverter = require('../lib/core/gdocs/google-docs-converter');
+const { createChecker } = require('./helpers/check');
+
+const SAMPLE = `# Guide
+
+Intro paragraph.
+
+:::tip[Pro tip]
+Use **bold** text here.
+
+\`\`\`js
+const a = 1; // ::: not a directive
+\`\`\`
+:::
+
+:::danger
+Do not do this.
+:::
+
+Outro paragraph.`;
+
+async function testAdmonitions() {
+  console.log(chalk.blue('🧪 Testing Docusaurus Admonitions'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const processor = new AdmonitionProcessor();
+
+  console.log(chalk.blue('\n1. Parsing'));
+  await check('Opening line with bracket title', () => {
+    const opening = processor.parseOpening(':::tip[Pro tip]');
+    return opening.kind === 'tip' && opening.title === 'Pro tip';
+  });
+  await check('Opening line with space title and alias', () => {
+    const opening = processor.parseOpening(':::important Read this');
+    return opening.kind === 'info' && opening.title === 'Read this';
+  });
+  await check('Unknown keyword is not an admonition', () => processor.parseOpening(':::foo') === null);
+  await check('Split keeps code fences inside admonition body', () => {
+    const segments = processor.split(SAMPLE);
+    const admonitions = segments.filter(segment => segment.type === 'admonition');
+    return admonitions.length === 2 &&
+      admonitions[0].body.includes('// ::: not a directive') &&
+      admonitions[1].kind === 'danger';
+  });
+  await check('Nested admonitions stay in parent body', () => {
+    const segments = processor.split(':::note\nOuter\n\n:::warning\nInner\n:::\n:::');
+    return segments.length === 1 && segments[0].body.includes(':::warning');
+  });
+
+  console.log(chalk.blue('\n2. Confluence'));
+  await check('Renders tip and warning macros with titles', async () => {
+    const parser = new MarkdownParser();
+    const result = await parser.parseMarkdown(SAMPLE);
+    return result.content.includes('<ac:structured-macro ac:name="tip">') &&
+      result.content.includes('<ac:parameter ac:name="title">Pro tip</ac:parameter>') &&
+      result.content.includes('<ac:structured-macro ac:name="warning">') &&
+      result.content.includes('<strong>bold</strong>') &&
+      !result.content.includes(':::tip');
+  });
+
+  console.log(chalk.blue('\n3. Notion'));
+  await check('Converts admonitions to colored callouts with children', async () => {
+    const converter = new MarkdownToBlocksConverter(null, null);
+    const blocks = await converter.convertToBlocks(SAMPLE);
+    const callouts = blocks.filter(block => block.type === 'callout');
+    return callouts.length === 2 &&
+      callouts[0].callout.color === 'green_background' &&
+      callouts[0].callout.rich_text[0].text.content === 'Pro tip' &&
+      callouts[0].callout.children.some(child => child.type === 'code') &&
+      callouts[1].callout.icon.emoji === '🔥';
+  });
+
+  console.log(chalk.blue('\n4. Google Docs'));
+  await check('Emits title line and admonition formatting', () => {
+    const converter = new GoogleDocsConverter();
+    const result = converter.convertFromMarkdown(SAMPLE);
+    const admonitions = result.formattingForStep2.filter(format => format.type === 'admonition');
+    const titleRequest = result.requests[admonitions[0].requestIndex];
+    return admonitions.length === 2 &&
+      titleRequest.insertText.text === 'Pro tip\n' &&
+      admonitions[0].content.startsWith('Pro tip\n') &&
+      admonitions[1].text === 'Danger' &&
+      !result.requests.some(request => request.insertText && request.insertText.text.includes(':::tip'));
+  });
+  await check('Body formatting is re-indexed into parent requests', () => {
+    const converter = new GoogleDocsConverter();
+    const result = converter.convertFromMarkdown(SAMPLE);
+    const codeBlock = result.formattingForStep2.find(format => format.type === 'code_block');
+    const request = codeBlock && result.requests[codeBlock.requestIndex];
+    return Boolean(request && request.insertText && request.insertText.text.includes('const a = 1'));
+  });
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testAdmonitions()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testAdmonitions };
@@ -0,0 +1,196 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const Config = require('../lib/core/config');
+const ConfigFile = require('../lib/core/config-file');
+const DocusaurusScanner = require('../lib/core/docusaurus-scanner');
+const { createChecker } = require('./helpers/check');
+
+const BASE_ENV = {
+  CONFLUENCE_BASE_URL: 'https://example.atlassian.net',
+  CONFLUENCE_USERNAME: 'user@example.com',
+  CONFLUENCE_API_TOKEN: 'token'
+};
+
+async function testConfigFile() {
+  console.log(chalk.blue('🧪 Testing docflu config file'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-config-'));
+
+  try {
+    console.log(chalk.blue('\n1. Loading'));
+    await check('No config file returns empty settings', async () => {
+      const configFile = new ConfigFile(tempDir);
+      const data = await configFile.load();
+      return configFile.filePath === null && Object.keys(data).length === 0;
+    });
+
+    await check('Loads YAML .docflurc', async () => {
+      await fs.writeFile(path.join(tempDir, '.docflurc'), 'exclude:\n  - "*.draft.md"\nconfluence:\n  spaceKey: DOC\n');
+      const configFile = new ConfigFile(tempDir);
+      const data = await configFile.load();
+      await fs.remove(path.join(tempDir, '.docflurc'));
+      return data.confluence.spaceKey === 'DOC' && data.exclude[0] === '*.draft.md';
+    });
+
+    await check('docflu.config.js takes priority over .docflurc', async () => {
+      await fs.writeFile(path.join(tempDir, 'docflu.config.js'), "module.exports = { docsDir: 'content' };");
+      await fs.writeFile(path.join(tempDir, '.docflurc'), '{ "docsDir": "other" }');
+      const configFile = new ConfigFile(tempDir);
+      const data = await configFile.load();
+      await fs.remove(path.join(tempDir, 'docflu.config.js'));
+      await fs.remove(path.join(tempDir, '.docflurc'));
+      return path.basename(configFile.filePath) === 'docflu.config.js' && data.docsDir === 'content';
+    });
+
+    console.log(chalk.blue('\n2. Validation'));
+    await check('Rejects secrets, unknown keys and wrong types', () => {
+      const errors = new ConfigFile(tempDir).validate({
+        confluence: { apiToken: 'x', spaceKey: 42 },
+        unknownOption: true,
+        overrides: [{ exclude: 'yes' }]
+      });
+      return errors.some(error => error.includes('confluence.apiToken looks like a secret')) &&
+        errors.some(error => error.includes('confluence.spaceKey must be string')) &&
+        errors.some(error => error.includes('unknownOption is not a known option')) &&
+        errors.some(error => error.includes('overrides[0].files is required')) &&
+        errors.some(error => error.includes('overrides[0].exclude must be boolean'));
+    });
+
+    await check('Invalid file fails to load with file name in message', async () => {
+      const filePath = path.join(tempDir, 'docflu.config.json');
+      await fs.writeJson(filePath, { notion: { rootPageID: 'x' } });
+      try {
+        await new ConfigFile(tempDir).load();
+        return false;
+      } catch (error) {
+        return error.message.includes('Invalid config file docflu.config.json') &&
+          error.message.includes('notion.rootPageID is not a known option');
+      } finally {
+        await fs.remove(filePath);
+      }
+    });
+
+    console.log(chalk.blue('\n3. Precedence'));
+    const configFile = new ConfigFile(tempDir);
+    configFile.data = {
+      exclude: ['top/**'],
+      retryCount: 7,
+      diagrams: { useMermaidPlugin: true },
+      confluence: { spaceKey: 'FILE', rootPageTitle: 'From file', exclude: ['section/**'] }
+    };
+    const settings = configFile.getPlatformSettings('confluence');
+    const config = new Config();
+
+    await check('Platform section overrides top level, top level overrides defaults', () => {
+      const result = config.buildConfluenceConfig(BASE_ENV, settings);
+      return result.spaceKey === 'FILE' &&
+        result.excludeGlobs[0] === 'section/**' && result.excludePatterns.length === 0 &&
+        result.retryCount === 7 &&
+        result.useMermaidPlugin === true &&
+        result.docsDir === 'docs';
+    });
+
+    await check('Environment variables override config file', () => {
+      const result = config.buildConfluenceConfig({
+        ...BASE_ENV,
+        CONFLUENCE_SPACE_KEY: 'ENV',
+        DOCFLU_EXCLUDE_PATTERNS: 'env/**',
+        CONFLUENCE_USE_MERMAID_PLUGIN: 'false'
+      }, settings);
+      return result.spaceKey === 'ENV' && result.excludePatterns[0] === 'env/**' && result.excludeGlobs.length === 0 &&
+        result.useMermaidPlugin === false;
+    });
+
+    await check('An explicit 0 in the environment or config file is kept', () => {
+      const fromEnv = config.buildConfluenceConfig({ ...BASE_ENV, DOCFLU_RETRY_COUNT: '0' }, settings);
+      const fromFile = config.buildConfluenceConfig(BASE_ENV, { ...settings, retryCount: 0 });
+      const invalid = config.buildConfluenceConfig({ ...BASE_ENV, DOCFLU_RETRY_COUNT: 'many' }, settings);
+      return fromEnv.retryCount === 0 && fromFile.retryCount === 0 && invalid.retryCount === 7 &&
+        config.buildConfluenceConfig(BASE_ENV, { spaceKey: 'DOC' }).retryCount === 3;
+    });
+
+    await check('CLI flags override environment variables', () => {
+      const result = config.buildConfluenceConfig({ ...BASE_ENV, DOCFLU_EXCLUDE_PATTERNS: 'env/**' }, settings, { exclude: 'cli/**, other/**' });
+      return result.excludePatterns.join(',') === 'cli/**,other/**';
+    });
+
+    await check('Secrets are only read from the environment', () => {
+      try {
+        config.buildConfluenceConfig({ CONFLUENCE_BASE_URL: 'https://x' }, { ...settings, username: 'u' });
+        return false;
+      } catch (error) {
+        return error.message.includes('CONFLUENCE_API_TOKEN') && !error.message.includes('CONFLUENCE_SPACE_KEY');
+      }
+    });
+
+    console.log(chalk.blue('\n4. Scanner'));
+    await check('Include globs, docsDir and per-path overrides apply when scanning', async () => {
+      const projectDir = path.join(tempDir, 'site');
+      await fs.outputFile(path.join(projectDir, 'docusaurus.config.js'), 'module.exports = {};');
+      await fs.outputFile(path.join(projectDir, 'content/intro.md'), '# Intro\n');
+      await fs.outputFile(path.join(projectDir, 'content/notes.txt.md'), '# Notes\n');
+      await fs.outputFile(path.join(projectDir, 'content/internal/secret.md'), '# Secret\n');
+      await fs.outputFile(path.join(projectDir, 'content/api/ref.md'), '# Ref\n');
+
+      const scanner = new DocusaurusScanner(projectDir, {
+        docsDir: 'content',
+        includePatterns: ['content/**/*.md'],
+        excludePatterns: ['notes'],
+        overrides: [
+          { files: 'content/internal/**', exclude: true },
+          { files: 'content/api/**', frontmatter: { title: 'API Reference' } }
+        ]
+      });
+      await scanner.detectProject();
+      const documents = await scanner.scanDocs();
+      const titles = documents.map(doc => doc.title).sort();
+      return titles.join(',') === 'API Reference,Intro';
+    });
+
+    await check('Config file exclude globs match paths relative to the project root', async () => {
+      const projectDir = path.join(tempDir, 'site-exclude');
+      await fs.outputFile(path.join(projectDir, 'docusaurus.config.js'), 'module.exports = {};');
+      await fs.outputFile(path.join(projectDir, 'docs/intro.md'), '# Intro\n');
+      await fs.outputFile(path.join(projectDir, 'docs/intro.draft.md'), '# Draft\n');
+      await fs.outputFile(path.join(projectDir, 'docs/private/plan.md'), '# Plan\n');
+      await fs.outputFile(path.join(projectDir, 'docs/guides/private-beta.md'), '# Private Beta\n');
+      await fs.outputFile(path.join(projectDir, 'docs/guides/setup.md'), '# Setup\n');
+
+      const config = new Config().buildConfluenceConfig(BASE_ENV, { spaceKey: 'DOC', exclude: ['*.draft.md', 'docs/private/**', 'guides/**'] });
+      const scanner = new DocusaurusScanner(projectDir, config);
+      await scanner.detectProject();
+      const titles = (await scanner.scanDocs()).map(doc => doc.title).sort();
+      return titles.join(',') === 'Intro,Private Beta,Setup';
+    });
+
+    await check('Glob matching', () => {
+      return ConfigFile.matchesAny('docs/a/b.draft.md', ['*.draft.md']) &&
+        ConfigFile.matchesAny('docs/a/b.md', ['docs/**/*.md']) &&
+        ConfigFile.matchesAny('docs/b.md', ['docs/**/*.md']) &&
+        !ConfigFile.matchesAny('blog/b.md', ['docs/**']);
+    });
+  } finally {
+    await fs.remove(tempDir);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testConfigFile()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testConfigFile };
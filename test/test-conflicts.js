@@ -0,0 +1,188 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const ConflictDetector = require('../lib/core/conflict-detector');
+const DocusaurusScanner = require('../lib/core/docusaurus-scanner');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const AdmonitionProcessor = require('../lib/core/admonition-processor');
+const NotionSync = require('../lib/core/notion/notion-sync');
+const NotionState = require('../lib/core/notion/notion-state');
+const NotionBlocksToMarkdown = require('../lib/core/notion/blocks-to-markdown');
+const NotionBlockDiffer = require('../lib/core/notion/block-differ');
+const { createChecker } = require('./helpers/check');
+
+const text = (content, annotations = {}, href = null) => ({ plain_text: content, annotations, href });
+
+/**
+ * Minimal Notion client serving one page with the given blocks
+ */
+function createNotionClient(page, blocks) {
+  return {
+    retrievePage: async pageId => {
+      if (pageId !== page.id) {
+        const error = new Error('Could not find page');
+        error.code = 'object_not_found';
+        throw error;
+      }
+      return page;
+    },
+    retrieveBlockChildren: async blockId => ({
+      results: blockId === page.id ? blocks : [],
+      has_more: false
+    }),
+    getPageTitle: () => 'Intro'
+  };
+}
+
+async function testConflicts() {
+  console.log(chalk.blue('🧪 Testing remote edit conflict detection'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-conflicts-'));
+  const filePath = path.join(projectRoot, 'docs/intro.md');
+  const conflictPath = path.join(projectRoot, 'docs/intro.conflict.md');
+  const page = { filePath, relativePath: 'intro.md', title: 'Intro', recorded: 3, remote: 5 };
+  const remoteMarkdown = async () => '# Remote\n';
+
+  try {
+    await fs.outputFile(filePath, '---\ntitle: Intro\n---\n\n# Local\n');
+
+    console.log(chalk.blue('\n1. Conflict detector'));
+    await check('Unchanged or untracked versions are not conflicts', async () => {
+      const detector = new ConflictDetector();
+      return await detector.check({ ...page, remote: 3 }, remoteMarkdown) &&
+        await detector.check({ ...page, recorded: undefined }, remoteMarkdown) &&
+        detector.conflicts.length === 0;
+    });
+
+    await check('Refuses by default and writes the remote content to .conflict.md', async () => {
+      const detector = new ConflictDetector();
+      const allowed = await detector.check(page, remoteMarkdown);
+      return !allowed &&
+        detector.conflicts.length === 1 &&
+        detector.conflicts[0].conflictFile === conflictPath &&
+        await fs.readFile(conflictPath, 'utf8') === '# Remote\n';
+    });
+
+    await check('--skip-conflicts skips without writing files', async () => {
+      await fs.remove(conflictPath);
+      const detector = new ConflictDetector({ skipConflicts: true });
+      const allowed = await detector.check(page, remoteMarkdown);
+      return !allowed && detector.conflicts.length === 1 && !await fs.pathExists(conflictPath);
+    });
+
+    await check('--overwrite allows replacing the remote edits', async () => {
+      const detector = new ConflictDetector({ overwrite: true });
+      return await detector.check(page, remoteMarkdown) && detector.conflicts.length === 0;
+    });
+
+    await check('Rejects --overwrite with --skip-conflicts', () => {
+      try {
+        new ConflictDetector({ overwrite: true, skipConflicts: true });
+        return false;
+      } catch (error) {
+        return error.message.includes('Cannot combine');
+      }
+    });
+
+    await check('Scanner ignores .conflict.md files', () => {
+      const scanner = new DocusaurusScanner(projectRoot);
+      return scanner._isMarkdownFile('intro.md') &&
+        !scanner._isMarkdownFile('intro.conflict.md') &&
+        ConflictDetector.isConflictFile('docs/intro.conflict.md');
+    });
+
+    console.log(chalk.blue('\n2. Notion pages'));
+    await check('Converts Notion blocks to markdown', async () => {
+      const blocks = [
+        { id: 'b1', type: 'heading_2', heading_2: { rich_text: [text('Setup')] } },
+        { id: 'b2', type: 'paragraph', paragraph: { rich_text: [text('Run '), text('this', { bold: true }), text(' and '), text('docs', {}, 'https://docusaurus.io')] } },
+        { id: 'b3', type: 'numbered_list_item', numbered_list_item: { rich_text: [text('First')] } },
+        { id: 'b4', type: 'numbered_list_item', numbered_list_item: { rich_text: [text('Second')] } },
+        { id: 'b5', type: 'code', code: { language: 'bash', rich_text: [text('npm install')] } },
+        { id: 'b6', type: 'callout', has_children: true, callout: { icon: { emoji: '💡' }, rich_text: [text('Tip')] } }
+      ];
+      const client = createNotionClient({ id: 'page-1' }, blocks);
+      client.retrieveBlockChildren = async blockId => ({
+        results: blockId === 'page-1' ? blocks : [{ id: 'c1', type: 'paragraph', paragraph: { rich_text: [text('Use it.')] } }],
+        has_more: false
+      });
+
+      const markdown = await new NotionBlocksToMarkdown(client).convertPage('page-1');
+      return markdown === '## Setup\n\nRun **this** and [docs](https://docusaurus.io)\n\n1. First\n2. Second\n\n```bash\nnpm install\n```\n\n:::tip\nUse it.\n:::\n';
+    });
+
+    await check('Maps callout emojis back to admonitions', () => {
+      const processor = new AdmonitionProcessor();
+      return processor.fromNotionCallout('🔥', 'Danger')?.kind === 'danger' &&
+        processor.fromNotionCallout('⚠️', 'Careful')?.title === 'Careful' &&
+        processor.fromNotionCallout('🚀', null) === null &&
+        processor.fromNotionCallout(undefined, null) === null;
+    });
+
+    await check('Detects pages edited in Notion since the last sync', async () => {
+      const state = new NotionState(projectRoot, { rootPageId: 'root' });
+      state.setPageId('intro.md', 'page-1', { title: 'Intro', lastEditedTime: '2024-01-01T00:00:00.000Z' });
+
+      const remotePage = { id: 'page-1', last_edited_time: '2024-02-01T00:00:00.000Z', properties: {} };
+      const blocks = [{ id: 'b1', type: 'paragraph', paragraph: { rich_text: [text('Edited in Notion')] } }];
+      const sync = { client: createNotionClient(remotePage, blocks), state, markdownParser: new MarkdownParser(), conflictDetector: null };
+
+      const allowed = await NotionSync.prototype.checkRemoteEdits.call(sync, 'intro.md', filePath, 'page-1');
+      return !allowed &&
+        await fs.readFile(conflictPath, 'utf8') === '---\ntitle: Intro\n---\n\nEdited in Notion\n';
+    });
+
+    await check('Replaces Notion pages that are unchanged or deleted', async () => {
+      const state = new NotionState(projectRoot, { rootPageId: 'root' });
+      state.setPageId('intro.md', 'page-1', { title: 'Intro', lastEditedTime: '2024-01-01T00:00:00.000Z' });
+
+      const remotePage = { id: 'page-1', last_edited_time: '2024-01-01T00:00:00.000Z', properties: {} };
+      const sync = { client: createNotionClient(remotePage, []), state, markdownParser: new MarkdownParser(), conflictDetector: null };
+
+      return await NotionSync.prototype.checkRemoteEdits.call(sync, 'intro.md', filePath, 'page-1') &&
+        await NotionSync.prototype.checkRemoteEdits.call(sync, 'intro.md', filePath, 'page-deleted') &&
+        sync.conflictDetector.conflicts.length === 0;
+    });
+
+    await check('Detects Notion edits made in the minute of the last sync by the content hash', async () => {
+      const paragraph = content => ({ id: 'b1', type: 'paragraph', has_children: false, paragraph: { rich_text: [{ type: 'text', text: { content }, ...text(content) }] } });
+      const synced = [paragraph('Synced')];
+      const edited = [paragraph('Edited in Notion')];
+      const remotePage = { id: 'page-1', last_edited_time: '2024-01-01T00:00:00.000Z', properties: {} };
+      const checkBlocks = async blocks => {
+        const state = new NotionState(projectRoot, { rootPageId: 'root' });
+        const remoteHash = await new NotionBlockDiffer(createNotionClient(remotePage, synced)).getContentHash('page-1');
+        state.setPageId('intro.md', 'page-1', { title: 'Intro', lastEditedTime: '2024-01-01T00:00:00.000Z', remoteHash });
+        const client = createNotionClient(remotePage, blocks);
+        const sync = { client, state, blockDiffer: new NotionBlockDiffer(client), markdownParser: new MarkdownParser(), conflictDetector: null };
+        return NotionSync.prototype.checkRemoteEdits.call(sync, 'intro.md', filePath, 'page-1');
+      };
+
+      await fs.remove(conflictPath);
+      return await checkBlocks(synced) && !await checkBlocks(edited) &&
+        (await fs.readFile(conflictPath, 'utf8')).includes('Edited in Notion');
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testConflicts()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testConflicts };
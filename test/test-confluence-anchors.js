@@ -0,0 +1,111 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const ReferenceProcessor = require('../lib/core/reference-processor');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const ConfluenceToMarkdown = require('../lib/core/confluence-to-markdown');
+const HeadingSlugger = require('../lib/core/heading-slugger');
+const { createChecker } = require('./helpers/check');
+
+async function testConfluenceAnchors() {
+  console.log(chalk.blue('🧪 Testing Confluence heading anchors'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-anchors-'));
+  const docsDir = path.join(projectRoot, 'docs');
+  const introPath = path.join(docsDir, 'intro.md');
+  const baseUrl = 'https://example.atlassian.net';
+  const stateManager = {
+    getAllPages: () => ({
+      'intro.md': { confluenceId: '11', title: 'Getting Started' },
+      'guides/install.md': { confluenceId: '42', title: 'Install Guide' }
+    })
+  };
+
+  try {
+    await fs.outputFile(path.join(docsDir, 'guides/install.md'), [
+      '---',
+      '# not a heading',
+      'title: Install Guide',
+      '---',
+      '## Setup the `CLI`',
+      '## Options {#cli-options}',
+      '```sh',
+      '## not a heading either',
+      '```',
+      '## Setup the CLI'
+    ].join('\n'));
+
+    const processor = new ReferenceProcessor(projectRoot, stateManager);
+    const intro = '# Getting Started\n\n## First steps\n\nSee [below](#first-steps).';
+
+    console.log(chalk.blue('\n1. Links'));
+    await check('Heading slugs follow Docusaurus', () => {
+      const headings = HeadingSlugger.parseHeadings('## Setup the `CLI`\n## Setup the CLI\n## C#\n## Options {#cli-options}');
+      return headings.map(item => item.slug).join(',') === 'setup-the-cli,setup-the-cli-1,c,cli-options' &&
+        headings[0].text === 'Setup the CLI' && headings[3].text === 'Options';
+    });
+
+    await check('Same-page anchors use the Confluence heading anchor', () => {
+      return processor.processReferences(intro, introPath, baseUrl) ===
+        '# Getting Started\n\n## First steps\n\nSee [below](#GettingStarted-Firststeps).';
+    });
+
+    await check('Cross-page anchors use the heading text of the target page', () => {
+      const url = processor.processLinkUrl('./guides/install.md#setup-the-cli', introPath, baseUrl);
+      return url === `${baseUrl}/wiki/spaces/DOCS/pages/42/Install+Guide#InstallGuide-SetuptheCLI`;
+    });
+
+    await check('Custom heading IDs link to their anchor macro', () => {
+      const url = processor.processLinkUrl('/docs/guides/install#cli-options', introPath, baseUrl);
+      return url.endsWith('/pages/42/Install+Guide#InstallGuide-cli-options');
+    });
+
+    await check('Same-page anchors use the given title of untracked pages', () => {
+      const markdown = processor.processReferences('[a](#options)\n\n## Options', path.join(docsDir, 'new.md'), baseUrl, 'New Page');
+      return markdown === '[a](#NewPage-Options)\n\n## Options';
+    });
+
+    console.log(chalk.blue('\n2. Storage format'));
+    const parser = new MarkdownParser(projectRoot, stateManager);
+
+    await check('Custom heading IDs become anchor macros', async () => {
+      const { content } = await parser.parseMarkdown('## Options {#cli-options}\n\nText', {}, introPath, baseUrl);
+      return content.includes('<h2>Options<ac:structured-macro ac:name="anchor"><ac:parameter ac:name="">cli-options</ac:parameter></ac:structured-macro></h2>');
+    });
+
+    await check('A toc macro is added when the frontmatter asks for it', async () => {
+      const withToc = await parser.parseMarkdown('## One\n\nText', { confluence_toc: true, toc_max_heading_level: 4 }, introPath, baseUrl);
+      const withoutToc = await parser.parseMarkdown('## One\n\nText', {}, introPath, baseUrl);
+      return withToc.content.startsWith('<ac:structured-macro ac:name="toc"><ac:parameter ac:name="minLevel">2</ac:parameter><ac:parameter ac:name="maxLevel">4</ac:parameter>') &&
+        !withoutToc.content.includes('ac:name="toc"');
+    });
+
+    await check('Pull turns anchor macros back into custom heading IDs', () => {
+      const converter = new ConfluenceToMarkdown({ stateManager });
+      const markdown = converter.convert('<ac:structured-macro ac:name="toc"></ac:structured-macro><h2>Options<ac:structured-macro ac:name="anchor"><ac:parameter ac:name="">cli-options</ac:parameter></ac:structured-macro></h2>', { filePath: 'intro.md' });
+      return markdown === '## Options {#cli-options}\n';
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testConfluenceAnchors()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testConfluenceAnchors };
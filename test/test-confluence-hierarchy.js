@@ -0,0 +1,197 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const ConfluenceHierarchy = require('../lib/core/confluence-hierarchy');
+const ConfluenceClient = require('../lib/core/confluence-client');
+const StateManager = require('../lib/core/state-manager');
+const { createChecker } = require('./helpers/check');
+
+/**
+ * In-memory Confluence exposing the client methods ConfluenceHierarchy calls
+ */
+function createMemoryClient() {
+  const pages = new Map();
+  const children = new Map(); // parentId -> [pageId]
+  const calls = [];
+  let nextId = 1;
+
+  return {
+    pages,
+    children,
+    calls,
+    formatCategoryTitle: ConfluenceClient.prototype.formatCategoryTitle,
+    async createPage(title, content, parentId) {
+      const page = { id: String(nextId++), title, content, parentId, version: { number: 1 } };
+      pages.set(page.id, page);
+      children.set(parentId, [...(children.get(parentId) || []), page.id]);
+      calls.push(['createPage', title]);
+      return page;
+    },
+    async updatePage(pageId, title, content, version) {
+      const page = { ...pages.get(pageId), title, content, version: { number: version } };
+      pages.set(pageId, page);
+      calls.push(['updatePage', title]);
+      return page;
+    },
+    async getPageById(pageId) {
+      if (!pages.has(pageId)) {
+        throw new Error(`Page with ID ${pageId} not found`);
+      }
+      return pages.get(pageId);
+    },
+    async findPageByTitleAndParent(title, parentId) {
+      return [...pages.values()].find(page => page.title === title && page.parentId === parentId) || null;
+    },
+    async getPageChildren(pageId) {
+      return (children.get(pageId) || []).map(id => pages.get(id));
+    },
+    async movePage(pageId, targetId, position) {
+      const parentId = pages.get(targetId).parentId;
+      const order = children.get(parentId).filter(id => id !== pageId);
+      order.splice(order.indexOf(targetId) + (position === 'after' ? 1 : 0), 0, pageId);
+      children.set(parentId, order);
+      calls.push(['movePage', pageId, targetId]);
+    }
+  };
+}
+
+function doc(relativePath, title, sidebarPosition) {
+  return {
+    relativePath,
+    title,
+    sidebarPosition,
+    category: path.dirname(relativePath) === '.' ? null : path.dirname(relativePath)
+  };
+}
+
+async function testConfluenceHierarchy() {
+  console.log(chalk.blue('🧪 Testing Confluence category hierarchy'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-hierarchy-'));
+  const docsDir = path.join(projectRoot, 'docs');
+
+  try {
+    await fs.outputJson(path.join(docsDir, 'tutorial-basics/_category_.json'), {
+      label: 'Tutorial - Basics',
+      position: 2,
+      link: { type: 'generated-index', description: '5 minutes to learn the <most> important concepts.' }
+    });
+    await fs.outputFile(path.join(docsDir, 'tutorial-extras/_category_.yml'), 'label: Extras\nposition: 3\n');
+
+    const documents = [
+      doc('intro.md', 'Intro', 1),
+      doc('tutorial-basics/create-a-page.md', 'Create a Page', 1),
+      doc('tutorial-basics/deploy.md', 'Deploy', 2),
+      doc('tutorial-extras/index.md', 'Extras Overview'),
+      doc('tutorial-extras/README.md', 'Extras Readme'),
+      doc('tutorial-extras/manage-versions.md', 'Manage Versions'),
+      doc('advanced/concepts/deep.md', 'Deep')
+    ];
+
+    const stateManager = new StateManager(projectRoot);
+    await stateManager.init();
+    const client = createMemoryClient();
+    const hierarchy = new ConfluenceHierarchy(client, stateManager, docsDir);
+    const categories = await hierarchy.buildCategories(documents);
+
+    console.log(chalk.blue('\n1. Category metadata'));
+    await check('Includes intermediate directories', () => {
+      return [...categories.keys()].sort().join(',') ===
+        'advanced,advanced/concepts,tutorial-basics,tutorial-extras';
+    });
+
+    await check('Uses _category_.json / .yml labels and title-cases the rest', () => {
+      return categories.get('tutorial-basics').title === 'Tutorial - Basics' &&
+        categories.get('tutorial-extras').title === 'Extras' &&
+        categories.get('advanced/concepts').title === 'Concepts';
+    });
+
+    await check('Picks index.md over README.md as category index', () => {
+      return categories.get('tutorial-extras').indexDocument === documents[3] &&
+        hierarchy.getIndexCategory(documents[3]) !== null &&
+        hierarchy.getIndexCategory(documents[4]) === null;
+    });
+
+    await check('Renders escaped description and generated-index child listing', () => {
+      const content = hierarchy.buildCategoryContent(categories.get('tutorial-basics'));
+      return content.includes('<p>5 minutes to learn the &lt;most&gt; important concepts.</p>') &&
+        content.includes('ac:name="children"');
+    });
+
+    console.log(chalk.blue('\n2. Parent pages'));
+    const hierarchyMap = await hierarchy.ensureCategoryPages('root');
+
+    await check('Creates nested parent pages under the right parents', () => {
+      const concepts = client.pages.get(hierarchyMap.get('advanced/concepts'));
+      return hierarchyMap.size === 4 && concepts.parentId === hierarchyMap.get('advanced');
+    });
+
+    await check('Dry run creates nothing', async () => {
+      const before = client.calls.length;
+      const preview = new ConfluenceHierarchy(createMemoryClient(), stateManager, docsDir);
+      await preview.buildCategories(documents);
+      await preview.ensureCategoryPages('root', true);
+      return client.calls.length === before;
+    });
+
+    await check('Unchanged categories are not updated on the next run', async () => {
+      const before = client.calls.length;
+      await hierarchy.buildCategories(documents);
+      await hierarchy.ensureCategoryPages('root');
+      return client.calls.length === before;
+    });
+
+    await check('Renamed label updates the tracked page instead of creating a new one', async () => {
+      await fs.outputJson(path.join(docsDir, 'tutorial-basics/_category_.json'), { label: 'Basics', position: 2 });
+      await hierarchy.buildCategories(documents);
+      const renamedMap = await hierarchy.ensureCategoryPages('root');
+      const page = client.pages.get(renamedMap.get('tutorial-basics'));
+      return renamedMap.get('tutorial-basics') === hierarchyMap.get('tutorial-basics') &&
+        page.title === 'Basics' && !page.content.includes('ac:name="children"');
+    });
+
+    console.log(chalk.blue('\n3. Sibling ordering'));
+    const pageIds = {};
+    for (const document of documents) {
+      if (!hierarchy.getIndexCategory(document)) {
+        const parentId = document.category ? hierarchyMap.get(document.category) : 'root';
+        pageIds[document.relativePath] = (await client.createPage(document.title, '', parentId)).id;
+      }
+    }
+    const getDocumentPageId = document => pageIds[document.relativePath];
+    const titlesUnder = parentId => client.children.get(parentId).map(id => client.pages.get(id).title);
+
+    await check('Orders siblings by position, then by name', async () => {
+      await hierarchy.orderSiblings('root', documents, hierarchyMap, getDocumentPageId);
+      return titlesUnder('root').join(',') === 'Intro,Basics,Extras,Advanced' &&
+        titlesUnder(hierarchyMap.get('tutorial-basics')).join(',') === 'Create a Page,Deploy';
+    });
+
+    await check('Does not move pages already in order', async () => {
+      const moved = await hierarchy.orderSiblings('root', documents, hierarchyMap, getDocumentPageId);
+      return moved === 0;
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testConfluenceHierarchy()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testConfluenceHierarchy };
@@ -0,0 +1,111 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const ContentHasher = require('../lib/core/content-hasher');
+const StateManager = require('../lib/core/state-manager');
+const { createChecker } = require('./helpers/check');
+
+async function testContentHash() {
+  console.log(chalk.blue('🧪 Testing content-hash change detection'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-hash-'));
+  const docPath = path.join(projectRoot, 'docs/guide.mdx');
+
+  try {
+    await fs.outputFile(docPath, [
+      "import Shared from './_shared.md';",
+      '',
+      '# Guide',
+      '',
+      '![Local](./img/local.png)',
+      '![Static](/img/logo.png)',
+      '![Remote](https://example.com/remote.png)',
+      '<img src="./img/html.png" />',
+      '',
+      '<Shared />'
+    ].join('\n'));
+    await fs.outputFile(path.join(projectRoot, 'docs/_shared.md'), 'Shared ![Nested](./img/nested.png)');
+    await fs.outputFile(path.join(projectRoot, 'docs/img/local.png'), 'local-v1');
+    await fs.outputFile(path.join(projectRoot, 'docs/img/html.png'), 'html-v1');
+    await fs.outputFile(path.join(projectRoot, 'docs/img/nested.png'), 'nested-v1');
+    await fs.outputFile(path.join(projectRoot, 'static/img/logo.png'), 'logo-v1');
+
+    const hasher = new ContentHasher(projectRoot);
+    const first = await hasher.hashDocument(docPath);
+
+    console.log(chalk.blue('\n1. Dependencies'));
+    await check('Collects images, static assets and imported partials', () => {
+      return first.dependencies.join(',') === [
+        'docs/_shared.md',
+        'docs/img/html.png',
+        'docs/img/local.png',
+        'docs/img/nested.png',
+        'static/img/logo.png'
+      ].join(',');
+    });
+
+    console.log(chalk.blue('\n2. Hash stability'));
+    await check('Touching the file does not change the hash', async () => {
+      const future = new Date(Date.now() + 60000);
+      await fs.utimes(docPath, future, future);
+      const again = await hasher.hashDocument(docPath);
+      return again.hash === first.hash;
+    });
+
+    await check('Changing a nested partial dependency changes the hash', async () => {
+      await fs.outputFile(path.join(projectRoot, 'docs/img/nested.png'), 'nested-v2');
+      const changed = await hasher.hashDocument(docPath);
+      await fs.outputFile(path.join(projectRoot, 'docs/img/nested.png'), 'nested-v1');
+      return changed.hash !== first.hash;
+    });
+
+    await check('Missing dependency appearing changes the hash', async () => {
+      await fs.remove(path.join(projectRoot, 'static/img/logo.png'));
+      const missing = await hasher.hashDocument(docPath);
+      await fs.outputFile(path.join(projectRoot, 'static/img/logo.png'), 'logo-v1');
+      const restored = await hasher.hashDocument(docPath);
+      return missing.hash !== first.hash && restored.hash === first.hash;
+    });
+
+    console.log(chalk.blue('\n3. StateManager.needsSync'));
+    const stateManager = new StateManager(projectRoot);
+    await stateManager.init();
+
+    await check('Unchanged hash is skipped even if mtime is newer', () => {
+      stateManager.setPageState('guide.mdx', { confluenceId: '1', contentHash: first.hash });
+      return !stateManager.needsSync('guide.mdx', new Date(Date.now() + 60000), first.hash);
+    });
+
+    await check('Different hash needs sync', () => {
+      return stateManager.needsSync('guide.mdx', new Date(0), 'other-hash');
+    });
+
+    await check('Legacy state without hash falls back to mtime', () => {
+      stateManager.setPageState('legacy.md', { confluenceId: '2' });
+      return !stateManager.needsSync('legacy.md', new Date(0), first.hash) &&
+        stateManager.needsSync('legacy.md', new Date(Date.now() + 60000), first.hash);
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testContentHash()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testContentHash };
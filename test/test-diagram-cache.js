@@ -0,0 +1,243 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+const DiagramCache = require('../lib/core/diagram-cache');
+const DiagramProcessor = require('../lib/core/diagram-processor');
+const GDocsDiagramProcessor = require('../lib/core/gdocs/diagram-processor');
+const NotionDiagramProcessor = require('../lib/core/notion/diagram-processor');
+const DiagramRendererRegistry = require('../lib/core/diagrams/renderer-registry');
+const { createChecker } = require('./helpers/check');
+
+/**
+ * Confluence client answering attachment requests from an in-memory page
+ */
+function createConfluenceClient() {
+  const attachments = new Map();
+  const requests = [];
+  let nextId = 1;
+
+  const api = async ({ method, url }) => {
+    requests.push(method);
+    if (method === 'GET') {
+      const fileName = decodeURIComponent(url.split('filename=')[1]);
+      return { data: { results: attachments.has(fileName) ? [attachments.get(fileName)] : [] } };
+    }
+    if (method === 'DELETE') {
+      const id = url.split('/').pop();
+      for (const [fileName, attachment] of attachments) {
+        if (attachment.id === id) {
+          attachments.delete(fileName);
+        }
+      }
+      return { data: {} };
+    }
+    const attachment = { id: `att-${nextId++}`, title: 'diagram.svg', _links: { download: '/download/diagram.svg', webui: '/attachment' } };
+    return { data: { results: [attachment] }, attachment };
+  };
+
+  // Uploaded attachments are stored under the file name of the diagram being processed
+  const client = {
+    config: { baseUrl: 'https://wiki' },
+    requests,
+    attachments,
+    api: async request => {
+      const response = await api(request);
+      if (response.attachment) {
+        attachments.set(client.uploading, response.attachment);
+      }
+      return response;
+    }
+  };
+  return client;
+}
+
+async function testDiagramCache() {
+  console.log(chalk.blue('🧪 Testing diagram render cache'));
+  console.log(chalk.gray('==============================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-diagram-cache-'));
+  const tempDir = path.join(projectRoot, '.docusaurus', 'temp');
+  const entry = { type: 'graphviz', code: 'digraph { a -> b }', format: 'svg', renderer: 'dot 2.43', theme: 'default', variant: 'confluence' };
+
+  // Renderer stub writing an SVG into the temp directory, counting its calls
+  let renders = 0;
+  const renderSvg = (label = 'v1') => async diagram => {
+    renders++;
+    const outputFile = path.join(tempDir, `${diagram.id}.svg`);
+    await fs.outputFile(outputFile, `<svg><text>${label}</text></svg>`);
+    return outputFile;
+  };
+
+  // Registry with a single renderer stub writing the label into the requested output file
+  const createRenderers = (type, languages, label, available = true) => new DiagramRendererRegistry().register({
+    type,
+    languages,
+    formats: ['svg', 'png'],
+    check: async () => available,
+    render: async ({ outputFile }) => {
+      renders++;
+      await fs.outputFile(outputFile, `<svg><text>${label}</text></svg>`);
+    }
+  });
+
+  try {
+    console.log(chalk.blue('\n1. Cache'));
+    await check('Keys change with type, source, format, renderer version, theme and platform variant', () => {
+      const cache = new DiagramCache(projectRoot);
+      const key = cache.getKey(entry);
+      const variants = [
+        { type: 'd2' }, { code: 'digraph { a -> c }' }, { format: 'png' },
+        { renderer: 'dot 9.0' }, { theme: 'dark' }, { variant: 'notion' }
+      ].map(change => cache.getKey({ ...entry, ...change }));
+      return new Set([key, ...variants]).size === 7 &&
+        cache.getKey({ ...entry, code: `\n${entry.code}\n` }) === key &&
+        cache.getPath(entry).startsWith(path.join(projectRoot, '.docusaurus', 'diagram-cache', 'graphviz'));
+    });
+
+    await check('Renders once and reuses the render on later runs', async () => {
+      renders = 0;
+      const diagram = { id: 'graphviz-1' };
+      const first = await new DiagramCache(projectRoot).render(entry, () => renderSvg()(diagram));
+      const second = await new DiagramCache(projectRoot).render(entry, () => renderSvg()(diagram));
+      return renders === 1 && first === second &&
+        (await fs.readFile(second, 'utf8')).includes('v1') &&
+        !await fs.pathExists(path.join(tempDir, 'graphviz-1.svg'));
+    });
+
+    await check('Failed renders are not cached', async () => {
+      const cache = new DiagramCache(projectRoot);
+      const failed = { ...entry, code: 'digraph {' };
+      return await cache.render(failed, async () => null) === null && await cache.get(failed) === null;
+    });
+
+    await check('Renderer versions are looked up once, missing renderers are unknown', async () => {
+      const lookup = DiagramCache.getRendererVersion(`${process.execPath} --version`);
+      return lookup === DiagramCache.getRendererVersion(`${process.execPath} --version`) &&
+        await lookup === process.version &&
+        await DiagramCache.getRendererVersion('docflu-missing-renderer --version') === 'unknown' &&
+        await DiagramCache.getRendererVersion(null) === null;
+    });
+
+    await check('Renderer version lookups do not block pages synced in parallel', async () => {
+      let ticks = 0;
+      const timer = setInterval(() => ticks++, 10);
+      try {
+        await DiagramCache.getRendererVersion(`${process.execPath} -e setTimeout(()=>console.log('v1'),500)`);
+      } finally {
+        clearInterval(timer);
+      }
+      return ticks >= 5;
+    });
+
+    await check('Clearing removes renders and upload records', async () => {
+      const cache = new DiagramCache(projectRoot);
+      await cache.setUpload('confluence', '1:graphviz-1.svg', { hash: 'abc', attachmentId: 'att-1' });
+      const upload = await cache.getUpload('confluence', '1:graphviz-1.svg');
+      const removed = await cache.clear();
+      return upload.hash === 'abc' && upload.uploadedAt && removed.files === 2 && removed.bytes > 0 &&
+        await cache.get(entry) === null && await cache.getUpload('confluence', '1:graphviz-1.svg') === null;
+    });
+
+    console.log(chalk.blue('\n2. Platforms'));
+    await check('Confluence keeps unchanged diagram attachments and replaces changed ones', async () => {
+      const client = createConfluenceClient();
+      const markdown = '```dot\ndigraph { a -> b }\n```';
+      const createProcessor = label => {
+        const renderers = createRenderers('graphviz', ['dot', 'graphviz'], label);
+        const processor = new DiagramProcessor(client, tempDir, { projectRoot, renderers });
+        client.uploading = `${processor.extractAllDiagrams(markdown)[0].id}.svg`;
+        return processor;
+      };
+
+      renders = 0;
+      const first = await createProcessor('v1').processAllDiagrams('page-1', markdown);
+      const firstRequests = client.requests.splice(0);
+      const second = await createProcessor('v1').processAllDiagrams('page-1', markdown);
+      const secondRequests = client.requests.splice(0);
+      await new DiagramCache(projectRoot).clear();
+      await createProcessor('v2').processAllDiagrams('page-1', markdown);
+      const thirdRequests = client.requests.splice(0);
+
+      return renders === 2 &&
+        first.stats.processed === 1 && firstRequests.join(',') === 'GET,POST' &&
+        second.stats.processed === 1 && second.diagramMap.values().next().value.id === 'att-1' &&
+        secondRequests.join(',') === 'GET' &&
+        thirdRequests.join(',') === 'GET,DELETE,POST';
+    });
+
+    await check('Google Docs reuses cached renders without the CLI and keeps the cached file', async () => {
+      const uploads = [];
+      const driveClient = {
+        uploadImage: async imagePath => {
+          uploads.push(await fs.readFile(imagePath, 'utf8'));
+          return { url: 'https://drive/diagram.png', fileName: 'diagram.png', cached: uploads.length > 1 };
+        }
+      };
+      const markdown = '```d2\na -> b\n```';
+      const createProcessor = available => {
+        const renderers = createRenderers('d2', ['d2'], 'png', available);
+        return new GDocsDiagramProcessor(driveClient, tempDir, { projectRoot, renderers });
+      };
+
+      renders = 0;
+      const first = await createProcessor(true).processAllDiagrams(markdown);
+      const second = await createProcessor(false).processAllDiagrams(markdown);
+      const cachedFiles = await fs.readdir(path.join(projectRoot, '.docusaurus', 'diagram-cache', 'd2'));
+      return renders === 1 && first.stats.diagramsProcessed === 1 && second.stats.diagramsProcessed === 1 &&
+        second.processedMarkdown === '[DIAGRAM_PLACEHOLDER0]' && uploads.length === 2 &&
+        cachedFiles.length === 1 && cachedFiles[0].endsWith('.png');
+    });
+
+    await check('Notion renders each diagram once and shares SVG renders with Confluence', async () => {
+      await new DiagramCache(projectRoot).clear();
+      const renderers = createRenderers('graphviz', ['dot', 'graphviz'], 'notion');
+      const createProcessor = () => {
+        const processor = new NotionDiagramProcessor({}, { projectRoot }, {}, 'secret_test');
+        processor.renderers = renderers;
+        return processor;
+      };
+      const code = 'digraph { x -> y }';
+      const diagram = { type: 'graphviz', id: DiagramRendererRegistry.generateDiagramId('graphviz', code), code };
+
+      renders = 0;
+      const first = await createProcessor().renderDiagram(diagram);
+      const second = await createProcessor().renderDiagram(diagram);
+      const confluence = await renderers.render(diagram, { formats: ['svg', 'png'], tempDir, cache: new DiagramCache(projectRoot) });
+      return renders === 1 && first.format === 'svg' && first.filePath === second.filePath &&
+        confluence.filePath === first.filePath && first.filePath.includes(path.join('diagram-cache', 'graphviz'));
+    });
+
+    console.log(chalk.blue('\n3. CLI'));
+    await check('docflu cache clear removes the cache', async () => {
+      await new DiagramCache(projectRoot).setUpload('notion', 'x', { hash: 'y' });
+      const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'docflu.js'), 'cache', 'clear', projectRoot], {
+        encoding: 'utf8',
+        timeout: 60000
+      });
+      return result.status === 0 && /Removed \d+ cached file/.test(result.stdout) &&
+        !await fs.pathExists(path.join(projectRoot, '.docusaurus', 'diagram-cache'));
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDiagramCache()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testDiagramCache };
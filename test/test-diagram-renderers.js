@@ -0,0 +1,292 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const Config = require('../lib/core/config');
+const ConfigFile = require('../lib/core/config-file');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const DiagramProcessor = require('../lib/core/diagram-processor');
+const NotionDiagramProcessor = require('../lib/core/notion/diagram-processor');
+const DiagramCache = require('../lib/core/diagram-cache');
+const DiagramRendererRegistry = require('../lib/core/diagrams/renderer-registry');
+const { createChecker } = require('./helpers/check');
+
+const BASE_ENV = {
+  CONFLUENCE_BASE_URL: 'https://example.atlassian.net',
+  CONFLUENCE_USERNAME: 'user@example.com',
+  CONFLUENCE_API_TOKEN: 'token'
+};
+
+// Third-party renderer module: WaveDrom-like JSON rendered to a PNG
+const PNG_RENDERER_MODULE = `module.exports = [{
+  type: 'timing',
+  languages: ['timing', 'wavejson'],
+  formats: ['png'],
+  version: 'timing 1.0',
+  render: async ({ code }) => Buffer.from('PNG:' + code)
+}];
+`;
+
+async function testDiagramRenderers() {
+  console.log(chalk.blue('🧪 Testing diagram renderer registry'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-diagram-renderers-'));
+  const tempDir = path.join(projectRoot, '.docusaurus', 'temp');
+  await fs.outputFile(path.join(projectRoot, 'renderers', 'timing.js'), PNG_RENDERER_MODULE);
+
+  try {
+    console.log(chalk.blue('\n1. Registry'));
+    await check('Built-in types and their code fence languages', () => {
+      const registry = DiagramRendererRegistry.create(projectRoot);
+      return registry.getTypes().join(',') === 'mermaid,plantuml,graphviz,d2,vega-lite,wavedrom,ditaa,bpmn,excalidraw' &&
+        registry.resolveType('dot') === 'graphviz' &&
+        registry.resolveType('graphviz') === 'graphviz' &&
+        registry.isDiagramLanguage('d2') &&
+        !registry.isDiagramLanguage('javascript');
+    });
+
+    await check('Extracts diagrams in document order and skips empty ones', () => {
+      const registry = DiagramRendererRegistry.create(projectRoot);
+      const markdown = [
+        '```js\nconst a = 1;\n```',
+        '```dot\ndigraph { a -> b }\n```',
+        '```mermaid\n\n```',
+        '```mermaid\ngraph TD\n  A --> B\n```'
+      ].join('\n\n');
+      const diagrams = registry.extractDiagrams(markdown);
+      return diagrams.length === 2 &&
+        diagrams[0].type === 'graphviz' && diagrams[0].language === 'dot' && diagrams[0].code === 'digraph { a -> b }' &&
+        diagrams[1].type === 'mermaid' && diagrams[1].index > diagrams[0].index &&
+        registry.containsDiagrams(markdown) && !registry.containsDiagrams('```js\nx\n```');
+    });
+
+    await check('Diagram IDs match the markdown parser', () => {
+      const code = 'graph TD\n  A --> B';
+      const id = DiagramRendererRegistry.generateDiagramId('mermaid', code);
+      return /^mermaid-[0-9a-f]{8}$/.test(id) &&
+        id === new MarkdownParser().generateDiagramId('mermaid', code) &&
+        id === DiagramRendererRegistry.generateDiagramId('mermaid', 'graph TD A-->B');
+    });
+
+    await check('Rejects invalid renderer definitions', () => {
+      const registry = new DiagramRendererRegistry();
+      const errors = [
+        { languages: ['x'], render: async () => {} },
+        { type: 'x', languages: ['bad language'], render: async () => {} },
+        { type: 'x', formats: ['pdf'], render: async () => {} },
+        { type: 'x', check: true, render: async () => {} },
+        { type: 'x' }
+      ].map(renderer => {
+        try {
+          registry.register(renderer);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      });
+      return errors.every(Boolean) &&
+        errors[1].includes('languages') && errors[2].includes('formats') &&
+        errors[3].includes('check must be a function') && errors[4].includes('render must be a function') &&
+        registry.getTypes().length === 0;
+    });
+
+    await check('Later renderers replace a type or take over a language', () => {
+      const registry = DiagramRendererRegistry.create(projectRoot);
+      registry.register({ type: 'graphviz', languages: ['graphviz'], render: async () => '<svg/>' });
+      registry.register({ type: 'viz', languages: ['dot'], render: async () => '<svg/>' });
+      return registry.resolveType('dot') === 'viz' &&
+        registry.resolveType('graphviz') === 'graphviz' &&
+        registry.get('graphviz').formats.join(',') === 'svg' &&
+        registry.getTypes().includes('viz');
+    });
+
+    console.log(chalk.blue('\n2. Rendering'));
+    await check('Renders returned content into the accepted format', async () => {
+      const registry = new DiagramRendererRegistry().register({
+        type: 'chart',
+        formats: ['svg', 'png'],
+        render: async ({ format }) => format === 'svg' ? '<svg><text>chart</text></svg>' : Buffer.from('PNG')
+      });
+      const diagram = { type: 'chart', id: 'chart-1', code: 'x' };
+      const svg = await registry.render(diagram, { formats: ['svg', 'png'], tempDir });
+      const png = await registry.render(diagram, { formats: ['png'], tempDir });
+      return svg.format === 'svg' && svg.contentType === 'image/svg+xml' &&
+        (await fs.readFile(svg.filePath, 'utf8')).includes('chart') &&
+        png.format === 'png' && png.contentType === 'image/png' &&
+        (await fs.readFile(png.filePath, 'utf8')) === 'PNG';
+    });
+
+    await check('Unavailable renderers are installed only when allowed', async () => {
+      let installs = 0;
+      let installed = false;
+      const createRegistry = () => new DiagramRendererRegistry().register({
+        type: 'chart',
+        check: async () => installed,
+        install: async () => {
+          installs++;
+          installed = true;
+          return true;
+        },
+        render: async () => '<svg/>'
+      });
+      const diagram = { type: 'chart', id: 'chart-2', code: 'y' };
+      const skipped = await createRegistry().render(diagram, { tempDir });
+      const rendered = await createRegistry().render(diagram, { tempDir, install: true });
+      return skipped.filePath === null && skipped.available === false && installs === 1 &&
+        rendered.available === true && rendered.filePath !== null;
+    });
+
+    await check('Failed renders and unsupported formats return no file', async () => {
+      const registry = new DiagramRendererRegistry().register({
+        type: 'chart',
+        formats: ['png'],
+        render: async () => {
+          throw new Error('syntax error');
+        }
+      });
+      const diagram = { type: 'chart', id: 'chart-3', code: 'z' };
+      const failed = await registry.render(diagram, { formats: ['png'], tempDir });
+      const unsupported = await registry.render(diagram, { formats: ['svg'], tempDir });
+      return failed.filePath === null && failed.available === true &&
+        !await fs.pathExists(path.join(tempDir, 'chart-3.png')) &&
+        (await fs.readdir(tempDir)).every(name => !name.startsWith('chart-3')) &&
+        unsupported.filePath === null && unsupported.format === null;
+    });
+
+    await check('Pages rendering the same diagram at the same time keep their own files', async () => {
+      // Like the CLI renderers: writes its input to the temp directory, runs, then removes it
+      const registry = new DiagramRendererRegistry().register({
+        type: 'chart',
+        render: async ({ code, id, outputFile, tempDir: workDir }) => {
+          const inputFile = path.join(workDir, `${id}.txt`);
+          try {
+            await fs.writeFile(inputFile, code, 'utf8');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await fs.writeFile(outputFile, `<svg><text>${await fs.readFile(inputFile, 'utf8')}</text></svg>`, 'utf8');
+          } finally {
+            await fs.remove(inputFile);
+          }
+        }
+      });
+      const cache = new DiagramCache(projectRoot);
+      const diagram = { type: 'chart', id: 'chart-4', code: 'parallel' };
+      const themed = { ...diagram, meta: 'mode=both' };
+      const results = await Promise.all([
+        registry.render(diagram, { tempDir }),
+        registry.render(diagram, { tempDir }),
+        registry.render(diagram, { tempDir, cache }),
+        registry.render(diagram, { tempDir, cache }),
+        registry.render(themed, { tempDir }),
+        registry.render(themed, { tempDir })
+      ]);
+      const contents = await Promise.all(results.map(result => result.filePath && fs.readFile(result.filePath, 'utf8')));
+      const workDirs = (await fs.readdir(tempDir)).filter(name => fs.statSync(path.join(tempDir, name)).isDirectory());
+      return contents.every(content => content && content.includes('<text>parallel</text>')) && workDirs.length === 0;
+    });
+
+    console.log(chalk.blue('\n3. Third-party renderers'));
+    await check('Loads renderer modules relative to the project root', () => {
+      const registry = DiagramRendererRegistry.create(projectRoot, ['./renderers/timing.js']);
+      return registry.resolveType('wavejson') === 'timing' &&
+        registry.getFormat('timing', ['svg', 'png']) === 'png' &&
+        registry.getTypes().length === 10;
+    });
+
+    await check('Missing and invalid modules fail with the module name', async () => {
+      await fs.outputFile(path.join(projectRoot, 'renderers', 'broken.js'), "module.exports = { type: 'broken' };");
+      const messages = ['./renderers/missing.js', 'docflu-missing-renderer', './renderers/broken.js'].map(modulePath => {
+        try {
+          DiagramRendererRegistry.create(projectRoot, [modulePath]);
+          return '';
+        } catch (error) {
+          return error.message;
+        }
+      });
+      return messages[0].startsWith('Cannot load diagram renderer ./renderers/missing.js') &&
+        messages[1].startsWith('Cannot load diagram renderer docflu-missing-renderer') &&
+        messages[2].includes('render must be a function');
+    });
+
+    await check('diagrams.renderers in the config file is validated and passed to the sync config', () => {
+      const errors = new ConfigFile(projectRoot).validate({ diagrams: { renderers: ['./renderers/timing.js'] } });
+      const invalid = new ConfigFile(projectRoot).validate({ diagrams: { renderers: './renderers/timing.js' } });
+      const result = new Config().buildConfluenceConfig(BASE_ENV, { spaceKey: 'DOC', diagrams: { renderers: ['./renderers/timing.js'] } });
+      return errors.length === 0 &&
+        invalid.some(error => error.includes('diagrams.renderers must be array')) &&
+        result.diagramRenderers[0] === './renderers/timing.js';
+    });
+
+    await check('PlantUML sources are only sent to a server set as diagrams.plantumlServer', async () => {
+      const server = 'https://plantuml.example.com/plantuml/';
+      const result = new Config().buildConfluenceConfig(BASE_ENV, { spaceKey: 'DOC', diagrams: { plantumlServer: server } });
+      const invalid = new ConfigFile(projectRoot).validate({ diagrams: { plantumlServer: true } });
+      const plantuml = DiagramRendererRegistry.create(projectRoot).get('plantuml');
+      const configured = DiagramRendererRegistry.create(projectRoot, [], { plantumlServer: result.plantumlServer }).get('plantuml');
+      const defaults = new Config().buildConfluenceConfig(BASE_ENV, { spaceKey: 'DOC' });
+      return defaults.plantumlServer === null &&
+        invalid.some(error => error.includes('diagrams.plantumlServer must be string')) &&
+        plantuml.serverUrl() === null && !(await plantuml.describe()).includes('plantuml.com') &&
+        configured.serverUrl() === 'https://plantuml.example.com/plantuml';
+    });
+
+    await check('Confluence uploads PNG-only renders as PNG attachments', async () => {
+      const requests = [];
+      const client = {
+        config: { baseUrl: 'https://wiki' },
+        api: async ({ method, url }) => {
+          requests.push(`${method} ${url}`);
+          if (method === 'GET') {
+            return { data: { results: [] } };
+          }
+          return { data: { results: [{ id: 'att-1', title: 'timing.png', _links: { download: '/d', webui: '/w' } }] } };
+        }
+      };
+      const processor = new DiagramProcessor(client, tempDir, { projectRoot, diagramRenderers: ['./renderers/timing.js'] });
+      const markdown = '```wavejson\n{ "signal": [] }\n```';
+      const { stats, diagramMap } = await processor.processAllDiagrams('page-1', markdown);
+      const diagram = processor.extractAllDiagrams(markdown)[0];
+      return stats.processed === 1 && diagramMap.get(diagram.id).id === 'att-1' &&
+        requests[0].endsWith(`filename=${diagram.id}.png`);
+    });
+
+    await check('Notion embeds PNG-only renders as uploaded image blocks', async () => {
+      const processor = new NotionDiagramProcessor({}, { projectRoot }, { projectRoot, diagramRenderers: ['./renderers/timing.js'] }, 'secret_test');
+      const uploads = [];
+      processor.fileUploader = {
+        uploadFileToNotion: async (content, fileName, mimeType) => {
+          uploads.push({ content: content.toString(), fileName, mimeType });
+          return { fileUploadId: 'upload-1' };
+        }
+      };
+      const code = '{ "signal": [{ "name": "clk" }] }';
+      const diagram = { type: 'timing', id: DiagramRendererRegistry.generateDiagramId('timing', code), code };
+      const rendered = await processor.renderDiagram(diagram);
+      const block = await processor.uploadDiagram(diagram, rendered);
+      return processor.isDiagramLanguage('wavejson') && rendered.format === 'png' &&
+        uploads.length === 1 && uploads[0].mimeType === 'image/png' && uploads[0].fileName.endsWith('.png') &&
+        uploads[0].content === `PNG:${code}` &&
+        block.type === 'image' && block.image.file_upload.id === 'upload-1';
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDiagramRenderers()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testDiagramRenderers };
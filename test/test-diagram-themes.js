@@ -0,0 +1,251 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const ConfigFile = require('../lib/core/config-file');
+const DiagramCache = require('../lib/core/diagram-cache');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const DiagramProcessor = require('../lib/core/diagram-processor');
+const ConfluenceToMarkdown = require('../lib/core/confluence-to-markdown');
+const NotionDiagramProcessor = require('../lib/core/notion/diagram-processor');
+const GoogleDocsConverter = require('../lib/core/gdocs/google-docs-converter');
+const DiagramRendererRegistry = require('../lib/core/diagrams/renderer-registry');
+const { parseFenceMeta, resolveThemeVariants, getThemeKey } = require('../lib/core/diagrams/diagram-theme');
+const graphvizRenderer = require('../lib/core/diagrams/graphviz-renderer');
+const { combineColorSchemeSvgs, resizeSvg } = require('../lib/core/diagrams/svg-optimizer');
+const { createChecker } = require('./helpers/check');
+
+const FLOW = 'graph TD\n  A --> B';
+
+/**
+ * Registry with a mermaid renderer that records the theme of each render and draws it into the SVG
+ * @param {Array<Object>} renders - Receives the theme variant of each render
+ * @returns {DiagramRendererRegistry} Registry
+ */
+function createThemedRegistry(renders) {
+  return new DiagramRendererRegistry().register({
+    type: 'mermaid',
+    version: 'mermaid test',
+    formats: ['svg', 'png'],
+    render: async ({ id, format, theme }) => {
+      renders.push({ format, ...theme });
+      if (format === 'png') {
+        return Buffer.from('png');
+      }
+      return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100" id="${id}"><style>#${id} text{fill:${theme.dark ? 'white' : 'black'}}</style>` +
+        `<marker id="arrow"/><path marker-end="url(#arrow)"/><text>${theme.variant} ${theme.theme || 'default'}</text></svg>`;
+    }
+  });
+}
+
+async function testDiagramThemes() {
+  console.log(chalk.blue('🧪 Testing diagram themes and light/dark variants'));
+  console.log(chalk.gray('==============================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-diagram-themes-'));
+  const tempDir = path.join(projectRoot, '.docusaurus', 'temp');
+
+  try {
+    console.log(chalk.blue('\n1. Settings'));
+    await check('Parses theme settings from the code fence meta', () => {
+      const settings = parseFenceMeta('theme=forest font="Fira Sans" background=\'#fafafa\' width=640 title=ignored');
+      return settings.theme === 'forest' && settings.font === 'Fira Sans' && settings.background === '#fafafa' &&
+        settings.width === 640 && settings.title === undefined;
+    });
+
+    await check('Fence meta overrides diagram type settings, which override project settings', () => {
+      const project = { font: 'Inter', theme: 'neutral', width: 800, mermaid: { theme: 'forest', width: 600 } };
+      const [light] = resolveThemeVariants(project, 'mermaid', 'width=400');
+      const [d2] = resolveThemeVariants(project, 'd2', '');
+      return light.theme === 'forest' && light.font === 'Inter' && light.width === 400 &&
+        d2.theme === 'neutral' && d2.width === 800;
+    });
+
+    await check('"both" mode has a light and a dark variant, with their own cache keys', () => {
+      const variants = resolveThemeVariants({ mode: 'both', darkTheme: 'dark' }, 'mermaid', '');
+      const [defaultVariant] = resolveThemeVariants({}, 'mermaid', '');
+      return variants.map(variant => variant.variant).join(',') === 'light,dark' &&
+        variants[1].background === '#1e1e1e' && variants[1].theme === 'dark' &&
+        getThemeKey(defaultVariant) === 'default' && getThemeKey(variants[0]) === 'default' &&
+        getThemeKey(variants[1]) === 'dark;theme=dark;background=#1e1e1e' &&
+        resolveThemeVariants({ mode: 'light' }, 'mermaid', 'mode=dark')[0].variant === 'dark';
+    });
+
+    await check('Config file theme settings are validated', () => {
+      const errors = new ConfigFile(projectRoot).validate({
+        diagrams: { theme: { mode: 'auto', width: -1, mermaid: { theme: 'forest', colour: 'red' } } },
+        notion: { diagrams: { theme: { font: 12 } } }
+      });
+      const valid = new ConfigFile(projectRoot).validate({
+        diagrams: { theme: { mode: 'both', theme: 'neutral', d2: { theme: 200 } } }
+      });
+      return errors.some(error => error.includes('diagrams.theme.mode must be one of light, dark, both')) &&
+        errors.some(error => error.includes('diagrams.theme.width must be a positive number')) &&
+        errors.some(error => error.includes('diagrams.theme.mermaid.colour is not a known option')) &&
+        errors.some(error => error.includes('notion.diagrams.theme.font must be string')) &&
+        valid.length === 0;
+    });
+
+    await check('Theme values with characters outside their allowed set are rejected', () => {
+      const settings = parseFenceMeta('background=$(touch${IFS}/tmp/pwned) font="Fira;Sans" theme=`id` darkBackground=#1e1e1e');
+      const errors = new ConfigFile(projectRoot).validate({
+        diagrams: { theme: { background: 'white;id', mermaid: { font: 'Inter$(id)' } } }
+      });
+      return Object.keys(settings).join(',') === 'darkBackground' &&
+        errors.some(error => error.includes('diagrams.theme.background must only contain a color name or hex code')) &&
+        errors.some(error => error.includes('diagrams.theme.mermaid.font must only contain'));
+    });
+
+    await check('Renderer commands get their arguments without a shell', async () => {
+      // Fake dot that records its arguments and writes an empty SVG
+      const binDir = path.join(projectRoot, 'bin');
+      const argsFile = path.join(projectRoot, 'dot-args.json');
+      const marker = path.join(projectRoot, 'pwned');
+      await fs.outputFile(path.join(binDir, 'dot'), [
+        `#!${process.execPath}`,
+        "const fs = require('fs');",
+        `fs.writeFileSync(${JSON.stringify(argsFile)}, JSON.stringify(process.argv.slice(2)));`,
+        "fs.writeFileSync(process.argv[process.argv.indexOf('-o') + 1], '<svg xmlns=\"http://www.w3.org/2000/svg\"></svg>');"
+      ].join('\n'), { mode: 0o755 });
+      const originalPath = process.env.PATH;
+      process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+      try {
+        await fs.ensureDir(tempDir);
+        await graphvizRenderer.render({
+          code: 'digraph { a -> b }',
+          id: 'graphviz-shell',
+          format: 'svg',
+          outputFile: path.join(tempDir, 'graphviz-shell.svg'),
+          tempDir,
+          theme: { background: `$(touch ${marker})`, font: `Arial" ; touch "${marker}` }
+        });
+      } finally {
+        process.env.PATH = originalPath;
+      }
+      const args = await fs.readJson(argsFile);
+      return !await fs.pathExists(marker) &&
+        args.includes(`-Gbgcolor=$(touch ${marker})`) &&
+        args.includes(`-Gfontname=Arial" ; touch "${marker}`);
+    });
+
+    console.log(chalk.blue('\n2. Rendering'));
+    await check('Extracts the fence meta of diagram code blocks', () => {
+      const registry = DiagramRendererRegistry.create();
+      const diagrams = registry.extractDiagrams('```mermaid theme=forest width=600\n' + FLOW + '\n```\n\n```d2\na -> b\n```');
+      return diagrams.length === 2 && diagrams[0].type === 'mermaid' && diagrams[0].meta === 'theme=forest width=600' &&
+        diagrams[0].code === FLOW && diagrams[1].meta === '' &&
+        diagrams[0].id === DiagramRendererRegistry.generateDiagramId('mermaid', FLOW);
+    });
+
+    await check('Renderers get the theme of the diagram and its width is applied', async () => {
+      const renders = [];
+      const registry = createThemedRegistry(renders);
+      const [diagram] = registry.extractDiagrams('```mermaid theme=forest width=400\n' + FLOW + '\n```');
+      const rendered = await registry.render(diagram, { formats: ['svg'], tempDir, theme: { font: 'Inter' } });
+      const svg = await fs.readFile(rendered.filePath, 'utf8');
+      return renders.length === 1 && renders[0].theme === 'forest' && renders[0].font === 'Inter' && !renders[0].dark &&
+        svg.includes('width="400" height="200"') && svg.includes('viewBox="0 0 200 100"');
+    });
+
+    await check('"both" mode combines light and dark SVG renders, PNG gets the light one', async () => {
+      const renders = [];
+      const registry = createThemedRegistry(renders);
+      const [diagram] = registry.extractDiagrams('```mermaid\n' + FLOW + '\n```');
+      const theme = { mode: 'both' };
+      const svgResult = await registry.render(diagram, { formats: ['svg'], tempDir, theme });
+      const pngResult = await registry.render(diagram, { formats: ['png'], tempDir, theme });
+      const svg = await fs.readFile(svgResult.filePath, 'utf8');
+      return renders.map(render => `${render.format}:${render.variant}`).join(',') === 'svg:light,svg:dark,png:light' &&
+        svg.includes('class="docflu-light"') && svg.includes('class="docflu-dark"') &&
+        svg.includes('@media (prefers-color-scheme: dark)') &&
+        svg.includes('<text>light default</text>') && svg.includes('<text>dark default</text>') &&
+        pngResult.format === 'png' && path.basename(pngResult.filePath).startsWith(`${diagram.id}-`) && pngResult.filePath.endsWith('.png');
+    });
+
+    await check('Theme variants are cached separately', async () => {
+      const renders = [];
+      const registry = createThemedRegistry(renders);
+      const cache = new DiagramCache(projectRoot);
+      const [diagram] = registry.extractDiagrams('```mermaid\n' + FLOW + '\n```');
+      await registry.render(diagram, { formats: ['svg'], tempDir, cache });
+      await registry.render(diagram, { formats: ['svg'], tempDir, cache, theme: { mode: 'both' } });
+      await registry.render(diagram, { formats: ['svg'], tempDir, cache, theme: { mode: 'both' } });
+      const forest = await registry.render({ ...diagram, meta: 'theme=forest' }, { formats: ['svg'], tempDir, cache });
+      return renders.map(render => `${render.variant}:${render.theme || 'default'}`).join(',') === 'light:default,dark:default,light:forest' &&
+        (await fs.readFile(forest.filePath, 'utf8')).includes('light forest');
+    });
+
+    await check('Combined SVGs keep the ids of the two renders apart', () => {
+      const light = '<?xml version="1.0"?><svg id="d" viewBox="0 0 100 50"><style>#d .n{fill:black}</style><marker id="m"/><path marker-end="url(#m)"/></svg>';
+      const dark = '<svg id="d" class="flowchart" viewBox="0 0 120 40"><style>#d .n{fill:white}</style><marker id="m"/><use href="#m"/></svg>';
+      const svg = combineColorSchemeSvgs(light, dark);
+      return svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="120" height="50"') && !svg.includes('<?xml') &&
+        svg.includes('url(#m)') && svg.includes('id="dark-d"') && svg.includes('#dark-d .n{fill:white}') &&
+        svg.includes('href="#dark-m"') && svg.includes('class="flowchart docflu-dark"') &&
+        resizeSvg('<svg width="10" height="5"><g/></svg>', 20) === '<svg width="20" height="10" viewBox="0 0 10 5"><g/></svg>';
+    });
+
+    console.log(chalk.blue('\n3. Platforms'));
+    await check('Confluence renders with the project theme and pull restores the fence meta', async () => {
+      const renders = [];
+      const client = {
+        config: { baseUrl: 'https://wiki' },
+        api: async ({ method }) => ({
+          data: { results: method === 'GET' ? [] : [{ id: 'att-1', title: 'diagram.svg', _links: { download: '/d', webui: '/w' } }] }
+        })
+      };
+      const renderers = createThemedRegistry(renders);
+      const options = { projectRoot, renderers, diagramTheme: { theme: 'neutral' } };
+      const parser = new MarkdownParser(projectRoot, null, client, options);
+      parser.diagramProcessor = new DiagramProcessor(client, tempDir, options);
+      const markdown = '# Flow\n\n```mermaid theme=forest font="Fira Sans"\n' + FLOW + '\n```\n\n```mermaid\ngraph LR\n  C --> D\n```\n';
+      const result = await parser.parseMarkdown(markdown, {}, null, null, 'page-1');
+
+      const restored = new ConfluenceToMarkdown({ diagramProcessor: parser.diagramProcessor }).convert(result.content);
+      return result.diagramStats.processed === 2 &&
+        renders.map(render => render.theme).join(',') === 'forest,neutral' && renders[0].font === 'Fira Sans' &&
+        restored.includes('```mermaid theme=forest font="Fira Sans"\n' + FLOW + '\n```') &&
+        restored.includes('```mermaid\ngraph LR\n  C --> D\n```');
+    });
+
+    await check('Notion renders diagrams with their fence meta', async () => {
+      const renders = [];
+      const processor = new NotionDiagramProcessor({}, { projectRoot }, { projectRoot, diagramTheme: { mode: 'dark' } }, 'secret_test');
+      processor.renderers = createThemedRegistry(renders);
+      processor.fileUploader = {
+        uploadSvgToNotion: async () => ({ object: 'block', type: 'image', image: { type: 'file_upload', file_upload: { id: 'upload-1' }, caption: [] } })
+      };
+      const blocks = await processor.processMarkdownWithDiagrams('```mermaid darkTheme=forest\n' + FLOW + '\n```\n\n```js title="app.js"\nrun();\n```');
+      // Other code blocks with meta are left to the markdown conversion
+      return blocks.length === 2 && blocks[0].type === 'image' && blocks[1].type !== 'image' &&
+        renders.length === 1 && renders[0].variant === 'dark' && renders[0].theme === 'forest';
+    });
+
+    await check('Google Docs keeps unrendered diagrams with fence meta as code blocks with a note', () => {
+      const converter = new GoogleDocsConverter(DiagramRendererRegistry.create(projectRoot));
+      const { requests } = converter.convertFromMarkdown('```d2 theme=terminal\na -> b\n```');
+      const text = requests.map(request => request.insertText ? request.insertText.text : '').join('');
+      return text.includes('⚠️ D2 diagram not rendered\n') && text.includes('a -> b');
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDiagramThemes()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testDiagramThemes };
@@ -0,0 +1,192 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const DiagramProcessor = require('../lib/core/diagram-processor');
+const NotionDiagramProcessor = require('../lib/core/notion/diagram-processor');
+const DiagramRendererRegistry = require('../lib/core/diagrams/renderer-registry');
+const { optimizeStyledSvg } = require('../lib/core/diagrams/svg-optimizer');
+const { createChecker } = require('./helpers/check');
+
+const NEW_TYPES = ['vega-lite', 'wavedrom', 'ditaa', 'bpmn', 'excalidraw'];
+
+const VEGA_LITE_SPEC = '{\n  "mark": "bar",\n  "data": { "values": [{ "a": "A", "b": 28 }] },\n  "encoding": { "x": { "field": "a" }, "y": { "field": "b" } }\n}';
+const EXCALIDRAW_SCENE = '{\n  "type": "excalidraw",\n  "version": 2,\n  "elements": [{ "type": "rectangle", "id": "box" }]\n}';
+
+/**
+ * Registry whose built-in renderers of the given types render a fixed SVG instead of running their CLIs
+ * @param {Array<string>} types - Diagram types
+ * @returns {DiagramRendererRegistry} Registry
+ */
+function createRenderedRegistry(types) {
+  const registry = DiagramRendererRegistry.create();
+  for (const type of types) {
+    registry.register({
+      ...registry.get(type),
+      version: `${type} test`,
+      check: async () => true,
+      render: async ({ id }) => `<svg xmlns="http://www.w3.org/2000/svg"><text>${id}</text></svg>`
+    });
+  }
+  return registry;
+}
+
+async function testDiagramTypes() {
+  console.log(chalk.blue('🧪 Testing Vega-Lite, WaveDrom, ditaa, BPMN and Excalidraw diagrams'));
+  console.log(chalk.gray('=================================================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-diagram-types-'));
+  const tempDir = path.join(projectRoot, '.docusaurus', 'temp');
+  const docFile = path.join(projectRoot, 'docs', 'guide', 'architecture.md');
+  await fs.outputFile(path.join(projectRoot, 'docs', 'guide', 'diagrams', 'overview.excalidraw'), `${EXCALIDRAW_SCENE}\n`);
+  await fs.outputFile(path.join(projectRoot, 'static', 'img', 'order.bpmn'), '<bpmn:definitions id="order"/>');
+  await fs.outputFile(path.join(projectRoot, 'docusaurus.config.js'), 'module.exports = {};');
+
+  try {
+    console.log(chalk.blue('\n1. Registry'));
+    await check('New built-in types, their languages and diagram file extensions', () => {
+      const registry = DiagramRendererRegistry.create();
+      return NEW_TYPES.every(type => registry.getTypes().includes(type)) &&
+        registry.resolveType('vegalite') === 'vega-lite' &&
+        registry.resolveType('vega-lite') === 'vega-lite' &&
+        registry.resolveFileType('diagrams/Overview.EXCALIDRAW') === 'excalidraw' &&
+        registry.resolveFileType('/img/order.bpmn') === 'bpmn' &&
+        registry.resolveFileType('logo.png') === null;
+    });
+
+    await check('Built-in renderers can be installed and render PNG for Google Docs', () => {
+      const registry = DiagramRendererRegistry.create();
+      return NEW_TYPES.every(type => {
+        const renderer = registry.get(type);
+        return renderer.check && renderer.install && renderer.versionCommand &&
+          registry.getFormat(type, ['png']) === 'png' && registry.getFormat(type, ['svg', 'png']) === 'svg';
+      });
+    });
+
+    await check('Extracts Vega-Lite, WaveDrom and ditaa code blocks', () => {
+      const registry = DiagramRendererRegistry.create();
+      const markdown = [
+        '```vega-lite\n' + VEGA_LITE_SPEC + '\n```',
+        '```wavedrom\n{ signal: [{ name: "clk", wave: "p...." }] }\n```',
+        '```ditaa\n+--------+\n| Client |\n+--------+\n```'
+      ].join('\n\n');
+      const diagrams = registry.extractDiagrams(markdown);
+      return diagrams.map(diagram => diagram.type).join(',') === 'vega-lite,wavedrom,ditaa' &&
+        diagrams[0].code === VEGA_LITE_SPEC &&
+        diagrams[0].id === DiagramRendererRegistry.generateDiagramId('vega-lite', VEGA_LITE_SPEC);
+    });
+
+    await check('Rejects invalid diagram file extensions', () => {
+      try {
+        new DiagramRendererRegistry().register({ type: 'chart', extensions: ['chart'], render: async () => '<svg/>' });
+        return false;
+      } catch (error) {
+        return error.message.includes('extensions must be a list of file extensions');
+      }
+    });
+
+    console.log(chalk.blue('\n2. Diagram files'));
+    await check('Inlines .excalidraw and .bpmn images as diagram code blocks', async () => {
+      const registry = DiagramRendererRegistry.create();
+      const markdown = [
+        '![Overview](./diagrams/overview.excalidraw "System overview")',
+        '![Order process](/img/order.bpmn)',
+        '![Logo](./logo.png)',
+        '![Remote](https://example.com/board.excalidraw)',
+        '![Missing](./missing.excalidraw)'
+      ].join('\n\n');
+      const inlined = await registry.inlineDiagramFiles(markdown, docFile);
+      return inlined.includes('```excalidraw\n' + EXCALIDRAW_SCENE + '\n```') &&
+        inlined.includes('```bpmn\n<bpmn:definitions id="order"/>\n```') &&
+        inlined.includes('![Logo](./logo.png)') &&
+        inlined.includes('![Remote](https://example.com/board.excalidraw)') &&
+        inlined.includes('![Missing](./missing.excalidraw)') &&
+        registry.extractDiagrams(inlined).map(diagram => diagram.type).join(',') === 'excalidraw,bpmn';
+    });
+
+    console.log(chalk.blue('\n3. Platforms'));
+    await check('Confluence uploads the renders and keeps their source in the diagram metadata', async () => {
+      const uploads = [];
+      const client = {
+        config: { baseUrl: 'https://wiki' },
+        api: async ({ method, url }) => {
+          // Attachments are looked up by file name before they are uploaded
+          if (method === 'GET') {
+            uploads.push(url.match(/filename=([^&]+)/)[1]);
+            return { data: { results: [] } };
+          }
+          const fileName = uploads[uploads.length - 1];
+          return { data: { results: [{ id: `att-${uploads.length}`, title: fileName, _links: { download: '/d', webui: '/w' } }] } };
+        }
+      };
+      const renderers = createRenderedRegistry(['vega-lite', 'excalidraw']);
+      const parser = new MarkdownParser(projectRoot, null, client, { projectRoot, renderers });
+      parser.diagramProcessor = new DiagramProcessor(client, tempDir, { projectRoot, renderers });
+      const markdown = '# Architecture\n\n![Overview](./diagrams/overview.excalidraw)\n\n```vega-lite\n' + VEGA_LITE_SPEC + '\n```\n';
+      const result = await parser.parseMarkdown(markdown, {}, docFile, null, 'page-1');
+
+      const restored = parser.diagramProcessor.convertConfluenceDiagramsToMarkdown(result.content);
+      return result.diagramStats.processed === 2 && uploads.length === 2 &&
+        uploads.every(fileName => fileName.endsWith('.svg')) &&
+        result.content.includes('<!-- DOCFLU_DIAGRAM_METADATA:vega-lite:') &&
+        result.content.includes('<!-- DOCFLU_DIAGRAM_METADATA:excalidraw:') &&
+        !result.content.includes('overview.excalidraw') &&
+        restored.includes('```vega-lite\n' + VEGA_LITE_SPEC + '\n```') &&
+        restored.includes('```excalidraw\n' + EXCALIDRAW_SCENE + '\n```');
+    });
+
+    await check('Notion embeds the renders as uploaded SVG images', async () => {
+      const processor = new NotionDiagramProcessor({}, { projectRoot }, { projectRoot }, 'secret_test');
+      processor.renderers = createRenderedRegistry(['wavedrom']);
+      const uploads = [];
+      processor.fileUploader = {
+        uploadSvgToNotion: async (svgContent, fileName) => {
+          uploads.push({ svgContent, fileName });
+          return { object: 'block', type: 'image', image: { type: 'file_upload', file_upload: { id: 'upload-1' }, caption: [] } };
+        }
+      };
+      const blocks = await processor.processMarkdownWithDiagrams('```wavedrom\n{ signal: [{ name: "clk", wave: "p...." }] }\n```');
+      return blocks.length === 1 && blocks[0].type === 'image' && blocks[0].image.file_upload.id === 'upload-1' &&
+        uploads.length === 1 && uploads[0].fileName.startsWith('wavedrom-diagram-') && uploads[0].fileName.endsWith('.svg') &&
+        uploads[0].svgContent.includes('<text>wavedrom-');
+    });
+
+    await check('Notion keeps unrendered Vega-Lite specs as JSON code blocks', async () => {
+      const processor = new NotionDiagramProcessor({}, { projectRoot }, { projectRoot }, 'secret_test');
+      processor.renderers = DiagramRendererRegistry.create();
+      processor.renderers.register({ ...processor.renderers.get('vega-lite'), check: async () => false });
+      const blocks = await processor.processMarkdownWithDiagrams('```vega-lite\n' + VEGA_LITE_SPEC + '\n```');
+      return blocks.length === 2 && blocks[0].type === 'callout' &&
+        blocks[1].type === 'code' && blocks[1].code.language === 'json' &&
+        blocks[1].code.caption[0].text.content === 'vega-lite';
+    });
+
+    await check('Styled SVGs keep their stylesheet and get a white background', () => {
+      const svg = optimizeStyledSvg('<svg viewBox="0 0 100 40">\n  <style>.s1 { stroke: #000; }</style>\n  <path class="s1" d="M0 0"/>\n</svg>');
+      return svg.includes('xmlns="http://www.w3.org/2000/svg"') &&
+        svg.includes('<style>.s1 { stroke: #000; }</style>') && svg.includes('class="s1"') &&
+        svg.includes('<rect x="0" y="0" width="100" height="40" fill="white" stroke="none"/>');
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDiagramTypes()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testDiagramTypes };
@@ -0,0 +1,176 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+const Config = require('../lib/core/config');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const GoogleDocsConverter = require('../lib/core/gdocs/google-docs-converter');
+const NotionDiagramProcessor = require('../lib/core/notion/diagram-processor');
+const DiagramRendererRegistry = require('../lib/core/diagrams/renderer-registry');
+const { doctor } = require('../lib/commands/doctor');
+const { runCommand } = require('../lib/core/diagrams/cli-tools');
+const { createChecker } = require('./helpers/check');
+
+const BASE_ENV = {
+  CONFLUENCE_BASE_URL: 'https://example.atlassian.net',
+  CONFLUENCE_USERNAME: 'user@example.com',
+  CONFLUENCE_API_TOKEN: 'token',
+  CONFLUENCE_SPACE_KEY: 'DOC'
+};
+
+// Renderer modules: one installed, one only available after install() created its marker file
+const RENDERER_MODULE = `const fs = require('fs');
+const path = require('path');
+const marker = path.join(__dirname, 'installed');
+
+module.exports = [
+  {
+    type: 'chart',
+    version: 'chart 2.0',
+    check: async () => true,
+    describe: async () => 'bundled',
+    render: async () => '<svg/>'
+  },
+  {
+    type: 'timing',
+    languages: ['timing', 'wavejson'],
+    check: async () => fs.existsSync(marker),
+    install: async () => {
+      fs.writeFileSync(marker, '');
+      return true;
+    },
+    render: async () => '<svg/>'
+  }
+];
+`;
+
+async function testDoctor() {
+  console.log(chalk.blue('🧪 Testing docflu doctor and offline diagram fallbacks'));
+  console.log(chalk.gray('===================================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-doctor-'));
+  const marker = path.join(projectRoot, 'renderers', 'installed');
+  await fs.outputFile(path.join(projectRoot, 'renderers', 'index.js'), RENDERER_MODULE);
+  await fs.writeJson(path.join(projectRoot, 'docflu.config.json'), { diagrams: { renderers: ['./renderers/index.js'] } });
+
+  // Registry whose only renderer is missing, counting install attempts
+  let installs = 0;
+  const createMissingRenderers = () => new DiagramRendererRegistry().register({
+    type: 'mermaid',
+    check: async () => false,
+    install: async () => {
+      installs++;
+      return false;
+    },
+    render: async () => '<svg/>'
+  });
+
+  try {
+    console.log(chalk.blue('\n1. Doctor'));
+    await check('Reports built-in and config file renderers with their versions', async () => {
+      const result = await doctor(projectRoot);
+      const chart = result.renderers.find(renderer => renderer.type === 'chart');
+      const timing = result.renderers.find(renderer => renderer.type === 'timing');
+      return result.renderers.slice(0, 4).map(renderer => renderer.type).join(',') === 'mermaid,plantuml,graphviz,d2' &&
+        chart.available && chart.version === 'chart 2.0' && chart.details === 'bundled' &&
+        !timing.available && timing.version === null && timing.languages.join(',') === 'timing,wavejson' &&
+        result.packages[0].name === 'sharp' &&
+        !await fs.pathExists(marker);
+    });
+
+    await check('Installs missing renderers only with --install-tools', async () => {
+      const result = await doctor(projectRoot, { installTools: true });
+      return result.renderers.find(renderer => renderer.type === 'timing').available && await fs.pathExists(marker);
+    });
+
+    await check('docflu doctor runs from the CLI', () => {
+      const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'docflu.js'), 'doctor', projectRoot], {
+        encoding: 'utf8',
+        timeout: 120000
+      });
+      return result.status === 0 && result.stdout.includes('Diagram renderers') && /chart \(chart\): chart 2\.0/.test(result.stdout);
+    });
+
+    console.log(chalk.blue('\n2. No silent installs'));
+    await check('--install-tools is off unless passed', () => {
+      const config = new Config();
+      return config.buildConfluenceConfig(BASE_ENV, {}).installTools === false &&
+        config.buildConfluenceConfig(BASE_ENV, {}, { installTools: true }).installTools === true;
+    });
+
+    await check('Confluence keeps unrendered diagrams as code blocks with a note', async () => {
+      installs = 0;
+      const client = { config: { baseUrl: 'https://wiki' }, api: async () => ({ data: { results: [] } }) };
+      const parser = new MarkdownParser(projectRoot, null, client, { projectRoot, renderers: createMissingRenderers() });
+      const result = await parser.parseMarkdown('# Flow\n\n```mermaid\ngraph TD\n  A --> B\n```\n', {}, null, null, 'page-1');
+      return installs === 0 && result.diagramStats.failed === 1 &&
+        result.content.includes('<p><em>⚠️ Mermaid diagram not rendered (renderer not available)</em></p>') &&
+        result.content.includes('<ac:parameter ac:name="language">mermaid</ac:parameter>') &&
+        result.content.includes('A --> B');
+    });
+
+    await check('Notion keeps unrendered diagrams as code blocks with a note', async () => {
+      installs = 0;
+      const processor = new NotionDiagramProcessor({}, { projectRoot }, { projectRoot }, 'secret_test');
+      processor.renderers = createMissingRenderers();
+      const blocks = await processor.processMarkdownWithDiagrams('```mermaid\ngraph TD\n  A --> B\n```');
+      return installs === 0 && blocks.length === 2 &&
+        blocks[0].type === 'callout' && blocks[0].callout.rich_text[0].text.content === 'Mermaid diagram not rendered (renderer not available)' &&
+        blocks[1].type === 'code' && blocks[1].code.rich_text[0].text.content === 'graph TD\n  A --> B' &&
+        blocks[1].code.caption[0].text.content === 'mermaid';
+    });
+
+    await check('Hung renderer commands are stopped and the diagram kept as a code block', async () => {
+      const client = { config: { baseUrl: 'https://wiki' }, api: async () => ({ data: { results: [] } }) };
+      const renderers = new DiagramRendererRegistry().register({
+        type: 'mermaid',
+        render: async () => runCommand(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { timeout: 500 })
+      });
+      const parser = new MarkdownParser(projectRoot, null, client, { projectRoot, renderers });
+      const started = Date.now();
+      const result = await parser.parseMarkdown('```mermaid\ngraph TD\n  A --> B\n```\n', {}, null, null, 'page-1');
+      return Date.now() - started < 10000 && result.diagramStats.failed === 1 &&
+        result.content.includes('Mermaid diagram not rendered (rendering failed)') &&
+        result.content.includes('A --> B');
+    });
+
+    await check('Renderer commands do not block pages synced in parallel', async () => {
+      let ticks = 0;
+      const timer = setInterval(() => ticks++, 10);
+      try {
+        await runCommand(process.execPath, ['-e', 'setTimeout(() => {}, 500)']);
+      } finally {
+        clearInterval(timer);
+      }
+      return ticks >= 5;
+    });
+
+    await check('Google Docs keeps unrendered diagrams as code blocks with a note', () => {
+      const converter = new GoogleDocsConverter(DiagramRendererRegistry.create(projectRoot));
+      const { requests } = converter.convertFromMarkdown('```d2\na -> b\n```');
+      const text = requests.map(request => request.insertText ? request.insertText.text : '').join('');
+      return text.includes('⚠️ D2 diagram not rendered\n') && text.includes('[d2]\na -> b');
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDoctor()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testDoctor };
@@ -0,0 +1,304 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const Config = require('../lib/core/config');
+const GoogleDocsState = require('../lib/core/gdocs/google-docs-state');
+const GoogleDocsFileLayout = require('../lib/core/gdocs/file-layout');
+const GoogleDocsTabLayout = require('../lib/core/gdocs/tab-layout');
+const GoogleDocsSync = require('../lib/core/gdocs/google-docs-sync');
+const { createChecker } = require('./helpers/check');
+
+/**
+ * In-memory Drive exposing the methods GoogleDocsFileLayout calls
+ */
+function createFakeDrive() {
+  let nextId = 1;
+  const files = new Map(); // id -> {id, name, parent, trashed, kind}
+  const calls = [];
+
+  const create = (name, parent, kind) => {
+    const file = { id: `${kind}-${nextId++}`, name, parent, trashed: false, kind };
+    files.set(file.id, file);
+    return file;
+  };
+
+  return {
+    files,
+    calls,
+    ensureFolder: async (name, parentId) => {
+      calls.push(['ensureFolder', name, parentId]);
+      const existing = [...files.values()].find(file => file.kind === 'folder' && file.name === name && file.parent === parentId && !file.trashed);
+      const folder = existing || create(name, parentId, 'folder');
+      return { id: folder.id, name, url: `https://drive/${folder.id}`, created: !existing };
+    },
+    createDocument: async (title, parentId) => {
+      calls.push(['createDocument', title, parentId]);
+      const doc = create(title, parentId, 'doc');
+      return { documentId: doc.id, title, url: `https://docs/${doc.id}` };
+    },
+    getActiveFile: async fileId => {
+      const file = files.get(fileId);
+      return file && !file.trashed ? { id: file.id, name: file.name } : null;
+    },
+    renameFile: async (fileId, name) => {
+      calls.push(['renameFile', fileId, name]);
+      files.get(fileId).name = name;
+    }
+  };
+}
+
+/**
+ * In-memory Google Doc with a tab tree, exposing the tab methods of GoogleDocsClient
+ */
+function createFakeDocs() {
+  let nextId = 1;
+  const tabs = [{ tabProperties: { tabId: 't.0', title: 'Tab 1' }, childTabs: [], documentTab: { body: { content: [] } } }];
+  const calls = [];
+
+  const all = () => GoogleDocsTabLayout.flattenTabs(tabs);
+  const find = tabId => all().find(tab => tab.tabProperties.tabId === tabId);
+
+  return {
+    tabs,
+    calls,
+    find,
+    getDocumentWithTabs: async documentId => ({ documentId, tabs: JSON.parse(JSON.stringify(tabs)) }),
+    addTab: async (documentId, title, parentTabId = null) => {
+      calls.push(['addTab', title, parentTabId]);
+      const tab = { tabProperties: { tabId: `t.${nextId++}`, title, ...(parentTabId && { parentTabId }) }, childTabs: [], documentTab: { body: { content: [] } } };
+      (parentTabId ? find(parentTabId).childTabs : tabs).push(tab);
+      return tab.tabProperties;
+    },
+    renameTab: async (documentId, tabId, title) => {
+      calls.push(['renameTab', tabId, title]);
+      find(tabId).tabProperties.title = title;
+    },
+    deleteTab: async (documentId, tabId) => {
+      calls.push(['deleteTab', tabId]);
+      const parentTabId = find(tabId).tabProperties.parentTabId;
+      const siblings = parentTabId ? find(parentTabId).childTabs : tabs;
+      siblings.splice(siblings.findIndex(tab => tab.tabProperties.tabId === tabId), 1);
+    }
+  };
+}
+
+async function testGdocsLayout() {
+  console.log(chalk.blue('🧪 Testing Google Docs file layout'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-gdocs-layout-'));
+  const docsDir = path.join(projectRoot, 'docs');
+  const documentAt = (relativePath, title) => ({
+    filePath: path.join(docsDir, relativePath),
+    relativePath,
+    title,
+    category: path.dirname(relativePath) === '.' ? null : path.dirname(relativePath)
+  });
+  const intro = documentAt('intro.md', 'Intro');
+  const install = documentAt('guides/setup/install.md', 'Install');
+
+  try {
+    await fs.outputFile(intro.filePath, '# Intro');
+    await fs.outputFile(install.filePath, '# Install');
+    await fs.outputJson(path.join(docsDir, 'guides/_category_.json'), { label: 'User Guides' });
+
+    const state = new GoogleDocsState(projectRoot);
+    await state.init();
+    const drive = createFakeDrive();
+    const createLayout = () => new GoogleDocsFileLayout(drive, state, { docsDir, rootTitle: 'Handbook' });
+
+    console.log(chalk.blue('\n1. Folder tree'));
+    await check('Creates folders mirroring the docs directories', async () => {
+      const target = await createLayout().ensureDocument(install);
+      const folder = drive.files.get(target.folderId);
+      const parent = drive.files.get(folder.parent);
+      const root = drive.files.get(parent.parent);
+      return target.created && folder.name === 'setup' && parent.name === 'User Guides' &&
+        root.name === 'Handbook' && root.parent === 'root' &&
+        state.getFolder('guides/setup').folderId === folder.id;
+    });
+
+    await check('Root documents go in the root folder', async () => {
+      const target = await createLayout().ensureDocument(intro);
+      return drive.files.get(target.folderId).name === 'Handbook' && drive.files.get(target.documentId).kind === 'doc';
+    });
+
+    console.log(chalk.blue('\n2. Incremental sync'));
+    await check('Records documents and reuses them', async () => {
+      const layout = createLayout();
+      const target = await layout.ensureDocument(install);
+      await state.updateDocument(install.filePath, { documentId: target.documentId, title: 'Install', layout: 'files', folderId: target.folderId, documentUrl: target.url });
+
+      drive.calls.length = 0;
+      const again = await createLayout().ensureDocument(install);
+      return again.documentId === target.documentId && !again.created &&
+        drive.calls.filter(call => call[0] === 'createDocument').length === 0 &&
+        state.getFileDocument(install.filePath).documentUrl === target.url;
+    });
+
+    await check('Only changed files need sync', async () => {
+      const layout = createLayout();
+      const unchanged = !await layout.needsSync(install);
+      await fs.utimes(install.filePath, new Date(), new Date(Date.now() + 5000));
+      return unchanged && await layout.needsSync(install) && await layout.needsSync(intro);
+    });
+
+    await check('Renamed titles rename the Google Doc', async () => {
+      const documentId = state.getFileDocument(install.filePath).documentId;
+      await createLayout().ensureDocument({ ...install, title: 'Installation' });
+      return drive.files.get(documentId).name === 'Installation';
+    });
+
+    await check('Trashed documents are recreated', async () => {
+      const documentId = state.getFileDocument(install.filePath).documentId;
+      drive.files.get(documentId).trashed = true;
+      const target = await createLayout().ensureDocument(install);
+      return target.created && target.documentId !== documentId && !state.getDocumentById(documentId);
+    });
+
+    await check('Root document entries are not reused as file documents', async () => {
+      await state.updateDocument(intro.filePath, { documentId: 'root-doc', title: 'Intro' });
+      return !state.getFileDocument(intro.filePath);
+    });
+
+    console.log(chalk.blue('\n3. Sync engine'));
+    await check('Syncs each changed file to its own document', async () => {
+      const synced = [];
+      const engine = {
+        layout: 'files',
+        config: { concurrentUploads: 5 },
+        documentLayout: createLayout(),
+        state,
+        prepareDocumentLayout: async () => {},
+        resolveInternalLinks: async () => {},
+        syncDocument: async (document, documentId, stateData) => {
+          synced.push([document.title, documentId, stateData.layout]);
+          await state.updateDocument(document.filePath, { documentId, title: document.title, ...stateData });
+        },
+        generateSyncReport: () => ({ success: true, stats: state.getStats() })
+      };
+      engine.syncDocumentFile = GoogleDocsSync.prototype.syncDocumentFile.bind(engine);
+
+      state.resetStats();
+      await GoogleDocsSync.prototype.syncDocumentFiles.call(engine, [intro, install]);
+      const first = synced.length;
+      const second = await GoogleDocsSync.prototype.syncDocumentFiles.call(engine, [intro, install]);
+      return first === 2 && synced.length === 2 && synced.every(entry => entry[2] === 'files') &&
+        second.stats.skipped === 2 &&
+        new Set(synced.map(entry => entry[1])).size === 2;
+    });
+
+    console.log(chalk.blue('\n4. Tab layout'));
+    const tabsState = new GoogleDocsState(path.join(projectRoot, 'tabs'));
+    await tabsState.init();
+    const docs = createFakeDocs();
+    const createTabLayout = async () => {
+      const layout = new GoogleDocsTabLayout(docs, tabsState, { docsDir });
+      await layout.load('root-doc', 'https://docs.google.com/document/d/root-doc');
+      return layout;
+    };
+    const record = (document, target) => tabsState.updateDocument(document.filePath, {
+      documentId: target.documentId, title: document.title, layout: 'tabs', tabId: target.tabId, parentTabId: target.parentTabId, documentUrl: target.url
+    });
+
+    await check('Nests file tabs under category tabs', async () => {
+      const layout = await createTabLayout();
+      const introTab = await layout.ensureDocument(intro);
+      const installTab = await layout.ensureDocument(install);
+      await record(intro, introTab);
+      await record(install, installTab);
+
+      const setup = docs.find(installTab.parentTabId).tabProperties;
+      const guides = docs.find(setup.parentTabId).tabProperties;
+      return introTab.parentTabId === null && introTab.created &&
+        docs.find(installTab.tabId).tabProperties.title === 'Install' &&
+        setup.title === 'setup' && guides.title === 'User Guides' && !guides.parentTabId &&
+        installTab.url === `https://docs.google.com/document/d/root-doc/edit?tab=${installTab.tabId}`;
+    });
+
+    await check('Reuses recorded tabs and tracks each file on its own', async () => {
+      docs.calls.length = 0;
+      const layout = await createTabLayout();
+      const target = await layout.ensureDocument(install);
+      return !target.created && docs.calls.length === 0 &&
+        tabsState.getTabDocument(intro.filePath).tabId !== tabsState.getTabDocument(install.filePath).tabId &&
+        !await layout.needsSync(intro) && !await layout.needsSync(install);
+    });
+
+    await check('Renames tabs when titles change', async () => {
+      const tabId = tabsState.getTabDocument(install.filePath).tabId;
+      await (await createTabLayout()).ensureDocument({ ...install, title: 'Installation' });
+      return docs.find(tabId).tabProperties.title === 'Installation';
+    });
+
+    await check('Recreates tabs deleted in Google Docs', async () => {
+      const tabId = tabsState.getTabDocument(intro.filePath).tabId;
+      await docs.deleteTab('root-doc', tabId);
+      const target = await (await createTabLayout()).ensureDocument(intro);
+      return target.created && target.tabId !== tabId && !tabsState.getTabDocument(intro.filePath);
+    });
+
+    await check('Caps nesting at three levels', async () => {
+      const deep = documentAt('guides/setup/linux/debian.md', 'Debian');
+      await fs.outputFile(deep.filePath, '# Debian');
+      const layout = await createTabLayout();
+      const target = await layout.ensureDocument(deep);
+      return target.parentTabId === tabsState.getTabByPath('guides/setup').tabId && !tabsState.getTabByPath('guides/setup/linux');
+    });
+
+    await check('Scopes requests and document content to a tab', async () => {
+      const requests = GoogleDocsTabLayout.scopeRequests([
+        { insertText: { text: 'Hi', location: { index: 1 } } },
+        { deleteContentRange: { range: { startIndex: 1, endIndex: 3 } } },
+        { insertTableRow: { tableCellLocation: { tableStartLocation: { index: 5 }, rowIndex: 0 } } },
+        { insertText: { text: 'End', endOfSegmentLocation: { segmentId: '' } } }
+      ], 't.9');
+      const document = {
+        documentId: 'root-doc',
+        tabs: [{ tabProperties: { tabId: 't.0' }, childTabs: [{ tabProperties: { tabId: 't.9' }, documentTab: { body: { content: ['tab body'] } } }] }]
+      };
+      return requests[0].insertText.location.tabId === 't.9' &&
+        requests[1].deleteContentRange.range.tabId === 't.9' &&
+        requests[2].insertTableRow.tableCellLocation.tableStartLocation.tabId === 't.9' &&
+        requests[2].insertTableRow.tableCellLocation.tabId === undefined &&
+        requests[3].insertText.endOfSegmentLocation.tabId === 't.9' &&
+        GoogleDocsTabLayout.getTabView(document, 't.9').body.content[0] === 'tab body';
+    });
+
+    console.log(chalk.blue('\n5. Configuration'));
+    await check('Validates the configured layout', () => {
+      const env = { GOOGLE_CLIENT_ID: 'id' };
+      const config = new Config();
+      try {
+        config.buildGoogleDocsConfig(env, {}, { layout: 'pages' });
+        return false;
+      } catch (error) {
+        return error.message.includes('Invalid Google Docs layout') &&
+          config.buildGoogleDocsConfig(env, {}, {}).layout === 'single' &&
+          config.buildGoogleDocsConfig({ ...env, GOOGLE_DOCS_LAYOUT: 'files' }, {}, {}).layout === 'files' &&
+          config.buildGoogleDocsConfig(env, {}, { layout: 'tabs' }).layout === 'tabs';
+      }
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testGdocsLayout()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testGdocsLayout };
@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const LinkProcessor = require('../lib/core/gdocs/link-processor');
+const GoogleDocsState = require('../lib/core/gdocs/google-docs-state');
+const GoogleDocsSync = require('../lib/core/gdocs/google-docs-sync');
+const GoogleDocsInternalLinkResolver = require('../lib/core/gdocs/internal-link-resolver');
+const HeadingSlugger = require('../lib/core/heading-slugger');
+const { createChecker } = require('./helpers/check');
+
+const heading = (text, headingId) => ({
+  paragraph: { paragraphStyle: { headingId, namedStyleType: 'HEADING_2' }, elements: [{ textRun: { content: `${text}\n` } }] }
+});
+const paragraph = (...runs) => ({
+  paragraph: { elements: runs.map(([startIndex, content, url]) => ({ startIndex, endIndex: startIndex + content.length, textRun: { content, textStyle: url ? { link: { url } } : {} } })) }
+});
+const tab = (tabId, content, childTabs = []) => ({ tabProperties: { tabId }, childTabs, documentTab: { body: { content } } });
+
+/**
+ * Google Docs with tabs, recording batchUpdate requests
+ */
+function createFakeDocs(documents) {
+  const updates = [];
+  return {
+    updates,
+    getDocumentWithTabs: async documentId => documents[documentId],
+    docs: {
+      documents: {
+        batchUpdate: async ({ documentId, requestBody }) => {
+          updates.push({ documentId, requests: requestBody.requests });
+        }
+      }
+    }
+  };
+}
+
+async function testGdocsLinks() {
+  console.log(chalk.blue('🧪 Testing Google Docs internal links'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-gdocs-links-'));
+  const docsDir = path.join(projectRoot, 'docs');
+  const introPath = path.join(docsDir, 'intro.md');
+  const installPath = path.join(docsDir, 'guides/install.md');
+  const marker = (filePath, anchor = null) => GoogleDocsInternalLinkResolver.toMarkerUrl(filePath, anchor, projectRoot);
+
+  try {
+    await fs.outputFile(introPath, '# Intro');
+    await fs.outputFile(installPath, '# Install');
+
+    console.log(chalk.blue('\n1. First pass'));
+    await check('Detects internal links and gives them marker URLs', () => {
+      const processor = new LinkProcessor(null, projectRoot, null, { docsDir });
+      const links = processor.extractLinks([
+        'See [Install](./guides/install.md#setup), [the guide](/docs/guides/install) and [below](#usage).',
+        'Also [up](../intro) and [site](https://docusaurus.io), ![logo](./logo.md), [report](./report.pdf).'
+      ].join('\n'), introPath);
+
+      const byText = text => links.find(link => link.text === text);
+      return byText('Install').url === marker(installPath, 'setup') &&
+        byText('the guide').url === marker(path.join(docsDir, 'guides/install')) &&
+        byText('below').url === marker(introPath, 'usage') &&
+        byText('up').url === marker(path.join(projectRoot, 'intro')) &&
+        byText('site').type === 'external' &&
+        byText('report').type === 'local_attachment' &&
+        !byText('logo');
+    });
+
+    await check('Counts internal links apart from external links', () => {
+      const processor = new LinkProcessor(null, projectRoot, null, { docsDir });
+      const links = processor.extractLinks('[Install](./guides/install.md) and [site](https://docusaurus.io)', introPath);
+      const { linkRequests } = processor.generateLinkRequests('[Install](./guides/install.md) and [site](https://docusaurus.io)', links, new Map());
+      return linkRequests.length === 2 && processor.stats.internalLinks === 1 && processor.stats.externalLinks === 1 &&
+        linkRequests.find(request => request.isInternal).originalUrl === './guides/install.md';
+    });
+
+    await check('Generates Docusaurus heading anchors', () => {
+      const resolver = new GoogleDocsInternalLinkResolver(null, null);
+      const headings = resolver.getHeadings([
+        heading('Getting Started!', 'h.1'),
+        heading('Getting Started', 'h.2'),
+        heading('Custom {#my-anchor}', 'h.3'),
+        paragraph([1, 'Not a heading'])
+      ]);
+      return headings.map(item => item.slug).join(',') === 'getting-started,getting-started-1,my-anchor' &&
+        HeadingSlugger.slugify('Déjà vu: the `API`') === 'déjà-vu-the-api';
+    });
+
+    await check('Headings get a named style so Docs assigns heading IDs', () => {
+      const request = GoogleDocsSync.prototype.createHeadingStyleRequest(5, 7, 2);
+      return request.updateParagraphStyle.paragraphStyle.namedStyleType === 'HEADING_2' &&
+        request.updateParagraphStyle.range.endIndex === 12;
+    });
+
+    console.log(chalk.blue('\n2. Second pass'));
+    const state = new GoogleDocsState(projectRoot);
+    await state.init();
+
+    await check('Files layout links to the sibling Google Doc and its headings', async () => {
+      await state.updateDocument(introPath, { documentId: 'doc-intro', title: 'Intro', layout: 'files' });
+      await state.updateDocument(installPath, { documentId: 'doc-install', title: 'Install', layout: 'files' });
+      const docs = createFakeDocs({
+        'doc-intro': { tabs: [tab('t.0', [paragraph([1, 'See '], [5, 'Install', marker(installPath, 'setup')], [12, ' and '], [17, 'usage', marker(introPath, 'usage')]), heading('Usage', 'h.u')])] },
+        'doc-install': { tabs: [tab('t.0', [heading('Setup', 'h.s')])] }
+      });
+
+      const resolver = new GoogleDocsInternalLinkResolver(docs, state, { projectRoot, layout: 'files' });
+      const stats = await resolver.resolveLinks([{ documentId: 'doc-intro' }]);
+      const [first, second] = docs.updates[0].requests.map(request => request.updateTextStyle);
+      return stats.resolved === 2 &&
+        first.textStyle.link.url === 'https://docs.google.com/document/d/doc-install/edit#heading=h.s' &&
+        first.range.startIndex === 5 && first.range.endIndex === 12 && first.range.tabId === 't.0' &&
+        second.textStyle.link.heading.id === 'h.u' &&
+        state.getFileDocument(introPath).headingLinkTargets[0] === installPath;
+    });
+
+    await check('Tabs layout links to tabs and headings in other tabs', async () => {
+      await state.updateDocument(introPath, { documentId: 'root', title: 'Intro', layout: 'tabs', tabId: 't.1' });
+      await state.updateDocument(installPath, { documentId: 'root', title: 'Install', layout: 'tabs', tabId: 't.2' });
+      const docs = createFakeDocs({
+        root: {
+          tabs: [tab('t.0', []), tab('t.1', [paragraph([1, 'Install', marker(installPath)], [8, ' / '], [11, 'setup', marker(installPath, 'setup')])]), tab('t.g', [], [tab('t.2', [heading('Setup', 'h.s')])])]
+        }
+      });
+
+      const resolver = new GoogleDocsInternalLinkResolver(docs, state, { projectRoot, layout: 'tabs' });
+      await resolver.resolveLinks([{ documentId: 'root', tabId: 't.1' }]);
+      const [first, second] = docs.updates[0].requests.map(request => request.updateTextStyle);
+      return first.textStyle.link.tabId === 't.2' &&
+        second.textStyle.link.heading.id === 'h.s' && second.textStyle.link.heading.tabId === 't.2' &&
+        first.range.tabId === 't.1';
+    });
+
+    await check('Single layout links to the heading of the linked file', async () => {
+      state.setRootDocument('single-root', 'https://docs.google.com/document/d/single-root');
+      const docs = createFakeDocs({
+        'single-root': { tabs: [tab('t.0', [heading('Intro', 'h.i'), paragraph([7, 'install', marker(installPath)]), heading('Install', 'h.n')])] }
+      });
+
+      const resolver = new GoogleDocsInternalLinkResolver(docs, state, { projectRoot, layout: 'single' });
+      await resolver.resolveLinks([{ documentId: 'single-root' }], [{ filePath: introPath, title: 'Intro' }, { filePath: installPath, title: 'Install' }]);
+      return docs.updates[0].requests[0].updateTextStyle.textStyle.link.heading.id === 'h.n';
+    });
+
+    await check('Unknown targets lose their link', async () => {
+      const docs = createFakeDocs({
+        'doc-intro': { tabs: [tab('t.0', [paragraph([1, 'Missing', marker(path.join(docsDir, 'missing.md'))])])] }
+      });
+
+      const resolver = new GoogleDocsInternalLinkResolver(docs, state, { projectRoot, layout: 'files' });
+      const stats = await resolver.resolveLinks([{ documentId: 'doc-intro' }]);
+      const request = docs.updates[0].requests[0].updateTextStyle;
+      return stats.unresolved === 1 && !request.textStyle.link && request.fields === 'link,foregroundColor,underline';
+    });
+
+    await check('Files linking to headings of changed files are synced again', async () => {
+      const scanned = [
+        { filePath: introPath, relativePath: 'intro.md', title: 'Intro' },
+        { filePath: installPath, relativePath: 'guides/install.md', title: 'Install' }
+      ];
+      const recorded = {
+        [introPath]: { headingLinkTargets: [installPath] },
+        [installPath]: { headingLinkTargets: [] }
+      };
+      const synced = [];
+      const engine = {
+        state,
+        documentLayout: {
+          needsSync: async document => document.filePath === installPath,
+          getDocument: document => recorded[document.filePath]
+        },
+        prepareDocumentLayout: async () => {},
+        syncDocumentFile: async document => {
+          synced.push(document.title);
+          return { documentId: 'doc', created: false };
+        },
+        resolveInternalLinks: async () => {},
+        generateSyncReport: () => ({ success: true })
+      };
+
+      await GoogleDocsSync.prototype.syncDocumentFiles.call(engine, scanned);
+      return synced.join(',') === 'Intro,Install';
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testGdocsLinks()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testGdocsLinks };
@@ -0,0 +1,140 @@
+const chalk = require('chalk');
+const MdxProcessor = require('../lib/core/mdx-processor');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const MarkdownToBlocksConverter = require('../lib/core/notion/markdown-to-blocks');
+const { createChecker } = require('./helpers/check');
+
+const SAMPLE = `---
+title: Install
+---
+import Tabs from '@theme/Tabs';
+import TabItem from '@theme/TabItem';
+import {
+  Highlight,
+  Badge
+} from '@site/src/components';
+
+export const meta = {
+  version: 2
+};
+
+## Install
+
+<Tabs>
+  <TabItem value="npm" label="npm">
+
+  \`\`\`bash
+  npm install docflu
+  \`\`\`
+
+  </TabItem>
+  <TabItem value="yarn">
+    Run yarn.
+  </TabItem>
+</Tabs>
+
+<details>
+  <summary>Advanced <b>options</b></summary>
+
+Use \`--force\` to resync.
+</details>
+
+<CodeBlock language="js">
+{\`const answer = 42;\`}
+</CodeBlock>
+
+{/* internal note */}
+
+<Highlight color="red">Hot</Highlight> and <Badge />
+
+\`\`\`jsx
+import Tabs from '@theme/Tabs';
+<Unknown />
+\`\`\``;
+
+async function testMdx() {
+  console.log(chalk.blue('🧪 Testing MDX Preprocessing'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const processor = new MdxProcessor();
+  const { content, warnings } = processor.process(SAMPLE, 'docs/install.mdx');
+
+  console.log(chalk.blue('\n1. Preprocessing'));
+  await check('Only .mdx files are preprocessed', () => processor.isMdxFile('docs/a.mdx') && !processor.isMdxFile('docs/a.md'));
+  await check('Frontmatter is preserved', () => content.startsWith('---\ntitle: Install\n---\n'));
+  await check('Import/export statements are removed', () => {
+    return !content.includes("from '@theme/Tabs';\n\n") &&
+      !content.includes('@site/src/components') &&
+      !content.includes('export const meta') &&
+      !content.includes('version: 2');
+  });
+  await check('Prose lines starting with import or export are kept', () => {
+    const prose = processor.process("## Data\n\nimport the data first, then run it.\n\nexport your results as CSV.\n\nimport Tabs from '@theme/Tabs';\n\nThe rest of the page.").content;
+    return prose.includes('import the data first, then run it.') &&
+      prose.includes('export your results as CSV.') &&
+      prose.includes('The rest of the page.') &&
+      !prose.includes('@theme/Tabs');
+  });
+  await check('Code fences are left untouched', () => content.includes("```jsx\nimport Tabs from '@theme/Tabs';\n<Unknown />\n```"));
+  await check('Tabs become headed sections below the current heading', () => {
+    return content.includes('### npm\n') &&
+      content.includes('```bash\nnpm install docflu\n```') &&
+      content.includes('### yarn\n') &&
+      !content.includes('<Tabs>') &&
+      !content.includes('TabItem');
+  });
+  await check('Details become :::details directives', () => {
+    return content.includes(':::details[Advanced options]') && !content.includes('<details>');
+  });
+  await check('CodeBlock becomes fenced code block', () => content.includes('```js\nconst answer = 42;\n```'));
+  await check('MDX comments are removed', () => !content.includes('internal note'));
+  await check('Unknown component tags are removed and content kept', () => {
+    return content.includes('Hot and') && !content.includes('<Highlight') && !content.includes('<Badge');
+  });
+  await check('Unknown components are reported with file and line', () => {
+    return warnings.length === 2 &&
+      warnings[0].component === 'Highlight' &&
+      warnings[0].file === 'docs/install.mdx' &&
+      warnings[0].line === SAMPLE.split('\n').findIndex(line => line.includes('<Highlight')) + 1 &&
+      warnings[1].component === 'Badge';
+  });
+  await check('Components on prose lines starting with import or export are reported', () => {
+    const prose = "import the data in <Tabs> with <Badge /> first.\n\nexport const Demo = () => (\n  <Widget />\n);\n\nexport your results as <Highlight>CSV</Highlight>.";
+    const found = processor.process(prose, 'docs/data.mdx').warnings;
+    return found.map(warning => `${warning.component}:${warning.line}`).join(',') === 'Badge:1,Highlight:7';
+  });
+
+  console.log(chalk.blue('\n2. Platforms'));
+  await check('Confluence renders details as expand macro', async () => {
+    const parser = new MarkdownParser();
+    const result = await parser.parseMarkdown(content.replace(/^---[\s\S]*?---\n/, ''));
+    return result.content.includes('<ac:structured-macro ac:name="expand">') &&
+      result.content.includes('<ac:parameter ac:name="title">Advanced options</ac:parameter>');
+  });
+  await check('Notion renders details as toggle block', async () => {
+    const converter = new MarkdownToBlocksConverter(null, null);
+    const blocks = await converter.convertToBlocks(content.replace(/^---[\s\S]*?---\n/, ''));
+    const toggle = blocks.find(block => block.type === 'toggle');
+    return Boolean(toggle) &&
+      toggle.toggle.rich_text[0].text.content === 'Advanced options' &&
+      toggle.toggle.children.length > 0;
+  });
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testMdx()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testMdx };
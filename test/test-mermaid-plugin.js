@@ -160,11 +160,11 @@ End of document.`;
 
     console.log(chalk.gray('Standard mode configuration:'));
     console.log(chalk.gray(`   useMermaidPlugin: ${standardProcessor.options.useMermaidPlugin}`));
-    console.log(chalk.gray(`   mermaid.usePlugin: ${standardProcessor.diagramTypes.mermaid.usePlugin}`));
+    console.log(chalk.gray(`   mermaid.usePlugin: ${standardProcessor.usesPlugin('mermaid')}`));
     
     console.log(chalk.gray('Plugin mode configuration:'));
     console.log(chalk.gray(`   useMermaidPlugin: ${diagramProcessor.options.useMermaidPlugin}`));
-    console.log(chalk.gray(`   mermaid.usePlugin: ${diagramProcessor.diagramTypes.mermaid.usePlugin}`));
+    console.log(chalk.gray(`   mermaid.usePlugin: ${diagramProcessor.usesPlugin('mermaid')}`));
 
     console.log(chalk.green('\n✅ All tests completed successfully!'));
     console.log(chalk.blue('\n📋 Summary:'));
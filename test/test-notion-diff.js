@@ -0,0 +1,263 @@
+const chalk = require('chalk');
+const NotionBlockDiffer = require('../lib/core/notion/block-differ');
+const NotionClient = require('../lib/core/notion/notion-client');
+const { createChecker } = require('./helpers/check');
+
+const text = (content, annotations) => [{ type: 'text', text: { content }, ...(annotations && { annotations }) }];
+const paragraph = content => ({ type: 'paragraph', paragraph: { rich_text: text(content) } });
+const heading = content => ({ type: 'heading_2', heading_2: { rich_text: text(content) } });
+const bullet = (content, children) => ({
+  type: 'bulleted_list_item',
+  bulleted_list_item: { rich_text: text(content), ...(children && { children }) }
+});
+
+/**
+ * In-memory block store answering like the Notion API (defaults filled in, rich text expanded)
+ */
+function createFakeNotion() {
+  let nextId = 1;
+  const children = new Map([['page', []]]);
+  const calls = [];
+
+  const toApiRichText = (items = []) => items.map(item => ({
+    type: 'text',
+    text: { content: item.text.content, link: item.text.link || null },
+    annotations: { bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default', ...item.annotations },
+    plain_text: item.text.content,
+    href: item.text.link?.url || null
+  }));
+
+  const toApiContent = content => {
+    const api = { color: 'default', ...content };
+    if (content.rich_text) api.rich_text = toApiRichText(content.rich_text);
+    if (content.caption) api.caption = toApiRichText(content.caption);
+    if (content.cells) api.cells = content.cells.map(toApiRichText);
+    if (content.icon) api.icon = { type: 'emoji', ...content.icon };
+    return api;
+  };
+
+  const insert = (parentId, blocks, after) => {
+    const list = children.get(parentId);
+    const created = blocks.map(payload => {
+      const { children: nested, ...content } = payload[payload.type];
+      const block = { object: 'block', id: `b${nextId++}`, type: payload.type, [payload.type]: toApiContent(content) };
+      children.set(block.id, []);
+      if (nested) {
+        insert(block.id, nested, null);
+      }
+      return block;
+    });
+    const index = after ? list.findIndex(block => block.id === after) + 1 : list.length;
+    list.splice(index, 0, ...created);
+    return created;
+  };
+
+  const find = id => {
+    for (const [parentId, list] of children) {
+      const index = list.findIndex(block => block.id === id);
+      if (index !== -1) {
+        return { list, index, parentId };
+      }
+    }
+    throw new Error(`Object not found: ${id}`);
+  };
+
+  const client = {
+    calls,
+    retrieveBlockChildren: async blockId => {
+      calls.push(['retrieveBlockChildren', blockId]);
+      return {
+        results: children.get(blockId).map(block => ({ ...block, has_children: children.get(block.id).length > 0 })),
+        has_more: false
+      };
+    },
+    appendBlocks: async (parentId, blocks, after = null) => {
+      calls.push(['appendBlocks', parentId, blocks.length, after]);
+      return [{ results: insert(parentId, blocks, after) }];
+    },
+    updateBlock: async (blockId, data) => {
+      calls.push(['updateBlock', blockId]);
+      const { list, index } = find(blockId);
+      const type = list[index].type;
+      list[index] = { ...list[index], [type]: toApiContent(data[type]) };
+      return list[index];
+    },
+    deleteBlock: async blockId => {
+      calls.push(['deleteBlock', blockId]);
+      const { list, index } = find(blockId);
+      list.splice(index, 1);
+      return {};
+    }
+  };
+
+  // Outline of the stored page: "type:text" per block, children indented
+  const outline = (parentId = 'page', depth = 0) => children.get(parentId).flatMap(block => [
+    `${'  '.repeat(depth)}${block.type}:${(block[block.type].rich_text || []).map(item => item.plain_text).join('')}`,
+    ...outline(block.id, depth + 1)
+  ]);
+
+  const writes = () => calls.filter(call => call[0] !== 'retrieveBlockChildren');
+
+  return { client, children, calls, insert, outline, writes };
+}
+
+async function testNotionDiff() {
+  console.log(chalk.blue('🧪 Testing Notion block-level diff updates'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const original = () => [
+    heading('Setup'),
+    paragraph('Install the tool.'),
+    bullet('Node', [bullet('18+')]),
+    bullet('npm'),
+    paragraph('Done.')
+  ];
+
+  // Page holding the original blocks, with the call log reset
+  const createPage = async () => {
+    const notion = createFakeNotion();
+    await new NotionBlockDiffer(notion.client).syncPage('page', original());
+    notion.calls.length = 0;
+    return notion;
+  };
+
+  console.log(chalk.blue('\n1. Page updates'));
+  await check('New pages get all blocks in one append', async () => {
+    const notion = createFakeNotion();
+    const stats = await new NotionBlockDiffer(notion.client).syncPage('page', original());
+    return notion.writes().length === 1 &&
+      stats.inserted === 5 &&
+      notion.outline().join('|') === 'heading_2:Setup|paragraph:Install the tool.|bulleted_list_item:Node|  bulleted_list_item:18+|bulleted_list_item:npm|paragraph:Done.';
+  });
+
+  await check('Unchanged pages are not written', async () => {
+    const notion = await createPage();
+    const stats = await new NotionBlockDiffer(notion.client).syncPage('page', original());
+    return notion.writes().length === 0 && stats.kept === 5;
+  });
+
+  await check('Changed text is updated in place', async () => {
+    const notion = await createPage();
+    const blocks = original();
+    blocks[1] = paragraph('Install the CLI.');
+    const stats = await new NotionBlockDiffer(notion.client).syncPage('page', blocks);
+    const writes = notion.writes();
+    return writes.length === 1 && writes[0][0] === 'updateBlock' && stats.updated === 1 &&
+      notion.outline()[1] === 'paragraph:Install the CLI.';
+  });
+
+  await check('New blocks are inserted after the previous block', async () => {
+    const notion = await createPage();
+    const paragraphId = notion.children.get('page')[1].id;
+    const blocks = original();
+    blocks.splice(2, 0, paragraph('Requirements:'));
+    await new NotionBlockDiffer(notion.client).syncPage('page', blocks);
+    const writes = notion.writes();
+    return writes.length === 1 && writes[0][0] === 'appendBlocks' && writes[0][3] === paragraphId &&
+      notion.outline()[2] === 'paragraph:Requirements:';
+  });
+
+  await check('Removed blocks are deleted', async () => {
+    const notion = await createPage();
+    const blocks = original();
+    blocks.splice(3, 1);
+    await new NotionBlockDiffer(notion.client).syncPage('page', blocks);
+    const writes = notion.writes();
+    return writes.length === 1 && writes[0][0] === 'deleteBlock' && !notion.outline().includes('bulleted_list_item:npm');
+  });
+
+  await check('Nested changes only touch the nested block', async () => {
+    const notion = await createPage();
+    const nestedId = notion.children.get(notion.children.get('page')[2].id)[0].id;
+    const blocks = original();
+    blocks[2] = bullet('Node', [bullet('20+')]);
+    await new NotionBlockDiffer(notion.client).syncPage('page', blocks);
+    const writes = notion.writes();
+    return writes.length === 1 && writes[0][0] === 'updateBlock' && writes[0][1] === nestedId &&
+      notion.outline()[3] === '  bulleted_list_item:20+';
+  });
+
+  await check('Blocks changing type are replaced', async () => {
+    const notion = await createPage();
+    const blocks = original();
+    blocks[4] = heading('Done.');
+    await new NotionBlockDiffer(notion.client).syncPage('page', blocks);
+    const operations = notion.writes().map(call => call[0]).sort().join(',');
+    return operations === 'appendBlocks,deleteBlock' && notion.outline()[5] === 'heading_2:Done.';
+  });
+
+  await check('A new first block rewrites the page in order', async () => {
+    const notion = await createPage();
+    const blocks = [paragraph('Intro'), ...original()];
+    await new NotionBlockDiffer(notion.client).syncPage('page', blocks);
+    return notion.outline().join('|') === 'paragraph:Intro|heading_2:Setup|paragraph:Install the tool.|bulleted_list_item:Node|  bulleted_list_item:18+|bulleted_list_item:npm|paragraph:Done.';
+  });
+
+  console.log(chalk.blue('\n2. Comparison'));
+  await check('Child pages are never deleted', async () => {
+    const notion = await createPage();
+    notion.children.get('page').push({ object: 'block', id: 'child', type: 'child_page', child_page: { title: 'Sub' } });
+    notion.children.set('child', []);
+    await new NotionBlockDiffer(notion.client).syncPage('page', original());
+    return notion.writes().length === 0 && notion.children.get('page').some(block => block.id === 'child');
+  });
+
+  await check('Formatting and links compare equal to API responses', async () => {
+    const notion = createFakeNotion();
+    const blocks = [{
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [
+          { type: 'text', text: { content: 'Read ' } },
+          { type: 'text', text: { content: 'the docs', link: { url: 'https://docusaurus.io' } }, annotations: { bold: true } },
+          { type: 'text', text: { content: '' } }
+        ]
+      }
+    }, {
+      type: 'callout',
+      callout: { rich_text: text('Tip', { bold: true }), icon: { emoji: '💡' }, color: 'green_background' }
+    }];
+    await new NotionBlockDiffer(notion.client).syncPage('page', blocks);
+    notion.calls.length = 0;
+    await new NotionBlockDiffer(notion.client).syncPage('page', blocks);
+    return notion.writes().length === 0;
+  });
+
+  await check('Uploaded files are always replaced', () => {
+    const differ = new NotionBlockDiffer({});
+    const uploaded = { type: 'image', image: { type: 'file_upload', file_upload: { id: 'u1' } } };
+    const stored = { type: 'image', image: { type: 'file', file: { url: 'https://s3/u1.png' } } };
+    const external = { type: 'image', image: { type: 'external', external: { url: 'https://example.com/a.png' } } };
+    return differ.getSignature(uploaded) !== differ.getSignature(stored) &&
+      differ.getSignature(external) === differ.getSignature({ ...external, image: { ...external.image, caption: [] } });
+  });
+
+  console.log(chalk.blue('\n3. Client'));
+  await check('Counts API calls and keeps error codes', async () => {
+    const client = new NotionClient({ apiToken: 'test' });
+    client.minInterval = 0;
+    await client.makeRequest(async () => ({}));
+    const error = await client.makeRequest(async () => {
+      throw Object.assign(new Error('missing'), { code: 'object_not_found' });
+    }).catch(caught => caught);
+    return client.requestCount === 2 && error.code === 'object_not_found' && error.message === 'Object not found: missing';
+  });
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testNotionDiff()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testNotionDiff };
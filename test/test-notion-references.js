@@ -0,0 +1,169 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const NotionState = require('../lib/core/notion/notion-state');
+const NotionSync = require('../lib/core/notion/notion-sync');
+const SyncReport = require('../lib/core/sync-report');
+const RetryPolicy = require('../lib/core/retry-policy');
+const NotionReferenceResolver = require('../lib/core/notion/reference-resolver');
+const MarkdownToBlocksConverter = require('../lib/core/notion/markdown-to-blocks');
+const { createChecker } = require('./helpers/check');
+
+const headingBlock = (id, content) => ({
+  id,
+  type: 'heading_2',
+  heading_2: { rich_text: [{ type: 'text', plain_text: content, text: { content } }] }
+});
+
+/**
+ * Notion client answering block children from fixed pages
+ */
+function createFakeNotion(pages) {
+  const calls = [];
+  return {
+    calls,
+    retrieveBlockChildren: async pageId => {
+      calls.push(pageId);
+      return { results: pages[pageId] || [], has_more: false };
+    }
+  };
+}
+
+async function testNotionReferences() {
+  console.log(chalk.blue('🧪 Testing Notion internal references'));
+  console.log(chalk.gray('====================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-notion-refs-'));
+  const docsDir = path.join(projectRoot, 'docs');
+  const introPath = path.join(docsDir, 'intro.md');
+
+  try {
+    await fs.outputFile(introPath, '# Intro\n\n## Usage\n');
+    await fs.outputFile(path.join(docsDir, 'guides/install.md'), '# Install\n\n## Setup\n\n## Setup\n\n## Custom `id` {#custom}\n');
+    await fs.outputFile(path.join(docsDir, 'guides/new.md'), '# New\n');
+
+    const state = new NotionState(projectRoot, { rootPageId: 'root' });
+    state.setPageId('intro.md', 'intro-page-0001');
+    state.setPageId('guides/install.md', 'install-page-0002');
+
+    const notion = createFakeNotion({
+      'install-page-0002': [
+        headingBlock('h-install', 'Install'),
+        headingBlock('setup-1', 'Setup'),
+        headingBlock('setup-2', 'Setup'),
+        headingBlock('custom-0003', 'Custom id')
+      ],
+      'intro-page-0001': [headingBlock('usage-0004', 'Usage')]
+    });
+    const resolver = new NotionReferenceResolver(notion, state, { docsDir });
+    const resolve = markdown => resolver.processReferences(markdown, introPath);
+
+    console.log(chalk.blue('\n1. Links'));
+    await check('Links to synced docs become notion.so page URLs', async () => {
+      const { markdown, pending } = await resolve('See [Install](./guides/install.md) and [the guide](/docs/guides/install).');
+      return markdown === 'See [Install](https://www.notion.so/installpage0002) and [the guide](https://www.notion.so/installpage0002).' &&
+        pending.length === 0;
+    });
+
+    await check('Anchors link to the heading block', async () => {
+      const { markdown } = await resolve('[a](./guides/install.md#setup-1) [b](./guides/install#custom) [c](#usage)');
+      return markdown === '[a](https://www.notion.so/installpage0002#setup2) [b](https://www.notion.so/installpage0002#custom0003) [c](https://www.notion.so/intropage0001#usage0004)';
+    });
+
+    await check('Unknown anchors fall back to the page', async () => {
+      const { markdown } = await resolve('[a](./guides/install.md#missing)');
+      return markdown === '[a](https://www.notion.so/installpage0002)';
+    });
+
+    await check('Targets without a page yet become text and are pending', async () => {
+      const { markdown, pending } = await resolve('Read [New](./guides/new.md) or [Gone](./gone.md).');
+      return markdown === 'Read New or Gone.' && pending.join(',') === 'guides/new.md';
+    });
+
+    await check('External links, images, attachments and code blocks are left alone', async () => {
+      const markdown = [
+        '[site](https://docusaurus.io) ![logo](./logo.md) [pdf](./report.pdf) [mail](mailto:a@b.c)',
+        '```md',
+        '[Install](./guides/install.md)',
+        '```'
+      ].join('\n');
+      return (await resolve(markdown)).markdown === markdown;
+    });
+
+    await check('Heading blocks are fetched once per page', async () => {
+      resolver.forgetPage('install-page-0002');
+      const before = notion.calls.length;
+      await resolve('[a](./guides/install.md#setup) [b](./guides/install.md#setup-1)');
+      await resolve('[a](./guides/install.md#setup)');
+      return notion.calls.length - before === 1;
+    });
+
+    await check('Custom heading IDs are not shown in Notion headings', () => {
+      const block = new MarkdownToBlocksConverter(null, null).convertHeading('## Custom `id` {#custom}');
+      return block.heading_2.rich_text.map(item => item.text.content).join('') === 'Custom id';
+    });
+
+    console.log(chalk.blue('\n2. Relinking'));
+    await check('Pages with pending targets are synced again once the targets exist', async () => {
+      state.updateFileHash('intro.md', 'hash', { pendingReferences: ['guides/new.md'] });
+      state.updateFileHash('guides/install.md', 'hash', { pendingReferences: ['guides/other.md'] });
+      state.setPageId('guides/new.md', 'new-page-0005');
+
+      const synced = [];
+      const engine = {
+        state,
+        processFile: async (filePath, options) => {
+          synced.push(`${filePath}:${options.force}`);
+          return { success: true };
+        }
+      };
+
+      const relinked = await NotionSync.prototype.relinkPendingReferences.call(engine, {});
+      return relinked === 1 && synced.join(',') === 'intro.md:true';
+    });
+
+    await check('Single file syncs relink the pages waiting for the synced file', async () => {
+      state.updateFileHash('intro.md', 'hash', { pendingReferences: [] });
+      await fs.outputFile(path.join(projectRoot, 'docs', 'guides', 'other.md'), '# Other');
+
+      const synced = [];
+      const engine = Object.assign(Object.create(NotionSync.prototype), {
+        projectRoot,
+        state,
+        client: { retryPolicy: new RetryPolicy() },
+        syncStats: { processed: 0, created: 0, updated: 0, skipped: 0, failed: 0 },
+        generateSyncReport: () => ({}),
+        processFile: async (filePath, options) => {
+          synced.push(`${filePath}:${Boolean(options.force)}`);
+          state.setPageId(filePath, `${path.basename(filePath, '.md')}-page-0006`);
+          state.updateFileHash(filePath, 'hash', { pendingReferences: [] });
+          return { success: true, created: !options.force, updated: Boolean(options.force) };
+        }
+      });
+
+      await engine.syncFile('docs/guides/other.md', { report: new SyncReport() });
+      return synced.join(',') === 'guides/other.md:false,guides/install.md:true';
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testNotionReferences()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testNotionReferences };
@@ -0,0 +1,162 @@
+const chalk = require('chalk');
+const ConfluenceClient = require('../lib/core/confluence-client');
+const { createChecker } = require('./helpers/check');
+
+/**
+ * Client whose HTTP layer is an in-memory Confluence space
+ * @param {Array} pages - [{id, title, parentId}]
+ * @param {Object} space - {homepageId, failing: URL pattern of requests answered with a 500}
+ */
+function createClient(pages, space = {}) {
+  const client = new ConfluenceClient({ baseUrl: 'https://example.atlassian.net', spaceKey: 'DOC', username: 'u', apiToken: 't' });
+  const requests = [];
+  const notFound = () => Object.assign(new Error('Not found'), { response: { status: 404 } });
+  const byId = id => pages.find(page => page.id === id);
+  const toResponse = page => ({
+    ...page,
+    status: 'current',
+    version: { number: page.version || 1 },
+    ancestors: page.parentId ? [{ id: page.parentId }] : []
+  });
+
+  client.api = {
+    async get(url, options = {}) {
+      requests.push(['GET', url]);
+      if (space.failing && space.failing.test(url)) {
+        throw Object.assign(new Error('Internal server error'), { response: { status: 500 } });
+      }
+      let match;
+      if (url.endsWith('/space/DOC')) {
+        return { data: { key: 'DOC', homepage: space.homepageId ? { id: space.homepageId } : undefined } };
+      }
+      if ((match = url.match(/content\/(\d+)\/child\/page$/))) {
+        return { data: { results: pages.filter(page => page.parentId === match[1]).map(toResponse) } };
+      }
+      if ((match = url.match(/content\/(\d+)$/))) {
+        if (!byId(match[1])) throw notFound();
+        return { data: toResponse(byId(match[1])) };
+      }
+      if (url.endsWith('/content/search')) {
+        const title = options.params.cql.match(/title="([^"]+)"/)[1];
+        return { data: { results: pages.filter(page => page.title === title).map(toResponse) } };
+      }
+      throw notFound();
+    },
+    async put(url, body) {
+      requests.push(['PUT', url]);
+      let match;
+      if ((match = url.match(/content\/(\d+)\/move\/append\/(\d+)$/))) {
+        byId(match[1]).parentId = match[2];
+        return { data: {} };
+      }
+      const page = byId(url.match(/content\/(\d+)$/)[1]);
+      Object.assign(page, { title: body.title, version: body.version.number });
+      return { data: toResponse(page) };
+    },
+    async post(url, body) {
+      requests.push(['POST', url]);
+      const page = { id: String(100 + pages.length), title: body.title, parentId: body.ancestors?.[0]?.id };
+      pages.push(page);
+      return { data: toResponse(page) };
+    }
+  };
+
+  client.requests = requests;
+  return client;
+}
+
+async function testPageIdentity() {
+  console.log(chalk.blue('🧪 Testing stable Confluence page identity'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const createSpace = () => [
+    { id: '1', title: 'Guides' },
+    { id: '2', title: 'Reference' },
+    { id: '10', title: 'Install', parentId: '1' },
+    { id: '11', title: 'Overview', parentId: '2' }
+  ];
+
+  console.log(chalk.blue('\n1. Known page ID'));
+  await check('Renamed doc updates its page in place', async () => {
+    const pages = createSpace();
+    const client = createClient(pages);
+    const result = await client.createOrUpdatePage({ title: 'Installation', content: '<p/>', parentId: '1', pageId: '10' });
+    return result.id === '10' && pages.find(page => page.id === '10').title === 'Installation' &&
+      pages.length === 4 && !client.requests.some(([, url]) => url.endsWith('/search'));
+  });
+
+  await check('Page moved to another folder is re-parented', async () => {
+    const pages = createSpace();
+    const client = createClient(pages);
+    await client.createOrUpdatePage({ title: 'Install', content: '<p/>', parentId: '2', pageId: '10' });
+    return pages.find(page => page.id === '10').parentId === '2';
+  });
+
+  await check('Deleted page falls back to title lookup under the parent', async () => {
+    const pages = createSpace();
+    const client = createClient(pages);
+    const result = await client.createOrUpdatePage({ title: 'Install', content: '<p/>', parentId: '1', pageId: '999' });
+    return result.id === '10' && pages.length === 4;
+  });
+
+  console.log(chalk.blue('\n2. First-time adoption'));
+  await check('Adopts page with same title under the expected parent', async () => {
+    const pages = createSpace();
+    const client = createClient(pages);
+    const result = await client.createOrUpdatePage({ title: 'Overview', content: '<p/>', parentId: '2' });
+    return result.id === '11' && pages.length === 4;
+  });
+
+  await check('Same title under another parent is not overwritten', async () => {
+    const pages = createSpace();
+    const client = createClient(pages);
+    const result = await client.createOrUpdatePage({ title: 'Overview', content: '<p/>', parentId: '1' });
+    return result.id !== '11' && pages.find(page => page.id === '11').version === undefined;
+  });
+
+  await check('Without a parent only pages at the space root are adopted', async () => {
+    const pages = createSpace();
+    const client = createClient(pages);
+    const nested = await client.createOrUpdatePage({ title: 'Install', content: '<p/>', parentId: null });
+    const root = await client.createOrUpdatePage({ title: 'Guides', content: '<p/>', parentId: null });
+    return nested.id !== '10' && pages.find(page => page.id === '10').version === undefined &&
+      root.id === '1' && pages.length === 5;
+  });
+
+  await check('Pages directly under the space homepage count as the space root', async () => {
+    const pages = createSpace();
+    const client = createClient(pages, { homepageId: '1' });
+    const result = await client.createOrUpdatePage({ title: 'Install', content: '<p/>', parentId: null });
+    return result.id === '10' && pages.length === 4;
+  });
+
+  await check('Failed lookups fail the page instead of creating a duplicate', async () => {
+    const pages = createSpace();
+    const errors = [];
+    for (const [failing, parentId] of [[/child\/page$/, '1'], [/search$/, null]]) {
+      const client = createClient(pages, { failing });
+      await client.createOrUpdatePage({ title: 'Install', content: '<p/>', parentId })
+        .catch(error => errors.push(error.message));
+    }
+    return errors.length === 2 && errors.every(message => message.includes('Internal server error')) &&
+      pages.length === 4;
+  });
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testPageIdentity()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testPageIdentity };
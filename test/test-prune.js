@@ -0,0 +1,253 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const PagePruner = require('../lib/core/page-pruner');
+const StateManager = require('../lib/core/state-manager');
+const NotionState = require('../lib/core/notion/notion-state');
+const GoogleDocsState = require('../lib/core/gdocs/google-docs-state');
+const { prune } = require('../lib/commands/prune');
+const { createChecker } = require('./helpers/check');
+
+/**
+ * Minimal recording client exposing the methods PagePruner calls
+ */
+function createRecordingClient() {
+  const calls = [];
+  const record = name => async (...args) => {
+    calls.push([name, ...args]);
+    if (name === 'findOrCreateArchivePage') return 'archive-1';
+    return name === 'ensureFolder' ? { id: 'folder-archive' } : {};
+  };
+
+  return {
+    calls,
+    deletePage: record('deletePage'),
+    movePage: record('movePage'),
+    addLabels: record('addLabels'),
+    findOrCreateArchivePage: record('findOrCreateArchivePage'),
+    archivePage: record('archivePage'),
+    updatePage: record('updatePage'),
+    trashFile: record('trashFile'),
+    moveFile: record('moveFile'),
+    renameFile: record('renameFile'),
+    ensureFolder: record('ensureFolder')
+  };
+}
+
+async function testPrune() {
+  console.log(chalk.blue('🧪 Testing orphaned page pruning'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-prune-'));
+
+  const createStateManager = async () => {
+    const stateManager = new StateManager(projectRoot);
+    await stateManager.init();
+    stateManager.setPageState('intro.md', { confluenceId: '100', title: 'Intro' });
+    stateManager.setPageState('removed.md', { confluenceId: '200', title: 'Removed' });
+    stateManager.setPageState('guide/old.md', { confluenceId: '300', title: 'Old Guide' });
+    return stateManager;
+  };
+
+  try {
+    await fs.outputFile(path.join(projectRoot, 'docs/intro.md'), '# Intro');
+
+    console.log(chalk.blue('\n1. Orphan detection'));
+    await check('Finds state entries whose source files were removed', async () => {
+      const stateManager = await createStateManager();
+      const orphans = await new PagePruner(projectRoot).findOrphans(stateManager.getAllPages(), 'confluenceId');
+      return orphans.map(orphan => orphan.pageId).join(',') === '200,300';
+    });
+
+    await check('Rejects unknown actions', () => {
+      try {
+        new PagePruner(projectRoot, { action: 'destroy' });
+        return false;
+      } catch (error) {
+        return error.message.includes('Invalid prune action');
+      }
+    });
+
+    console.log(chalk.blue('\n2. Confluence actions'));
+    await check('Dry run lists orphans without calling the API or touching state', async () => {
+      const stateManager = await createStateManager();
+      const client = createRecordingClient();
+      const result = await new PagePruner(projectRoot, { dryRun: true }).pruneConfluence(client, stateManager);
+      return result.orphans.length === 2 && client.calls.length === 0 &&
+        stateManager.getPageState('removed.md') !== null;
+    });
+
+    await check('Archive moves orphans under a single Archive page', async () => {
+      const stateManager = await createStateManager();
+      const client = createRecordingClient();
+      const result = await new PagePruner(projectRoot, { action: 'archive' }).pruneConfluence(client, stateManager, 'root-1');
+      const moves = client.calls.filter(call => call[0] === 'movePage');
+      const lookups = client.calls.filter(call => call[0] === 'findOrCreateArchivePage');
+      return result.pruned === 2 && lookups.length === 1 && lookups[0][1] === 'root-1' &&
+        moves.every(call => call[2] === 'archive-1') &&
+        stateManager.getPageState('removed.md') === null &&
+        stateManager.getPageState('intro.md') !== null;
+    });
+
+    await check('Delete removes pages', async () => {
+      const stateManager = await createStateManager();
+      const client = createRecordingClient();
+      await new PagePruner(projectRoot, { action: 'delete' }).pruneConfluence(client, stateManager);
+      return client.calls.map(call => `${call[0]}:${call[1]}`).join(',') === 'deletePage:200,deletePage:300';
+    });
+
+    await check('Label adds the obsolete label', async () => {
+      const stateManager = await createStateManager();
+      const client = createRecordingClient();
+      await new PagePruner(projectRoot, { action: 'label' }).pruneConfluence(client, stateManager);
+      return client.calls.every(call => call[0] === 'addLabels' && call[2][0] === 'obsolete');
+    });
+
+    await check('Failed pages stay in state for the next run', async () => {
+      const stateManager = await createStateManager();
+      const client = createRecordingClient();
+      client.deletePage = async pageId => {
+        if (pageId === '200') throw new Error('Forbidden');
+      };
+      const result = await new PagePruner(projectRoot, { action: 'delete' }).pruneConfluence(client, stateManager);
+      return result.pruned === 1 && result.failed === 1 &&
+        stateManager.getPageState('removed.md') !== null &&
+        stateManager.getPageState('guide/old.md') === null;
+    });
+
+    console.log(chalk.blue('\n3. Notion actions'));
+    const notionState = new NotionState(projectRoot, { rootPageId: 'root' });
+
+    await check('Label prefixes the page title', async () => {
+      notionState.setPageId('removed.md', 'n-200', { title: 'Removed' });
+      const client = createRecordingClient();
+      await new PagePruner(projectRoot, { action: 'label' }).pruneNotion(client, notionState);
+      const update = client.calls[0];
+      return update[0] === 'updatePage' &&
+        update[2].properties.title.title[0].text.content === '[Obsolete] Removed' &&
+        notionState.getPageId('removed.md') === null;
+    });
+
+    await check('Delete and archive both archive the page', async () => {
+      notionState.setPageId('intro.md', 'n-100', { title: 'Intro' });
+      notionState.setPageId('removed.md', 'n-200', { title: 'Removed' });
+      const client = createRecordingClient();
+      await new PagePruner(projectRoot, { action: 'delete' }).pruneNotion(client, notionState);
+      return client.calls.map(call => `${call[0]}:${call[1]}`).join(',') === 'archivePage:n-200' &&
+        notionState.getPageId('intro.md') === 'n-100';
+    });
+
+    const createHierarchyState = () => {
+      const state = new NotionState(projectRoot, { rootPageId: 'root' });
+      state.state.pages = {};
+      state.state.hierarchy = {};
+      state.setPageId('intro.md', 'n-100', { title: 'Intro' });
+      state.setPageId('guide/old.md', 'n-300', { title: 'Old Guide' });
+      state.setHierarchyPageId('guide', 'h-1');
+      state.setHierarchyPageId('guide/deep', 'h-2');
+      state.setHierarchyPageId('api', 'h-3');
+      return state;
+    };
+    const childPages = { 'h-1': ['n-300', 'h-2'], 'h-2': [], 'h-3': ['n-100'] };
+    const createHierarchyClient = () => {
+      const client = createRecordingClient();
+      client.retrieveBlockChildren = async pageId => ({
+        results: [{ id: 'text-1', type: 'paragraph' }, ...childPages[pageId].map(id => ({ id, type: 'child_page' }))],
+        has_more: false
+      });
+      return client;
+    };
+
+    await check('Directory pages left without child pages are archived, deepest first', async () => {
+      const state = createHierarchyState();
+      const client = createHierarchyClient();
+      const result = await new PagePruner(projectRoot, { action: 'archive' }).pruneNotion(client, state);
+      return result.pruned === 3 &&
+        client.calls.map(call => `${call[0]}:${call[1]}`).join(',') === 'archivePage:n-300,archivePage:h-2,archivePage:h-1' &&
+        Object.keys(state.getHierarchyMap()).join(',') === 'api';
+    });
+
+    await check('Directory pages stay when a child page could not be archived', async () => {
+      const state = createHierarchyState();
+      const client = createHierarchyClient();
+      client.archivePage = async pageId => {
+        if (pageId === 'n-300') throw new Error('Forbidden');
+      };
+      const result = await new PagePruner(projectRoot, { action: 'archive' }).pruneNotion(client, state);
+      return result.pruned === 1 && result.failed === 2 &&
+        Object.keys(state.getHierarchyMap()).sort().join(',') === 'api,guide';
+    });
+
+    await check('Labelling keeps directory pages', async () => {
+      const state = createHierarchyState();
+      const client = createHierarchyClient();
+      await new PagePruner(projectRoot, { action: 'label' }).pruneNotion(client, state);
+      return client.calls.map(call => `${call[0]}:${call[1]}`).join(',') === 'updatePage:n-300' &&
+        Object.keys(state.getHierarchyMap()).length === 3;
+    });
+
+    console.log(chalk.blue('\n4. Google Docs actions'));
+    const createGoogleDocsState = async () => {
+      const state = new GoogleDocsState(projectRoot);
+      await state.init();
+      state.setFolder('', { folderId: 'folder-root', name: 'Documentation' });
+      await state.updateDocument(path.join(projectRoot, 'docs/intro.md'), { documentId: 'doc-100', title: 'Intro', layout: 'files' });
+      state.state.documents['doc-200'] = { filePath: path.join(projectRoot, 'docs/removed.md'), documentId: 'doc-200', title: 'Removed', layout: 'files' };
+      state.state.documents['doc-300'] = { filePath: path.join(projectRoot, 'docs/old.md'), documentId: 'doc-300', title: 'Old', layout: 'tabs' };
+      return state;
+    };
+
+    await check('Archive moves Google Docs of removed files into an Archive folder', async () => {
+      const state = await createGoogleDocsState();
+      const client = createRecordingClient();
+      const result = await new PagePruner(projectRoot, { action: 'archive' }).pruneGoogleDocs(client, state);
+      return result.orphans.length === 1 && result.orphans[0].filePath === 'removed.md' &&
+        client.calls.map(call => call.join(':')).join(',') === 'ensureFolder:Archive:folder-root,moveFile:doc-200:folder-archive' &&
+        !state.getDocumentById('doc-200') && state.getDocumentById('doc-100') && state.getDocumentById('doc-300');
+    });
+
+    await check('Delete trashes and label renames Google Docs', async () => {
+      const deleteClient = createRecordingClient();
+      await new PagePruner(projectRoot, { action: 'delete' }).pruneGoogleDocs(deleteClient, await createGoogleDocsState());
+      const labelClient = createRecordingClient();
+      await new PagePruner(projectRoot, { action: 'label' }).pruneGoogleDocs(labelClient, await createGoogleDocsState());
+      return deleteClient.calls.map(call => call.join(':')).join(',') === 'trashFile:doc-200' &&
+        labelClient.calls.map(call => call.join(':')).join(',') === 'renameFile:doc-200:[Obsolete] Removed';
+    });
+
+    await check('Google Docs layouts syncing into a single document cannot be pruned', async () => {
+      await fs.writeFile(path.join(projectRoot, '.env'), 'GOOGLE_CLIENT_ID=client-id\nGOOGLE_DOCS_LAYOUT=tabs\n');
+      try {
+        await prune(projectRoot, { platform: 'google-docs', dryRun: true });
+        return false;
+      } catch (error) {
+        return error.message.includes('Prune is not supported for the Google Docs tabs layout');
+      } finally {
+        await fs.remove(path.join(projectRoot, '.env'));
+        delete process.env.GOOGLE_CLIENT_ID;
+        delete process.env.GOOGLE_DOCS_LAYOUT;
+      }
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testPrune()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testPrune };
@@ -0,0 +1,122 @@
+const chalk = require('chalk');
+const ConfluenceToMarkdown = require('../lib/core/confluence-to-markdown');
+const MarkdownParser = require('../lib/core/markdown-parser');
+const { createChecker } = require('./helpers/check');
+
+const stateManager = {
+  getAllPages: () => ({
+    'guides/install.md': { confluenceId: '42', title: 'Install' },
+    'reference/api.md': { confluenceId: '43', title: 'API Reference' }
+  })
+};
+
+async function testPull() {
+  console.log(chalk.blue('🧪 Testing Confluence to markdown conversion'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const converter = new ConfluenceToMarkdown({ stateManager });
+  const convert = (storage, originalMarkdown = '') => converter.convert(storage, { filePath: 'guides/intro.md', originalMarkdown });
+
+  console.log(chalk.blue('\n1. Text and structure'));
+  await check('Converts headings and inline formatting', () => {
+    return convert('<h2>Setup</h2><p>Run <strong>this </strong>with <em>care</em>&nbsp;and <code>npm i</code> &amp; go.</p>') ===
+      '## Setup\n\nRun **this** with *care* and `npm i` & go.\n';
+  });
+
+  await check('Converts nested and ordered lists', () => {
+    return convert('<ul><li><p>One</p><ol><li>First</li><li>Second</li></ol></li><li>Two</li></ul>') ===
+      '- One\n  1. First\n  2. Second\n- Two\n';
+  });
+
+  await check('Converts tables with the first row as header', () => {
+    return convert('<table><tbody><tr><th><p>Option</p></th><th>Values</th></tr><tr><td>mode</td><td>a|b</td></tr></tbody></table>') ===
+      '| Option | Values |\n| --- | --- |\n| mode | a\\|b |\n';
+  });
+
+  await check('Converts code macros and lengthens fences around backticks', () => {
+    return convert('<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">md</ac:parameter><ac:plain-text-body><![CDATA[```js\nif (a < b) {}\n```]]></ac:plain-text-body></ac:structured-macro>') ===
+      '````md\n```js\nif (a < b) {}\n```\n````\n';
+  });
+
+  await check('Converts admonition macros back to ::: blocks', () => {
+    const markdown = convert(
+      '<ac:structured-macro ac:name="info"><ac:parameter ac:name="title">Note</ac:parameter><ac:rich-text-body><p>Plain</p></ac:rich-text-body></ac:structured-macro>' +
+      '<ac:structured-macro ac:name="note"><ac:parameter ac:name="title">Warning</ac:parameter><ac:rich-text-body><p>Careful</p></ac:rich-text-body></ac:structured-macro>' +
+      '<ac:structured-macro ac:name="tip"><ac:parameter ac:name="title">Pro tip</ac:parameter><ac:rich-text-body><p>Custom</p></ac:rich-text-body></ac:structured-macro>'
+    );
+    return markdown === ':::note\nPlain\n:::\n\n:::warning\nCareful\n:::\n\n:::tip Pro tip\nCustom\n:::\n';
+  });
+
+  console.log(chalk.blue('\n2. Links, images and diagrams'));
+  await check('Links to tracked pages become relative markdown links', () => {
+    return convert(
+      '<p><a href="https://example.atlassian.net/wiki/spaces/DOC/pages/43/API-Reference#auth">API</a> and ' +
+      '<ac:link><ri:page ri:content-title="Install" /><ac:plain-text-link-body><![CDATA[install guide]]></ac:plain-text-link-body></ac:link> and ' +
+      '<a href="https://docusaurus.io">Docusaurus</a></p>'
+    ) === '[API](../reference/api.md#auth) and [install guide](./install.md) and [Docusaurus](https://docusaurus.io)\n';
+  });
+
+  await check('Attachment images keep their original markdown path', () => {
+    return convert(
+      '<p><ac:image><ri:attachment ri:filename="screen.png" /></ac:image> <ac:image ac:alt="Logo"><ri:url ri:value="https://example.com/logo.svg" /></ac:image></p>',
+      '![Screen](../img/screen.png)'
+    ) === '![](../img/screen.png) ![Logo](https://example.com/logo.svg)\n';
+  });
+
+  await check('Decodes image and plugin diagrams to code fences', () => {
+    const code = Buffer.from('graph TD\n  A --> B').toString('base64');
+    const markdown = convert(`<p>Flow:</p>
+<ac:image ac:align="center" ac:layout="center">
+  <ri:attachment ri:filename="mermaid-1.svg" />
+</ac:image>
+
+<p style="text-align: center;"><em>Mermaid Diagram</em></p>
+
+<!-- DOCFLU_DIAGRAM_START:mermaid -->
+<!-- DOCFLU_DIAGRAM_METADATA:mermaid:${code} -->
+<!-- DOCFLU_DIAGRAM_END:mermaid -->
+
+<ac:structured-macro ac:name="mermaid-cloud" ac:schema-version="1">
+  <ac:parameter ac:name="filename">flow.mmd</ac:parameter>
+  <ac:parameter ac:name="revision">1</ac:parameter>
+</ac:structured-macro>
+
+<!-- DOCFLU_DIAGRAM_START:mermaid -->
+<!-- DOCFLU_DIAGRAM_METADATA:mermaid:${code} -->
+<!-- DOCFLU_DIAGRAM_END:mermaid -->
+`);
+    const fence = '```mermaid\ngraph TD\n  A --> B\n```';
+    return markdown === `Flow:\n\n${fence}\n\n${fence}\n`;
+  });
+
+  console.log(chalk.blue('\n3. Files'));
+  await check('Keeps the original frontmatter block verbatim', () => {
+    const original = '---\ntitle: Intro\nsidebar_position: 2 # keep me\n---\n\n# Old\n';
+    return new MarkdownParser().replaceBody(original, '# New\n') === '---\ntitle: Intro\nsidebar_position: 2 # keep me\n---\n\n# New\n';
+  });
+
+  await check('Round-trips markdown rendered by the sync parser', async () => {
+    const markdown = '# Guide\n\nSome **bold** text.\n\n- one\n- two\n\n```bash\nnpm install\n```\n\n:::tip\nUse it.\n:::\n';
+    const parser = new MarkdownParser();
+    const { content } = await parser.parseMarkdown(markdown);
+    return convert(content) === markdown;
+  });
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testPull()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testPull };
@@ -0,0 +1,188 @@
+const chalk = require('chalk');
+const { google } = require('googleapis');
+const { AxiosError } = require('axios');
+const { APIResponseError } = require('@notionhq/client');
+const RetryPolicy = require('../lib/core/retry-policy');
+const ConfluenceClient = require('../lib/core/confluence-client');
+const NotionClient = require('../lib/core/notion/notion-client');
+const { createChecker } = require('./helpers/check');
+
+/**
+ * axios adapter answering requests from a list of [status, data, headers] responses
+ */
+function createAdapter(responses, requests) {
+  return async config => {
+    requests.push(`${config.method.toUpperCase()} ${config.url}`);
+    const [status, data = {}, headers = {}] = responses.shift();
+    const response = { status, statusText: String(status), data, headers, config };
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, null, response);
+    }
+    return response;
+  };
+}
+
+async function testRetryPolicy() {
+  console.log(chalk.blue('🧪 Testing retry and backoff'));
+  console.log(chalk.gray('==========================='));
+
+  const check = createChecker();
+
+  // Delays are recorded instead of waited for
+  const createPolicy = (options = {}) => {
+    const delays = [];
+    const policy = new RetryPolicy({ retryCount: 3, sleep: async ms => delays.push(ms), ...options });
+    return { policy, delays };
+  };
+  const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+  console.log(chalk.blue('\n1. Policy'));
+  await check('Rate limited requests wait for Retry-After', async () => {
+    const { policy, delays } = createPolicy();
+    const errors = [httpError(429, { 'retry-after': '2' }), httpError(429, { 'retry-after': new Date(Date.now() + 5000).toUTCString() })];
+    const result = await policy.execute(async () => {
+      if (errors.length > 0) {
+        throw errors.shift();
+      }
+      return 'ok';
+    });
+    return result === 'ok' && delays[0] === 2000 && delays[1] > 3000 && delays[1] <= 5000 &&
+      policy.stats.retries === 2 && policy.stats.rateLimited === 2;
+  });
+
+  await check('Server errors back off exponentially with jitter, up to the retry count', async () => {
+    const { policy, delays } = createPolicy({ baseDelay: 100 });
+    let attempts = 0;
+    try {
+      await policy.execute(async () => {
+        attempts++;
+        throw httpError(503);
+      });
+      return false;
+    } catch (error) {
+      return error.message === 'HTTP 503' && attempts === 4 &&
+        delays[0] >= 50 && delays[0] <= 100 && delays[1] >= 100 && delays[1] <= 200 && delays[2] >= 200 && delays[2] <= 400;
+    }
+  });
+
+  await check('Non-idempotent requests are only sent again when rate limited', async () => {
+    const { policy } = createPolicy();
+    let attempts = 0;
+    const create = async status => {
+      attempts = 0;
+      return policy.execute(async () => {
+        attempts++;
+        if (attempts === 1) {
+          throw httpError(status);
+        }
+        return 'created';
+      }, { idempotent: false }).catch(error => error.message);
+    };
+    return await create(500) === 'HTTP 500' && attempts === 1 &&
+      await create(429) === 'created' && attempts === 2 &&
+      RetryPolicy.isTransient(Object.assign(new Error('reset'), { code: 'ECONNRESET' })) &&
+      !RetryPolicy.isTransient(httpError(404));
+  });
+
+  await check('Failed creations are looked up before being sent again', async () => {
+    const { policy } = createPolicy();
+    let attempts = 0;
+    const result = await policy.execute(async () => {
+      attempts++;
+      throw httpError(502);
+    }, { idempotent: false, recover: async () => ({ id: 'created-anyway' }) });
+    return result.id === 'created-anyway' && attempts === 1 && policy.stats.recovered === 1;
+  });
+
+  console.log(chalk.blue('\n2. Clients'));
+  await check('Confluence retries reads and recovers page creations without a second POST', async () => {
+    const client = new ConfluenceClient({ baseUrl: 'https://example.atlassian.net', spaceKey: 'DOC', username: 'u', apiToken: 't', retryCount: 2 });
+    client.retryPolicy.sleep = async () => {};
+    const requests = [];
+    client.api.defaults.adapter = createAdapter([
+      [503],
+      [200, { id: '1', title: 'Space' }],
+      [502],
+      [200, { results: [{ id: '42', title: 'Guide', version: { number: 1 } }] }]
+    ], requests);
+
+    const page = await client.getPageById('1');
+    const created = await client.createPage('Guide', '<p>Hi</p>', null);
+    return page.id === '1' && created.id === '42' &&
+      requests.filter(request => request.startsWith('POST')).length === 1 &&
+      client.retryPolicy.stats.retries === 1 && client.retryPolicy.stats.recovered === 1;
+  });
+
+  await check('Notion waits when rate limited instead of failing', async () => {
+    const client = new NotionClient({ apiToken: 'secret_test', retryCount: 2 });
+    client.minInterval = 0;
+    const { policy, delays } = createPolicy({ retryCount: 2, label: 'Notion' });
+    client.retryPolicy = policy;
+    const rateLimited = () => new APIResponseError({
+      code: 'rate_limited',
+      status: 429,
+      message: 'Slow down',
+      headers: { get: name => (name === 'retry-after' ? '1' : null) },
+      rawBodyText: ''
+    });
+    let retrieves = 0;
+    let creates = 0;
+    client.client = {
+      pages: {
+        retrieve: async () => {
+          retrieves++;
+          if (retrieves === 1) {
+            throw rateLimited();
+          }
+          return { id: 'page' };
+        },
+        create: async () => {
+          creates++;
+          throw new APIResponseError({ code: 'internal_server_error', status: 500, message: 'Oops', headers: {}, rawBodyText: '' });
+        }
+      }
+    };
+
+    const page = await client.retrievePage('page');
+    const createError = await client.createPage({}).catch(error => error);
+    return page.id === 'page' && retrieves === 2 && delays[0] === 1000 &&
+      creates === 1 && createError.code === 'internal_server_error';
+  });
+
+  await check('Google API requests use the policy through gaxios', async () => {
+    const { policy, delays } = createPolicy({ retryCount: 2, label: 'Google' });
+    const requests = [];
+    const responses = [[429, { 'retry-after': '3' }], [200], [500]];
+    const docs = google.docs({
+      version: 'v1',
+      auth: 'test-key',
+      retryConfig: policy.toGaxiosConfig(),
+      adapter: async options => {
+        requests.push(options.method);
+        const [status, headers = {}] = responses.shift();
+        return { status, statusText: String(status), headers, data: { documentId: 'doc' }, config: options };
+      }
+    });
+
+    const document = await docs.documents.get({ documentId: 'doc' });
+    const updateError = await docs.documents.batchUpdate({ documentId: 'doc', requestBody: { requests: [] } }).catch(error => error);
+    return document.data.documentId === 'doc' && delays.join(',') === '3000' &&
+      requests.join(',') === 'GET,GET,POST' && updateError.status === 500;
+  });
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testRetryPolicy()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testRetryPolicy };
@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const DocusaurusScanner = require('../lib/core/docusaurus-scanner');
+const SidebarResolver = require('../lib/core/sidebar-resolver');
+const ConfluenceHierarchy = require('../lib/core/confluence-hierarchy');
+const NotionHierarchyManager = require('../lib/core/notion/hierarchy-manager');
+const { createChecker } = require('./helpers/check');
+
+async function testSidebars() {
+  console.log(chalk.blue('🧪 Testing sidebars.js hierarchy'));
+  console.log(chalk.gray('===================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-sidebars-'));
+  const writeDoc = (relativePath, content) => fs.outputFile(path.join(projectRoot, 'docs', relativePath), content);
+
+  try {
+    await fs.outputFile(path.join(projectRoot, 'docusaurus.config.js'), 'module.exports = {};');
+    await writeDoc('01-intro.md', '# Intro');
+    await writeDoc('getting-started/overview.md', '# Overview');
+    await writeDoc('getting-started/install.md', '---\nid: installation\n---\n# Install');
+    await writeDoc('reference/index.md', '# Reference');
+    await writeDoc('reference/cli.md', '---\nsidebar_position: 2\n---\n# CLI');
+    await writeDoc('reference/api.md', '---\nsidebar_position: 1\n---\n# API');
+    await writeDoc('reference/plugins/writing.md', '# Writing Plugins');
+    await fs.outputJson(path.join(projectRoot, 'docs/reference/plugins/_category_.json'), { label: 'Plugin Guide' });
+    await writeDoc('orphan.md', '# Orphan');
+
+    await fs.outputFile(path.join(projectRoot, 'sidebars.ts'), `import type {SidebarsConfig} from '@docusaurus/plugin-content-docs';
+
+const sidebars: SidebarsConfig = {
+  docs: [
+    'intro',
+    {
+      type: 'category',
+      label: 'Getting Started',
+      link: { type: 'doc', id: 'getting-started/overview' },
+      items: ['getting-started/installation', { type: 'link', label: 'Changelog', href: 'https://example.com/changelog' }]
+    },
+    { 'Reference Docs': [{ type: 'autogenerated', dirName: 'reference' }] },
+    'missing-doc'
+  ]
+};
+
+export default sidebars;
+`);
+
+    const scanner = new DocusaurusScanner(projectRoot, { sidebars: true });
+    await scanner.detectProject();
+    const documents = await scanner.scanDocs();
+    const layout = scanner.sidebarLayout;
+    const byPath = relativePath => documents.find(document => document.relativePath === relativePath);
+
+    console.log(chalk.blue('\n1. Evaluating sidebars.ts'));
+    await check('Evaluates TypeScript sidebars file', () => layout && path.basename(layout.sidebarsFile) === 'sidebars.ts');
+
+    await check('Resolves doc ids with number prefixes and frontmatter id', () => {
+      return byPath('01-intro.md').category === null &&
+        byPath('getting-started/install.md').category === 'getting-started';
+    });
+
+    await check('Transpiles ESM and type annotations', () => {
+      const source = new SidebarResolver(projectRoot, '').transpile(
+        "import type {X} from 'y';\nimport foo from 'foo';\nconst s: X = {};\nexport default s satisfies X;"
+      );
+      return source.includes("const foo = require('foo');") && source.includes('const s = {};') &&
+        source.includes('module.exports = s;') && !source.includes('import');
+    });
+
+    console.log(chalk.blue('\n2. Categories'));
+    await check('Category link doc becomes the category index', () => {
+      return layout.categories.get('getting-started').indexDocument === byPath('getting-started/overview.md');
+    });
+
+    await check('Link items are attached to their category', () => {
+      const links = layout.categories.get('getting-started').data.links;
+      return links.length === 1 && links[0].href === 'https://example.com/changelog';
+    });
+
+    await check('Shorthand and autogenerated sections expand the directory', () => {
+      return layout.categories.has('reference-docs') &&
+        layout.categories.get('reference-docs/plugin-guide').data.label === 'Plugin Guide' &&
+        byPath('reference/plugins/writing.md').category === 'reference-docs/plugin-guide' &&
+        byPath('reference/api.md').category === 'reference-docs';
+    });
+
+    await check('Unlisted docs are kept at the top level', () => {
+      return layout.unlisted.length === 1 && byPath('orphan.md').category === null;
+    });
+
+    console.log(chalk.blue('\n3. Order'));
+    await check('Documents follow sidebar order', () => {
+      return documents.map(document => document.relativePath).join(',') === [
+        '01-intro.md',
+        'getting-started/overview.md',
+        'getting-started/install.md',
+        'reference/api.md',
+        'reference/cli.md',
+        'reference/index.md',
+        'reference/plugins/writing.md',
+        'orphan.md'
+      ].join(',');
+    });
+
+    console.log(chalk.blue('\n4. Platforms'));
+    await check('Confluence uses sidebar categories and labels', async () => {
+      const hierarchy = new ConfluenceHierarchy({}, null, scanner.docsDir);
+      const categories = await hierarchy.buildCategories(documents, layout.categories);
+      const content = hierarchy.buildCategoryContent(categories.get('reference-docs'));
+      return categories.get('getting-started').title === 'Getting Started' &&
+        hierarchy.getIndexCategory(byPath('getting-started/overview.md')) !== null &&
+        content.includes('Reference Docs');
+    });
+
+    await check('Notion places files under sidebar categories', () => {
+      const manager = new NotionHierarchyManager({}, {}, projectRoot);
+      manager.setSidebarLayout(layout);
+      return manager.getSidebarCategoryPath('reference/plugins/writing.md') === 'reference-docs/plugin-guide' &&
+        manager.getSidebarCategoryData('reference-docs/plugin-guide').label === 'Plugin Guide';
+    });
+
+    await check('Several sidebars each get a top-level category', () => {
+      const resolver = new SidebarResolver(projectRoot, scanner.docsDir);
+      const multi = resolver.buildLayout(documents, { guides: ['intro'], apiSidebar: ['reference/api'] });
+      return multi.categories.get('api-sidebar').data.label === 'Api Sidebar' &&
+        multi.placements.get('reference/api.md').category === 'api-sidebar';
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testSidebars()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testSidebars };
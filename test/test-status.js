@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+const SyncStatus = require('../lib/core/sync-status');
+const ContentHasher = require('../lib/core/content-hasher');
+const StateManager = require('../lib/core/state-manager');
+const NotionState = require('../lib/core/notion/notion-state');
+const GoogleDocsState = require('../lib/core/gdocs/google-docs-state');
+const GoogleDocsSync = require('../lib/core/gdocs/google-docs-sync');
+const SyncReport = require('../lib/core/sync-report');
+const { syncFile } = require('../lib/commands/sync');
+const { createChecker } = require('./helpers/check');
+
+async function testStatus() {
+  console.log(chalk.blue('🧪 Testing sync status'));
+  console.log(chalk.gray('======================'));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-status-'));
+  const docsDir = path.join(projectRoot, 'docs');
+  const document = name => ({ filePath: path.join(docsDir, name), relativePath: name, title: name, lastModified: new Date() });
+  const byFile = rows => Object.fromEntries(rows.map(row => [row.file, row]));
+  const syncStatus = new SyncStatus(projectRoot, { concurrency: 2 });
+
+  try {
+    for (const name of ['intro.md', 'guide.md', 'new.md', 'broken.md']) {
+      await fs.outputFile(path.join(docsDir, name), `# ${name}`);
+    }
+    const documents = ['intro.md', 'guide.md', 'new.md', 'broken.md'].map(document);
+
+    console.log(chalk.blue('\n1. Local status'));
+    await check('Confluence files are new, modified, up to date, failed or orphaned', async () => {
+      const stateManager = new StateManager(projectRoot);
+      await stateManager.init();
+      const contentHasher = new ContentHasher(projectRoot);
+      for (const [name, id] of [['intro.md', '1'], ['guide.md', '2'], ['broken.md', '3'], ['removed.md', '4']]) {
+        const { hash } = await contentHasher.hashDocument(path.join(docsDir, name)).catch(() => ({ hash: 'gone' }));
+        stateManager.setPageState(name, { confluenceId: id, title: name, contentHash: hash });
+      }
+      await fs.outputFile(path.join(docsDir, 'guide.md'), '# Guide, edited');
+      stateManager.recordFailure('broken.md', new Error('Page title already exists'));
+
+      const rows = byFile(await syncStatus.collectConfluence(documents, stateManager, 'https://wiki'));
+      return Object.values(rows).map(row => row.file).join(',') === 'broken.md,guide.md,intro.md,new.md,removed.md' &&
+        rows['intro.md'].status === 'up-to-date' && rows['intro.md'].url === 'https://wiki/pages/viewpage.action?pageId=1' &&
+        rows['intro.md'].lastSync !== null &&
+        rows['guide.md'].status === 'modified' &&
+        rows['new.md'].status === 'new' && rows['new.md'].url === null && rows['new.md'].lastSync === null &&
+        rows['broken.md'].status === 'failed' && rows['broken.md'].error.message === 'Page title already exists' &&
+        rows['removed.md'].status === 'orphaned' && rows['removed.md'].id === '4';
+    });
+
+    await check('A successful sync clears the recorded failure', async () => {
+      const stateManager = new StateManager(projectRoot);
+      await stateManager.init();
+      stateManager.recordFailure('broken.md', 'Timeout');
+      const failed = stateManager.getFailure('broken.md');
+      stateManager.setPageState('broken.md', { confluenceId: '3', title: 'Broken' });
+      return failed.message === 'Timeout' && failed.time && stateManager.getFailure('broken.md') === null;
+    });
+
+    await check('A sync failing before its file is resolved reports the original error', async () => {
+      const brokenProject = path.join(projectRoot, 'broken-state');
+      await fs.outputFile(path.join(brokenProject, 'docs', 'intro.md'), '# Intro');
+      // State directory blocked by a file: the state can not be loaded
+      await fs.outputFile(path.join(brokenProject, '.docusaurus'), '');
+      await fs.outputFile(path.join(brokenProject, '.env'), [
+        'CONFLUENCE_BASE_URL=https://example.atlassian.net/wiki',
+        'CONFLUENCE_USERNAME=user@example.com',
+        'CONFLUENCE_API_TOKEN=token',
+        'CONFLUENCE_SPACE_KEY=DOC'
+      ].join('\n'));
+      try {
+        await syncFile('docs/intro.md', false, brokenProject, null, { report: new SyncReport() });
+        return false;
+      } catch (error) {
+        return !(error instanceof TypeError) && /EEXIST|ENOTDIR/.test(error.code || error.message);
+      }
+    });
+
+    await check('Notion files link to their pages and keep failures across runs', async () => {
+      const config = { rootPageId: 'root' };
+      const state = new NotionState(projectRoot, config);
+      state.setPageId('intro.md', 'abcd-1234', { title: 'Intro' });
+      state.updateFileHash('intro.md', state.calculateFileHash('intro.md'));
+      state.setPageId('guide.md', 'efgh-5678', { title: 'Guide' });
+      state.updateFileHash('guide.md', 'old-hash');
+      state.setPageId('removed.md', 'ijkl-9012', { title: 'Removed' });
+      state.recordFailure('new.md', 'No valid blocks generated for new.md');
+
+      const rows = byFile(await syncStatus.collectNotion(documents, new NotionState(projectRoot, config)));
+      return rows['intro.md'].status === 'up-to-date' && rows['intro.md'].url === 'https://www.notion.so/abcd1234' &&
+        rows['guide.md'].status === 'modified' &&
+        rows['broken.md'].status === 'new' &&
+        rows['new.md'].status === 'failed' &&
+        rows['removed.md'].status === 'orphaned';
+    });
+
+    await check('Google Docs files and tabs are tracked per file, the single layout by its last sync', async () => {
+      const state = new GoogleDocsState(projectRoot);
+      await state.init();
+      await state.updateDocument(path.join(docsDir, 'intro.md'), { documentId: 'doc-1', title: 'Intro', layout: 'files', documentUrl: 'https://docs/doc-1' });
+      await state.updateDocument(path.join(docsDir, 'guide.md'), { documentId: 'doc-2', title: 'Guide', layout: 'files' });
+      state.state.documents['doc-2'].lastModified = new Date(0).toISOString();
+      state.state.documents['doc-9'] = { filePath: path.join(docsDir, 'removed.md'), documentId: 'doc-9', layout: 'files', documentUrl: 'https://docs/doc-9' };
+      await state.updateDocument(path.join(docsDir, 'broken.md'), { documentId: 'root', tabId: 't.1', title: 'Broken', layout: 'tabs', documentUrl: 'https://docs/root/edit?tab=t.1' });
+      state.recordFailure(path.join(docsDir, 'new.md'), new Error('Quota exceeded'));
+
+      const files = byFile(await syncStatus.collectGoogleDocs(documents, state, 'files'));
+      const tabs = byFile(await syncStatus.collectGoogleDocs(documents, state, 'tabs'));
+
+      state.setRootDocument('root', 'https://docs/root');
+      state.state.lastSync = new Date(Date.now() - 60000).toISOString();
+      const single = byFile(await syncStatus.collectGoogleDocs([document('intro.md'), { ...document('guide.md'), lastModified: new Date(0) }], state, 'single'));
+
+      return files['intro.md'].status === 'up-to-date' && files['intro.md'].url === 'https://docs/doc-1' &&
+        files['guide.md'].status === 'modified' &&
+        files['new.md'].status === 'failed' && files['new.md'].error.message === 'Quota exceeded' &&
+        files['removed.md'].status === 'orphaned' && files['removed.md'].id === 'doc-9' &&
+        tabs['broken.md'].status === 'up-to-date' && tabs['broken.md'].id === 'root#t.1' && tabs['intro.md'].status === 'new' &&
+        single['intro.md'].status === 'modified' && single['guide.md'].status === 'up-to-date' && single['guide.md'].url === 'https://docs/root';
+    });
+
+    await check('Google Docs sync records failed files and clears them once synced', async () => {
+      const state = new GoogleDocsState(projectRoot);
+      await state.init();
+      const filePath = path.join(docsDir, 'broken.md');
+      let fail = true;
+      const engine = {
+        layout: 'files',
+        config: { concurrentUploads: 1 },
+        state,
+        documentLayout: { getDocument: () => null, needsSync: async () => true },
+        prepareDocumentLayout: async () => {},
+        resolveInternalLinks: async () => {},
+        syncDocumentFile: async doc => {
+          if (fail) {
+            throw new Error('Quota exceeded');
+          }
+          await state.updateDocument(doc.filePath, { documentId: 'doc-3', title: doc.title, layout: 'files' });
+          return { documentId: 'doc-3', created: true };
+        },
+        generateSyncReport: () => ({ success: true })
+      };
+      const documentsToSync = [{ ...document('broken.md'), content: '# broken.md' }];
+
+      await GoogleDocsSync.prototype.syncDocumentFiles.call(engine, documentsToSync, { report: new SyncReport() });
+      const saved = await fs.readJson(state.stateFile);
+      fail = false;
+      await GoogleDocsSync.prototype.syncDocumentFiles.call(engine, documentsToSync, { report: new SyncReport() });
+      return saved.failures[filePath].message === 'Quota exceeded' && state.getFailure(filePath) === null;
+    });
+
+    console.log(chalk.blue('\n2. Remote pages'));
+    await check('Confluence pages that were deleted or trashed are missing', async () => {
+      const rows = [{ id: '1' }, { id: '2' }, { id: '3' }, { id: '4' }, { id: null }];
+      await syncStatus.verifyConfluence(rows, {
+        getPageById: async id => {
+          if (id === '2') {
+            throw new Error('Page with ID 2 not found');
+          }
+          if (id === '4') {
+            throw new Error('Failed to get page 4: Unauthorized');
+          }
+          return { id, status: id === '3' ? 'trashed' : 'current' };
+        }
+      });
+      return rows.map(row => row.remote).join(',') === 'ok,missing,missing,error,' &&
+        rows[3].remoteError.includes('Unauthorized') && SyncStatus.summarize(rows).missing === 2;
+    });
+
+    await check('Notion pages that were archived or deleted are missing', async () => {
+      const rows = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+      await syncStatus.verifyNotion(rows, {
+        retrievePage: async id => {
+          if (id === 'c') {
+            throw Object.assign(new Error('Could not find page'), { code: 'object_not_found' });
+          }
+          return { id, archived: id === 'b' };
+        }
+      });
+      return rows.map(row => row.remote).join(',') === 'ok,missing,missing';
+    });
+
+    await check('Google Docs are fetched once per document and their tabs looked up', async () => {
+      const fetched = [];
+      const rows = [{ id: 'root#t.1' }, { id: 'root#t.9' }, { id: 'gone' }, { id: 'doc-1' }];
+      await syncStatus.verifyGoogleDocs(rows, {
+        getDocumentWithTabs: async documentId => {
+          fetched.push(documentId);
+          if (documentId === 'gone') {
+            throw Object.assign(new Error('Requested entity was not found.'), { response: { status: 404 } });
+          }
+          return { documentId, tabs: [{ tabProperties: { tabId: 't.0' }, childTabs: [{ tabProperties: { tabId: 't.1' } }] }] };
+        }
+      });
+      return rows.map(row => row.remote).join(',') === 'ok,missing,missing,ok' && fetched.sort().join(',') === 'doc-1,gone,root';
+    });
+
+    console.log(chalk.blue('\n3. CLI'));
+    await check('docflu status lists the files of the project', () => {
+      const cliProject = path.join(projectRoot, 'cli');
+      fs.outputFileSync(path.join(cliProject, 'docs', 'intro.md'), '# Intro');
+      fs.outputFileSync(path.join(cliProject, 'docusaurus.config.js'), 'module.exports = {};');
+      fs.outputFileSync(path.join(cliProject, '.env'), [
+        'CONFLUENCE_BASE_URL=https://example.atlassian.net/wiki',
+        'CONFLUENCE_USERNAME=user@example.com',
+        'CONFLUENCE_API_TOKEN=token',
+        'CONFLUENCE_SPACE_KEY=DOC'
+      ].join('\n'));
+      const docflu = path.join(__dirname, '..', 'bin', 'docflu.js');
+      const result = spawnSync(process.execPath, [docflu, 'status', cliProject], { encoding: 'utf8', timeout: 60000 });
+      const multiple = spawnSync(process.execPath, [docflu, 'status', cliProject, '--notion', '--gdocs'], { encoding: 'utf8', timeout: 60000 });
+      return result.status === 0 && /new\s+intro\.md/.test(result.stdout) && result.stdout.includes('never synced') &&
+        multiple.status === 1 && multiple.stdout.includes('Cannot specify multiple platforms');
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testStatus()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testStatus };
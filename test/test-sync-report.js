@@ -0,0 +1,255 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+const SyncReport = require('../lib/core/sync-report');
+const RetryPolicy = require('../lib/core/retry-policy');
+const DiagramRendererRegistry = require('../lib/core/diagrams/renderer-registry');
+const NotionSync = require('../lib/core/notion/notion-sync');
+const GoogleDocsSync = require('../lib/core/gdocs/google-docs-sync');
+const GoogleDocsState = require('../lib/core/gdocs/google-docs-state');
+const { createChecker } = require('./helpers/check');
+
+async function testSyncReport() {
+  console.log(chalk.blue('🧪 Testing sync reports'));
+  console.log(chalk.gray('======================'));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-sync-report-'));
+  const markdown = [
+    '# Guide',
+    '',
+    '```mermaid',
+    'graph TD; A-->B',
+    '```',
+    '',
+    '```d2',
+    'a -> b',
+    '```',
+    '',
+    '![Logo](./logo.png) and <img src="./icon.png" />',
+    '',
+    '```markdown',
+    '![Not an image](./example.png)',
+    '```'
+  ].join('\n');
+
+  try {
+    console.log(chalk.blue('\n1. Report'));
+    await check('Counts diagrams and images, not images inside code blocks', () => {
+      const media = SyncReport.countMedia(markdown);
+      return media.diagrams === 2 && media.images === 2;
+    });
+
+    await check('Counts the diagram languages of the sync renderers, including config file renderers', async () => {
+      await fs.outputFile(path.join(projectRoot, 'renderers', 'timing.js'), "module.exports = [{ type: 'timing', languages: ['wavejson'], formats: ['png'], render: async () => Buffer.from('') }];\n");
+      const diagramMarkdown = [
+        '```vega-lite\n{"mark": "bar"}\n```',
+        '```wavedrom\n{ "signal": [] }\n```',
+        '```wavejson\n{ "signal": [] }\n```',
+        '```mermaid\n\n```'
+      ].join('\n\n');
+
+      const builtIn = SyncReport.countMedia(diagramMarkdown);
+      const report = new SyncReport({ projectRoot });
+      report.setDiagramRenderers(DiagramRendererRegistry.create(projectRoot, ['./renderers/timing.js']));
+      const entry = report.addFile('timing.md', 'created', { markdown: diagramMarkdown });
+      return builtIn.diagrams === 2 && entry.diagrams === 3;
+    });
+
+    await check('Records action, remote page, timing and media of each file', async () => {
+      const report = new SyncReport({ platform: 'notion', mode: 'docs', projectRoot });
+      const entry = report.startFile('guides/install.md', { title: 'Install', markdown });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      report.finishFile(entry, 'created', { id: 'page-1', url: 'https://notion.so/page-1' });
+      report.addFile('intro.md', 'skipped', { id: 42 });
+      report.failFile(report.startFile('api.md'), new Error('Upload failed'));
+      report.finish();
+
+      const json = report.toJSON();
+      const install = json.files.find(file => file.file === 'guides/install.md');
+      return json.files.map(file => file.file).join(',') === 'api.md,guides/install.md,intro.md' &&
+        install.action === 'created' && install.id === 'page-1' && install.url === 'https://notion.so/page-1' &&
+        install.durationMs >= 5 && install.diagrams === 2 && install.images === 2 &&
+        json.files.find(file => file.file === 'intro.md').id === '42' &&
+        json.summary.created === 1 && json.summary.skipped === 1 && json.summary.failed === 1 &&
+        json.summary.diagrams === 2 && !json.success && report.failed === 1;
+    });
+
+    await check('Errors keep their status, code and the top of the stack', () => {
+      const error = Object.assign(new Error('Too many requests'), { code: 'rate_limited', response: { status: 429 } });
+      error.stack = ['Error: Too many requests', ...Array.from({ length: 20 }, (_, i) => `    at frame${i} (file.js:${i}:1)`)].join('\n');
+      const serialized = SyncReport.serializeError(error);
+      const fromResult = SyncReport.serializeError({ message: 'No valid blocks', stack: undefined });
+      return serialized.status === 429 && serialized.code === 'rate_limited' &&
+        serialized.stack.split('\n').length === 11 && serialized.stack.includes('frame9') && !serialized.stack.includes('frame10') &&
+        fromResult.message === 'No valid blocks' && fromResult.stack === null;
+    });
+
+    await check('Files still in progress when the sync stops are reported as failed', () => {
+      const report = new SyncReport();
+      report.startFile('slow.md');
+      report.fail(new Error('Connection lost'));
+      report.finish();
+      const [file] = report.toJSON().files;
+      return file.action === 'failed' && file.error.message === 'Connection lost' && report.toJSON().error.message === 'Connection lost';
+    });
+
+    await check('JUnit XML has a test case per file, failures and skips', () => {
+      const report = new SyncReport({ platform: 'confluence', skipConflicts: true });
+      report.addFile('intro.md', 'updated', { id: '1', url: 'https://wiki/pages/viewpage.action?pageId=1&x=<y>' });
+      report.addFile('old.md', 'skipped');
+      report.addFile('edited.md', 'conflict');
+      report.failFile(report.startFile('broken.md'), new Error('Bad "request"\nsecond line'));
+      const xml = report.toJUnit();
+      return xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>') &&
+        xml.includes('<testsuites name="docflu" tests="4" failures="1" errors="0" skipped="2"') &&
+        xml.includes('<testcase classname="docflu.confluence" name="broken.md"') &&
+        xml.includes('<failure message="Bad &quot;request&quot;&#10;second line" type="Error">Error: Bad &quot;request&quot;') &&
+        xml.includes('<skipped message="edited remotely since the last sync"/>') &&
+        xml.includes('pageId=1&amp;x=&lt;y&gt;');
+    });
+
+    await check('Conflicts fail the sync unless --skip-conflicts only reports them', () => {
+      const refused = new SyncReport({ platform: 'confluence' });
+      refused.addFile('intro.md', 'updated');
+      refused.addFile('edited.md', 'conflict');
+      const skipped = new SyncReport({ platform: 'confluence', skipConflicts: true });
+      skipped.addFile('edited.md', 'conflict');
+      const xml = refused.toJUnit();
+      return !refused.success && !refused.toJSON().success && refused.conflicts === 1 &&
+        xml.includes('failures="1" errors="0" skipped="0"') &&
+        xml.includes('<failure message="edited remotely since the last sync" type="Conflict"/>') &&
+        skipped.success && skipped.toJSON().success;
+    });
+
+    await check('Reports are written as JUnit for .xml paths and JSON otherwise', async () => {
+      const report = new SyncReport({ platform: 'google-docs' });
+      report.addFile('intro.md', 'created', { id: 'doc-1' });
+      const xmlPath = await report.write(path.join(projectRoot, 'reports', 'sync.xml'));
+      const jsonPath = await report.write(path.join(projectRoot, 'reports', 'sync.json'));
+      const json = await fs.readJson(jsonPath);
+      return (await fs.readFile(xmlPath, 'utf8')).includes('<testsuite name="docflu.google-docs"') &&
+        json.platform === 'google-docs' && json.files[0].id === 'doc-1' && json.success;
+    });
+
+    await check('Retried and rate limited requests are written to the report files', async () => {
+      const report = new SyncReport({ platform: 'notion' });
+      const policy = new RetryPolicy({ retryCount: 3, label: 'Notion', sleep: async () => {} });
+      policy.setReport(report);
+      const failures = [
+        Object.assign(new Error('Rate limited'), { code: 'rate_limited', status: 429 }),
+        Object.assign(new Error('Bad gateway'), { status: 502 })
+      ];
+      await policy.execute(async () => {
+        if (failures.length > 0) {
+          throw failures.shift();
+        }
+        return 'ok';
+      });
+      report.addFile('intro.md', 'updated', { id: 'page-1' });
+
+      const json = await fs.readJson(await report.write(path.join(projectRoot, 'retries', 'sync.json')));
+      const xml = await fs.readFile(await report.write(path.join(projectRoot, 'retries', 'sync.xml')), 'utf8');
+      return json.summary.retries === 2 && json.summary.rateLimited === 1 &&
+        xml.includes('<property name="retries" value="2"/>') &&
+        xml.includes('<property name="rateLimited" value="1"/>');
+    });
+
+    console.log(chalk.blue('\n2. Platforms'));
+    await check('Notion file results map to report actions', () => {
+      const report = new SyncReport({ platform: 'notion' });
+      const engine = { state: { getPageId: filePath => (filePath === 'same.md' ? 'page-same' : null) } };
+      const record = (file, result) => NotionSync.prototype.reportFileResult.call(engine, report, report.startFile(file), result);
+      record('new.md', { success: true, created: true, title: 'New', pageId: 'page-new', url: 'https://notion.so/new', media: { diagrams: 1, images: 3 } });
+      record('same.md', { success: true, skipped: true });
+      record('edited.md', { success: true, skipped: true, conflict: true, pageId: 'page-edited' });
+      record('broken.md', { success: false, error: 'Upload failed', stack: 'Error: Upload failed\n    at upload (file-uploader.js:1:1)' });
+
+      const files = Object.fromEntries(report.toJSON().files.map(file => [file.file, file]));
+      return files['new.md'].action === 'created' && files['new.md'].url === 'https://notion.so/new' && files['new.md'].images === 3 &&
+        files['same.md'].action === 'skipped' && files['same.md'].id === 'page-same' &&
+        files['edited.md'].action === 'conflict' &&
+        files['broken.md'].action === 'failed' && files['broken.md'].error.stack.includes('file-uploader.js');
+    });
+
+    await check('Google Docs files layout reports created, failed and unchanged documents', async () => {
+      const docsDir = path.join(projectRoot, 'docs');
+      await fs.outputFile(path.join(docsDir, 'intro.md'), markdown);
+      await fs.outputFile(path.join(docsDir, 'broken.md'), '# Broken');
+      const documents = ['intro', 'broken'].map(name => ({
+        filePath: path.join(docsDir, `${name}.md`),
+        relativePath: `${name}.md`,
+        title: name,
+        content: name === 'intro' ? markdown : '# Broken'
+      }));
+      const state = new GoogleDocsState(projectRoot);
+      await state.init();
+      const synced = new Set();
+      const engine = {
+        layout: 'files',
+        config: { concurrentUploads: 2 },
+        state,
+        documentLayout: {
+          getDocument: document => (synced.has(document.filePath) ? { documentId: `doc-${document.title}` } : null),
+          needsSync: async document => !synced.has(document.filePath)
+        },
+        prepareDocumentLayout: async () => {},
+        resolveInternalLinks: async () => {},
+        syncDocumentFile: async document => {
+          if (document.title === 'broken') {
+            throw new Error('Quota exceeded');
+          }
+          synced.add(document.filePath);
+          return { documentId: `doc-${document.title}`, url: `https://docs/${document.title}`, created: true };
+        },
+        generateSyncReport: () => ({ success: true })
+      };
+
+      const first = new SyncReport({ platform: 'google-docs' });
+      await GoogleDocsSync.prototype.syncDocumentFiles.call(engine, documents, { report: first });
+      const second = new SyncReport({ platform: 'google-docs' });
+      await GoogleDocsSync.prototype.syncDocumentFiles.call(engine, documents, { report: second });
+
+      const firstFiles = Object.fromEntries(first.toJSON().files.map(file => [file.file, file]));
+      const secondFiles = Object.fromEntries(second.toJSON().files.map(file => [file.file, file]));
+      return firstFiles['intro.md'].action === 'created' && firstFiles['intro.md'].url === 'https://docs/intro' &&
+        firstFiles['intro.md'].diagrams === 2 &&
+        firstFiles['broken.md'].action === 'failed' && firstFiles['broken.md'].error.message === 'Quota exceeded' &&
+        secondFiles['intro.md'].action === 'skipped' && secondFiles['intro.md'].id === 'doc-intro' &&
+        secondFiles['broken.md'].action === 'failed';
+    });
+
+    await check('docflu sync --report writes the report and exits non-zero when the sync fails', () => {
+      const cliProject = path.join(projectRoot, 'cli');
+      fs.outputFileSync(path.join(cliProject, 'docs', 'intro.md'), '# Intro');
+      const reportPath = path.join(cliProject, 'report.json');
+      const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'docflu.js'), 'sync', cliProject, '--docs', '--report', reportPath], {
+        encoding: 'utf8',
+        timeout: 60000
+      });
+      const report = fs.readJsonSync(reportPath);
+      return result.status === 1 && report.mode === 'docs' && !report.success && /\.env/.test(report.error.message);
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testSyncReport()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testSyncReport };
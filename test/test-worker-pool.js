@@ -0,0 +1,171 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const WorkerPool = require('../lib/core/worker-pool');
+const NotionClient = require('../lib/core/notion/notion-client');
+const NotionHierarchyManager = require('../lib/core/notion/hierarchy-manager');
+const NotionState = require('../lib/core/notion/notion-state');
+const GoogleDocsState = require('../lib/core/gdocs/google-docs-state');
+const GoogleDocsFileLayout = require('../lib/core/gdocs/file-layout');
+const { createChecker } = require('./helpers/check');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testWorkerPool() {
+  console.log(chalk.blue('🧪 Testing parallel sync scheduling'));
+  console.log(chalk.gray('=================================='));
+
+  const check = createChecker();
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'docflu-worker-pool-'));
+
+  try {
+    console.log(chalk.blue('\n1. Worker pool'));
+    await check('Runs at most `concurrency` items at once and returns results in item order', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const results = await new WorkerPool(3).run([30, 10, 20, 5, 15, 25, 1], async (delay, index) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(delay);
+        active--;
+        return index;
+      });
+      return maxActive === 3 && results.join(',') === '0,1,2,3,4,5,6';
+    });
+
+    await check('Failed items do not stop the others, the first error is thrown at the end', async () => {
+      const done = [];
+      try {
+        await new WorkerPool(2).run(['a', 'b', 'c', 'd'], async item => {
+          if (item === 'b' || item === 'c') {
+            throw new Error(`failed ${item}`);
+          }
+          await sleep(5);
+          done.push(item);
+        });
+        return false;
+      } catch (error) {
+        return error.message === 'failed b' && done.sort().join(',') === 'a,d';
+      }
+    });
+
+    await check('Items wait for the items they depend on, even failed ones', async () => {
+      const order = [];
+      const items = ['parent', 'child', 'other'];
+      await new WorkerPool(3).run(items, async item => {
+        order.push(`start ${item}`);
+        await sleep(item === 'parent' ? 20 : 1);
+        order.push(`end ${item}`);
+        if (item === 'parent') {
+          throw new Error('parent failed');
+        }
+      }, { dependsOn: item => (item === 'child' ? ['parent'] : []) }).catch(() => {});
+      return order.indexOf('start child') > order.indexOf('end parent') &&
+        order.indexOf('start other') < order.indexOf('end parent');
+    });
+
+    await check('The first item under a missing parent creates it, later items wait for it', () => {
+      const items = ['a/one.md', 'a/b/two.md', 'a/b/three.md', 'c/four.md', 'root.md'];
+      const parentPath = item => item.split('/').slice(0, -1).join('/');
+      const dependsOn = WorkerPool.parentsFirst(items, parentPath, key => !key || key === 'c');
+      return dependsOn('a/one.md').length === 0 &&
+        dependsOn('a/b/two.md').join(',') === 'a/one.md' &&
+        dependsOn('a/b/three.md').sort().join(',') === 'a/b/two.md,a/one.md' &&
+        dependsOn('c/four.md').length === 0 &&
+        dependsOn('root.md').length === 0;
+    });
+
+    await check('A lock runs functions one at a time, in call order', async () => {
+      const exclusive = WorkerPool.createLock();
+      const order = [];
+      const failed = exclusive(async () => {
+        await sleep(10);
+        order.push(1);
+        throw new Error('locked work failed');
+      });
+      const second = exclusive(async () => order.push(2));
+      await failed.catch(() => {});
+      await second;
+      return order.join(',') === '1,2';
+    });
+
+    console.log(chalk.blue('\n2. Platforms'));
+    await check('Notion requests start minInterval apart but overlap while in flight', async () => {
+      const client = new NotionClient({ apiToken: 'secret_test' });
+      client.minInterval = 20;
+      const started = [];
+      const request = label => client.makeRequest(async () => {
+        started.push([label, Date.now()]);
+        await sleep(label === 'slow' ? 100 : 1);
+        return label;
+      });
+      const begin = Date.now();
+      const results = await Promise.all([request('slow'), request('fast')]);
+      const gap = started[1][1] - started[0][1];
+      return results.join(',') === 'slow,fast' && gap >= 15 && started[1][1] - begin < 100 &&
+        client.requestCount === 2;
+    });
+
+    await check('Notion files wait for the file creating their parent page', () => {
+      const state = new NotionState(projectRoot, { rootPageId: 'root' });
+      state.setHierarchyPageId('guides', 'guides-page');
+      const manager = new NotionHierarchyManager(null, state, projectRoot);
+      const files = ['intro.md', 'guides/install.md', 'api/setup.md', 'api/auth/token.md', 'api/usage.md'];
+      const dependsOn = WorkerPool.parentsFirst(files, file => manager.getParentPath(file), key => manager.hasHierarchyPage(key));
+      return manager.getParentPath('docs/api/auth/token.md') === 'api/auth' &&
+        dependsOn('guides/install.md').length === 0 &&
+        dependsOn('api/auth/token.md').join(',') === 'api/setup.md' &&
+        dependsOn('api/usage.md').join(',') === 'api/setup.md';
+    });
+
+    await check('Google Docs folders are created once for documents synced in parallel', async () => {
+      const docsDir = path.join(projectRoot, 'docs');
+      const state = new GoogleDocsState(projectRoot);
+      const folders = [];
+      const drive = {
+        ensureFolder: async (name, parentId) => {
+          await sleep(5);
+          folders.push(`${parentId}/${name}`);
+          return { id: `folder-${folders.length}`, url: `https://drive/${folders.length}` };
+        },
+        createDocument: async title => ({ documentId: `doc-${title}`, url: `https://docs/${title}` })
+      };
+      const layout = new GoogleDocsFileLayout(drive, state, { docsDir, rootTitle: 'Handbook' });
+      const documents = ['one', 'two', 'three'].map(name => ({
+        filePath: path.join(docsDir, 'guides', `${name}.md`),
+        relativePath: `guides/${name}.md`,
+        title: name
+      }));
+
+      await new WorkerPool(3).run(documents, document => layout.ensureDocument(document));
+      return folders.join(',') === 'root/Handbook,folder-1/guides';
+    });
+
+    await check('Google Docs state saves are written one after another', async () => {
+      const state = new GoogleDocsState(projectRoot);
+      state.setRootDocument('doc-1', 'https://docs/doc-1');
+      await Promise.all([state.save(), state.save(), state.save()]);
+      return (await fs.readJson(state.stateFile)).rootDocumentId === 'doc-1';
+    });
+  } finally {
+    await fs.remove(projectRoot);
+  }
+
+  return check.summary();
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testWorkerPool()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(chalk.red('Test runner error:', error.message));
+      process.exit(1);
+    });
+}
+
+module.exports = { testWorkerPool };